@@ -30,6 +30,15 @@ const initDatabase = async () => {
     
     await pool.query(schema);
     console.log('Database schema initialized successfully');
+
+    // Promote the accounts listed in ADMIN_EMAILS to administrators
+    if (process.env.ADMIN_EMAILS) {
+      const adminEmails = process.env.ADMIN_EMAILS.split(',').map(email => email.trim().toLowerCase());
+      await pool.query(
+        `UPDATE users SET role = 'admin' WHERE LOWER(email) = ANY($1) AND role != 'admin'`,
+        [adminEmails]
+      );
+    }
   } catch (error) {
     console.error('Error initializing database:', error);
   }
@@ -0,0 +1,21 @@
+// Plan configurations shared by self-service upgrades and the admin API.
+// file_versions is how many previous versions of each file are kept.
+const plans = {
+  free: {
+    storage_quota: 1073741824, // 1GB
+    domain_quota: 2,
+    file_versions: 3
+  },
+  pro: {
+    storage_quota: 10737418240, // 10GB
+    domain_quota: 10,
+    file_versions: 10
+  },
+  enterprise: {
+    storage_quota: 107374182400, // 100GB
+    domain_quota: 100,
+    file_versions: 25
+  }
+};
+
+module.exports = { plans };
@@ -23,9 +23,9 @@ CREATE TABLE IF NOT EXISTS domains (
     user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     domain_name VARCHAR(255) NOT NULL,
     status VARCHAR(50) DEFAULT 'pending', -- pending, active, error, expired
-    ssl_status VARCHAR(50) DEFAULT 'pending', -- pending, active, error
-    dns_records JSONB, -- Store DNS configuration
+    ssl_status VARCHAR(50) DEFAULT 'pending', -- pending, issuing, active, error, expired, revoked
     verification_token VARCHAR(255) UNIQUE,
+    dns_records JSONB, -- No longer used; see the dns_records table
     expires_at TIMESTAMP WITH TIME ZONE,
     auto_renew BOOLEAN DEFAULT false,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
@@ -106,6 +106,341 @@ CREATE TABLE IF NOT EXISTS api_keys (
     is_active BOOLEAN DEFAULT true
 );
 
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS key_prefix VARCHAR(20);
+
+-- Two-factor authentication (RFC 6238 TOTP)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+
+-- Email verification. Accounts that existed before verification was
+-- introduced count as verified; registration inserts false explicitly.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified BOOLEAN DEFAULT true;
+
+-- Single-use emailed tokens (password reset, email verification)
+CREATE TABLE IF NOT EXISTS user_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    purpose VARCHAR(50) NOT NULL, -- password_reset, verify_email, sso_login
+    token_hash VARCHAR(255) NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Administrator role and support impersonation
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) DEFAULT 'user'; -- user, admin
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS impersonator_id UUID REFERENCES users(id) ON DELETE CASCADE;
+
+-- Record of every admin impersonation, kept when the session ends
+CREATE TABLE IF NOT EXISTS admin_impersonations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    admin_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    session_id UUID,
+    reason TEXT NOT NULL,
+    ip_address INET,
+    user_agent TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Sign-in attempts for per-account and per-IP throttling
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP WITH TIME ZONE;
+
+CREATE TABLE IF NOT EXISTS login_attempts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    email VARCHAR(255) NOT NULL,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    ip_address INET,
+    user_agent TEXT,
+    success BOOLEAN NOT NULL,
+    reason VARCHAR(50), -- unknown_email, invalid_password, invalid_2fa_code, account_disabled
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One-time 2FA recovery codes
+CREATE TABLE IF NOT EXISTS recovery_codes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(255) NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Single sign-on identities linked to local accounts
+CREATE TABLE IF NOT EXISTS user_identities (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    issuer VARCHAR(500) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    email VARCHAR(255),
+    last_login TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (issuer, subject)
+);
+
+-- In-flight SSO logins: state, nonce and PKCE verifier between redirect and callback
+CREATE TABLE IF NOT EXISTS sso_login_states (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    state_hash VARCHAR(255) UNIQUE NOT NULL,
+    code_verifier VARCHAR(255) NOT NULL,
+    nonce VARCHAR(255) NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Organizations own domains, files and websites on behalf of their members.
+-- A resource with organization_id NULL belongs to user_id personally;
+-- otherwise user_id records who created it.
+CREATE TABLE IF NOT EXISTS organizations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(255) NOT NULL,
+    slug VARCHAR(100) UNIQUE NOT NULL,
+    plan_type VARCHAR(50) DEFAULT 'free',
+    storage_quota BIGINT DEFAULT 1073741824,
+    domain_quota INTEGER DEFAULT 2,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS organization_members (
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL DEFAULT 'viewer', -- owner, admin, developer, viewer
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (organization_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS organization_invitations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL,
+    role VARCHAR(20) NOT NULL,
+    token_hash VARCHAR(255) NOT NULL,
+    invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    accepted_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE domains ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE files ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE websites ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE analytics ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE;
+
+-- Append-only audit trail. No foreign keys: entries must outlive the
+-- accounts, keys and resources they describe.
+CREATE TABLE IF NOT EXISTS audit_log (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    account_id UUID,
+    actor_id UUID,
+    impersonator_id UUID,
+    api_key_id UUID,
+    action VARCHAR(100) NOT NULL,
+    resource_type VARCHAR(50),
+    resource_id VARCHAR(255),
+    ip_address INET,
+    user_agent TEXT,
+    before_data JSONB,
+    after_data JSONB,
+    metadata JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS organization_id UUID;
+
+-- Folders organize a workspace's files into a tree. Files with folder_id NULL
+-- sit at the workspace root.
+CREATE TABLE IF NOT EXISTS folders (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+    parent_id UUID REFERENCES folders(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE files ADD COLUMN IF NOT EXISTS folder_id UUID REFERENCES folders(id) ON DELETE SET NULL;
+-- Hostnames (optionally *.example.com) allowed to embed a public file
+ALTER TABLE files ADD COLUMN IF NOT EXISTS allowed_referrers TEXT[];
+
+-- Resumable (tus) uploads in progress. Bytes are appended to file_path until
+-- upload_offset reaches upload_length; the upload then becomes a row in files.
+-- upload_length counts against the workspace quota from creation on.
+CREATE TABLE IF NOT EXISTS file_uploads (
+    id UUID PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+    folder_id UUID REFERENCES folders(id) ON DELETE SET NULL,
+    original_name VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(100),
+    is_public BOOLEAN DEFAULT false,
+    upload_length BIGINT NOT NULL,
+    upload_offset BIGINT NOT NULL DEFAULT 0,
+    file_path VARCHAR(500) NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Previous contents of a file. files holds the current version; uploading a
+-- new one moves the old content here, keeping the plan's number of versions.
+ALTER TABLE files ADD COLUMN IF NOT EXISTS version_number INTEGER DEFAULT 1;
+ALTER TABLE files ADD COLUMN IF NOT EXISTS version_created_at TIMESTAMP WITH TIME ZONE;
+
+CREATE TABLE IF NOT EXISTS file_versions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    file_id UUID NOT NULL REFERENCES files(id) ON DELETE CASCADE,
+    version_number INTEGER NOT NULL,
+    stored_name VARCHAR(255) NOT NULL,
+    file_path VARCHAR(500) NOT NULL,
+    file_size BIGINT NOT NULL,
+    mime_type VARCHAR(100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (file_id, version_number)
+);
+
+-- Trash: deleting a file or domain sets deleted_at; the purge removes rows
+-- (and file contents) once they are older than TRASH_RETENTION_DAYS.
+ALTER TABLE files ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE files ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE domains ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE domains ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+-- Storage backend holding a file's bytes; file_path is the location within
+-- it. Rows on different drivers coexist, which lets storage:migrate move them
+-- one by one. A file_uploads row with a driver is a presigned direct upload
+-- awaiting completion; tus uploads (no driver) stage on local disk.
+ALTER TABLE files ADD COLUMN IF NOT EXISTS storage_driver VARCHAR(20) NOT NULL DEFAULT 'local';
+ALTER TABLE file_versions ADD COLUMN IF NOT EXISTS storage_driver VARCHAR(20) NOT NULL DEFAULT 'local';
+ALTER TABLE file_uploads ADD COLUMN IF NOT EXISTS storage_driver VARCHAR(20);
+
+-- Deduplicated contents, one per SHA-256. files and file_versions rows point
+-- at a blob through content_hash (and copy its location); ref_count counts
+-- them. Rows from before deduplication have no content_hash.
+CREATE TABLE IF NOT EXISTS file_blobs (
+    hash CHAR(64) PRIMARY KEY,
+    storage_driver VARCHAR(20) NOT NULL,
+    file_path VARCHAR(500) NOT NULL,
+    file_size BIGINT NOT NULL,
+    ref_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE files ADD COLUMN IF NOT EXISTS content_hash CHAR(64);
+ALTER TABLE file_versions ADD COLUMN IF NOT EXISTS content_hash CHAR(64);
+
+-- TLS certificates issued through ACME. ssl_error keeps the reason of the
+-- last failed attempt; a failed renewal leaves the current certificate (and
+-- ssl_status 'active') in place. ssl_attempted_at spaces out renewal retries.
+ALTER TABLE domains ADD COLUMN IF NOT EXISTS ssl_challenge VARCHAR(20);
+ALTER TABLE domains ADD COLUMN IF NOT EXISTS ssl_certificate TEXT;
+ALTER TABLE domains ADD COLUMN IF NOT EXISTS ssl_private_key TEXT;
+ALTER TABLE domains ADD COLUMN IF NOT EXISTS ssl_serial VARCHAR(128);
+ALTER TABLE domains ADD COLUMN IF NOT EXISTS ssl_issuer TEXT;
+ALTER TABLE domains ADD COLUMN IF NOT EXISTS ssl_issued_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE domains ADD COLUMN IF NOT EXISTS ssl_expires_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE domains ADD COLUMN IF NOT EXISTS ssl_error TEXT;
+ALTER TABLE domains ADD COLUMN IF NOT EXISTS ssl_attempted_at TIMESTAMP WITH TIME ZONE;
+
+-- ACME account per CA directory, and the challenges of orders in progress.
+-- http-01 challenges are answered from this table under
+-- /.well-known/acme-challenge/; dns-01 ones list the TXT record to create.
+CREATE TABLE IF NOT EXISTS acme_accounts (
+    directory_url VARCHAR(500) PRIMARY KEY,
+    account_url VARCHAR(500) NOT NULL,
+    private_key TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS acme_challenges (
+    token VARCHAR(255) PRIMARY KEY,
+    domain_id UUID NOT NULL REFERENCES domains(id) ON DELETE CASCADE,
+    challenge_type VARCHAR(20) NOT NULL,
+    key_authorization TEXT NOT NULL,
+    record_name VARCHAR(255),
+    record_value VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Background jobs (services/scheduler.js). scheduled_jobs holds each job's
+-- next run and the lease of the instance running it, job_runs the history
+-- and domain_job_events what each run did to a domain. expires_at is the end
+-- of a domain's term; expiry_warned_days the last warning threshold mailed.
+CREATE TABLE IF NOT EXISTS scheduled_jobs (
+    name VARCHAR(100) PRIMARY KEY,
+    next_run_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    locked_until TIMESTAMP WITH TIME ZONE,
+    last_run_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE TABLE IF NOT EXISTS job_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    job_name VARCHAR(100) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'running', -- running, succeeded, failed
+    summary JSONB,
+    error TEXT,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE TABLE IF NOT EXISTS domain_job_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    run_id UUID NOT NULL REFERENCES job_runs(id) ON DELETE CASCADE,
+    domain_id UUID NOT NULL REFERENCES domains(id) ON DELETE CASCADE,
+    job_name VARCHAR(100) NOT NULL,
+    outcome VARCHAR(30) NOT NULL,
+    message TEXT,
+    details JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE domains ADD COLUMN IF NOT EXISTS last_checked_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE domains ADD COLUMN IF NOT EXISTS expiry_warned_days INTEGER;
+
+-- DNS zone records of domains (services/dnsRecords.js), replacing the
+-- domains.dns_records column. name is relative to the domain ('@' for the
+-- apex); content is the RDATA in zone file form and data its parsed fields.
+--
+-- The old column only ever held the generated verification instructions,
+-- which are now computed on request, so nothing is migrated. It is no longer
+-- read or written but is kept, as this file runs on every start; drop it by
+-- hand once no older deployment needs it:
+--   ALTER TABLE domains DROP COLUMN dns_records;
+CREATE TABLE IF NOT EXISTS dns_records (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    domain_id UUID NOT NULL REFERENCES domains(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    type VARCHAR(10) NOT NULL, -- A, AAAA, CNAME, MX, TXT, SRV, CAA
+    ttl INTEGER NOT NULL DEFAULT 3600,
+    content TEXT NOT NULL,
+    data JSONB NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- SOA serial of the zone served by the built-in DNS server (YYYYMMDDnn)
+ALTER TABLE domains ADD COLUMN IF NOT EXISTS zone_serial BIGINT NOT NULL
+    DEFAULT TO_CHAR(CURRENT_DATE, 'YYYYMMDD')::bigint * 100;
+
+-- Share links hand out one file without a login. The URL carries the link id
+-- signed with a server secret; revoking the row disables it. bytes_served
+-- enforces max_downloads across range requests.
+CREATE TABLE IF NOT EXISTS share_links (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    file_id UUID NOT NULL REFERENCES files(id) ON DELETE CASCADE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    password_hash VARCHAR(255),
+    expires_at TIMESTAMP WITH TIME ZONE,
+    max_downloads INTEGER,
+    download_count INTEGER DEFAULT 0,
+    bytes_served BIGINT DEFAULT 0,
+    last_download_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Indexes for performance
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
 CREATE INDEX IF NOT EXISTS idx_domains_user_id ON domains(user_id);
@@ -118,6 +453,44 @@ CREATE INDEX IF NOT EXISTS idx_analytics_created_at ON analytics(created_at);
 CREATE INDEX IF NOT EXISTS idx_sessions_token ON sessions(session_token);
 CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
 CREATE INDEX IF NOT EXISTS idx_api_keys_hash ON api_keys(key_hash);
+CREATE INDEX IF NOT EXISTS idx_recovery_codes_user_id ON recovery_codes(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_tokens_hash ON user_tokens(token_hash);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_email ON login_attempts(email, created_at);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts(ip_address, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_account ON audit_log(account_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_organization ON audit_log(organization_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_user_identities_user_id ON user_identities(user_id);
+CREATE INDEX IF NOT EXISTS idx_organization_members_user_id ON organization_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_organization_invitations_hash ON organization_invitations(token_hash);
+CREATE INDEX IF NOT EXISTS idx_domains_organization_id ON domains(organization_id);
+CREATE INDEX IF NOT EXISTS idx_files_organization_id ON files(organization_id);
+CREATE INDEX IF NOT EXISTS idx_websites_organization_id ON websites(organization_id);
+CREATE INDEX IF NOT EXISTS idx_analytics_organization_id ON analytics(organization_id);
+CREATE INDEX IF NOT EXISTS idx_folders_parent_id ON folders(parent_id);
+CREATE INDEX IF NOT EXISTS idx_files_folder_id ON files(folder_id);
+CREATE INDEX IF NOT EXISTS idx_files_stored_name ON files(stored_name);
+CREATE INDEX IF NOT EXISTS idx_file_uploads_user_id ON file_uploads(user_id);
+CREATE INDEX IF NOT EXISTS idx_file_uploads_expires_at ON file_uploads(expires_at);
+CREATE INDEX IF NOT EXISTS idx_files_content_hash ON files(content_hash);
+CREATE INDEX IF NOT EXISTS idx_file_versions_content_hash ON file_versions(content_hash);
+CREATE INDEX IF NOT EXISTS idx_share_links_file_id ON share_links(file_id);
+CREATE INDEX IF NOT EXISTS idx_files_deleted_at ON files(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_domains_deleted_at ON domains(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_domains_ssl_expires_at ON domains(ssl_expires_at) WHERE ssl_certificate IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_acme_challenges_domain_id ON acme_challenges(domain_id);
+CREATE INDEX IF NOT EXISTS idx_job_runs_job_name ON job_runs(job_name, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_job_runs_started_at ON job_runs(started_at);
+CREATE INDEX IF NOT EXISTS idx_domain_job_events_domain_id ON domain_job_events(domain_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_domain_job_events_run_id ON domain_job_events(run_id);
+CREATE INDEX IF NOT EXISTS idx_domains_expires_at ON domains(expires_at) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_dns_records_domain_id ON dns_records(domain_id, name);
+-- Sibling folder names are unique per workspace, ignoring case
+CREATE UNIQUE INDEX IF NOT EXISTS idx_folders_sibling_name ON folders(
+    COALESCE(organization_id, user_id),
+    COALESCE(parent_id, '00000000-0000-0000-0000-000000000000'::uuid),
+    LOWER(name)
+);
 
 -- Function to update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -129,14 +502,50 @@ END;
 $$ language 'plpgsql';
 
 -- Triggers for updated_at
+DROP TRIGGER IF EXISTS update_users_updated_at ON users;
 CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_domains_updated_at ON domains;
 CREATE TRIGGER update_domains_updated_at BEFORE UPDATE ON domains
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_files_updated_at ON files;
 CREATE TRIGGER update_files_updated_at BEFORE UPDATE ON files
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_websites_updated_at ON websites;
 CREATE TRIGGER update_websites_updated_at BEFORE UPDATE ON websites
-    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
\ No newline at end of file
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_file_uploads_updated_at ON file_uploads;
+CREATE TRIGGER update_file_uploads_updated_at BEFORE UPDATE ON file_uploads
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_folders_updated_at ON folders;
+CREATE TRIGGER update_folders_updated_at BEFORE UPDATE ON folders
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_organizations_updated_at ON organizations;
+CREATE TRIGGER update_organizations_updated_at BEFORE UPDATE ON organizations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_dns_records_updated_at ON dns_records;
+CREATE TRIGGER update_dns_records_updated_at BEFORE UPDATE ON dns_records
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- The audit log can only be appended to
+CREATE OR REPLACE FUNCTION prevent_audit_log_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS audit_log_no_modify ON audit_log;
+CREATE TRIGGER audit_log_no_modify BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION prevent_audit_log_changes();
+
+DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log;
+CREATE TRIGGER audit_log_no_truncate BEFORE TRUNCATE ON audit_log
+    FOR EACH STATEMENT EXECUTE FUNCTION prevent_audit_log_changes();
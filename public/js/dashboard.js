@@ -2,9 +2,20 @@
 class HostingDashboard {
     constructor() {
         this.token = localStorage.getItem('token');
+        this.organizationId = localStorage.getItem('organizationId') || '';
+        this.organizations = [];
         this.user = null;
         this.charts = {};
         this.currentSection = 'dashboard';
+        this.currentFolderId = null;
+        this.folderListing = { folders: [], files: [] };
+
+        // Keep an emailed invitation across the login redirect
+        const inviteToken = new URLSearchParams(window.location.search).get('inviteToken');
+        if (inviteToken) {
+            localStorage.setItem('pendingInvite', inviteToken);
+            window.history.replaceState({}, '', window.location.pathname);
+        }
         
         if (!this.token) {
             this.redirectToLogin();
@@ -17,6 +28,8 @@ class HostingDashboard {
     async init() {
         try {
             await this.loadUser();
+            await this.acceptPendingInvite();
+            await this.loadOrganizations();
             await this.loadDashboardData();
             this.setupEventListeners();
             this.updateUI();
@@ -191,6 +204,14 @@ class HostingDashboard {
             document.getElementById('userAvatar').textContent = 
                 this.user.firstName?.[0] || this.user.email?.[0]?.toUpperCase() || 'U';
             
+            document.getElementById('verifyEmailBanner').style.display =
+                this.user.emailVerified === false ? 'block' : 'none';
+            document.getElementById('adminNavItem').style.display =
+                this.user.role === 'admin' ? 'block' : 'none';
+            document.getElementById('impersonationBanner').style.display =
+                this.user.impersonatedBy ? 'block' : 'none';
+            document.getElementById('impersonatedEmail').textContent = this.user.email;
+            
             // Update settings form
             document.getElementById('firstName').value = this.user.firstName || '';
             document.getElementById('lastName').value = this.user.lastName || '';
@@ -220,12 +241,21 @@ class HostingDashboard {
                 tbody.innerHTML = response.domains.map(domain => `
                     <tr>
                         <td>${domain.domain_name}</td>
-                        <td><span class="badge badge-${this.getStatusClass(domain.status)}">${domain.status}</span></td>
-                        <td><span class="badge badge-${this.getStatusClass(domain.ssl_status)}">${domain.ssl_status}</span></td>
+                        <td>
+                            <span class="badge badge-${this.getStatusClass(domain.status)}">${domain.status}</span>
+                            ${domain.expires_at ? `<br><small>${domain.auto_renew ? 'Renews' : 'Expires'} ${new Date(domain.expires_at).toLocaleDateString()}</small>` : ''}
+                        </td>
+                        <td>
+                            <span class="badge badge-${this.getStatusClass(domain.ssl_status)}" title="${this.escapeHtml(domain.ssl_error || '')}">${domain.ssl_status}</span>
+                            ${domain.ssl_expires_at ? `<br><small>Expires ${new Date(domain.ssl_expires_at).toLocaleDateString()}</small>` : ''}
+                        </td>
                         <td>${this.formatDate(domain.created_at)}</td>
                         <td>
                             <button class="btn btn-sm btn-secondary" onclick="dashboard.showDNSConfig('${domain.id}')">DNS</button>
                             <button class="btn btn-sm btn-primary" onclick="dashboard.verifyDomain('${domain.id}')">Verify</button>
+                            <button class="btn btn-sm btn-secondary" onclick="dashboard.showCertificate('${domain.id}')">Certificate</button>
+                            <button class="btn btn-sm btn-secondary" onclick="dashboard.showDomainJobs('${domain.id}')">History</button>
+                            <button class="btn btn-sm btn-danger" onclick="dashboard.deleteDomain('${domain.id}')">Delete</button>
                         </td>
                     </tr>
                 `).join('');
@@ -239,122 +269,220 @@ class HostingDashboard {
         }
     }
 
+    async deleteDomain(domainId) {
+        if (!confirm('Move this domain to the trash?')) return;
+
+        try {
+            await this.apiCall(`/api/domains/${domainId}`, 'DELETE');
+            this.showNotification('Domain moved to trash', 'success');
+            await this.loadDomains();
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to delete domain', 'danger');
+        }
+    }
+
+    async loadTrash() {
+        const filesBody = document.getElementById('trashFilesTable');
+        const domainsBody = document.getElementById('trashDomainsTable');
+
+        try {
+            const [files, domains] = await Promise.all([
+                this.apiCall('/api/files/trash', 'GET'),
+                this.apiCall('/api/domains/trash', 'GET')
+            ]);
+
+            document.getElementById('trashRetention').textContent =
+                `Items are deleted permanently ${files.retentionDays} days after they were moved to the trash.`;
+
+            filesBody.innerHTML = files.files.length > 0
+                ? files.files.map(file => `
+                    <tr>
+                        <td>${this.escapeHtml(file.original_name)}</td>
+                        <td>${this.formatBytes(parseInt(file.file_size) + parseInt(file.versions_size))}</td>
+                        <td>${this.formatDate(file.deleted_at)}</td>
+                        <td>${this.formatDate(file.purge_at)}</td>
+                        <td>
+                            <button class="btn btn-sm btn-primary" onclick="dashboard.restoreTrashItem('files', '${file.id}')">Restore</button>
+                            <button class="btn btn-sm btn-danger" onclick="dashboard.deleteTrashItem('files', '${file.id}')">Delete Forever</button>
+                        </td>
+                    </tr>
+                `).join('')
+                : '<tr><td colspan="5" style="text-align: center;">No files in the trash</td></tr>';
+
+            domainsBody.innerHTML = domains.domains.length > 0
+                ? domains.domains.map(domain => `
+                    <tr>
+                        <td>${this.escapeHtml(domain.domain_name)}</td>
+                        <td>${this.formatDate(domain.deleted_at)}</td>
+                        <td>${this.formatDate(domain.purge_at)}</td>
+                        <td>
+                            <button class="btn btn-sm btn-primary" onclick="dashboard.restoreTrashItem('domains', '${domain.id}')">Restore</button>
+                            <button class="btn btn-sm btn-danger" onclick="dashboard.deleteTrashItem('domains', '${domain.id}')">Delete Forever</button>
+                        </td>
+                    </tr>
+                `).join('')
+                : '<tr><td colspan="4" style="text-align: center;">No domains in the trash</td></tr>';
+        } catch (error) {
+            console.error('Failed to load trash:', error);
+            filesBody.innerHTML = '<tr><td colspan="5" style="text-align: center;">Failed to load trash</td></tr>';
+            domainsBody.innerHTML = '<tr><td colspan="4" style="text-align: center;">Failed to load trash</td></tr>';
+        }
+    }
+
+    // type is 'files' or 'domains'
+    async restoreTrashItem(type, id) {
+        try {
+            await this.apiCall(`/api/${type}/${id}/restore`, 'POST');
+            this.showNotification('Restored successfully!', 'success');
+            await this.loadTrash();
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to restore', 'danger');
+        }
+    }
+
+    async deleteTrashItem(type, id) {
+        if (!confirm('Delete this permanently? This cannot be undone.')) return;
+
+        try {
+            await this.apiCall(`/api/${type}/${id}/permanent`, 'DELETE');
+            this.showNotification('Deleted permanently', 'success');
+            await this.loadTrash();
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to delete', 'danger');
+        }
+    }
+
+    async emptyTrash() {
+        if (!confirm('Permanently delete every file in the trash? This cannot be undone.')) return;
+
+        try {
+            const response = await this.apiCall('/api/files/trash', 'DELETE');
+            this.showNotification(`Deleted ${response.filesDeleted} files permanently`, 'success');
+            await this.loadTrash();
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to empty trash', 'danger');
+        }
+    }
+
     async loadFiles() {
         try {
-            const response = await this.apiCall('/api/files', 'GET');
+            const query = this.currentFolderId ? `?parentId=${this.currentFolderId}` : '';
+            const response = await this.apiCall(`/api/folders${query}`, 'GET');
+            this.folderListing = response;
+            this.renderBreadcrumb(response.breadcrumb);
+
             const tbody = document.getElementById('filesTable');
-            
-            if (response.files && response.files.length > 0) {
-                tbody.innerHTML = response.files.map(file => `
+            const rows = [
+                ...response.folders.map(folder => `
+                    <tr>
+                        <td><input type="checkbox" class="archive-select" data-type="folder" value="${folder.id}"> <a href="#files" onclick="dashboard.openFolder('${folder.id}')">&#128193; ${this.escapeHtml(folder.name)}</a></td>
+                        <td>${this.formatBytes(folder.totalSize)}</td>
+                        <td>Folder (${folder.fileCount} files)</td>
+                        <td></td>
+                        <td></td>
+                        <td>
+                            <button class="btn btn-sm btn-secondary" onclick="dashboard.renameFolder('${folder.id}')">Rename</button>
+                            <button class="btn btn-sm btn-secondary" onclick="dashboard.showMoveModal('folder', '${folder.id}')">Move</button>
+                            <button class="btn btn-sm btn-danger" onclick="dashboard.deleteFolder('${folder.id}')">Delete</button>
+                        </td>
+                    </tr>
+                `),
+                ...response.files.map(file => `
                     <tr>
-                        <td>${file.original_name}</td>
+                        <td><input type="checkbox" class="archive-select" data-type="file" value="${file.id}"> ${this.escapeHtml(file.original_name)}</td>
                         <td>${this.formatBytes(file.file_size)}</td>
-                        <td>${file.mime_type}</td>
+                        <td>${this.escapeHtml(file.mime_type || '')}</td>
                         <td><span class="badge badge-${file.is_public ? 'success' : 'gray'}">${file.is_public ? 'Yes' : 'No'}</span></td>
                         <td>${file.download_count}</td>
                         <td>
                             <button class="btn btn-sm btn-secondary" onclick="dashboard.downloadFile('${file.id}')">Download</button>
+                            <button class="btn btn-sm btn-secondary" onclick="dashboard.showShareModal('${file.id}')">Share</button>
+                            <button class="btn btn-sm btn-secondary" onclick="dashboard.showVersionsModal('${file.id}')">Versions</button>
+                            ${/\.zip$/i.test(file.original_name) ? `<button class="btn btn-sm btn-secondary" onclick="dashboard.extractArchive('${file.id}')">Extract</button>` : ''}
+                            <button class="btn btn-sm btn-secondary" onclick="dashboard.renameFile('${file.id}')">Rename</button>
+                            <button class="btn btn-sm btn-secondary" onclick="dashboard.showMoveModal('file', '${file.id}')">Move</button>
                             <button class="btn btn-sm btn-danger" onclick="dashboard.deleteFile('${file.id}')">Delete</button>
                         </td>
                     </tr>
-                `).join('');
-            } else {
-                tbody.innerHTML = '<tr><td colspan="6" style="text-align: center;">No files found</td></tr>';
-            }
+                `)
+            ];
+
+            tbody.innerHTML = rows.length > 0
+                ? rows.join('')
+                : '<tr><td colspan="6" style="text-align: center;">This folder is empty</td></tr>';
         } catch (error) {
             console.error('Failed to load files:', error);
+            // The folder may have been deleted or belong to another workspace
+            if (this.currentFolderId) {
+                this.currentFolderId = null;
+                return this.loadFiles();
+            }
             document.getElementById('filesTable').innerHTML = 
                 '<tr><td colspan="6" style="text-align: center;">Failed to load files</td></tr>';
         }
     }
 
-    async apiCall(endpoint, method = 'GET', data = null) {
-        const options = {
-            method,
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${this.token}`
-            }
-        };
+    renderBreadcrumb(breadcrumb) {
+        const crumbs = [
+            `<a href="#files" onclick="dashboard.openFolder(null)">All files</a>`,
+            ...breadcrumb.map((folder, index) => index === breadcrumb.length - 1
+                ? `<strong>${this.escapeHtml(folder.name)}</strong>`
+                : `<a href="#files" onclick="dashboard.openFolder('${folder.id}')">${this.escapeHtml(folder.name)}</a>`)
+        ];
+        document.getElementById('filesBreadcrumb').innerHTML = crumbs.join(' / ');
+    }
 
-        if (data && method !== 'GET') {
-            options.body = JSON.stringify(data);
-        }
+    async openFolder(folderId) {
+        this.currentFolderId = folderId || null;
+        await this.loadFiles();
+    }
 
-        const response = await fetch(endpoint, options);
-        
-        if (response.status === 401) {
-            this.redirectToLogin();
-            return;
-        }
+    async createFolder() {
+        const name = prompt('Folder name');
+        if (!name) return;
 
-        const result = await response.json();
-        
-        if (!response.ok) {
-            throw new Error(result.error || 'API request failed');
+        try {
+            await this.apiCall('/api/folders', 'POST', { name, parentId: this.currentFolderId });
+            this.showNotification('Folder created successfully!', 'success');
+            await this.loadFiles();
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to create folder', 'danger');
         }
-
-        return result;
     }
 
-    async addDomain(event) {
-        event.preventDefault();
-        const formData = new FormData(event.target);
-        
+    async renameFolder(folderId) {
+        const folder = this.folderListing.folders.find(item => item.id === folderId);
+        const name = prompt('New folder name', folder ? folder.name : '');
+        if (!name) return;
+
         try {
-            const response = await this.apiCall('/api/domains', 'POST', {
-                domainName: formData.get('domainName'),
-                autoRenew: formData.get('autoRenew') === 'on'
-            });
-            
-            this.showNotification('Domain added successfully!', 'success');
-            this.closeModal('addDomainModal');
-            await this.loadDomains();
+            await this.apiCall(`/api/folders/${folderId}`, 'PUT', { name });
+            this.showNotification('Folder renamed successfully!', 'success');
+            await this.loadFiles();
         } catch (error) {
-            this.showNotification(error.message || 'Failed to add domain', 'danger');
+            this.showNotification(error.message || 'Failed to rename folder', 'danger');
         }
     }
 
-    async uploadFile(input) {
-        const files = input.files;
-        if (!files.length) return;
-
-        for (const file of files) {
-            const formData = new FormData();
-            formData.append('file', file);
-            formData.append('isPublic', 'false');
-
-            try {
-                const response = await fetch('/api/files/upload', {
-                    method: 'POST',
-                    headers: {
-                        'Authorization': `Bearer ${this.token}`
-                    },
-                    body: formData
-                });
-
-                const result = await response.json();
-                
-                if (response.ok) {
-                    this.showNotification(`File ${file.name} uploaded successfully!`, 'success');
-                } else {
-                    this.showNotification(result.error || 'Failed to upload file', 'danger');
-                }
-            } catch (error) {
-                this.showNotification('Failed to upload file', 'danger');
-            }
+    // Download the checked files and folders, or the open folder when nothing
+    // is checked, as one ZIP
+    async downloadArchive() {
+        const checked = [...document.querySelectorAll('.archive-select:checked')];
+        const fileIds = checked.filter(box => box.dataset.type === 'file').map(box => box.value);
+        const folderIds = checked.filter(box => box.dataset.type === 'folder').map(box => box.value);
+        if (checked.length === 0 && this.currentFolderId) {
+            folderIds.push(this.currentFolderId);
+        }
+        if (fileIds.length === 0 && folderIds.length === 0) {
+            this.showNotification('Select files or folders to download', 'warning');
+            return;
         }
 
-        await this.loadFiles();
-        input.value = ''; // Clear input
-    }
-
-    async downloadFile(fileId) {
         try {
-            const response = await fetch(`/api/files/download/${fileId}`, {
-                headers: {
-                    'Authorization': `Bearer ${this.token}`
-                }
+            const response = await this.authorizedFetch('/api/files/archive', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ fileIds, folderIds })
             });
 
             if (response.ok) {
@@ -362,158 +490,1532 @@ class HostingDashboard {
                 const url = window.URL.createObjectURL(blob);
                 const a = document.createElement('a');
                 a.href = url;
-                a.download = response.headers.get('Content-Disposition')?.split('filename=')[1] || 'file';
+                a.download = this.dispositionFilename(response.headers.get('Content-Disposition')) || 'files.zip';
                 a.click();
                 window.URL.revokeObjectURL(url);
             } else {
                 const result = await response.json();
-                this.showNotification(result.error || 'Failed to download file', 'danger');
+                this.showNotification(result.error || 'Failed to download archive', 'danger');
             }
         } catch (error) {
-            this.showNotification('Failed to download file', 'danger');
+            this.showNotification('Failed to download archive', 'danger');
         }
     }
 
-    async deleteFile(fileId) {
-        if (!confirm('Are you sure you want to delete this file?')) return;
+    async extractArchive(fileId) {
+        if (!confirm('Extract this archive into a new folder next to it?')) return;
 
         try {
-            await this.apiCall(`/api/files/${fileId}`, 'DELETE');
-            this.showNotification('File deleted successfully!', 'success');
+            const response = await this.apiCall(`/api/files/${fileId}/extract`, 'POST', {});
+            const skipped = response.skipped.length > 0 ? `, ${response.skipped.length} skipped` : '';
+            this.showNotification(
+                `Extracted ${response.filesCreated + response.filesUpdated} files${skipped}`,
+                response.skipped.length > 0 ? 'warning' : 'success'
+            );
             await this.loadFiles();
         } catch (error) {
-            this.showNotification(error.message || 'Failed to delete file', 'danger');
+            this.showNotification(error.message || 'Failed to extract archive', 'danger');
         }
     }
 
-    async verifyDomain(domainId) {
+    async deleteFolder(folderId) {
+        const folder = this.folderListing.folders.find(item => item.id === folderId);
+        const contents = folder ? ` and its ${folder.folderCount} subfolders and ${folder.fileCount} files` : '';
+        if (!confirm(`Delete this folder${contents}? Its files will be moved to the trash.`)) return;
+
         try {
-            const response = await this.apiCall(`/api/domains/${domainId}/verify`, 'POST');
-            this.showNotification('Domain verification initiated!', 'success');
-            await this.loadDomains();
+            await this.apiCall(`/api/folders/${folderId}`, 'DELETE');
+            this.showNotification('Folder deleted successfully!', 'success');
+            await this.loadFiles();
         } catch (error) {
-            this.showNotification(error.message || 'Failed to verify domain', 'danger');
+            this.showNotification(error.message || 'Failed to delete folder', 'danger');
         }
     }
 
-    async showDNSConfig(domainId) {
+    async renameFile(fileId) {
+        const file = this.folderListing.files.find(item => item.id === fileId);
+        const originalName = prompt('New file name', file ? file.original_name : '');
+        if (!originalName) return;
+
         try {
-            const response = await this.apiCall(`/api/domains/${domainId}/dns`, 'GET');
-            
-            let dnsInfo = `
-                <h3>DNS Configuration for ${response.domainName}</h3>
-                <div style="background: #f3f4f6; padding: 1rem; border-radius: 0.5rem; margin: 1rem 0;">
-                    <h4>Required DNS Records:</h4>
-            `;
-            
-            response.instructions.records.forEach(record => {
-                dnsInfo += `
-                    <div style="margin: 0.5rem 0;">
-                        <strong>Type:</strong> ${record.type}<br>
-                        <strong>Name:</strong> ${record.name}<br>
-                        <strong>Value:</strong> ${record.value}<br>
-                        <strong>TTL:</strong> ${record.ttl}
-                    </div>
-                    <hr>
-                `;
-            });
-            
-            dnsInfo += '</div>';
-            
-            this.showDNSModal(dnsInfo);
+            await this.apiCall(`/api/files/${fileId}`, 'PUT', { originalName });
+            this.showNotification('File renamed successfully!', 'success');
+            await this.loadFiles();
         } catch (error) {
-            this.showNotification(error.message || 'Failed to get DNS configuration', 'danger');
+            this.showNotification(error.message || 'Failed to rename file', 'danger');
         }
     }
 
-    async updateSettings() {
+    async showShareModal(fileId) {
+        const file = this.folderListing.files.find(item => item.id === fileId);
+        this.shareFileId = fileId;
+        document.getElementById('shareFileName').textContent = file ? file.original_name : '';
+        document.getElementById('createShareForm').reset();
+        document.getElementById('shareModal').classList.add('active');
+        await this.loadShareLinks();
+    }
+
+    async loadShareLinks() {
+        const tbody = document.getElementById('shareLinksTable');
+
         try {
-            const formData = new FormData(document.getElementById('settingsForm'));
-            await this.apiCall('/api/users/profile', 'PUT', {
-                firstName: formData.get('firstName'),
-                lastName: formData.get('lastName'),
-                email: formData.get('email')
-            });
-            
-            this.showNotification('Profile updated successfully!', 'success');
-            await this.loadUser();
+            const response = await this.apiCall(`/api/files/${this.shareFileId}/shares`, 'GET');
+
+            tbody.innerHTML = response.links.length > 0
+                ? response.links.map(link => `
+                    <tr>
+                        <td>
+                            <code style="font-size: 0.75rem; word-break: break-all;">${this.escapeHtml(link.url)}</code>
+                            ${link.hasPassword ? '<span class="badge badge-warning">Password</span>' : ''}
+                        </td>
+                        <td>${link.expiresAt ? new Date(link.expiresAt).toLocaleString() : 'Never'}</td>
+                        <td>${link.downloadCount}${link.maxDownloads ? ` / ${link.maxDownloads}` : ''}</td>
+                        <td>
+                            <button class="btn btn-sm btn-secondary" onclick="dashboard.copyShareLink('${link.id}')">Copy</button>
+                            <button class="btn btn-sm btn-danger" onclick="dashboard.revokeShareLink('${link.id}')">Revoke</button>
+                        </td>
+                    </tr>
+                `).join('')
+                : '<tr><td colspan="4" style="text-align: center;">No active links</td></tr>';
+            this.shareLinks = response.links;
         } catch (error) {
-            this.showNotification(error.message || 'Failed to update profile', 'danger');
+            console.error('Failed to load share links:', error);
+            tbody.innerHTML = '<tr><td colspan="4" style="text-align: center;">Failed to load share links</td></tr>';
         }
     }
 
-    async changePassword() {
+    async createShareLink(event) {
+        event.preventDefault();
+        const expiresAt = document.getElementById('shareExpiresAt').value;
+        const password = document.getElementById('sharePassword').value;
+        const maxDownloads = document.getElementById('shareMaxDownloads').value;
+
         try {
-            const formData = new FormData(document.getElementById('passwordForm'));
-            const newPassword = formData.get('newPassword');
-            const confirmPassword = formData.get('confirmPassword');
-            
-            if (newPassword !== confirmPassword) {
-                this.showNotification('Passwords do not match', 'danger');
-                return;
-            }
-            
-            await this.apiCall('/api/users/password', 'PUT', {
-                currentPassword: formData.get('currentPassword'),
-                newPassword: newPassword
+            const response = await this.apiCall(`/api/files/${this.shareFileId}/shares`, 'POST', {
+                expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+                password: password || null,
+                maxDownloads: maxDownloads ? parseInt(maxDownloads) : null
             });
-            
-            this.showNotification('Password changed successfully!', 'success');
-            document.getElementById('passwordForm').reset();
+            document.getElementById('createShareForm').reset();
+            await this.loadShareLinks();
+            await this.copyShareLink(response.link.id);
         } catch (error) {
-            this.showNotification(error.message || 'Failed to change password', 'danger');
+            this.showNotification(error.message || 'Failed to create share link', 'danger');
         }
     }
 
-    // Utility methods
-    formatBytes(bytes) {
-        if (bytes === 0) return '0 Bytes';
-        const k = 1024;
-        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-        const i = Math.floor(Math.log(bytes) / Math.log(k));
-        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+    async copyShareLink(linkId) {
+        const link = (this.shareLinks || []).find(item => item.id === linkId);
+        if (!link) return;
+
+        try {
+            await navigator.clipboard.writeText(link.url);
+            this.showNotification('Share link copied to clipboard', 'success');
+        } catch (error) {
+            prompt('Copy the share link', link.url);
+        }
     }
 
-    formatDate(dateString) {
-        const date = new Date(dateString);
-        return date.toLocaleDateString() + ' ' + date.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
+    async revokeShareLink(linkId) {
+        if (!confirm('Revoke this link? Anyone using it will lose access.')) return;
+
+        try {
+            await this.apiCall(`/api/files/${this.shareFileId}/shares/${linkId}`, 'DELETE');
+            this.showNotification('Share link revoked', 'success');
+            await this.loadShareLinks();
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to revoke share link', 'danger');
+        }
     }
 
-    formatActivityType(type) {
-        const types = {
-            'file_upload': '📁 File Upload',
-            'domain_added': '🌐 Domain Added',
-            'file_download': '⬇️ File Download',
-            'page_view': '👁️ Page View'
-        };
-        return types[type] || type;
+    async showVersionsModal(fileId) {
+        const file = this.folderListing.files.find(item => item.id === fileId);
+        this.versionsFileId = fileId;
+        document.getElementById('versionsFileName').textContent = file ? file.original_name : '';
+        document.getElementById('uploadVersionForm').reset();
+        document.getElementById('versionsModal').classList.add('active');
+        await this.loadVersions();
     }
 
-    getStatusClass(status) {
-        const classes = {
-            'active': 'success',
-            'pending': 'warning',
-            'error': 'danger',
-            'expired': 'danger'
-        };
-        return classes[status] || 'gray';
+    async loadVersions() {
+        const tbody = document.getElementById('versionsTable');
+
+        try {
+            const response = await this.apiCall(`/api/files/${this.versionsFileId}/versions`, 'GET');
+
+            tbody.innerHTML = response.versions.map(version => `
+                <tr>
+                    <td>v${version.versionNumber} ${version.current ? '<span class="badge badge-success">Current</span>' : ''}</td>
+                    <td>${this.formatBytes(version.fileSize)}</td>
+                    <td>${new Date(version.createdAt).toLocaleString()}</td>
+                    <td>
+                        <button class="btn btn-sm btn-secondary" onclick="dashboard.downloadFile('${this.versionsFileId}', ${version.versionNumber})">Download</button>
+                        ${version.current ? '' : `<button class="btn btn-sm btn-primary" onclick="dashboard.restoreVersion(${version.versionNumber})">Restore</button>`}
+                    </td>
+                </tr>
+            `).join('');
+            document.getElementById('versionsLimit').textContent =
+                `Your plan keeps the last ${response.versionLimit} previous versions of each file.`;
+        } catch (error) {
+            console.error('Failed to load versions:', error);
+            tbody.innerHTML = '<tr><td colspan="4" style="text-align: center;">Failed to load versions</td></tr>';
+        }
     }
 
-    showNotification(message, type = 'success') {
-        const notification = document.getElementById('notification');
-        const messageElement = document.getElementById('notificationMessage');
-        
-        notification.className = `alert alert-${type}`;
-        messageElement.textContent = message;
-        notification.style.display = 'block';
-        
-        setTimeout(() => {
-            notification.style.display = 'none';
-        }, 5000);
+    async uploadVersion(event) {
+        event.preventDefault();
+        const input = document.getElementById('versionFileInput');
+        if (input.files.length === 0) return;
+
+        const formData = new FormData();
+        formData.append('file', input.files[0]);
+
+        try {
+            const response = await this.authorizedFetch(`/api/files/${this.versionsFileId}/versions`, {
+                method: 'POST',
+                body: formData
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to upload new version');
+            }
+
+            this.showNotification('New version uploaded successfully!', 'success');
+            document.getElementById('uploadVersionForm').reset();
+            await this.loadVersions();
+            await this.loadFiles();
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to upload new version', 'danger');
+        }
     }
 
-    showDNSModal(content) {
-        // Create or update DNS modal
+    async restoreVersion(versionNumber) {
+        if (!confirm(`Restore version ${versionNumber}? The current version will be kept in the history.`)) return;
+
+        try {
+            await this.apiCall(`/api/files/${this.versionsFileId}/versions/${versionNumber}/restore`, 'POST');
+            this.showNotification('Version restored successfully!', 'success');
+            await this.loadVersions();
+            await this.loadFiles();
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to restore version', 'danger');
+        }
+    }
+
+    async showMoveModal(type, id) {
+        try {
+            const response = await this.apiCall('/api/folders/tree', 'GET');
+            const self = type === 'folder' ? response.folders.find(folder => folder.id === id) : null;
+
+            // A folder cannot go inside itself or its own subfolders
+            const targets = response.folders.filter(folder =>
+                !self || (folder.path !== self.path && !folder.path.startsWith(`${self.path}/`)));
+
+            document.getElementById('moveTarget').innerHTML = [
+                '<option value="">/ (root)</option>',
+                ...targets.map(folder => `<option value="${folder.id}">${this.escapeHtml(folder.path)}</option>`)
+            ].join('');
+
+            this.moveItem = { type, id };
+            document.getElementById('moveItemModal').classList.add('active');
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to load folders', 'danger');
+        }
+    }
+
+    async moveSelectedItem(event) {
+        event.preventDefault();
+        const target = document.getElementById('moveTarget').value || null;
+        const { type, id } = this.moveItem;
+
+        try {
+            if (type === 'folder') {
+                await this.apiCall(`/api/folders/${id}`, 'PUT', { parentId: target });
+            } else {
+                await this.apiCall(`/api/files/${id}`, 'PUT', { folderId: target });
+            }
+            this.showNotification(`${type === 'folder' ? 'Folder' : 'File'} moved successfully!`, 'success');
+            this.closeModal('moveItemModal');
+            await this.loadFiles();
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to move item', 'danger');
+        }
+    }
+
+    async apiCall(endpoint, method = 'GET', data = null) {
+        const options = {
+            method,
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        };
+
+        if (data && method !== 'GET') {
+            options.body = JSON.stringify(data);
+        }
+
+        const response = await this.authorizedFetch(endpoint, options);
+        
+        if (response.status === 401) {
+            this.redirectToLogin();
+            return;
+        }
+
+        const result = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(result.error || 'API request failed');
+        }
+
+        return result;
+    }
+
+    async loadTwoFactor() {
+        const container = document.getElementById('twoFactorContent');
+
+        try {
+            const status = await this.apiCall('/api/auth/2fa', 'GET');
+
+            if (status.enabled) {
+                container.innerHTML = `
+                    <p style="margin-bottom: 1rem;">
+                        <span class="badge badge-success">Enabled</span>
+                        ${status.recoveryCodesRemaining} recovery codes remaining
+                    </p>
+                    <div class="form-group">
+                        <label class="form-label">Authentication Code</label>
+                        <input type="text" class="form-input" id="twoFactorCode" placeholder="6-digit code" autocomplete="one-time-code">
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">Password (required to disable)</label>
+                        <input type="password" class="form-input" id="twoFactorPassword">
+                    </div>
+                    <button class="btn btn-secondary" onclick="dashboard.regenerateRecoveryCodes()">New Recovery Codes</button>
+                    <button class="btn btn-danger" onclick="dashboard.disableTwoFactor()">Disable 2FA</button>
+                `;
+            } else {
+                container.innerHTML = `
+                    <p style="margin-bottom: 1rem; color: var(--text-secondary);">
+                        Protect your account with an authenticator app such as Google Authenticator or 1Password.
+                    </p>
+                    <button class="btn btn-primary" onclick="dashboard.startTwoFactorSetup()">Enable 2FA</button>
+                `;
+            }
+        } catch (error) {
+            console.error('Failed to load two-factor status:', error);
+            container.innerHTML = '<p>Failed to load two-factor status</p>';
+        }
+    }
+
+    async startTwoFactorSetup() {
+        try {
+            const setup = await this.apiCall('/api/auth/2fa/setup', 'POST');
+            document.getElementById('twoFactorContent').innerHTML = `
+                <p style="margin-bottom: 1rem;">Scan this code with your authenticator app, then enter the 6-digit code it shows.</p>
+                <img src="${setup.qrCode}" alt="Two-factor QR code" style="display: block; margin-bottom: 1rem;">
+                <p style="margin-bottom: 1rem; font-size: 0.875rem;">Manual entry key: <code>${this.escapeHtml(setup.secret)}</code></p>
+                <div class="form-group">
+                    <label class="form-label">Authentication Code</label>
+                    <input type="text" class="form-input" id="twoFactorCode" placeholder="6-digit code" autocomplete="one-time-code">
+                </div>
+                <button class="btn btn-primary" onclick="dashboard.enableTwoFactor()">Verify and Enable</button>
+            `;
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to start two-factor setup', 'danger');
+        }
+    }
+
+    async enableTwoFactor() {
+        try {
+            const response = await this.apiCall('/api/auth/2fa/enable', 'POST', {
+                code: document.getElementById('twoFactorCode').value
+            });
+            this.showNotification('Two-factor authentication enabled!', 'success');
+            this.showRecoveryCodes(response.recoveryCodes);
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to enable two-factor authentication', 'danger');
+        }
+    }
+
+    async disableTwoFactor() {
+        if (!confirm('Disable two-factor authentication?')) return;
+
+        try {
+            const value = document.getElementById('twoFactorCode').value.trim();
+            await this.apiCall('/api/auth/2fa/disable', 'POST', {
+                password: document.getElementById('twoFactorPassword').value,
+                ...(/^\d{6}$/.test(value) ? { code: value } : { recoveryCode: value })
+            });
+            this.showNotification('Two-factor authentication disabled', 'success');
+            await this.loadTwoFactor();
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to disable two-factor authentication', 'danger');
+        }
+    }
+
+    async regenerateRecoveryCodes() {
+        try {
+            const response = await this.apiCall('/api/auth/2fa/recovery-codes', 'POST', {
+                code: document.getElementById('twoFactorCode').value
+            });
+            this.showRecoveryCodes(response.recoveryCodes);
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to generate recovery codes', 'danger');
+        }
+    }
+
+    showRecoveryCodes(codes) {
+        document.getElementById('twoFactorContent').innerHTML = `
+            <p style="margin-bottom: 1rem;">Save these recovery codes somewhere safe. Each one can be used once if you lose your device.</p>
+            <pre style="background: #f3f4f6; padding: 1rem; border-radius: 0.5rem; margin-bottom: 1rem;">${codes.join('\n')}</pre>
+            <button class="btn btn-primary" onclick="dashboard.loadTwoFactor()">Done</button>
+        `;
+    }
+
+    async loadSessions() {
+        try {
+            const response = await this.apiCall('/api/auth/sessions', 'GET');
+            const tbody = document.getElementById('sessionsTable');
+
+            if (response.sessions && response.sessions.length > 0) {
+                tbody.innerHTML = response.sessions.map(session => `
+                    <tr>
+                        <td>
+                            ${this.escapeHtml(this.describeUserAgent(session.userAgent))}
+                            ${session.current ? '<span class="badge badge-success">This device</span>' : ''}
+                            <div style="color: var(--text-secondary); font-size: 0.75rem;">${this.escapeHtml(session.userAgent || '')}</div>
+                        </td>
+                        <td>${this.escapeHtml(session.ipAddress || 'Unknown')}</td>
+                        <td>${this.formatDate(session.createdAt)}</td>
+                        <td>${this.formatDate(session.lastAccessed)}</td>
+                        <td>
+                            <button class="btn btn-sm btn-danger" onclick="dashboard.revokeSession('${session.id}', ${session.current})">${session.current ? 'Log out' : 'Revoke'}</button>
+                        </td>
+                    </tr>
+                `).join('');
+            } else {
+                tbody.innerHTML = '<tr><td colspan="5" style="text-align: center;">No active sessions</td></tr>';
+            }
+        } catch (error) {
+            console.error('Failed to load sessions:', error);
+            document.getElementById('sessionsTable').innerHTML =
+                '<tr><td colspan="5" style="text-align: center;">Failed to load sessions</td></tr>';
+        }
+    }
+
+    async loadActivity() {
+        try {
+            const response = await this.apiCall('/api/audit?limit=25', 'GET');
+            const tbody = document.getElementById('activityTable');
+
+            if (response.entries && response.entries.length > 0) {
+                tbody.innerHTML = response.entries.map(entry => `
+                    <tr>
+                        <td>
+                            ${this.escapeHtml(entry.action)}
+                            ${entry.impersonator_id ? '<span class="badge badge-warning">Support</span>' : ''}
+                            ${entry.api_key_id ? '<span class="badge badge-gray">API key</span>' : ''}
+                        </td>
+                        <td>${this.escapeHtml(entry.actor_email || '')}</td>
+                        <td>${this.escapeHtml(entry.ip_address || 'Unknown')}</td>
+                        <td>${this.formatDate(entry.created_at)}</td>
+                    </tr>
+                `).join('');
+            } else {
+                tbody.innerHTML = '<tr><td colspan="4" style="text-align: center;">No activity yet</td></tr>';
+            }
+        } catch (error) {
+            console.error('Failed to load activity:', error);
+            document.getElementById('activityTable').innerHTML =
+                '<tr><td colspan="4" style="text-align: center;">Failed to load activity</td></tr>';
+        }
+    }
+
+    async exportActivity(format) {
+        try {
+            const response = await this.authorizedFetch(`/api/audit/export?format=${format}`);
+
+            if (response.ok) {
+                const blob = await response.blob();
+                const url = window.URL.createObjectURL(blob);
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = `audit-log.${format}`;
+                a.click();
+                window.URL.revokeObjectURL(url);
+            } else {
+                const result = await response.json();
+                this.showNotification(result.error || 'Failed to export activity', 'danger');
+            }
+        } catch (error) {
+            this.showNotification('Failed to export activity', 'danger');
+        }
+    }
+
+    async revokeSession(sessionId, current) {
+        if (!confirm(current ? 'Log out of this device?' : 'Sign this device out?')) return;
+
+        try {
+            await this.apiCall(`/api/auth/sessions/${sessionId}`, 'DELETE');
+            if (current) {
+                this.redirectToLogin();
+                return;
+            }
+            this.showNotification('Session revoked successfully!', 'success');
+            await this.loadSessions();
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to revoke session', 'danger');
+        }
+    }
+
+    async logoutEverywhere() {
+        if (!confirm('Log out of every device, including this one?')) return;
+
+        try {
+            await this.apiCall('/api/auth/logout-all', 'POST');
+        } catch (error) {
+            console.error('Logout everywhere error:', error);
+        }
+        this.redirectToLogin();
+    }
+
+    async acceptPendingInvite() {
+        const token = localStorage.getItem('pendingInvite');
+        if (!token) return;
+        localStorage.removeItem('pendingInvite');
+
+        try {
+            const response = await this.apiCall('/api/organizations/invitations/accept', 'POST', { token });
+            this.setWorkspace(response.organization.id);
+            this.showNotification(response.message, 'success');
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to accept invitation', 'danger');
+        }
+    }
+
+    async loadOrganizations() {
+        try {
+            const response = await this.apiCall('/api/organizations', 'GET');
+            this.organizations = response.organizations || [];
+        } catch (error) {
+            console.error('Failed to load organizations:', error);
+            this.organizations = [];
+        }
+
+        // Fall back to the personal workspace after leaving an organization
+        if (this.organizationId && !this.currentOrganization()) {
+            this.setWorkspace('');
+        }
+
+        document.getElementById('workspaceSelect').innerHTML = [
+            `<option value="">Personal</option>`,
+            ...this.organizations.map(org => `
+                <option value="${org.id}" ${org.id === this.organizationId ? 'selected' : ''}>${this.escapeHtml(org.name)}</option>
+            `)
+        ].join('');
+    }
+
+    currentOrganization() {
+        return this.organizations.find(org => org.id === this.organizationId) || null;
+    }
+
+    setWorkspace(organizationId) {
+        this.organizationId = organizationId || '';
+        if (this.organizationId) {
+            localStorage.setItem('organizationId', this.organizationId);
+        } else {
+            localStorage.removeItem('organizationId');
+        }
+    }
+
+    async switchWorkspace(organizationId) {
+        this.setWorkspace(organizationId);
+        this.currentFolderId = null;
+        document.getElementById('workspaceSelect').value = this.organizationId;
+        await this.loadDashboardData();
+        showSection(this.currentSection);
+    }
+
+    async loadTeam() {
+        const list = document.getElementById('organizationsTable');
+        list.innerHTML = this.organizations.length > 0
+            ? this.organizations.map(org => `
+                <tr>
+                    <td>${this.escapeHtml(org.name)}</td>
+                    <td><span class="badge badge-gray">${org.role}</span></td>
+                    <td>${org.membersCount}</td>
+                    <td>${org.planType}</td>
+                    <td>
+                        <button class="btn btn-sm btn-secondary" onclick="dashboard.switchWorkspace('${org.id}')">Open</button>
+                        <button class="btn btn-sm btn-danger" onclick="dashboard.leaveOrganization('${org.id}')">Leave</button>
+                    </td>
+                </tr>
+            `).join('')
+            : '<tr><td colspan="5" style="text-align: center;">You are not in any organization yet</td></tr>';
+
+        const org = this.currentOrganization();
+        document.getElementById('organizationMembersCard').style.display = org ? 'block' : 'none';
+        if (!org) return;
+
+        document.getElementById('organizationMembersTitle').textContent = `${org.name} members`;
+        const canManage = ['admin', 'owner'].includes(org.role);
+        document.getElementById('inviteMemberForm').style.display = canManage ? 'flex' : 'none';
+
+        try {
+            const response = await this.apiCall(`/api/organizations/${org.id}/members`, 'GET');
+            document.getElementById('membersTable').innerHTML = response.members.map(member => `
+                <tr>
+                    <td>${this.escapeHtml(member.email)}</td>
+                    <td>
+                        ${canManage && member.id !== this.user.id ? `
+                            <select class="form-select" onchange="dashboard.changeMemberRole('${member.id}', this.value)">
+                                ${['viewer', 'developer', 'admin', 'owner'].map(role => `
+                                    <option value="${role}" ${role === member.role ? 'selected' : ''}>${role}</option>
+                                `).join('')}
+                            </select>
+                        ` : member.role}
+                    </td>
+                    <td>${this.formatDate(member.joinedAt)}</td>
+                    <td>
+                        ${canManage && member.id !== this.user.id ? `<button class="btn btn-sm btn-danger" onclick="dashboard.removeMember('${member.id}')">Remove</button>` : ''}
+                    </td>
+                </tr>
+            `).join('');
+
+            const invitations = canManage
+                ? (await this.apiCall(`/api/organizations/${org.id}/invitations`, 'GET')).invitations
+                : [];
+            document.getElementById('invitationsTable').innerHTML = invitations.length > 0
+                ? invitations.map(invitation => `
+                    <tr>
+                        <td>${this.escapeHtml(invitation.email)}</td>
+                        <td>${invitation.role}</td>
+                        <td>${this.formatDate(invitation.expiresAt)}</td>
+                        <td><button class="btn btn-sm btn-danger" onclick="dashboard.revokeInvitation('${invitation.id}')">Withdraw</button></td>
+                    </tr>
+                `).join('')
+                : '<tr><td colspan="4" style="text-align: center;">No pending invitations</td></tr>';
+        } catch (error) {
+            console.error('Failed to load members:', error);
+            document.getElementById('membersTable').innerHTML =
+                '<tr><td colspan="4" style="text-align: center;">Failed to load members</td></tr>';
+        }
+    }
+
+    async createOrganization() {
+        const name = prompt('Organization name');
+        if (!name) return;
+
+        try {
+            const response = await this.apiCall('/api/organizations', 'POST', { name });
+            await this.loadOrganizations();
+            this.showNotification('Organization created successfully!', 'success');
+            await this.switchWorkspace(response.organization.id);
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to create organization', 'danger');
+        }
+    }
+
+    async leaveOrganization(organizationId) {
+        if (!confirm('Leave this organization? You will lose access to its domains and files.')) return;
+
+        try {
+            await this.apiCall(`/api/organizations/${organizationId}/members/${this.user.id}`, 'DELETE');
+            await this.loadOrganizations();
+            this.showNotification('You left the organization', 'success');
+            await this.switchWorkspace(this.organizationId);
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to leave organization', 'danger');
+        }
+    }
+
+    async inviteMember(event) {
+        event.preventDefault();
+        const email = document.getElementById('inviteEmail').value;
+        const role = document.getElementById('inviteRole').value;
+
+        try {
+            const response = await this.apiCall(`/api/organizations/${this.organizationId}/invitations`, 'POST', { email, role });
+            document.getElementById('inviteEmail').value = '';
+            this.showNotification(response.message, 'success');
+            await this.loadTeam();
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to send invitation', 'danger');
+        }
+    }
+
+    async changeMemberRole(userId, role) {
+        try {
+            await this.apiCall(`/api/organizations/${this.organizationId}/members/${userId}`, 'PUT', { role });
+            this.showNotification('Member role updated successfully!', 'success');
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to update member', 'danger');
+        }
+        await this.loadTeam();
+    }
+
+    async removeMember(userId) {
+        if (!confirm('Remove this member from the organization?')) return;
+
+        try {
+            await this.apiCall(`/api/organizations/${this.organizationId}/members/${userId}`, 'DELETE');
+            this.showNotification('Member removed successfully!', 'success');
+            await this.loadTeam();
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to remove member', 'danger');
+        }
+    }
+
+    async revokeInvitation(invitationId) {
+        try {
+            await this.apiCall(`/api/organizations/${this.organizationId}/invitations/${invitationId}`, 'DELETE');
+            this.showNotification('Invitation withdrawn', 'success');
+            await this.loadTeam();
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to withdraw invitation', 'danger');
+        }
+    }
+
+    async loadAdmin() {
+        try {
+            const stats = await this.apiCall('/api/admin/stats', 'GET');
+            document.getElementById('adminTotalUsers').textContent = stats.users.total;
+            document.getElementById('adminActiveDomains').textContent = stats.domains.active;
+            document.getElementById('adminStorageUsed').textContent = this.formatBytes(stats.files.storageUsed);
+            document.getElementById('adminFailedLogins').textContent = stats.failedLoginsLast24h;
+        } catch (error) {
+            console.error('Failed to load platform stats:', error);
+        }
+
+        await this.loadAdminUsers(document.getElementById('adminUserSearch').value);
+    }
+
+    async loadAdminUsers(search = '') {
+        const tbody = document.getElementById('adminUsersTable');
+
+        try {
+            const response = await this.apiCall(`/api/admin/users?search=${encodeURIComponent(search)}`, 'GET');
+
+            if (response.users && response.users.length > 0) {
+                tbody.innerHTML = response.users.map(user => `
+                    <tr>
+                        <td>
+                            ${this.escapeHtml(user.email)}
+                            ${user.role === 'admin' ? '<span class="badge badge-warning">admin</span>' : ''}
+                        </td>
+                        <td>
+                            <select class="form-select" onchange="dashboard.adminUpdateUser('${user.id}', { planType: this.value })">
+                                ${['free', 'pro', 'enterprise'].map(plan => `
+                                    <option value="${plan}" ${plan === user.planType ? 'selected' : ''}>${plan}</option>
+                                `).join('')}
+                            </select>
+                        </td>
+                        <td><span class="badge badge-${user.isActive ? 'success' : 'danger'}">${user.isActive ? 'active' : 'disabled'}</span></td>
+                        <td>${user.domainsCount}</td>
+                        <td>${this.formatBytes(user.storageUsed)}</td>
+                        <td>
+                            <button class="btn btn-sm btn-${user.isActive ? 'danger' : 'primary'}" onclick="dashboard.adminUpdateUser('${user.id}', { isActive: ${!user.isActive} })">${user.isActive ? 'Disable' : 'Enable'}</button>
+                            <button class="btn btn-sm btn-secondary" onclick="dashboard.impersonateUser('${user.id}')">Impersonate</button>
+                        </td>
+                    </tr>
+                `).join('');
+            } else {
+                tbody.innerHTML = '<tr><td colspan="6" style="text-align: center;">No users found</td></tr>';
+            }
+        } catch (error) {
+            console.error('Failed to load users:', error);
+            tbody.innerHTML = '<tr><td colspan="6" style="text-align: center;">Failed to load users</td></tr>';
+        }
+    }
+
+    async adminUpdateUser(userId, changes) {
+        try {
+            await this.apiCall(`/api/admin/users/${userId}`, 'PUT', changes);
+            this.showNotification('User updated successfully!', 'success');
+            await this.loadAdmin();
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to update user', 'danger');
+        }
+    }
+
+    async impersonateUser(userId) {
+        const reason = prompt('Why do you need to sign in as this user? This is recorded.');
+        if (!reason) return;
+
+        try {
+            const response = await this.apiCall(`/api/admin/users/${userId}/impersonate`, 'POST', { reason });
+
+            // Park the admin's own session so it can be resumed afterwards
+            localStorage.setItem('adminToken', this.token);
+            localStorage.setItem('adminRefreshToken', localStorage.getItem('refreshToken'));
+            localStorage.setItem('token', response.token);
+            localStorage.setItem('refreshToken', response.refreshToken);
+            window.location.href = '/';
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to impersonate user', 'danger');
+        }
+    }
+
+    async stopImpersonation() {
+        try {
+            await this.apiCall('/api/auth/logout', 'POST');
+        } catch (error) {
+            console.error('Stop impersonation error:', error);
+        }
+        this.resumeAdminSession();
+    }
+
+    // Switch back to the admin session parked by impersonateUser()
+    resumeAdminSession() {
+        const adminToken = localStorage.getItem('adminToken');
+        if (!adminToken) return false;
+
+        localStorage.setItem('token', adminToken);
+        localStorage.setItem('refreshToken', localStorage.getItem('adminRefreshToken'));
+        localStorage.removeItem('adminToken');
+        localStorage.removeItem('adminRefreshToken');
+        window.location.href = '/';
+        return true;
+    }
+
+    // fetch() with the access token attached, refreshing it once when it has expired
+    async authorizedFetch(endpoint, options = {}, retry = true) {
+        const response = await fetch(endpoint, {
+            ...options,
+            headers: {
+                ...(options.headers || {}),
+                'Authorization': `Bearer ${this.token}`,
+                ...(this.organizationId ? { 'X-Organization-Id': this.organizationId } : {})
+            }
+        });
+
+        if (response.status === 401 && retry) {
+            const result = await response.clone().json().catch(() => ({}));
+            if (result.code === 'TOKEN_EXPIRED' && await this.refreshSession()) {
+                return this.authorizedFetch(endpoint, options, false);
+            }
+        }
+
+        return response;
+    }
+
+    refreshSession() {
+        // Refresh tokens are single use, so concurrent requests share one refresh
+        if (!this.refreshing) {
+            this.refreshing = this.requestNewTokens().finally(() => {
+                this.refreshing = null;
+            });
+        }
+        return this.refreshing;
+    }
+
+    async requestNewTokens() {
+        // Another tab may already have rotated the tokens
+        const storedToken = localStorage.getItem('token');
+        if (storedToken && storedToken !== this.token) {
+            this.token = storedToken;
+            return true;
+        }
+
+        const refreshToken = localStorage.getItem('refreshToken');
+        if (!refreshToken) return false;
+
+        try {
+            const response = await fetch('/api/auth/refresh', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken })
+            });
+
+            if (!response.ok) return false;
+
+            const data = await response.json();
+            this.token = data.token;
+            localStorage.setItem('token', data.token);
+            localStorage.setItem('refreshToken', data.refreshToken);
+            return true;
+        } catch (error) {
+            console.error('Failed to refresh session:', error);
+            return false;
+        }
+    }
+
+    async logout() {
+        try {
+            await this.apiCall('/api/auth/logout', 'POST');
+        } catch (error) {
+            console.error('Logout error:', error);
+        }
+        this.redirectToLogin();
+    }
+
+    async addDomain(event) {
+        event.preventDefault();
+        const formData = new FormData(event.target);
+        
+        try {
+            const response = await this.apiCall('/api/domains', 'POST', {
+                domainName: formData.get('domainName'),
+                autoRenew: formData.get('autoRenew') === 'on'
+            });
+            
+            this.showNotification('Domain added successfully!', 'success');
+            this.closeModal('addDomainModal');
+            await this.loadDomains();
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to add domain', 'danger');
+        }
+    }
+
+    async uploadFile(input) {
+        const files = Array.from(input.files);
+        if (!files.length) return;
+        input.value = ''; // Clear input
+
+        for (const file of files) {
+            const progress = this.addUploadProgress(file);
+
+            try {
+                await this.resumableUpload(file, percent => this.updateUploadProgress(progress, percent));
+                this.updateUploadProgress(progress, 100, 'Uploaded', 'success');
+                this.showNotification(`File ${file.name} uploaded successfully!`, 'success');
+            } catch (error) {
+                this.updateUploadProgress(progress, null, error.message || 'Failed', 'danger');
+                this.showNotification(error.message || 'Failed to upload file', 'danger');
+            }
+        }
+
+        await this.loadFiles();
+    }
+
+    // Upload through the tus protocol. The upload URL is kept per file, so
+    // picking the same file again after a failure or reload resumes it.
+    async resumableUpload(file, onProgress) {
+        const retryDelays = [1000, 3000, 5000, 10000, 20000];
+        const key = `upload:${[this.organizationId, this.currentFolderId || '', file.name, file.size, file.lastModified].join(':')}`;
+        let url = localStorage.getItem(key);
+        let offset = url ? await this.getUploadOffset(url).catch(() => null) : null;
+
+        if (offset === null) {
+            url = await this.createUpload(file);
+            localStorage.setItem(key, url);
+            offset = 0;
+        }
+
+        let attempt = 0;
+        while (offset < file.size) {
+            onProgress(Math.floor((offset / file.size) * 100));
+
+            try {
+                offset = await this.sendUploadData(url, file, offset, onProgress);
+                attempt = 0;
+            } catch (error) {
+                if (error.fatal || attempt >= retryDelays.length) {
+                    if (error.fatal) localStorage.removeItem(key);
+                    throw error;
+                }
+
+                await new Promise(resolve => setTimeout(resolve, retryDelays[attempt++]));
+                const current = await this.getUploadOffset(url).catch(() => offset);
+                if (current === null) {
+                    localStorage.removeItem(key);
+                    throw new Error('Upload expired, please try again');
+                }
+                offset = current;
+            }
+        }
+
+        localStorage.removeItem(key);
+    }
+
+    async createUpload(file) {
+        const encode = value => btoa(String.fromCharCode(...new TextEncoder().encode(value)));
+        const metadata = {
+            filename: file.name,
+            filetype: file.type || 'application/octet-stream',
+            isPublic: 'false',
+            ...(this.currentFolderId ? { folderId: this.currentFolderId } : {})
+        };
+
+        const response = await this.authorizedFetch('/api/files/tus', {
+            method: 'POST',
+            headers: {
+                'Tus-Resumable': '1.0.0',
+                'Upload-Length': String(file.size),
+                'Upload-Metadata': Object.entries(metadata).map(([key, value]) => `${key} ${encode(value)}`).join(',')
+            }
+        });
+
+        if (response.status !== 201) {
+            const result = await response.json().catch(() => ({}));
+            throw new Error(result.error || 'Failed to start upload');
+        }
+
+        return response.headers.get('Location');
+    }
+
+    // Bytes the server already has, or null when the upload is gone
+    async getUploadOffset(url) {
+        const response = await this.authorizedFetch(url, {
+            method: 'HEAD',
+            headers: { 'Tus-Resumable': '1.0.0' }
+        });
+
+        if (response.status === 404 || response.status === 410) return null;
+        if (!response.ok) throw new Error('Failed to check upload');
+        return parseInt(response.headers.get('Upload-Offset'));
+    }
+
+    // Send the rest of the file in one PATCH. XMLHttpRequest rather than
+    // fetch, because only it reports upload progress.
+    sendUploadData(url, file, offset, onProgress) {
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            xhr.open('PATCH', url);
+            xhr.setRequestHeader('Authorization', `Bearer ${this.token}`);
+            if (this.organizationId) {
+                xhr.setRequestHeader('X-Organization-Id', this.organizationId);
+            }
+            xhr.setRequestHeader('Tus-Resumable', '1.0.0');
+            xhr.setRequestHeader('Upload-Offset', String(offset));
+            xhr.setRequestHeader('Content-Type', 'application/offset+octet-stream');
+
+            xhr.upload.onprogress = event => {
+                onProgress(Math.floor(((offset + event.loaded) / file.size) * 100));
+            };
+
+            xhr.onload = async () => {
+                if (xhr.status === 204) {
+                    return resolve(parseInt(xhr.getResponseHeader('Upload-Offset')));
+                }
+
+                let message = 'Upload failed';
+                try {
+                    message = JSON.parse(xhr.responseText).error || message;
+                } catch (parseError) {
+                    // Not a JSON error body, e.g. from a proxy
+                }
+                const error = new Error(message);
+                if (xhr.status === 401) {
+                    // Retried once the session is refreshed
+                    await this.refreshSession();
+                } else if (xhr.status !== 409 && xhr.status < 500) {
+                    error.fatal = true;
+                }
+                reject(error);
+            };
+            xhr.onerror = () => reject(new Error('Connection lost'));
+
+            xhr.send(file.slice(offset));
+        });
+    }
+
+    addUploadProgress(file) {
+        const item = document.createElement('div');
+        item.style.marginBottom = '0.75rem';
+        item.innerHTML = `
+            <div style="display: flex; justify-content: space-between; font-size: 0.875rem; margin-bottom: 0.25rem;">
+                <span>${this.escapeHtml(file.name)} (${this.formatBytes(file.size)})</span>
+                <span class="upload-status">0%</span>
+            </div>
+            <div class="progress"><div class="progress-bar" style="width: 0%"></div></div>
+        `;
+        document.getElementById('uploadProgress').appendChild(item);
+        return item;
+    }
+
+    updateUploadProgress(item, percent, status = null, state = null) {
+        const bar = item.querySelector('.progress-bar');
+        if (percent !== null) {
+            bar.style.width = `${percent}%`;
+        }
+        if (state) {
+            bar.classList.add(state);
+        }
+        item.querySelector('.upload-status').textContent = status || `${percent}%`;
+
+        // Finished uploads leave the list after a while
+        if (state === 'success') {
+            setTimeout(() => item.remove(), 5000);
+        }
+    }
+
+    async downloadFile(fileId, versionNumber = null) {
+        try {
+            const response = await this.authorizedFetch(versionNumber
+                ? `/api/files/${fileId}/versions/${versionNumber}/download`
+                : `/api/files/download/${fileId}`);
+
+            if (response.ok) {
+                const blob = await response.blob();
+                const url = window.URL.createObjectURL(blob);
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = this.dispositionFilename(response.headers.get('Content-Disposition')) || 'file';
+                a.click();
+                window.URL.revokeObjectURL(url);
+            } else {
+                const result = await response.json();
+                this.showNotification(result.error || 'Failed to download file', 'danger');
+            }
+        } catch (error) {
+            this.showNotification('Failed to download file', 'danger');
+        }
+    }
+
+    // Prefer the UTF-8 filename* parameter over the ASCII fallback
+    dispositionFilename(header) {
+        if (!header) return null;
+        const extended = /filename\*=UTF-8''([^;]+)/i.exec(header);
+        if (extended) return decodeURIComponent(extended[1]);
+        const plain = /filename="([^"]*)"/i.exec(header);
+        return plain ? plain[1] : null;
+    }
+
+    async deleteFile(fileId) {
+        if (!confirm('Move this file to the trash?')) return;
+
+        try {
+            await this.apiCall(`/api/files/${fileId}`, 'DELETE');
+            this.showNotification('File moved to trash', 'success');
+            await this.loadFiles();
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to delete file', 'danger');
+        }
+    }
+
+    async verifyDomain(domainId) {
+        try {
+            const response = await this.authorizedFetch(`/api/domains/${domainId}/verify`, { method: 'POST' });
+            if (response.status === 401) {
+                this.redirectToLogin();
+                return;
+            }
+
+            const result = await response.json();
+
+            if (!response.ok) {
+                // Say which records were found instead of the expected ones
+                throw new Error(result.message ? `${result.error}: ${result.message}` : result.error);
+            }
+
+            this.showNotification('Domain verified successfully!', 'success');
+            await this.loadDomains();
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to verify domain', 'danger');
+        }
+    }
+
+    async showDNSConfig(domainId) {
+        try {
+            const response = await this.apiCall(`/api/domains/${domainId}/dns`, 'GET');
+            const types = ['A', 'AAAA', 'CNAME', 'MX', 'TXT', 'SRV', 'CAA'];
+
+            let dnsInfo = `
+                <h3>DNS Configuration for ${this.escapeHtml(response.domainName)}</h3>
+                <div style="background: #f3f4f6; padding: 1rem; border-radius: 0.5rem; margin: 1rem 0;">
+                    <h4>Required DNS Records:</h4>
+            `;
+
+            response.instructions.records.forEach(record => {
+                dnsInfo += `
+                    <div style="margin: 0.5rem 0;">
+                        <strong>Type:</strong> ${record.type}<br>
+                        <strong>Name:</strong> ${this.escapeHtml(record.name)}<br>
+                        <strong>Value:</strong> ${this.escapeHtml(record.value)}<br>
+                        <strong>TTL:</strong> ${record.ttl}
+                    </div>
+                    <hr>
+                `;
+            });
+
+            dnsInfo += '</div>';
+
+            if (response.nameservers.length > 0) {
+                dnsInfo += `
+                    <div style="background: #f3f4f6; padding: 1rem; border-radius: 0.5rem; margin: 1rem 0;">
+                        <h4>Host this zone here</h4>
+                        <p>Once the domain is verified, set its name servers at your registrar to:</p>
+                        ${response.nameservers.map(nameserver => `<code>${this.escapeHtml(nameserver)}</code><br>`).join('')}
+                        <strong>Serial:</strong> ${response.zoneSerial}
+                    </div>
+                `;
+            }
+
+            dnsInfo += `
+                <div style="display: flex; justify-content: space-between; align-items: center;">
+                    <h4>Zone Records</h4>
+                    <button class="btn btn-sm btn-secondary" onclick="dashboard.exportZone('${domainId}')">Export Zone File</button>
+                </div>
+            `;
+
+            if (response.dnsRecords.length === 0) {
+                dnsInfo += '<p>This zone has no records yet.</p>';
+            } else {
+                dnsInfo += `
+                    <table class="table">
+                        <thead><tr><th>Name</th><th>Type</th><th>TTL</th><th>Content</th><th></th></tr></thead>
+                        <tbody>
+                            ${response.dnsRecords.map(record => `
+                                <tr>
+                                    <td>${this.escapeHtml(record.name)}</td>
+                                    <td>${record.type}</td>
+                                    <td>${record.ttl}</td>
+                                    <td style="word-break: break-all;">${this.escapeHtml(record.content)}</td>
+                                    <td><button class="btn btn-sm btn-danger" onclick="dashboard.deleteDNSRecord('${domainId}', '${record.id}')">Delete</button></td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `;
+            }
+
+            dnsInfo += `
+                <h4>Add Record</h4>
+                <div style="display: flex; gap: 0.5rem; flex-wrap: wrap;">
+                    <input type="text" class="form-input" id="dnsRecordName" placeholder="Name (@ for the domain)" style="flex: 1;">
+                    <select class="form-input" id="dnsRecordType" style="width: auto;">
+                        ${types.map(type => `<option value="${type}">${type}</option>`).join('')}
+                    </select>
+                    <input type="number" class="form-input" id="dnsRecordTtl" placeholder="TTL" value="3600" style="width: 6rem;">
+                    <input type="text" class="form-input" id="dnsRecordContent" placeholder="Content, e.g. 10 mail.example.com" style="flex: 2;">
+                    <button class="btn btn-sm btn-primary" onclick="dashboard.addDNSRecord('${domainId}')">Add</button>
+                </div>
+                <h4 style="margin-top: 1rem;">Import Zone File</h4>
+                <textarea class="form-input" id="zoneImportText" rows="6" placeholder="Paste a BIND zone file" style="font-family: monospace;"></textarea>
+                <label style="display: block; margin: 0.5rem 0;">
+                    <input type="checkbox" id="zoneImportReplace"> Replace the current records
+                </label>
+                <button class="btn btn-sm btn-primary" onclick="dashboard.importZone('${domainId}')">Import</button>
+            `;
+
+            this.showDNSModal(dnsInfo);
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to get DNS configuration', 'danger');
+        }
+    }
+
+    async addDNSRecord(domainId) {
+        try {
+            await this.apiCall(`/api/domains/${domainId}/records`, 'POST', {
+                name: document.getElementById('dnsRecordName').value.trim() || '@',
+                type: document.getElementById('dnsRecordType').value,
+                ttl: parseInt(document.getElementById('dnsRecordTtl').value) || undefined,
+                content: document.getElementById('dnsRecordContent').value
+            });
+            this.showNotification('DNS record added', 'success');
+            await this.showDNSConfig(domainId);
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to add DNS record', 'danger');
+        }
+    }
+
+    async deleteDNSRecord(domainId, recordId) {
+        if (!confirm('Delete this DNS record?')) return;
+
+        try {
+            await this.apiCall(`/api/domains/${domainId}/records/${recordId}`, 'DELETE');
+            this.showNotification('DNS record deleted', 'success');
+            await this.showDNSConfig(domainId);
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to delete DNS record', 'danger');
+        }
+    }
+
+    async importZone(domainId) {
+        const replace = document.getElementById('zoneImportReplace').checked;
+        if (replace && !confirm('Replace all records of this zone with the imported ones?')) return;
+
+        try {
+            // The line-by-line errors are needed, so not apiCall
+            const response = await this.authorizedFetch(`/api/domains/${domainId}/zone`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ zone: document.getElementById('zoneImportText').value, replace })
+            });
+
+            if (response.status === 401) {
+                this.redirectToLogin();
+                return;
+            }
+
+            const result = await response.json();
+            if (!response.ok) {
+                const lines = (result.errors || []).slice(0, 5)
+                    .map(error => error.line ? `line ${error.line}: ${error.error || error.msg}` : (error.error || error.msg));
+                throw new Error([result.error || 'Failed to import zone', ...lines].join('; '));
+            }
+
+            this.showNotification(`${result.message}${result.skipped.length > 0 ? `, ${result.skipped.length} skipped` : ''}`, 'success');
+            await this.showDNSConfig(domainId);
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to import zone', 'danger');
+        }
+    }
+
+    async exportZone(domainId) {
+        try {
+            const response = await this.authorizedFetch(`/api/domains/${domainId}/zone`);
+
+            if (response.ok) {
+                const blob = await response.blob();
+                const url = window.URL.createObjectURL(blob);
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = this.dispositionFilename(response.headers.get('Content-Disposition')) || 'zone.txt';
+                a.click();
+                window.URL.revokeObjectURL(url);
+            } else {
+                const result = await response.json();
+                this.showNotification(result.error || 'Failed to export zone', 'danger');
+            }
+        } catch (error) {
+            this.showNotification('Failed to export zone', 'danger');
+        }
+    }
+
+    async showCertificate(domainId) {
+        try {
+            const cert = await this.apiCall(`/api/domains/${domainId}/certificate`, 'GET');
+
+            let content = `
+                <h3>Certificate for ${this.escapeHtml(cert.domainName)}</h3>
+                <div style="background: #f3f4f6; padding: 1rem; border-radius: 0.5rem; margin: 1rem 0;">
+                    <strong>Status:</strong> <span class="badge badge-${this.getStatusClass(cert.sslStatus)}">${cert.sslStatus}</span><br>
+                    ${cert.issuer ? `<strong>Issuer:</strong> ${this.escapeHtml(cert.issuer)}<br>` : ''}
+                    ${cert.serialNumber ? `<strong>Serial:</strong> ${cert.serialNumber}<br>` : ''}
+                    ${cert.issuedAt ? `<strong>Issued:</strong> ${this.formatDate(cert.issuedAt)}<br>` : ''}
+                    ${cert.expiresAt ? `<strong>Expires:</strong> ${this.formatDate(cert.expiresAt)}<br>` : ''}
+                    ${cert.challengeType ? `<strong>Challenge:</strong> ${cert.challengeType}<br>` : ''}
+                    ${cert.error ? `<strong>Last error:</strong> ${this.escapeHtml(cert.error)}` : ''}
+                </div>
+            `;
+
+            if (cert.pendingRecords.length > 0) {
+                content += '<h4>Create this DNS record to finish issuance:</h4>';
+                cert.pendingRecords.forEach(record => {
+                    content += `
+                        <div style="margin: 0.5rem 0;">
+                            <strong>Type:</strong> ${record.type}<br>
+                            <strong>Name:</strong> ${this.escapeHtml(record.name)}<br>
+                            <strong>Value:</strong> ${this.escapeHtml(record.value)}<br>
+                            <strong>TTL:</strong> ${record.ttl}
+                        </div>
+                    `;
+                });
+            }
+
+            if (!cert.issuanceEnabled) {
+                content += '<p>Certificate issuance is not configured on this server.</p>';
+            } else if (cert.sslStatus !== 'issuing') {
+                content += `
+                    <div style="display: flex; gap: 0.5rem;">
+                        <button class="btn btn-sm btn-primary" onclick="dashboard.requestCertificate('${domainId}', 'http-01')">Request (HTTP-01)</button>
+                        <button class="btn btn-sm btn-secondary" onclick="dashboard.requestCertificate('${domainId}', 'dns-01')">Request (DNS-01)</button>
+                        ${cert.certificateChain.length > 0 ? `<button class="btn btn-sm btn-danger" onclick="dashboard.revokeCertificate('${domainId}')">Revoke</button>` : ''}
+                    </div>
+                `;
+            }
+
+            this.showDNSModal(content, 'Certificate');
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to get certificate', 'danger');
+        }
+    }
+
+    async requestCertificate(domainId, challenge) {
+        try {
+            await this.apiCall(`/api/domains/${domainId}/certificate`, 'POST', { challenge });
+            this.showNotification('Certificate requested', 'success');
+            await this.showCertificate(domainId);
+            await this.loadDomains();
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to request certificate', 'danger');
+        }
+    }
+
+    async revokeCertificate(domainId) {
+        if (!confirm('Revoke this certificate? HTTPS for the domain stops working until a new one is issued.')) return;
+
+        try {
+            await this.apiCall(`/api/domains/${domainId}/certificate`, 'DELETE');
+            this.showNotification('Certificate revoked', 'success');
+            await this.showCertificate(domainId);
+            await this.loadDomains();
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to revoke certificate', 'danger');
+        }
+    }
+
+    async showDomainJobs(domainId) {
+        try {
+            const response = await this.apiCall(`/api/domains/${domainId}/jobs`, 'GET');
+            const outcomeClasses = {
+                'verified': 'success',
+                'recovered': 'success',
+                'renewed': 'success',
+                'certificate_renewed': 'success',
+                'inconclusive': 'warning',
+                'warned': 'warning',
+                'drifted': 'danger',
+                'failing': 'danger',
+                'expired': 'danger',
+                'certificate_failed': 'danger'
+            };
+
+            let content = `
+                <h3>Background checks for ${this.escapeHtml(response.domainName)}</h3>
+                <div style="background: #f3f4f6; padding: 1rem; border-radius: 0.5rem; margin: 1rem 0;">
+                    <strong>Status:</strong> <span class="badge badge-${this.getStatusClass(response.status)}">${response.status}</span><br>
+                    <strong>Last DNS check:</strong> ${response.lastCheckedAt ? this.formatDate(response.lastCheckedAt) : 'never'}<br>
+                    <strong>${response.autoRenew ? 'Renews' : 'Expires'}:</strong> ${response.expiresAt ? this.formatDate(response.expiresAt) : 'after verification'}
+                </div>
+            `;
+
+            if (response.events.length === 0) {
+                content += '<p>No background jobs have run for this domain yet.</p>';
+            } else {
+                content += `
+                    <table class="table">
+                        <thead><tr><th>When</th><th>Job</th><th>Outcome</th><th>Details</th></tr></thead>
+                        <tbody>
+                            ${response.events.map(event => `
+                                <tr>
+                                    <td>${this.formatDate(event.createdAt)}</td>
+                                    <td>${event.job}</td>
+                                    <td><span class="badge badge-${outcomeClasses[event.outcome] || 'gray'}">${event.outcome}</span></td>
+                                    <td>${this.escapeHtml(event.message || '')}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `;
+            }
+
+            this.showDNSModal(content, 'Domain History');
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to load domain history', 'danger');
+        }
+    }
+
+    async updateSettings() {
+        try {
+            const formData = new FormData(document.getElementById('settingsForm'));
+            await this.apiCall('/api/users/profile', 'PUT', {
+                firstName: formData.get('firstName'),
+                lastName: formData.get('lastName'),
+                email: formData.get('email')
+            });
+            
+            this.showNotification('Profile updated successfully!', 'success');
+            await this.loadUser();
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to update profile', 'danger');
+        }
+    }
+
+    async resendVerification() {
+        try {
+            await this.apiCall('/api/auth/resend-verification', 'POST');
+            this.showNotification('Verification email sent!', 'success');
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to send verification email', 'danger');
+        }
+    }
+
+    async changePassword() {
+        try {
+            const formData = new FormData(document.getElementById('passwordForm'));
+            const newPassword = formData.get('newPassword');
+            const confirmPassword = formData.get('confirmPassword');
+            
+            if (newPassword !== confirmPassword) {
+                this.showNotification('Passwords do not match', 'danger');
+                return;
+            }
+            
+            await this.apiCall('/api/users/password', 'PUT', {
+                currentPassword: formData.get('currentPassword'),
+                newPassword: newPassword
+            });
+            
+            this.showNotification('Password changed successfully!', 'success');
+            document.getElementById('passwordForm').reset();
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to change password', 'danger');
+        }
+    }
+
+    // Utility methods
+    formatBytes(bytes) {
+        if (bytes === 0) return '0 Bytes';
+        const k = 1024;
+        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(k));
+        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+    }
+
+    formatDate(dateString) {
+        const date = new Date(dateString);
+        return date.toLocaleDateString() + ' ' + date.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
+    }
+
+    formatActivityType(type) {
+        const types = {
+            'file_upload': '📁 File Upload',
+            'domain_added': '🌐 Domain Added',
+            'file_download': '⬇️ File Download',
+            'page_view': '👁️ Page View'
+        };
+        return types[type] || type;
+    }
+
+    describeUserAgent(userAgent) {
+        if (!userAgent) return 'Unknown device';
+        const browser = ['Edg', 'Firefox', 'Chrome', 'Safari', 'curl']
+            .find(name => userAgent.includes(name)) || 'Unknown browser';
+        const os = ['Windows', 'Android', 'iPhone', 'iPad', 'Mac OS', 'Linux']
+            .find(name => userAgent.includes(name)) || 'Unknown OS';
+        return `${browser === 'Edg' ? 'Edge' : browser} on ${os === 'Mac OS' ? 'macOS' : os}`;
+    }
+
+    escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    getStatusClass(status) {
+        const classes = {
+            'active': 'success',
+            'pending': 'warning',
+            'issuing': 'warning',
+            'error': 'danger',
+            'expired': 'danger',
+            'revoked': 'danger'
+        };
+        return classes[status] || 'gray';
+    }
+
+    showNotification(message, type = 'success') {
+        const notification = document.getElementById('notification');
+        const messageElement = document.getElementById('notificationMessage');
+        
+        notification.className = `alert alert-${type}`;
+        messageElement.textContent = message;
+        notification.style.display = 'block';
+        
+        setTimeout(() => {
+            notification.style.display = 'none';
+        }, 5000);
+    }
+
+    showDNSModal(content, title = 'DNS Configuration') {
+        // Create or update DNS modal
         let dnsModal = document.getElementById('dnsModal');
         if (!dnsModal) {
             dnsModal = document.createElement('div');
@@ -522,7 +2024,7 @@ class HostingDashboard {
             dnsModal.innerHTML = `
                 <div class="modal-content" style="max-width: 600px;">
                     <div class="modal-header">
-                        <h2 class="modal-title">DNS Configuration</h2>
+                        <h2 class="modal-title" id="dnsModalTitle"></h2>
                         <button class="modal-close" onclick="dashboard.closeModal('dnsModal')">&times;</button>
                     </div>
                     <div id="dnsModalContent"></div>
@@ -531,6 +2033,7 @@ class HostingDashboard {
             document.body.appendChild(dnsModal);
         }
         
+        document.getElementById('dnsModalTitle').textContent = title;
         document.getElementById('dnsModalContent').innerHTML = content;
         dnsModal.classList.add('active');
     }
@@ -543,7 +2046,11 @@ class HostingDashboard {
     }
 
     redirectToLogin() {
+        // An expired impersonation falls back to the admin's own session
+        if (this.resumeAdminSession()) return;
+
         localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
         window.location.href = '/login.html';
     }
 
@@ -573,6 +2080,20 @@ function showSection(section) {
         case 'files':
             dashboard.loadFiles();
             break;
+        case 'trash':
+            dashboard.loadTrash();
+            break;
+        case 'team':
+            dashboard.loadTeam();
+            break;
+        case 'admin':
+            dashboard.loadAdmin();
+            break;
+        case 'settings':
+            dashboard.loadTwoFactor();
+            dashboard.loadSessions();
+            dashboard.loadActivity();
+            break;
     }
     
     dashboard.currentSection = section;
@@ -0,0 +1,83 @@
+// Public share link page: shows the shared file and, for password-protected
+// links, trades the password for a download ticket first. The ticket comes
+// back as a cookie the download link then carries.
+const token = window.location.pathname.split('/').pop();
+const apiBase = `/api/shares/${encodeURIComponent(token)}`;
+
+function showMessage(message, type = 'danger') {
+    const notification = document.getElementById('notification');
+    document.getElementById('notificationMessage').textContent = message;
+    notification.className = `alert alert-${type}`;
+    notification.style.display = 'block';
+}
+
+function formatBytes(bytes) {
+    if (bytes === 0) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+function enableDownload() {
+    const link = document.getElementById('shareDownload');
+    link.href = `${apiBase}/download`;
+    link.style.display = 'block';
+    document.getElementById('sharePasswordForm').style.display = 'none';
+}
+
+async function loadShare() {
+    try {
+        const response = await fetch(apiBase);
+        const share = await response.json();
+
+        if (!response.ok) {
+            document.getElementById('shareFileName').textContent = 'Link unavailable';
+            showMessage(share.error || 'This link cannot be used');
+            return;
+        }
+
+        document.getElementById('shareFileName').textContent = share.fileName;
+        const details = [formatBytes(share.fileSize)];
+        if (share.expiresAt) {
+            details.push(`expires ${new Date(share.expiresAt).toLocaleString()}`);
+        }
+        if (share.downloadsRemaining !== null) {
+            details.push(`${share.downloadsRemaining} download${share.downloadsRemaining === 1 ? '' : 's'} left`);
+        }
+        document.getElementById('shareDetails').textContent = details.join(' · ');
+
+        if (share.requiresPassword) {
+            document.getElementById('sharePasswordForm').style.display = 'block';
+        } else {
+            enableDownload();
+        }
+    } catch (error) {
+        showMessage('Failed to load the shared file');
+    }
+}
+
+document.getElementById('sharePasswordForm').addEventListener('submit', async (event) => {
+    event.preventDefault();
+
+    try {
+        const response = await fetch(`${apiBase}/unlock`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ password: document.getElementById('sharePassword').value })
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            showMessage(result.error || 'Failed to unlock the link');
+            return;
+        }
+
+        document.getElementById('notification').style.display = 'none';
+        enableDownload();
+    } catch (error) {
+        showMessage('Failed to unlock the link');
+    }
+});
+
+loadShare();
@@ -0,0 +1,26 @@
+const express = require('express');
+const { query } = require('../config/database');
+const router = express.Router();
+
+// HTTP-01 challenge responses (/.well-known/acme-challenge/<token>) for
+// certificate orders in progress. The CA fetches these over plain HTTP from
+// the domain being validated.
+router.get('/:token', async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT key_authorization FROM acme_challenges WHERE token = $1 AND challenge_type = 'http-01'`,
+      [req.params.token]
+    );
+
+    if (!result.rows[0]) {
+      return res.status(404).type('text/plain').send('Not found');
+    }
+
+    res.type('text/plain').send(result.rows[0].key_authorization);
+  } catch (error) {
+    console.error('ACME challenge error:', error);
+    res.status(500).type('text/plain').send('Internal error');
+  }
+});
+
+module.exports = router;
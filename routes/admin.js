@@ -0,0 +1,644 @@
+const express = require('express');
+const { body, query: check, validationResult } = require('express-validator');
+const { query } = require('../config/database');
+const { authenticateToken, denyApiKeys, denyImpersonation, requireAdmin } = require('./auth');
+const { createSession, revokeUserSessions } = require('../services/sessions');
+const { plans } = require('../config/plans');
+const { recordAudit, queryAuditLog, sendAuditExport } = require('../services/audit');
+const { listJobs, triggerJob } = require('../services/jobs');
+const router = express.Router();
+
+const IMPERSONATION_MINUTES = parseInt(process.env.IMPERSONATION_MINUTES) || 60;
+// Largest page the list endpoints return
+const MAX_PAGE_SIZE = 200;
+
+// Admin endpoints need an admin's own interactive session: no API keys, no
+// impersonation
+router.use(authenticateToken);
+router.use(denyApiKeys);
+router.use(denyImpersonation);
+router.use(requireAdmin);
+
+const formatAdminUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  firstName: user.first_name,
+  lastName: user.last_name,
+  role: user.role,
+  planType: user.plan_type,
+  storageQuota: user.storage_quota,
+  domainQuota: user.domain_quota,
+  isActive: user.is_active,
+  emailVerified: user.email_verified,
+  lockedUntil: user.locked_until,
+  createdAt: user.created_at,
+  lastLogin: user.last_login,
+  domainsCount: user.domains_count !== undefined ? parseInt(user.domains_count) : undefined,
+  filesCount: user.files_count !== undefined ? parseInt(user.files_count) : undefined,
+  storageUsed: user.storage_used !== undefined ? parseInt(user.storage_used) : undefined
+});
+
+const USER_COLUMNS = `
+  u.id, u.email, u.first_name, u.last_name, u.role, u.plan_type, u.storage_quota,
+  u.domain_quota, u.is_active, u.email_verified, u.locked_until, u.created_at, u.last_login,
+  (SELECT COUNT(*) FROM domains WHERE user_id = u.id) as domains_count,
+  (SELECT COUNT(*) FROM files WHERE user_id = u.id) as files_count,
+  (SELECT COALESCE(SUM(file_size), 0) FROM files WHERE user_id = u.id) as storage_used`;
+
+// Platform statistics
+router.get('/stats', async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT
+         (SELECT COUNT(*) FROM users) as total_users,
+         (SELECT COUNT(*) FROM users WHERE is_active = true) as active_users,
+         (SELECT COUNT(*) FROM users WHERE created_at >= CURRENT_TIMESTAMP - INTERVAL '7 days') as new_users_7d,
+         (SELECT COUNT(*) FROM domains) as total_domains,
+         (SELECT COUNT(*) FROM domains WHERE status = 'active') as active_domains,
+         (SELECT COUNT(*) FROM files) as total_files,
+         (SELECT COALESCE(SUM(file_size), 0) FROM files) as total_storage,
+         (SELECT COUNT(*) FROM sessions WHERE expires_at > CURRENT_TIMESTAMP) as active_sessions,
+         (SELECT COUNT(*) FROM login_attempts
+          WHERE success = false AND created_at >= CURRENT_TIMESTAMP - INTERVAL '24 hours') as failed_logins_24h`
+    );
+
+    const planResult = await query(
+      'SELECT plan_type, COUNT(*) as count FROM users GROUP BY plan_type ORDER BY plan_type'
+    );
+
+    const stats = result.rows[0];
+
+    res.json({
+      users: {
+        total: parseInt(stats.total_users),
+        active: parseInt(stats.active_users),
+        newLast7Days: parseInt(stats.new_users_7d),
+        byPlan: planResult.rows.reduce((acc, row) => ({ ...acc, [row.plan_type]: parseInt(row.count) }), {})
+      },
+      domains: {
+        total: parseInt(stats.total_domains),
+        active: parseInt(stats.active_domains)
+      },
+      files: {
+        total: parseInt(stats.total_files),
+        storageUsed: parseInt(stats.total_storage)
+      },
+      activeSessions: parseInt(stats.active_sessions),
+      failedLoginsLast24h: parseInt(stats.failed_logins_24h)
+    });
+  } catch (error) {
+    console.error('Admin stats error:', error);
+    res.status(500).json({ error: 'Failed to fetch platform statistics' });
+  }
+});
+
+// List users
+router.get('/users', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search = '' } = req.query;
+    const pageSize = Math.min(parseInt(limit) || 20, MAX_PAGE_SIZE);
+    const offset = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize;
+
+    let where = '';
+    let queryParams = [];
+
+    if (search) {
+      where = `WHERE u.email ILIKE $1 OR u.first_name ILIKE $1 OR u.last_name ILIKE $1`;
+      queryParams.push(`%${search}%`);
+    }
+
+    const result = await query(
+      `SELECT ${USER_COLUMNS} FROM users u ${where}
+       ORDER BY u.created_at DESC LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}`,
+      [...queryParams, pageSize, offset]
+    );
+
+    const countResult = await query(`SELECT COUNT(*) FROM users u ${where}`, queryParams);
+    const totalCount = parseInt(countResult.rows[0].count);
+
+    res.json({
+      users: result.rows.map(formatAdminUser),
+      pagination: {
+        page: parseInt(page),
+        limit: pageSize,
+        total: totalCount,
+        pages: Math.ceil(totalCount / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+// Get a single user
+router.get('/users/:id', async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT ${USER_COLUMNS} FROM users u WHERE u.id = $1`,
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      user: formatAdminUser(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    res.status(500).json({ error: 'Failed to fetch user' });
+  }
+});
+
+// Update a user's status, plan or role
+router.put('/users/:id', [
+  body('isActive').optional().isBoolean(),
+  body('planType').optional().isIn(Object.keys(plans)),
+  body('role').optional().isIn(['user', 'admin'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { isActive, planType, role } = req.body;
+
+    if (req.params.id === req.user.userId && (isActive === false || role === 'user')) {
+      return res.status(400).json({ error: 'You cannot disable or demote your own account' });
+    }
+
+    // Build update query dynamically
+    let updateFields = [];
+    let queryParams = [];
+    let paramIndex = 1;
+
+    if (typeof isActive === 'boolean') {
+      updateFields.push(`is_active = $${paramIndex++}`);
+      queryParams.push(isActive);
+      if (isActive) {
+        updateFields.push('locked_until = NULL');
+      }
+    }
+
+    if (planType) {
+      updateFields.push(`plan_type = $${paramIndex++}`);
+      queryParams.push(planType);
+      updateFields.push(`storage_quota = $${paramIndex++}`);
+      queryParams.push(plans[planType].storage_quota);
+      updateFields.push(`domain_quota = $${paramIndex++}`);
+      queryParams.push(plans[planType].domain_quota);
+    }
+
+    if (role) {
+      updateFields.push(`role = $${paramIndex++}`);
+      queryParams.push(role);
+    }
+
+    if (updateFields.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    const previous = await query(
+      'SELECT role, plan_type, is_active FROM users WHERE id = $1',
+      [req.params.id]
+    );
+
+    updateFields.push(`updated_at = CURRENT_TIMESTAMP`);
+    queryParams.push(req.params.id);
+
+    const result = await query(
+      `UPDATE users SET ${updateFields.join(', ')} WHERE id = $${paramIndex++} RETURNING id`,
+      queryParams
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // A disabled account is signed out everywhere
+    if (isActive === false) {
+      await revokeUserSessions(req.params.id);
+    }
+
+    const updated = await query(`SELECT ${USER_COLUMNS} FROM users u WHERE u.id = $1`, [req.params.id]);
+    const before = previous.rows[0];
+    const after = updated.rows[0];
+
+    await recordAudit(req, {
+      action: 'admin.user_updated',
+      accountId: req.params.id,
+      resourceType: 'user',
+      resourceId: req.params.id,
+      before: { role: before.role, planType: before.plan_type, isActive: before.is_active },
+      after: { role: after.role, planType: after.plan_type, isActive: after.is_active }
+    });
+
+    res.json({
+      message: 'User updated successfully',
+      user: formatAdminUser(updated.rows[0])
+    });
+  } catch (error) {
+    console.error('Admin update user error:', error);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+// A user's domains
+router.get('/users/:id/domains', async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT id, domain_name, status, ssl_status, created_at, updated_at,
+              expires_at, auto_renew, last_verified
+       FROM domains WHERE user_id = $1 ORDER BY created_at DESC`,
+      [req.params.id]
+    );
+
+    res.json({
+      domains: result.rows,
+      count: result.rows.length
+    });
+  } catch (error) {
+    console.error('Admin get user domains error:', error);
+    res.status(500).json({ error: 'Failed to fetch domains' });
+  }
+});
+
+// A user's files
+router.get('/users/:id/files', async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT id, original_name, stored_name, file_size, mime_type,
+              is_public, download_count, created_at
+       FROM files WHERE user_id = $1 ORDER BY created_at DESC`,
+      [req.params.id]
+    );
+
+    res.json({
+      files: result.rows,
+      count: result.rows.length
+    });
+  } catch (error) {
+    console.error('Admin get user files error:', error);
+    res.status(500).json({ error: 'Failed to fetch files' });
+  }
+});
+
+// All domains on the platform
+router.get('/domains', async (req, res) => {
+  try {
+    const { page = 1, limit = 50, search = '', status } = req.query;
+    const pageSize = Math.min(parseInt(limit) || 50, MAX_PAGE_SIZE);
+    const offset = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize;
+
+    let conditions = [];
+    let queryParams = [];
+
+    if (search) {
+      queryParams.push(`%${search}%`);
+      conditions.push(`d.domain_name ILIKE $${queryParams.length}`);
+    }
+
+    if (status) {
+      queryParams.push(status);
+      conditions.push(`d.status = $${queryParams.length}`);
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const result = await query(
+      `SELECT d.id, d.domain_name, d.status, d.ssl_status, d.created_at, d.last_verified,
+              d.user_id, u.email as owner_email
+       FROM domains d JOIN users u ON u.id = d.user_id ${where}
+       ORDER BY d.created_at DESC LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}`,
+      [...queryParams, pageSize, offset]
+    );
+
+    res.json({
+      domains: result.rows,
+      count: result.rows.length
+    });
+  } catch (error) {
+    console.error('Admin list domains error:', error);
+    res.status(500).json({ error: 'Failed to fetch domains' });
+  }
+});
+
+// All files on the platform
+router.get('/files', async (req, res) => {
+  try {
+    const { page = 1, limit = 50, search = '' } = req.query;
+    const pageSize = Math.min(parseInt(limit) || 50, MAX_PAGE_SIZE);
+    const offset = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize;
+
+    let where = '';
+    let queryParams = [];
+
+    if (search) {
+      where = 'WHERE f.original_name ILIKE $1';
+      queryParams.push(`%${search}%`);
+    }
+
+    const result = await query(
+      `SELECT f.id, f.original_name, f.file_size, f.mime_type, f.is_public,
+              f.download_count, f.created_at, f.user_id, u.email as owner_email
+       FROM files f JOIN users u ON u.id = f.user_id ${where}
+       ORDER BY f.created_at DESC LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}`,
+      [...queryParams, pageSize, offset]
+    );
+
+    res.json({
+      files: result.rows,
+      count: result.rows.length
+    });
+  } catch (error) {
+    console.error('Admin list files error:', error);
+    res.status(500).json({ error: 'Failed to fetch files' });
+  }
+});
+
+// Sign-in attempts across the platform, e.g. to spot credential stuffing
+router.get('/login-attempts', async (req, res) => {
+  try {
+    const { email, ip, success, limit = 100 } = req.query;
+
+    let conditions = [];
+    let queryParams = [];
+
+    if (email) {
+      queryParams.push(email.toLowerCase());
+      conditions.push(`email = $${queryParams.length}`);
+    }
+
+    if (ip) {
+      queryParams.push(ip);
+      conditions.push(`ip_address = $${queryParams.length}`);
+    }
+
+    if (success === 'true' || success === 'false') {
+      queryParams.push(success === 'true');
+      conditions.push(`success = $${queryParams.length}`);
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const result = await query(
+      `SELECT id, email, user_id, ip_address, user_agent, success, reason, created_at
+       FROM login_attempts ${where}
+       ORDER BY created_at DESC LIMIT $${queryParams.length + 1}`,
+      [...queryParams, Math.min(parseInt(limit) || 100, 1000)]
+    );
+
+    // Accounts with the most failures in the last 24 hours
+    const targeted = await query(
+      `SELECT email, COUNT(*) as failures, COUNT(DISTINCT ip_address) as distinct_ips,
+              MAX(created_at) as last_attempt
+       FROM login_attempts
+       WHERE success = false AND created_at >= CURRENT_TIMESTAMP - INTERVAL '24 hours'
+       GROUP BY email ORDER BY failures DESC LIMIT 20`
+    );
+
+    res.json({
+      attempts: result.rows,
+      mostTargeted: targeted.rows
+    });
+  } catch (error) {
+    console.error('Admin login attempts error:', error);
+    res.status(500).json({ error: 'Failed to fetch login attempts' });
+  }
+});
+
+// Sign in as a user for support. Requires a reason, is recorded, and the
+// session is short-lived and flagged as impersonated. Other administrators
+// cannot be impersonated.
+router.post('/users/:id/impersonate', [
+  body('reason').trim().isLength({ min: 5, max: 500 }).withMessage('A reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.params.id === req.user.userId) {
+      return res.status(400).json({ error: 'You cannot impersonate yourself' });
+    }
+
+    const result = await query(
+      'SELECT id, email, first_name, last_name, plan_type, role, is_active FROM users WHERE id = $1',
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const target = result.rows[0];
+
+    if (!target.is_active) {
+      return res.status(400).json({ error: 'Cannot impersonate a disabled account' });
+    }
+
+    if (target.role === 'admin') {
+      return res.status(403).json({ error: 'Administrators cannot be impersonated' });
+    }
+
+    const { sessionId, token, refreshToken } = await createSession(target, req, {
+      impersonatorId: req.user.userId,
+      lifetimeMinutes: IMPERSONATION_MINUTES
+    });
+
+    await query(
+      `INSERT INTO admin_impersonations (admin_id, user_id, session_id, reason, ip_address, user_agent)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [req.user.userId, target.id, sessionId, req.body.reason, req.ip || null, req.get('User-Agent') || null]
+    );
+
+    await recordAudit(req, {
+      action: 'admin.impersonation_started',
+      accountId: target.id,
+      resourceType: 'session',
+      resourceId: sessionId,
+      metadata: { reason: req.body.reason, minutes: IMPERSONATION_MINUTES }
+    });
+
+    res.json({
+      message: `Impersonating ${target.email} for up to ${IMPERSONATION_MINUTES} minutes`,
+      user: {
+        id: target.id,
+        email: target.email,
+        firstName: target.first_name,
+        lastName: target.last_name,
+        planType: target.plan_type
+      },
+      token,
+      refreshToken
+    });
+  } catch (error) {
+    console.error('Impersonate user error:', error);
+    res.status(500).json({ error: 'Failed to impersonate user' });
+  }
+});
+
+// Impersonation history
+router.get('/impersonations', async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT i.id, i.reason, i.ip_address, i.user_agent, i.created_at,
+              i.admin_id, a.email as admin_email, i.user_id, u.email as user_email
+       FROM admin_impersonations i
+       LEFT JOIN users a ON a.id = i.admin_id
+       LEFT JOIN users u ON u.id = i.user_id
+       ORDER BY i.created_at DESC LIMIT 200`
+    );
+
+    res.json({
+      impersonations: result.rows
+    });
+  } catch (error) {
+    console.error('Admin impersonations error:', error);
+    res.status(500).json({ error: 'Failed to fetch impersonations' });
+  }
+});
+
+// Background jobs with their schedule and latest run
+router.get('/jobs', async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT s.name, s.next_run_at, s.locked_until, s.last_run_at,
+              r.id AS run_id, r.status, r.summary, r.error, r.started_at, r.finished_at
+       FROM scheduled_jobs s
+       LEFT JOIN LATERAL (
+         SELECT * FROM job_runs WHERE job_name = s.name ORDER BY started_at DESC LIMIT 1
+       ) r ON true`
+    );
+    const rows = Object.fromEntries(result.rows.map(row => [row.name, row]));
+
+    res.json({
+      jobs: listJobs().map(job => {
+        const row = rows[job.name] || {};
+        return {
+          name: job.name,
+          intervalMinutes: job.interval / 60000,
+          nextRunAt: row.next_run_at || null,
+          running: Boolean(row.locked_until && new Date(row.locked_until) > new Date()),
+          lastRun: row.run_id ? {
+            id: row.run_id,
+            status: row.status,
+            summary: row.summary,
+            error: row.error,
+            startedAt: row.started_at,
+            finishedAt: row.finished_at
+          } : null
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Admin jobs error:', error);
+    res.status(500).json({ error: 'Failed to fetch jobs' });
+  }
+});
+
+// Run history of one job, with how many domains each run touched
+router.get('/jobs/:name/runs', async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT r.id, r.status, r.summary, r.error, r.started_at, r.finished_at,
+              (SELECT COUNT(*) FROM domain_job_events e WHERE e.run_id = r.id) AS domain_events
+       FROM job_runs r WHERE r.job_name = $1
+       ORDER BY r.started_at DESC LIMIT 100`,
+      [req.params.name]
+    );
+
+    res.json({
+      runs: result.rows.map(run => ({ ...run, domain_events: parseInt(run.domain_events) }))
+    });
+  } catch (error) {
+    console.error('Admin job runs error:', error);
+    res.status(500).json({ error: 'Failed to fetch job runs' });
+  }
+});
+
+// Run a job now instead of waiting for its next turn
+router.post('/jobs/:name/run', async (req, res) => {
+  try {
+    if (!listJobs().some(job => job.name === req.params.name)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const scheduled = await triggerJob(req.params.name);
+
+    await recordAudit(req, {
+      action: 'admin.job_triggered',
+      resourceType: 'job',
+      resourceId: req.params.name
+    });
+
+    res.json({
+      message: 'Job scheduled to run within a minute',
+      nextRunAt: scheduled.next_run_at
+    });
+  } catch (error) {
+    console.error('Admin trigger job error:', error);
+    res.status(500).json({ error: 'Failed to trigger job' });
+  }
+});
+
+const auditFilters = [
+  check('accountId').optional().isUUID(),
+  check('actorId').optional().isUUID(),
+  check('from').optional().isISO8601(),
+  check('to').optional().isISO8601()
+];
+
+// Platform-wide audit log, filterable by account, actor and action
+router.get('/audit', auditFilters, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 50, accountId, actorId, action, resourceType, resourceId, from, to } = req.query;
+    const pageSize = Math.min(parseInt(limit) || 50, MAX_PAGE_SIZE);
+
+    const { entries, total } = await queryAuditLog(
+      { accountId, actorId, action, resourceType, resourceId, from, to },
+      { limit: pageSize, offset: (Math.max(parseInt(page) || 1, 1) - 1) * pageSize }
+    );
+
+    res.json({
+      entries,
+      pagination: {
+        page: parseInt(page),
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('Admin audit log error:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
+// Export the filtered audit log as CSV or JSON
+router.get('/audit/export', auditFilters, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { format = 'json', accountId, actorId, action, resourceType, resourceId, from, to } = req.query;
+
+    await sendAuditExport(res, { accountId, actorId, action, resourceType, resourceId, from, to }, format);
+  } catch (error) {
+    console.error('Admin audit export error:', error);
+    res.status(500).json({ error: 'Failed to export audit log' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,70 @@
+const express = require('express');
+const { query: check, validationResult } = require('express-validator');
+const { authenticateToken, requireScope } = require('./auth');
+const { queryAuditLog, sendAuditExport } = require('../services/audit');
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+router.use(requireScope('account'));
+
+const auditFilters = [
+  check('action').optional().isString(),
+  check('resourceType').optional().isString(),
+  check('from').optional().isISO8601(),
+  check('to').optional().isISO8601()
+];
+
+// Audit trail of the authenticated user's account
+router.get('/', auditFilters, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 50, action, resourceType, resourceId, from, to } = req.query;
+    const pageSize = Math.min(parseInt(limit) || 50, 500);
+
+    const { entries, total } = await queryAuditLog(
+      { accountId: req.user.userId, action, resourceType, resourceId, from, to },
+      { limit: pageSize, offset: (page - 1) * pageSize }
+    );
+
+    res.json({
+      entries,
+      pagination: {
+        page: parseInt(page),
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
+// Export the account's audit trail as CSV or JSON
+router.get('/export', auditFilters, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { format = 'json', action, resourceType, resourceId, from, to } = req.query;
+
+    await sendAuditExport(
+      res,
+      { accountId: req.user.userId, action, resourceType, resourceId, from, to },
+      format
+    );
+  } catch (error) {
+    console.error('Export audit log error:', error);
+    res.status(500).json({ error: 'Failed to export audit log' });
+  }
+});
+
+module.exports = router;
@@ -3,8 +3,45 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const { query } = require('../config/database');
+const { hashToken } = require('../services/tokens');
+const {
+  createSession,
+  rotateSession,
+  touchSession,
+  revokeSession,
+  revokeUserSessions
+} = require('../services/sessions');
+const { createUserToken, consumeUserToken } = require('../services/userTokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/mailer');
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess
+} = require('../services/loginThrottle');
+const { recordAudit } = require('../services/audit');
+const { requiresSso } = require('../services/oidc');
 const router = express.Router();
 
+const API_KEY_PREFIX = 'hvps_';
+const VERIFY_EMAIL_TTL_MINUTES = 24 * 60;
+const PASSWORD_RESET_TTL_MINUTES = 60;
+
+const SSO_REQUIRED_ERROR = {
+  error: 'Accounts for this email domain must sign in with single sign-on',
+  code: 'SSO_REQUIRED'
+};
+
+// Email a fresh verification link. Mail failures are logged, not fatal:
+// the user can ask for another link from the dashboard.
+const startEmailVerification = async (userId, email) => {
+  try {
+    const token = await createUserToken(userId, 'verify_email', VERIFY_EMAIL_TTL_MINUTES);
+    await sendVerificationEmail(email, token);
+  } catch (error) {
+    console.error('Send verification email error:', error);
+  }
+};
+
 // Register new user
 router.post('/register', [
   body('email').isEmail().normalizeEmail(),
@@ -20,6 +57,10 @@ router.post('/register', [
 
     const { email, password, firstName, lastName } = req.body;
 
+    if (requiresSso(email)) {
+      return res.status(403).json(SSO_REQUIRED_ERROR);
+    }
+
     // Check if user already exists
     const existingUser = await query(
       'SELECT id FROM users WHERE email = $1',
@@ -36,19 +77,26 @@ router.post('/register', [
 
     // Create user
     const result = await query(
-      `INSERT INTO users (email, password_hash, first_name, last_name) 
-       VALUES ($1, $2, $3, $4) RETURNING id, email, first_name, last_name, plan_type`,
+      `INSERT INTO users (email, password_hash, first_name, last_name, email_verified) 
+       VALUES ($1, $2, $3, $4, false) RETURNING id, email, first_name, last_name, plan_type`,
       [email, passwordHash, firstName, lastName]
     );
 
     const user = result.rows[0];
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    await startEmailVerification(user.id, user.email);
+
+    await recordAudit(req, {
+      action: 'auth.register',
+      accountId: user.id,
+      actorId: user.id,
+      resourceType: 'user',
+      resourceId: user.id,
+      after: { email: user.email, firstName: user.first_name, lastName: user.last_name }
+    });
+
+    // Start a session and issue access and refresh tokens
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       message: 'User registered successfully',
@@ -57,9 +105,11 @@ router.post('/register', [
         email: user.email,
         firstName: user.first_name,
         lastName: user.last_name,
-        planType: user.plan_type
+        planType: user.plan_type,
+        emailVerified: false
       },
-      token
+      token,
+      refreshToken
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -67,6 +117,50 @@ router.post('/register', [
   }
 });
 
+// Record the login, start a session and build the login response
+const completeLogin = async (user, req, { method = 'password' } = {}) => {
+  await recordLoginSuccess(req, { email: user.email, userId: user.id });
+  await recordAudit(req, {
+    action: 'auth.login',
+    accountId: user.id,
+    actorId: user.id,
+    metadata: { method, twoFactor: Boolean(user.totp_enabled) }
+  });
+
+  await query(
+    'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
+    [user.id]
+  );
+
+  // Start a session and issue access and refresh tokens
+  const { token, refreshToken } = await createSession(user, req);
+
+  return {
+    message: 'Login successful',
+    user: {
+      id: user.id,
+      email: user.email,
+      firstName: user.first_name,
+      lastName: user.last_name,
+      planType: user.plan_type
+    },
+    token,
+    refreshToken
+  };
+};
+
+// With two-factor enabled a first factor only earns a short-lived challenge,
+// redeemed at POST /api/auth/2fa/login
+const twoFactorChallenge = (user, method = 'password') => ({
+  message: 'Two-factor authentication required',
+  twoFactorRequired: true,
+  challengeToken: jwt.sign(
+    { userId: user.id, purpose: '2fa', method },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+  )
+});
+
 // Login user
 router.post('/login', [
   body('email').isEmail().normalizeEmail(),
@@ -80,83 +174,219 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
+    if (requiresSso(email)) {
+      return res.status(403).json(SSO_REQUIRED_ERROR);
+    }
+
+    // Per-account and per-IP backoff and lockout
+    const throttle = await checkLoginAllowed(email, req.ip);
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(429).json({ error: throttle.error, retryAfter: throttle.retryAfter });
+    }
+
     // Find user
     const result = await query(
-      `SELECT id, email, password_hash, first_name, last_name, plan_type, is_active 
+      `SELECT id, email, password_hash, first_name, last_name, plan_type, is_active,
+              totp_enabled
        FROM users WHERE email = $1`,
       [email]
     );
 
     if (result.rows.length === 0) {
+      await recordLoginFailure(req, { email, reason: 'unknown_email' });
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
     const user = result.rows[0];
 
     if (!user.is_active) {
+      await recordLoginFailure(req, { email, userId: user.id, reason: 'account_disabled' });
       return res.status(401).json({ error: 'Account is disabled' });
     }
 
     // Verify password
     const isValidPassword = await bcrypt.compare(password, user.password_hash);
     if (!isValidPassword) {
+      await recordLoginFailure(req, { email, userId: user.id, reason: 'invalid_password' });
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Update last login
-    await query(
-      'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
-      [user.id]
-    );
-
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    if (user.totp_enabled) {
+      return res.json(twoFactorChallenge(user));
+    }
 
-    res.json({
-      message: 'Login successful',
-      user: {
-        id: user.id,
-        email: user.email,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        planType: user.plan_type
-      },
-      token
-    });
+    res.json(await completeLogin(user, req));
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ error: 'Login failed' });
   }
 });
 
-// Middleware to verify JWT token
+// Middleware to verify JWT token or API key
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+  const token = (authHeader && authHeader.split(' ')[1]) || req.headers['x-api-key'];
 
   if (!token) {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+  if (token.startsWith(API_KEY_PREFIX)) {
+    return authenticateApiKey(token, req, res, next);
+  }
+
+  jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
     if (err) {
+      if (err.name === 'TokenExpiredError') {
+        return res.status(401).json({ error: 'Access token expired', code: 'TOKEN_EXPIRED' });
+      }
       return res.status(403).json({ error: 'Invalid or expired token' });
     }
-    req.user = user;
-    next();
+
+    try {
+      // Access tokens are only honoured while their session is alive
+      const session = user.sid ? await touchSession(user.sid) : null;
+      if (!session) {
+        return res.status(401).json({ error: 'Session has been revoked', code: 'SESSION_REVOKED' });
+      }
+      req.user = { ...user, impersonatorId: session.impersonator_id };
+      next();
+    } catch (error) {
+      console.error('Session check error:', error);
+      res.status(500).json({ error: 'Authentication failed' });
+    }
   });
 };
 
+// Resolve an API key to its owner and granted permissions
+const authenticateApiKey = async (key, req, res, next) => {
+  try {
+    const result = await query(
+      `SELECT k.id, k.user_id, k.permissions, k.expires_at, u.email, u.is_active AS user_active
+       FROM api_keys k JOIN users u ON u.id = k.user_id
+       WHERE k.key_hash = $1 AND k.is_active = true`,
+      [hashToken(key)]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+
+    const apiKey = result.rows[0];
+
+    if (apiKey.expires_at && new Date(apiKey.expires_at) <= new Date()) {
+      return res.status(401).json({ error: 'API key has expired' });
+    }
+
+    if (!apiKey.user_active) {
+      return res.status(401).json({ error: 'Account is disabled' });
+    }
+
+    await query(
+      'UPDATE api_keys SET last_used = CURRENT_TIMESTAMP WHERE id = $1',
+      [apiKey.id]
+    );
+
+    req.user = {
+      userId: apiKey.user_id,
+      email: apiKey.email,
+      apiKeyId: apiKey.id,
+      permissions: apiKey.permissions || {}
+    };
+    next();
+  } catch (error) {
+    console.error('API key authentication error:', error);
+    res.status(500).json({ error: 'Authentication failed' });
+  }
+};
+
+// Enforce API key scopes, e.g. {"domains": ["read", "write"]}.
+// Reads need "read", everything else needs "write". readPaths lists POST
+// endpoints (relative to the router) that only read, such as queries too
+// large for a URL. JWT sessions are not scoped.
+const requireScope = (resource, { readPaths = [] } = {}) => (req, res, next) => {
+  if (!req.user.apiKeyId) {
+    return next();
+  }
+
+  const reads = ['GET', 'HEAD', 'OPTIONS'].includes(req.method) || (req.method === 'POST' && readPaths.includes(req.path));
+  const action = reads ? 'read' : 'write';
+  const granted = req.user.permissions[resource] || [];
+
+  if (!granted.includes(action)) {
+    return res.status(403).json({ error: `API key lacks ${resource}:${action} permission` });
+  }
+
+  next();
+};
+
+// Keep credential management out of reach of API keys
+const denyApiKeys = (req, res, next) => {
+  if (req.user.apiKeyId) {
+    return res.status(403).json({ error: 'This endpoint cannot be used with an API key' });
+  }
+  next();
+};
+
+// Credentials, 2FA and the account itself stay with their owner: an
+// administrator impersonating a user cannot change them or mint API keys
+const denyImpersonation = (req, res, next) => {
+  if (req.user.impersonatorId) {
+    return res.status(403).json({ error: 'This action is not available while impersonating a user' });
+  }
+  next();
+};
+
+// Only administrators; the role is read from the database on every request.
+// While impersonating, an admin acts with the target user's role, so admin
+// routes also deny impersonated sessions outright.
+const requireAdmin = async (req, res, next) => {
+  try {
+    const result = await query(
+      'SELECT role FROM users WHERE id = $1',
+      [req.user.userId]
+    );
+
+    if (result.rows.length === 0 || result.rows[0].role !== 'admin') {
+      return res.status(403).json({ error: 'Administrator access required' });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Admin check error:', error);
+    res.status(500).json({ error: 'Failed to check permissions' });
+  }
+};
+
+// Limit unverified accounts to read-only use until they confirm their email
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    const result = await query(
+      'SELECT email_verified FROM users WHERE id = $1',
+      [req.user.userId]
+    );
+
+    if (result.rows.length === 0 || !result.rows[0].email_verified) {
+      return res.status(403).json({
+        error: 'Please verify your email address first',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Email verification check error:', error);
+    res.status(500).json({ error: 'Failed to check email verification' });
+  }
+};
+
 // Get current user info
-router.get('/me', authenticateToken, async (req, res) => {
+router.get('/me', authenticateToken, requireScope('account'), async (req, res) => {
   try {
     const result = await query(
       `SELECT id, email, first_name, last_name, plan_type, storage_quota, 
-              domain_quota, created_at, last_login 
+              domain_quota, created_at, last_login, email_verified, role 
        FROM users WHERE id = $1`,
       [req.user.userId]
     );
@@ -170,7 +400,7 @@ router.get('/me', authenticateToken, async (req, res) => {
     // Get user's statistics
     const statsResult = await query(
       `SELECT 
-         (SELECT COUNT(*) FROM domains WHERE user_id = $1) as domains_count,
+         (SELECT COUNT(*) FROM domains WHERE user_id = $1 AND deleted_at IS NULL) as domains_count,
          (SELECT COUNT(*) FROM websites WHERE user_id = $1) as websites_count,
          (SELECT COALESCE(SUM(file_size), 0) FROM files WHERE user_id = $1) as storage_used`,
       [req.user.userId]
@@ -188,7 +418,10 @@ router.get('/me', authenticateToken, async (req, res) => {
         storageQuota: user.storage_quota,
         domainQuota: user.domain_quota,
         createdAt: user.created_at,
-        lastLogin: user.last_login
+        lastLogin: user.last_login,
+        emailVerified: user.email_verified,
+        role: user.role,
+        impersonatedBy: req.user.impersonatorId || null
       },
       stats: {
         domainsCount: parseInt(stats.domains_count),
@@ -202,9 +435,288 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
-// Logout (invalidate token on client side)
-router.post('/logout', authenticateToken, (req, res) => {
-  res.json({ message: 'Logout successful' });
+// List the signed-in devices of the current user
+router.get('/sessions', authenticateToken, denyApiKeys, async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT id, ip_address, user_agent, created_at, last_accessed, expires_at
+       FROM sessions WHERE user_id = $1 AND expires_at > CURRENT_TIMESTAMP
+       ORDER BY last_accessed DESC`,
+      [req.user.userId]
+    );
+
+    res.json({
+      sessions: result.rows.map(session => ({
+        id: session.id,
+        ipAddress: session.ip_address,
+        userAgent: session.user_agent,
+        createdAt: session.created_at,
+        lastAccessed: session.last_accessed,
+        expiresAt: session.expires_at,
+        current: session.id === req.user.sid
+      })),
+      count: result.rows.length
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+// Sign out a single device
+router.delete('/sessions/:id', authenticateToken, denyApiKeys, async (req, res) => {
+  try {
+    const result = await query(
+      'DELETE FROM sessions WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.id, req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'auth.session_revoked',
+      resourceType: 'session',
+      resourceId: req.params.id
+    });
+
+    res.json({
+      message: 'Session revoked successfully',
+      current: req.params.id === req.user.sid
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+// Recent sign-in attempts against the current account
+router.get('/login-attempts', authenticateToken, denyApiKeys, async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT id, ip_address, user_agent, success, reason, created_at
+       FROM login_attempts WHERE user_id = $1
+       ORDER BY created_at DESC LIMIT 50`,
+      [req.user.userId]
+    );
+
+    res.json({
+      attempts: result.rows
+    });
+  } catch (error) {
+    console.error('Get login attempts error:', error);
+    res.status(500).json({ error: 'Failed to fetch login attempts' });
+  }
+});
+
+// Request a password reset link. Always answers the same way so the
+// endpoint cannot be used to find out which emails have accounts.
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await query(
+      'SELECT id, email FROM users WHERE email = $1 AND is_active = true',
+      [req.body.email]
+    );
+
+    // Accounts that must use SSO have no password to reset
+    if (result.rows.length > 0 && !requiresSso(result.rows[0].email)) {
+      const user = result.rows[0];
+      try {
+        const token = await createUserToken(user.id, 'password_reset', PASSWORD_RESET_TTL_MINUTES);
+        await sendPasswordResetEmail(user.email, token);
+        await recordAudit(req, { action: 'auth.password_reset_requested', accountId: user.id });
+      } catch (error) {
+        console.error('Send password reset email error:', error);
+      }
+    }
+
+    res.json({
+      message: 'If an account exists for that email, a reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to request password reset' });
+  }
+});
+
+// Set a new password using an emailed reset token
+router.post('/reset-password', [
+  body('token').notEmpty(),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = await consumeUserToken(req.body.token, 'password_reset');
+
+    if (!userId) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    }
+
+    const saltRounds = 12;
+    const passwordHash = await bcrypt.hash(req.body.password, saltRounds);
+
+    // Receiving the link proves ownership of the address as well
+    await query(
+      `UPDATE users SET password_hash = $1, email_verified = true, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [passwordHash, userId]
+    );
+
+    // Whoever knew the old password is signed out everywhere
+    await revokeUserSessions(userId);
+
+    await recordAudit(req, {
+      action: 'auth.password_reset',
+      accountId: userId,
+      actorId: userId,
+      resourceType: 'user',
+      resourceId: userId
+    });
+
+    res.json({
+      message: 'Password has been reset. Please sign in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// Confirm an email address
+router.post('/verify-email', [
+  body('token').notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = await consumeUserToken(req.body.token, 'verify_email');
+
+    if (!userId) {
+      return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+    }
+
+    await query(
+      'UPDATE users SET email_verified = true WHERE id = $1',
+      [userId]
+    );
+
+    await recordAudit(req, {
+      action: 'auth.email_verified',
+      accountId: userId,
+      actorId: userId,
+      resourceType: 'user',
+      resourceId: userId
+    });
+
+    res.json({
+      message: 'Email address verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+// Send another verification link
+router.post('/resend-verification', authenticateToken, denyApiKeys, async (req, res) => {
+  try {
+    const result = await query(
+      'SELECT id, email, email_verified FROM users WHERE id = $1',
+      [req.user.userId]
+    );
+
+    const user = result.rows[0];
+
+    if (user.email_verified) {
+      return res.status(400).json({ error: 'Email address is already verified' });
+    }
+
+    await startEmailVerification(user.id, user.email);
+
+    res.json({
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', [
+  body('refreshToken').notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await rotateSession(req.body.refreshToken, req);
+
+    if (result.error) {
+      return res.status(401).json({ error: result.error });
+    }
+
+    res.json({
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Failed to refresh session' });
+  }
+});
+
+// Logout: revoke the current session
+router.post('/logout', authenticateToken, denyApiKeys, async (req, res) => {
+  try {
+    await revokeSession(req.user.sid);
+    await recordAudit(req, { action: 'auth.logout', resourceType: 'session', resourceId: req.user.sid });
+    res.json({ message: 'Logout successful' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// Logout everywhere: revoke every session of the user
+router.post('/logout-all', authenticateToken, denyApiKeys, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.userId);
+    await recordAudit(req, { action: 'auth.logout_all', metadata: { revoked } });
+    res.json({ message: 'Logged out of all sessions', revoked });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
 });
 
-module.exports = { router, authenticateToken };
\ No newline at end of file
+module.exports = {
+  router,
+  authenticateToken,
+  requireScope,
+  denyApiKeys,
+  denyImpersonation,
+  requireVerifiedEmail,
+  requireAdmin,
+  startEmailVerification,
+  completeLogin,
+  twoFactorChallenge,
+  API_KEY_PREFIX
+};
\ No newline at end of file
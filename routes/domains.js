@@ -1,21 +1,68 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query: check, validationResult } = require('express-validator');
 const { v4: uuidv4 } = require('uuid');
 const { query } = require('../config/database');
-const { authenticateToken } = require('./auth');
+const { authenticateToken, requireScope, requireVerifiedEmail } = require('./auth');
+const { recordAudit } = require('../services/audit');
+const {
+  hasRole,
+  resolveWorkspace,
+  requireWorkspaceRole,
+  workspaceCondition,
+  findAccessible,
+  getWorkspaceUsage
+} = require('../services/organizations');
+const { RETENTION_DAYS, purgeAt, purgeDomains } = require('../services/trash');
+const { expectedRecords, verifyDomain, describeFailures } = require('../services/domainVerification');
+const acme = require('../services/acme');
+const { TERM_DAYS } = require('../services/domainJobs');
+const {
+  CHALLENGE_TYPES,
+  splitChain,
+  requestCertificate,
+  revokeDomainCertificate,
+  pendingChallengeRecords
+} = require('../services/certificates');
+const { RECORD_TYPES } = require('../services/zoneFile');
+const {
+  MIN_TTL,
+  MAX_TTL,
+  formatRecord,
+  listRecords,
+  createRecord,
+  updateRecord,
+  deleteRecord,
+  importZone,
+  exportDomainZone
+} = require('../services/dnsRecords');
+const { contentDisposition } = require('../services/fileResponses');
+const dnsServer = require('../services/dnsServer');
 const router = express.Router();
 
 // Apply authentication middleware to all routes
 router.use(authenticateToken);
+router.use(requireScope('domains'));
+router.use(resolveWorkspace);
 
-// Get all domains for the authenticated user
+const forbidden = (res) => res.status(403).json({ error: 'Your role does not allow changing this domain' });
+
+const inWorkspace = (domain, workspace) => (workspace.organizationId
+  ? domain.organization_id === workspace.organizationId
+  : !domain.organization_id && domain.user_id === workspace.userId);
+
+// Never the certificate's private key
+const DOMAIN_COLUMNS = `d.id, d.domain_name, d.status, d.ssl_status, d.ssl_expires_at, d.ssl_error, d.created_at,
+                        d.updated_at, d.expires_at, d.auto_renew, d.last_verified, d.last_checked_at, d.organization_id`;
+
+// Get all domains in the current workspace
 router.get('/', async (req, res) => {
   try {
+    const params = [];
     const result = await query(
-      `SELECT id, domain_name, status, ssl_status, created_at, updated_at, 
-              expires_at, auto_renew, last_verified 
-       FROM domains WHERE user_id = $1 ORDER BY created_at DESC`,
-      [req.user.userId]
+      `SELECT ${DOMAIN_COLUMNS}
+       FROM domains d WHERE ${workspaceCondition('d', req.workspace, params)} AND d.deleted_at IS NULL
+       ORDER BY d.created_at DESC`,
+      params
     );
 
     res.json({
@@ -29,7 +76,7 @@ router.get('/', async (req, res) => {
 });
 
 // Add a new domain
-router.post('/', [
+router.post('/', requireVerifiedEmail, requireWorkspaceRole('developer'), [
   body('domainName').isFQDN().withMessage('Must be a valid domain name'),
   body('autoRenew').optional().isBoolean()
 ], async (req, res) => {
@@ -41,58 +88,52 @@ router.post('/', [
 
     const { domainName, autoRenew = false } = req.body;
 
-    // Check user's domain quota
-    const userResult = await query(
-      'SELECT domain_quota, (SELECT COUNT(*) FROM domains WHERE user_id = $1) as current_count FROM users WHERE id = $2',
-      [req.user.userId, req.user.userId]
-    );
-
-    const user = userResult.rows[0];
-    if (user.current_count >= user.domain_quota) {
+    // Check the workspace's domain quota
+    const usage = await getWorkspaceUsage(req.workspace);
+    if (usage.domainsCount >= usage.domainQuota) {
       return res.status(400).json({ error: 'Domain quota exceeded' });
     }
 
-    // Check if domain already exists
+    // Check if domain already exists. A trashed domain keeps its name until
+    // it is purged.
     const existingDomain = await query(
-      'SELECT id FROM domains WHERE domain_name = $1',
+      'SELECT id, deleted_at FROM domains WHERE domain_name = $1',
       [domainName]
     );
 
     if (existingDomain.rows.length > 0) {
+      const existing = existingDomain.rows[0];
+      if (existing.deleted_at && (await findAccessible('domains', existing.id, req.user.userId, { trashed: true }))) {
+        return res.status(400).json({ error: 'Domain is in the trash; restore it or delete it permanently first' });
+      }
       return res.status(400).json({ error: 'Domain already exists' });
     }
 
+    // Names inside a zone the DNS server hosts for another workspace belong to
+    // that zone's owner
+    const zone = await dnsServer.findZone(domainName.toLowerCase());
+    if (zone && !inWorkspace(zone, req.workspace)) {
+      return res.status(400).json({ error: `Domain is part of ${zone.domain_name}, which belongs to another account` });
+    }
+
     // Generate verification token
     const verificationToken = uuidv4();
 
     // Create domain record
     const result = await query(
-      `INSERT INTO domains (user_id, domain_name, verification_token, auto_renew) 
-       VALUES ($1, $2, $3, $4) RETURNING id, domain_name, status, verification_token`,
-      [req.user.userId, domainName, verificationToken, autoRenew]
+      `INSERT INTO domains (user_id, organization_id, domain_name, verification_token, auto_renew)
+       VALUES ($1, $2, $3, $4, $5) RETURNING id, domain_name, status, verification_token, organization_id`,
+      [req.user.userId, req.workspace.organizationId, domainName, verificationToken, autoRenew]
     );
 
     const domain = result.rows[0];
 
-    // Generate DNS configuration
-    const dnsRecords = {
-      cname: {
-        name: domainName,
-        value: `${process.env.RENDER_EXTERNAL_HOSTNAME || 'your-service.onrender.com'}`,
-        ttl: 300
-      },
-      verification: {
-        name: `_acme-challenge.${domainName}`,
-        value: `${domain.id}.verify.renderdns.com`,
-        ttl: 300
-      }
-    };
-
-    // Update DNS records
-    await query(
-      'UPDATE domains SET dns_records = $1 WHERE id = $2',
-      [JSON.stringify(dnsRecords), domain.id]
-    );
+    await recordAudit(req, {
+      action: 'domain.created',
+      resourceType: 'domain',
+      resourceId: domain.id,
+      after: { domainName: domain.domain_name, status: domain.status, autoRenew }
+    });
 
     res.status(201).json({
       message: 'Domain added successfully',
@@ -101,8 +142,9 @@ router.post('/', [
         domainName: domain.domain_name,
         status: domain.status,
         verificationToken: domain.verification_token,
-        dnsRecords: dnsRecords,
-        autoRenew: autoRenew
+        dnsRecords: expectedRecords(domain),
+        autoRenew: autoRenew,
+        organizationId: domain.organization_id
       }
     });
   } catch (error) {
@@ -111,33 +153,55 @@ router.post('/', [
   }
 });
 
-// Get domain details
-router.get('/:id', async (req, res) => {
+// Domains in the workspace's trash, most recently deleted first
+router.get('/trash', async (req, res) => {
   try {
+    const params = [];
     const result = await query(
-      `SELECT * FROM domains WHERE id = $1 AND user_id = $2`,
-      [req.params.id, req.user.userId]
+      `SELECT d.id, d.domain_name, d.status, d.organization_id, d.created_at, d.deleted_at, d.deleted_by
+       FROM domains d
+       WHERE ${workspaceCondition('d', req.workspace, params)} AND d.deleted_at IS NOT NULL
+       ORDER BY d.deleted_at DESC`,
+      params
     );
 
-    if (result.rows.length === 0) {
+    res.json({
+      domains: result.rows.map(domain => ({ ...domain, purge_at: purgeAt(domain.deleted_at) })),
+      retentionDays: RETENTION_DAYS
+    });
+  } catch (error) {
+    console.error('Get domain trash error:', error);
+    res.status(500).json({ error: 'Failed to fetch trash' });
+  }
+});
+
+// Get domain details
+router.get('/:id', async (req, res) => {
+  try {
+    const domain = await findAccessible('domains', req.params.id, req.user.userId);
+
+    if (!domain) {
       return res.status(404).json({ error: 'Domain not found' });
     }
 
-    const domain = result.rows[0];
-
     res.json({
       domain: {
         id: domain.id,
         domainName: domain.domain_name,
         status: domain.status,
         sslStatus: domain.ssl_status,
-        dnsRecords: domain.dns_records,
+        sslExpiresAt: domain.ssl_expires_at,
+        sslError: domain.ssl_error,
+        dnsRecords: expectedRecords(domain),
         verificationToken: domain.verification_token,
         expiresAt: domain.expires_at,
         autoRenew: domain.auto_renew,
         createdAt: domain.created_at,
         updatedAt: domain.updated_at,
-        lastVerified: domain.last_verified
+        lastVerified: domain.last_verified,
+        lastCheckedAt: domain.last_checked_at,
+        organizationId: domain.organization_id,
+        role: domain.access_role
       }
     });
   } catch (error) {
@@ -149,41 +213,65 @@ router.get('/:id', async (req, res) => {
 // Verify domain
 router.post('/:id/verify', async (req, res) => {
   try {
-    const result = await query(
-      `SELECT id, domain_name, verification_token, status FROM domains 
-       WHERE id = $1 AND user_id = $2`,
-      [req.params.id, req.user.userId]
-    );
+    const domain = await findAccessible('domains', req.params.id, req.user.userId);
 
-    if (result.rows.length === 0) {
+    if (!domain) {
       return res.status(404).json({ error: 'Domain not found' });
     }
 
-    const domain = result.rows[0];
+    if (!hasRole(domain.access_role, 'developer')) {
+      return forbidden(res);
+    }
 
-    // In a real implementation, you would check DNS records here
-    // For now, we'll simulate verification
-    const isVerified = Math.random() > 0.3; // Simulate 70% success rate
-
-    if (isVerified) {
-      await query(
-        `UPDATE domains SET status = 'active', ssl_status = 'active', 
-                last_verified = CURRENT_TIMESTAMP WHERE id = $1`,
-        [domain.id]
-      );
-
-      res.json({
-        message: 'Domain verified successfully',
-        status: 'active',
-        sslStatus: 'active'
-      });
-    } else {
-      res.status(400).json({
+    if (domain.status === 'expired') {
+      return res.status(400).json({ error: 'Domain has expired; turn on auto-renew to renew it' });
+    }
+
+    const { verified, checks } = await verifyDomain(domain);
+
+    if (!verified) {
+      return res.status(400).json({
         error: 'Domain verification failed',
-        message: 'DNS records not configured correctly',
-        dnsRecords: domain.dns_records
+        message: describeFailures(checks).join('; '),
+        checks,
+        dnsRecords: expectedRecords(domain)
       });
     }
+
+    // The domain's term starts with its first verification
+    const verifiedDomain = await query(
+      `UPDATE domains SET status = 'active', last_verified = CURRENT_TIMESTAMP, last_checked_at = CURRENT_TIMESTAMP,
+              expires_at = COALESCE(expires_at, CURRENT_TIMESTAMP + make_interval(days => $2))
+       WHERE id = $1 RETURNING expires_at`,
+      [domain.id, TERM_DAYS]
+    );
+
+    // The first certificate is requested as soon as the domain is verified
+    let sslStatus = domain.ssl_status;
+    if (acme.isEnabled() && !domain.ssl_certificate && domain.ssl_status !== 'issuing') {
+      const claimed = await requestCertificate(domain.id);
+      if (claimed) {
+        sslStatus = claimed.ssl_status;
+      }
+    }
+
+    await recordAudit(req, {
+      action: 'domain.verified',
+      organizationId: domain.organization_id,
+      resourceType: 'domain',
+      resourceId: domain.id,
+      before: { status: domain.status },
+      after: { status: 'active', sslStatus },
+      metadata: { checks: checks.map(check => ({ type: check.type, name: check.name, found: check.found })) }
+    });
+
+    res.json({
+      message: 'Domain verified successfully',
+      status: 'active',
+      sslStatus,
+      expiresAt: verifiedDomain.rows[0].expires_at,
+      checks
+    });
   } catch (error) {
     console.error('Verify domain error:', error);
     res.status(500).json({ error: 'Failed to verify domain' });
@@ -202,16 +290,31 @@ router.put('/:id', [
 
     const { autoRenew } = req.body;
 
-    const result = await query(
-      `UPDATE domains SET auto_renew = $1, updated_at = CURRENT_TIMESTAMP 
-       WHERE id = $2 AND user_id = $3 RETURNING *`,
-      [autoRenew, req.params.id, req.user.userId]
-    );
+    const domain = await findAccessible('domains', req.params.id, req.user.userId);
 
-    if (result.rows.length === 0) {
+    if (!domain) {
       return res.status(404).json({ error: 'Domain not found' });
     }
 
+    if (!hasRole(domain.access_role, 'developer')) {
+      return forbidden(res);
+    }
+
+    const result = await query(
+      `UPDATE domains d SET auto_renew = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 RETURNING ${DOMAIN_COLUMNS}`,
+      [autoRenew, domain.id]
+    );
+
+    await recordAudit(req, {
+      action: 'domain.updated',
+      organizationId: domain.organization_id,
+      resourceType: 'domain',
+      resourceId: domain.id,
+      before: { autoRenew: domain.auto_renew },
+      after: { autoRenew: result.rows[0].auto_renew }
+    });
+
     res.json({
       message: 'Domain updated successfully',
       domain: result.rows[0]
@@ -222,20 +325,36 @@ router.put('/:id', [
   }
 });
 
-// Delete domain
+// Move a domain to the trash; it is purged after the retention period
 router.delete('/:id', async (req, res) => {
   try {
-    const result = await query(
-      'DELETE FROM domains WHERE id = $1 AND user_id = $2 RETURNING id',
-      [req.params.id, req.user.userId]
-    );
+    const domain = await findAccessible('domains', req.params.id, req.user.userId);
 
-    if (result.rows.length === 0) {
+    if (!domain) {
       return res.status(404).json({ error: 'Domain not found' });
     }
 
+    if (!hasRole(domain.access_role, 'developer')) {
+      return forbidden(res);
+    }
+
+    const result = await query(
+      `UPDATE domains SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2
+       WHERE id = $1 RETURNING deleted_at`,
+      [domain.id, req.user.userId]
+    );
+
+    await recordAudit(req, {
+      action: 'domain.trashed',
+      organizationId: domain.organization_id,
+      resourceType: 'domain',
+      resourceId: domain.id,
+      before: { domainName: domain.domain_name, status: domain.status }
+    });
+
     res.json({
-      message: 'Domain deleted successfully'
+      message: 'Domain moved to trash',
+      purgeAt: purgeAt(result.rows[0].deleted_at)
     });
   } catch (error) {
     console.error('Delete domain error:', error);
@@ -243,41 +362,99 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-// Get DNS configuration for a domain
-router.get('/:id/dns', async (req, res) => {
+// Put a trashed domain back, if the workspace's domain quota allows it
+router.post('/:id/restore', async (req, res) => {
   try {
+    const domain = await findAccessible('domains', req.params.id, req.user.userId, { trashed: true });
+
+    if (!domain) {
+      return res.status(404).json({ error: 'Domain not found in trash' });
+    }
+
+    if (!hasRole(domain.access_role, 'developer')) {
+      return forbidden(res);
+    }
+
+    const usage = await getWorkspaceUsage({ organizationId: domain.organization_id, userId: domain.user_id });
+    if (usage.domainsCount >= usage.domainQuota) {
+      return res.status(400).json({ error: 'Domain quota exceeded' });
+    }
+
     const result = await query(
-      `SELECT domain_name, dns_records, status FROM domains 
-       WHERE id = $1 AND user_id = $2`,
-      [req.params.id, req.user.userId]
+      `UPDATE domains d SET deleted_at = NULL, deleted_by = NULL WHERE id = $1 RETURNING ${DOMAIN_COLUMNS}`,
+      [domain.id]
     );
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Domain not found' });
+    await recordAudit(req, {
+      action: 'domain.restored',
+      organizationId: domain.organization_id,
+      resourceType: 'domain',
+      resourceId: domain.id,
+      after: { domainName: domain.domain_name, status: domain.status }
+    });
+
+    res.json({
+      message: 'Domain restored successfully',
+      domain: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Restore domain error:', error);
+    res.status(500).json({ error: 'Failed to restore domain' });
+  }
+});
+
+// Delete a trashed domain for good
+router.delete('/:id/permanent', async (req, res) => {
+  try {
+    const domain = await findAccessible('domains', req.params.id, req.user.userId, { trashed: true });
+
+    if (!domain) {
+      return res.status(404).json({ error: 'Domain not found in trash' });
     }
 
-    const domain = result.rows[0];
+    if (!hasRole(domain.access_role, 'developer')) {
+      return forbidden(res);
+    }
+
+    await purgeDomains([domain.id]);
+
+    await recordAudit(req, {
+      action: 'domain.deleted',
+      organizationId: domain.organization_id,
+      resourceType: 'domain',
+      resourceId: domain.id,
+      before: { domainName: domain.domain_name, status: domain.status }
+    });
+
+    res.json({
+      message: 'Domain deleted permanently'
+    });
+  } catch (error) {
+    console.error('Permanently delete domain error:', error);
+    res.status(500).json({ error: 'Failed to delete domain' });
+  }
+});
+
+// Get DNS configuration for a domain: its zone's records, the records
+// verification looks for and, with the built-in DNS server, the name servers
+// to delegate the domain to
+router.get('/:id/dns', async (req, res) => {
+  try {
+    const domain = await findAccessible('domains', req.params.id, req.user.userId);
+
+    if (!domain) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
 
     res.json({
       domainName: domain.domain_name,
       status: domain.status,
-      dnsRecords: domain.dns_records,
+      dnsRecords: (await listRecords(domain.id)).map(formatRecord),
+      zoneSerial: Number(domain.zone_serial),
+      nameservers: dnsServer.isEnabled() ? dnsServer.NAMESERVERS : [],
       instructions: {
         provider: 'generic',
-        records: [
-          {
-            type: 'CNAME',
-            name: domain.domain_name,
-            value: process.env.RENDER_EXTERNAL_HOSTNAME || 'your-service.onrender.com',
-            ttl: 300
-          },
-          {
-            type: 'CNAME',
-            name: `_acme-challenge.${domain.domain_name}`,
-            value: `${req.params.id}.verify.renderdns.com`,
-            ttl: 300
-          }
-        ]
+        records: expectedRecords(domain)
       }
     });
   } catch (error) {
@@ -286,4 +463,417 @@ router.get('/:id/dns', async (req, res) => {
   }
 });
 
+const recordValidation = (required) => {
+  const field = (name) => (required ? body(name) : body(name).optional());
+  return [
+    field('name').isString().isLength({ max: 253 }),
+    field('content').isString().trim().notEmpty(),
+    body('ttl').optional().isInt({ min: MIN_TTL, max: MAX_TTL })
+  ];
+};
+
+const recordInput = (reqBody) => ({
+  name: reqBody.name,
+  type: reqBody.type,
+  ttl: reqBody.ttl === undefined ? undefined : parseInt(reqBody.ttl),
+  content: reqBody.content
+});
+
+// Records of the domain's DNS zone
+router.get('/:id/records', async (req, res) => {
+  try {
+    const domain = await findAccessible('domains', req.params.id, req.user.userId);
+
+    if (!domain) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    const records = await listRecords(domain.id);
+    res.json({
+      domainName: domain.domain_name,
+      records: records.map(formatRecord),
+      count: records.length
+    });
+  } catch (error) {
+    console.error('Get DNS records error:', error);
+    res.status(500).json({ error: 'Failed to fetch DNS records' });
+  }
+});
+
+// Add a record. name is relative to the domain ('@' for the domain itself);
+// content is the record's value in zone file form, e.g. "10 mail.example.com"
+// for MX or `0 issue "letsencrypt.org"` for CAA.
+router.post('/:id/records', [
+  body('type').isIn(RECORD_TYPES),
+  ...recordValidation(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const domain = await findAccessible('domains', req.params.id, req.user.userId);
+
+    if (!domain) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    if (!hasRole(domain.access_role, 'developer')) {
+      return forbidden(res);
+    }
+
+    const result = await createRecord(domain, recordInput(req.body));
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    await recordAudit(req, {
+      action: 'domain.record_created',
+      organizationId: domain.organization_id,
+      resourceType: 'domain',
+      resourceId: domain.id,
+      after: formatRecord(result.record)
+    });
+
+    res.status(201).json({
+      message: 'DNS record added',
+      record: formatRecord(result.record)
+    });
+  } catch (error) {
+    console.error('Add DNS record error:', error);
+    res.status(500).json({ error: 'Failed to add DNS record' });
+  }
+});
+
+// Change a record's name, content or TTL
+router.put('/:id/records/:recordId', recordValidation(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const domain = await findAccessible('domains', req.params.id, req.user.userId);
+
+    if (!domain) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    if (!hasRole(domain.access_role, 'developer')) {
+      return forbidden(res);
+    }
+
+    const result = await updateRecord(domain, req.params.recordId, recordInput(req.body));
+    if (!result) {
+      return res.status(404).json({ error: 'DNS record not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    await recordAudit(req, {
+      action: 'domain.record_updated',
+      organizationId: domain.organization_id,
+      resourceType: 'domain',
+      resourceId: domain.id,
+      before: formatRecord(result.before),
+      after: formatRecord(result.record)
+    });
+
+    res.json({
+      message: 'DNS record updated',
+      record: formatRecord(result.record)
+    });
+  } catch (error) {
+    console.error('Update DNS record error:', error);
+    res.status(500).json({ error: 'Failed to update DNS record' });
+  }
+});
+
+router.delete('/:id/records/:recordId', async (req, res) => {
+  try {
+    const domain = await findAccessible('domains', req.params.id, req.user.userId);
+
+    if (!domain) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    if (!hasRole(domain.access_role, 'developer')) {
+      return forbidden(res);
+    }
+
+    const record = await deleteRecord(domain, req.params.recordId);
+    if (!record) {
+      return res.status(404).json({ error: 'DNS record not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'domain.record_deleted',
+      organizationId: domain.organization_id,
+      resourceType: 'domain',
+      resourceId: domain.id,
+      before: formatRecord(record)
+    });
+
+    res.json({ message: 'DNS record deleted' });
+  } catch (error) {
+    console.error('Delete DNS record error:', error);
+    res.status(500).json({ error: 'Failed to delete DNS record' });
+  }
+});
+
+// The zone as a BIND zone file
+router.get('/:id/zone', async (req, res) => {
+  try {
+    const domain = await findAccessible('domains', req.params.id, req.user.userId);
+
+    if (!domain) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    res.set({
+      'Content-Type': 'text/plain; charset=utf-8',
+      'Content-Disposition': contentDisposition('attachment', `${domain.domain_name}.zone`)
+    });
+    res.send(await exportDomainZone(domain));
+  } catch (error) {
+    console.error('Export zone error:', error);
+    res.status(500).json({ error: 'Failed to export zone' });
+  }
+});
+
+// Import records from a BIND zone file. Nothing is imported when any line is
+// invalid; SOA and apex NS records are skipped. With replace=true the zone's
+// current records are removed first.
+router.post('/:id/zone', [
+  body('zone').isString().notEmpty(),
+  body('replace').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const domain = await findAccessible('domains', req.params.id, req.user.userId);
+
+    if (!domain) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    if (!hasRole(domain.access_role, 'developer')) {
+      return forbidden(res);
+    }
+
+    const replace = req.body.replace === true || req.body.replace === 'true';
+    const result = await importZone(domain, req.body.zone, { replace });
+    if (result.error) {
+      return res.status(400).json(result);
+    }
+
+    await recordAudit(req, {
+      action: 'domain.zone_imported',
+      organizationId: domain.organization_id,
+      resourceType: 'domain',
+      resourceId: domain.id,
+      metadata: { replace, created: result.created, deleted: result.deleted, skipped: result.skipped.length }
+    });
+
+    res.json({
+      message: `Imported ${result.created} records`,
+      ...result
+    });
+  } catch (error) {
+    console.error('Import zone error:', error);
+    res.status(500).json({ error: 'Failed to import zone' });
+  }
+});
+
+// Certificate state of a domain, with the TXT records a dns-01 issuance in
+// progress is waiting for
+router.get('/:id/certificate', async (req, res) => {
+  try {
+    const domain = await findAccessible('domains', req.params.id, req.user.userId);
+
+    if (!domain) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    res.json({
+      domainName: domain.domain_name,
+      sslStatus: domain.ssl_status,
+      challengeType: domain.ssl_challenge,
+      serialNumber: domain.ssl_serial,
+      issuer: domain.ssl_issuer,
+      issuedAt: domain.ssl_issued_at,
+      expiresAt: domain.ssl_expires_at,
+      error: domain.ssl_error,
+      lastAttemptAt: domain.ssl_attempted_at,
+      certificateChain: domain.ssl_certificate ? splitChain(domain.ssl_certificate) : [],
+      pendingRecords: domain.ssl_status === 'issuing' ? await pendingChallengeRecords(domain.id) : [],
+      issuanceEnabled: acme.isEnabled()
+    });
+  } catch (error) {
+    console.error('Get certificate error:', error);
+    res.status(500).json({ error: 'Failed to get certificate' });
+  }
+});
+
+// Request a new certificate (or renew the current one early)
+router.post('/:id/certificate', [
+  body('challenge').optional().isIn(CHALLENGE_TYPES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const challenge = req.body.challenge || 'http-01';
+
+    if (!acme.isEnabled()) {
+      return res.status(404).json({ error: 'Certificate issuance is not configured' });
+    }
+
+    const domain = await findAccessible('domains', req.params.id, req.user.userId);
+
+    if (!domain) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    if (!hasRole(domain.access_role, 'developer')) {
+      return forbidden(res);
+    }
+
+    if (domain.status !== 'active') {
+      return res.status(400).json({ error: 'Verify the domain before requesting a certificate' });
+    }
+
+    const claimed = await requestCertificate(domain.id, challenge);
+    if (!claimed) {
+      return res.status(409).json({ error: 'A certificate is already being issued for this domain' });
+    }
+
+    await recordAudit(req, {
+      action: 'domain.certificate_requested',
+      organizationId: domain.organization_id,
+      resourceType: 'domain',
+      resourceId: domain.id,
+      metadata: { challenge, previousSerial: domain.ssl_serial }
+    });
+
+    res.status(202).json({
+      message: 'Certificate requested',
+      sslStatus: claimed.ssl_status,
+      challengeType: challenge
+    });
+  } catch (error) {
+    console.error('Request certificate error:', error);
+    res.status(500).json({ error: 'Failed to request certificate' });
+  }
+});
+
+// Revoke the domain's certificate. `reason` is an RFC 5280 reason code
+// (0 unspecified, 1 key compromise, 4 superseded, 5 cessation of operation).
+router.delete('/:id/certificate', [
+  body('reason').optional().isIn([0, 1, 3, 4, 5])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!acme.isEnabled()) {
+      return res.status(404).json({ error: 'Certificate issuance is not configured' });
+    }
+
+    const domain = await findAccessible('domains', req.params.id, req.user.userId);
+
+    if (!domain) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    if (!hasRole(domain.access_role, 'developer')) {
+      return forbidden(res);
+    }
+
+    if (!domain.ssl_certificate) {
+      return res.status(404).json({ error: 'Domain has no certificate' });
+    }
+
+    if (domain.ssl_status === 'issuing') {
+      return res.status(409).json({ error: 'A certificate is being issued for this domain' });
+    }
+
+    const reason = parseInt(req.body.reason) || 0;
+    try {
+      await revokeDomainCertificate(domain, reason);
+    } catch (error) {
+      return res.status(400).json({ error: 'The certificate authority refused the revocation', message: error.message });
+    }
+
+    await recordAudit(req, {
+      action: 'domain.certificate_revoked',
+      organizationId: domain.organization_id,
+      resourceType: 'domain',
+      resourceId: domain.id,
+      before: { sslStatus: domain.ssl_status, serialNumber: domain.ssl_serial },
+      after: { sslStatus: 'revoked' },
+      metadata: { reason }
+    });
+
+    res.json({ message: 'Certificate revoked', sslStatus: 'revoked' });
+  } catch (error) {
+    console.error('Revoke certificate error:', error);
+    res.status(500).json({ error: 'Failed to revoke certificate' });
+  }
+});
+
+// What background jobs (re-verification, expiry, renewals) did to a domain,
+// newest first
+router.get('/:id/jobs', [
+  check('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const domain = await findAccessible('domains', req.params.id, req.user.userId);
+
+    if (!domain) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    const result = await query(
+      `SELECT id, job_name, outcome, message, details, created_at FROM domain_job_events
+       WHERE domain_id = $1 ORDER BY created_at DESC LIMIT $2`,
+      [domain.id, parseInt(req.query.limit) || 50]
+    );
+
+    res.json({
+      domainName: domain.domain_name,
+      status: domain.status,
+      expiresAt: domain.expires_at,
+      autoRenew: domain.auto_renew,
+      lastVerified: domain.last_verified,
+      lastCheckedAt: domain.last_checked_at,
+      events: result.rows.map(event => ({
+        id: event.id,
+        job: event.job_name,
+        outcome: event.outcome,
+        message: event.message,
+        details: event.details,
+        createdAt: event.created_at
+      }))
+    });
+  } catch (error) {
+    console.error('Get domain jobs error:', error);
+    res.status(500).json({ error: 'Failed to get domain jobs' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
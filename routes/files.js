@@ -2,22 +2,98 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
 const { query } = require('../config/database');
-const { authenticateToken } = require('./auth');
+const { authenticateToken, requireScope, requireVerifiedEmail } = require('./auth');
+const { recordAudit } = require('../services/audit');
+const {
+  hasRole,
+  resolveWorkspace,
+  requireWorkspaceRole,
+  workspaceCondition,
+  findAccessible,
+  getWorkspaceUsage
+} = require('../services/organizations');
+const { sameWorkspace, isValidFolderName, nameTaken } = require('../services/folders');
+const {
+  MAX_UPLOAD_SIZE,
+  isAllowedType,
+  userUploadDir,
+  generateStoredName,
+  removeExpiredUploads
+} = require('../services/uploads');
+const { sendFileResponse, contentDisposition } = require('../services/fileResponses');
+const { formatShareLink } = require('../services/shareLinks');
+const {
+  versionLimit,
+  listVersions,
+  versionsToPrune,
+  replaceContent,
+  restoreVersion
+} = require('../services/fileVersions');
+const { RETENTION_DAYS, purgeAt, purgeFiles } = require('../services/trash');
+const { getDriver, removeStored } = require('../services/storage');
+const {
+  isContentHash,
+  acquireBlob,
+  storeBlob,
+  adoptStored,
+  releaseBlob,
+  findWorkspaceBlob
+} = require('../services/blobs');
+const {
+  MAX_ENTRIES,
+  MAX_DOWNLOAD_SIZE,
+  isZipFile,
+  collectDownload,
+  writeDownload,
+  planExtraction,
+  extractArchive
+} = require('../services/archives');
 const router = express.Router();
 
 // Apply authentication middleware to all routes
 router.use(authenticateToken);
+// A ZIP download only reads, although its selection is POSTed
+router.use(requireScope('files', { readPaths: ['/archive'] }));
+router.use(resolveWorkspace);
 
-// Configure multer for file uploads
+const forbidden = (res) => res.status(403).json({ error: 'Your role does not allow changing this file' });
+
+// A newly created file as the upload endpoints return it
+const formatUploadedFile = (file) => ({
+  id: file.id,
+  originalName: file.original_name,
+  storedName: file.stored_name,
+  fileSize: file.file_size,
+  mimeType: file.mime_type,
+  contentHash: file.content_hash,
+  isPublic: file.is_public,
+  downloadUrl: `/api/files/download/${file.id}`,
+  publicUrl: file.is_public ? `/uploads/${file.user_id}/${file.stored_name}` : null,
+  organizationId: file.organization_id,
+  folderId: file.folder_id,
+  createdAt: file.created_at
+});
+
+// Load the folder a file is being put in, provided it belongs to the same
+// workspace as the file
+const findTargetFolder = async (folderId, file, userId) => {
+  const folder = await findAccessible('folders', folderId, userId);
+  return folder && sameWorkspace(folder, file) ? folder : null;
+};
+
+// Configure multer for file uploads. Files land on local disk first and are
+// then handed to the active storage driver.
 const storage = multer.diskStorage({
   destination: async (req, file, cb) => {
-    const userUploadDir = path.join(process.env.UPLOAD_DIR || './uploads', req.user.userId);
+    const uploadDir = userUploadDir(req.user.userId);
     
     try {
-      await fs.mkdir(userUploadDir, { recursive: true });
-      cb(null, userUploadDir);
+      await fs.mkdir(uploadDir, { recursive: true });
+      cb(null, uploadDir);
     } catch (error) {
       cb(error);
     }
@@ -36,14 +112,7 @@ const upload = multer({
   },
   fileFilter: (req, file, cb) => {
     // Basic file type validation
-    const allowedTypes = [
-      'image/jpeg', 'image/png', 'image/gif', 'image/webp',
-      'text/plain', 'text/html', 'text/css', 'text/javascript',
-      'application/pdf', 'application/json', 'application/xml',
-      'application/zip', 'application/x-zip-compressed'
-    ];
-    
-    if (allowedTypes.includes(file.mimetype) || file.mimetype.startsWith('text/')) {
+    if (isAllowedType(file.mimetype)) {
       cb(null, true);
     } else {
       cb(new Error('File type not allowed'), false);
@@ -51,40 +120,42 @@ const upload = multer({
   }
 });
 
-// Get all files for the authenticated user
+// Get all files in the current workspace, optionally only those directly in
+// one folder (folderId=root for the top level)
 router.get('/', async (req, res) => {
   try {
-    const { page = 1, limit = 20, search = '' } = req.query;
+    const { page = 1, limit = 20, search = '', folderId } = req.query;
     const offset = (page - 1) * limit;
 
-    let queryStr = `
-      SELECT id, original_name, stored_name, file_size, mime_type, 
-             is_public, download_count, created_at 
-      FROM files 
-      WHERE user_id = $1
-    `;
-    let queryParams = [req.user.userId];
+    let countParams = [];
+    let where = `WHERE ${workspaceCondition('f', req.workspace, countParams)} AND f.deleted_at IS NULL`;
 
     if (search) {
-      queryStr += ` AND original_name ILIKE $2`;
-      queryParams.push(`%${search}%`);
+      countParams.push(`%${search}%`);
+      where += ` AND f.original_name ILIKE $${countParams.length}`;
     }
 
-    queryStr += ` ORDER BY created_at DESC LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}`;
-    queryParams.push(limit, offset);
+    if (folderId === 'root') {
+      where += ' AND f.folder_id IS NULL';
+    } else if (folderId) {
+      if (!/^[0-9a-f-]{36}$/i.test(folderId)) {
+        return res.status(400).json({ error: 'Invalid folder id' });
+      }
+      countParams.push(folderId);
+      where += ` AND f.folder_id = $${countParams.length}`;
+    }
 
-    const result = await query(queryStr, queryParams);
+    const queryParams = [...countParams, limit, offset];
+    const result = await query(
+      `SELECT f.id, f.original_name, f.stored_name, f.file_size, f.mime_type, f.content_hash,
+              f.is_public, f.download_count, f.created_at, f.organization_id, f.folder_id
+       FROM files f ${where}
+       ORDER BY f.created_at DESC LIMIT $${queryParams.length - 1} OFFSET $${queryParams.length}`,
+      queryParams
+    );
 
     // Get total count
-    let countQuery = 'SELECT COUNT(*) FROM files WHERE user_id = $1';
-    let countParams = [req.user.userId];
-    
-    if (search) {
-      countQuery += ` AND original_name ILIKE $2`;
-      countParams.push(`%${search}%`);
-    }
-
-    const countResult = await query(countQuery, countParams);
+    const countResult = await query(`SELECT COUNT(*) FROM files f ${where}`, countParams);
     const totalCount = parseInt(countResult.rows[0].count);
 
     res.json({
@@ -102,10 +173,64 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Files in the workspace's trash, most recently deleted first
+router.get('/trash', async (req, res) => {
+  try {
+    const params = [];
+    const result = await query(
+      `SELECT f.id, f.original_name, f.file_size, f.mime_type, f.folder_id, f.organization_id,
+              f.created_at, f.deleted_at, f.deleted_by,
+              (SELECT COALESCE(SUM(v.file_size), 0) FROM file_versions v WHERE v.file_id = f.id) as versions_size
+       FROM files f
+       WHERE ${workspaceCondition('f', req.workspace, params)} AND f.deleted_at IS NOT NULL
+       ORDER BY f.deleted_at DESC`,
+      params
+    );
+
+    res.json({
+      files: result.rows.map(file => ({ ...file, purge_at: purgeAt(file.deleted_at) })),
+      retentionDays: RETENTION_DAYS
+    });
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({ error: 'Failed to fetch trash' });
+  }
+});
+
+// Empty the workspace's file trash
+router.delete('/trash', requireWorkspaceRole('developer'), async (req, res) => {
+  try {
+    const params = [];
+    const result = await query(
+      `SELECT f.id FROM files f
+       WHERE ${workspaceCondition('f', req.workspace, params)} AND f.deleted_at IS NOT NULL`,
+      params
+    );
+
+    const deleted = await purgeFiles(result.rows.map(row => row.id));
+
+    await recordAudit(req, {
+      action: 'file.trash_emptied',
+      resourceType: 'file',
+      metadata: { filesDeleted: deleted }
+    });
+
+    res.json({
+      message: 'Trash emptied successfully',
+      filesDeleted: deleted
+    });
+  } catch (error) {
+    console.error('Empty trash error:', error);
+    res.status(500).json({ error: 'Failed to empty trash' });
+  }
+});
+
 // Upload a file
-router.post('/upload', upload.single('file'), [
-  body('isPublic').optional().isBoolean()
+router.post('/upload', requireVerifiedEmail, requireWorkspaceRole('developer'), upload.single('file'), [
+  body('isPublic').optional().isBoolean(),
+  body('folderId').optional({ checkFalsy: true }).isUUID()
 ], async (req, res) => {
+  let stored = null;
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
@@ -116,33 +241,41 @@ router.post('/upload', upload.single('file'), [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { isPublic = false } = req.body;
+    const { isPublic = false, folderId = null } = req.body;
 
-    // Check user's storage quota
-    const userResult = await query(
-      `SELECT storage_quota, 
-              (SELECT COALESCE(SUM(file_size), 0) FROM files WHERE user_id = $1) as current_storage 
-       FROM users WHERE id = $2`,
-      [req.user.userId, req.user.userId]
-    );
+    if (folderId) {
+      const workspaceFile = { user_id: req.user.userId, organization_id: req.workspace.organizationId };
+      if (!(await findTargetFolder(folderId, workspaceFile, req.user.userId))) {
+        await fs.unlink(req.file.path);
+        return res.status(404).json({ error: 'Folder not found' });
+      }
+    }
 
-    const user = userResult.rows[0];
-    if (user.current_storage + req.file.size > user.storage_quota) {
+    // Check the workspace's storage quota, counting space held by resumable
+    // uploads still in progress
+    const usage = await getWorkspaceUsage(req.workspace);
+    if (usage.storageUsed + usage.storageReserved + req.file.size > usage.storageQuota) {
       // Delete uploaded file if quota exceeded
       await fs.unlink(req.file.path);
       return res.status(400).json({ error: 'Storage quota exceeded' });
     }
 
+    stored = await storeBlob(req.file.path, { contentType: req.file.mimetype });
+
     // Save file info to database
     const result = await query(
-      `INSERT INTO files (user_id, original_name, stored_name, file_path, 
-                          file_size, mime_type, is_public) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+      `INSERT INTO files (user_id, organization_id, folder_id, original_name, stored_name, content_hash,
+                          storage_driver, file_path, file_size, mime_type, is_public)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *`,
       [
         req.user.userId,
+        req.workspace.organizationId,
+        folderId || null,
         req.file.originalname,
         req.file.filename,
-        req.file.path,
+        stored.contentHash,
+        stored.storageDriver,
+        stored.filePath,
         req.file.size,
         req.file.mimetype,
         isPublic
@@ -151,25 +284,32 @@ router.post('/upload', upload.single('file'), [
 
     const file = result.rows[0];
 
-    res.status(201).json({
-      message: 'File uploaded successfully',
-      file: {
-        id: file.id,
+    await recordAudit(req, {
+      action: 'file.uploaded',
+      resourceType: 'file',
+      resourceId: file.id,
+      after: {
         originalName: file.original_name,
-        storedName: file.stored_name,
         fileSize: file.file_size,
         mimeType: file.mime_type,
         isPublic: file.is_public,
-        downloadUrl: `/api/files/download/${file.id}`,
-        publicUrl: file.is_public ? `/uploads/${req.user.userId}/${file.stored_name}` : null,
-        createdAt: file.created_at
-      }
+        folderId: file.folder_id
+      },
+      metadata: { deduplicated: stored.deduplicated }
+    });
+
+    res.status(201).json({
+      message: 'File uploaded successfully',
+      file: formatUploadedFile(file),
+      deduplicated: stored.deduplicated
     });
   } catch (error) {
     console.error('Upload file error:', error);
     
     // Clean up uploaded file if error occurred
-    if (req.file && req.file.path) {
+    if (stored) {
+      await releaseBlob(stored.contentHash);
+    } else if (req.file && req.file.path) {
       try {
         await fs.unlink(req.file.path);
       } catch (cleanupError) {
@@ -181,56 +321,415 @@ router.post('/upload', upload.single('file'), [
   }
 });
 
-// Download a file
-router.get('/download/:id', async (req, res) => {
+// Start a direct upload: the client PUTs the file to the returned presigned
+// URL, straight into object storage, then calls /complete. The declared size
+// is reserved against the quota until then, like a resumable upload.
+router.post('/direct-uploads', requireVerifiedEmail, requireWorkspaceRole('developer'), [
+  body('fileName').isLength({ min: 1, max: 255 }).not().matches(/[/\\\0]/)
+    .withMessage('File name must be 1-255 characters without slashes'),
+  body('fileSize').isInt({ min: 0 }),
+  body('mimeType').custom(isAllowedType).withMessage('File type not allowed'),
+  body('isPublic').optional().isBoolean(),
+  body('folderId').optional({ nullable: true, checkFalsy: true }).isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const driver = getDriver();
+    if (!driver.supportsPresign) {
+      return res.status(400).json({ error: `The ${driver.name} storage driver does not support direct uploads` });
+    }
+
+    const { fileName, mimeType, isPublic = false, folderId = null } = req.body;
+    const fileSize = parseInt(req.body.fileSize);
+    if (fileSize > MAX_UPLOAD_SIZE) {
+      return res.status(413).json({ error: 'File is larger than the maximum upload size' });
+    }
+
+    if (folderId) {
+      const workspaceFile = { user_id: req.user.userId, organization_id: req.workspace.organizationId };
+      if (!(await findTargetFolder(folderId, workspaceFile, req.user.userId))) {
+        return res.status(404).json({ error: 'Folder not found' });
+      }
+    }
+
+    await removeExpiredUploads();
+
+    const usage = await getWorkspaceUsage(req.workspace);
+    if (usage.storageUsed + usage.storageReserved + fileSize > usage.storageQuota) {
+      return res.status(413).json({ error: 'Storage quota exceeded' });
+    }
+
+    const id = crypto.randomUUID();
+    const storedName = generateStoredName(fileName);
+    const filePath = driver.locationForKey(`${req.user.userId}/${storedName}`);
+    const expiresIn = driver.PRESIGN_EXPIRES;
+
+    // The row outlives the URL a little, so an upload that finishes just
+    // before the URL expires can still be completed
+    await query(
+      `INSERT INTO file_uploads (id, user_id, organization_id, folder_id, original_name, mime_type,
+                                 is_public, upload_length, file_path, storage_driver, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+      [
+        id,
+        req.user.userId,
+        req.workspace.organizationId,
+        folderId || null,
+        fileName,
+        mimeType,
+        isPublic,
+        fileSize,
+        filePath,
+        driver.name,
+        new Date(Date.now() + (expiresIn + 60 * 60) * 1000)
+      ]
+    );
+
+    res.status(201).json({
+      uploadId: id,
+      method: 'PUT',
+      url: driver.presignUpload(filePath, { expiresIn }),
+      headers: { 'Content-Type': mimeType },
+      expiresAt: new Date(Date.now() + expiresIn * 1000)
+    });
+  } catch (error) {
+    console.error('Create direct upload error:', error);
+    res.status(500).json({ error: 'Failed to create upload' });
+  }
+});
+
+// Record a direct upload as a file once its bytes are in storage
+router.post('/direct-uploads/:uploadId/complete', async (req, res) => {
+  let object = null;
+  let stored = null;
   try {
     const result = await query(
-      `SELECT * FROM files WHERE id = $1`,
-      [req.params.id]
+      `SELECT * FROM file_uploads
+       WHERE id = $1 AND user_id = $2 AND storage_driver IS NOT NULL AND expires_at > CURRENT_TIMESTAMP`,
+      [/^[0-9a-f-]{36}$/i.test(req.params.uploadId) ? req.params.uploadId : null, req.user.userId]
     );
+    const pending = result.rows[0];
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'File not found' });
+    if (!pending) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    const stat = await getDriver(pending.storage_driver).stat(pending.file_path);
+    if (!stat) {
+      return res.status(409).json({ error: 'The file has not been uploaded yet' });
+    }
+
+    // Deleting the row claims the upload, so it completes only once and the
+    // expiry cleanup no longer owns the object
+    const claimed = await query('DELETE FROM file_uploads WHERE id = $1 RETURNING id', [pending.id]);
+    if (claimed.rows.length === 0) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+    object = pending;
+
+    // Anything but the declared size could overrun the reserved quota
+    if (stat.size !== parseInt(pending.upload_length)) {
+      await removeStored(pending);
+      return res.status(400).json({ error: 'Uploaded size does not match the declared size' });
+    }
+
+    stored = await adoptStored({
+      storageDriver: pending.storage_driver,
+      filePath: pending.file_path,
+      fileSize: stat.size
+    });
+
+    const inserted = await query(
+      `INSERT INTO files (user_id, organization_id, folder_id, original_name, stored_name, content_hash,
+                          storage_driver, file_path, file_size, mime_type, is_public)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *`,
+      [
+        pending.user_id,
+        pending.organization_id,
+        pending.folder_id,
+        pending.original_name,
+        pending.file_path.split('/').pop(),
+        stored.contentHash,
+        stored.storageDriver,
+        stored.filePath,
+        stat.size,
+        pending.mime_type,
+        pending.is_public
+      ]
+    );
+
+    const file = inserted.rows[0];
+    await recordAudit(req, {
+      action: 'file.uploaded',
+      organizationId: file.organization_id,
+      resourceType: 'file',
+      resourceId: file.id,
+      after: {
+        originalName: file.original_name,
+        fileSize: file.file_size,
+        mimeType: file.mime_type,
+        isPublic: file.is_public,
+        folderId: file.folder_id
+      },
+      metadata: { direct: true, uploadId: pending.id, deduplicated: stored.deduplicated }
+    });
+
+    res.status(201).json({
+      message: 'File uploaded successfully',
+      file: formatUploadedFile(file),
+      deduplicated: stored.deduplicated
+    });
+  } catch (error) {
+    console.error('Complete direct upload error:', error);
+
+    if (stored) {
+      await releaseBlob(stored.contentHash);
+    } else if (object) {
+      await removeStored(object);
+    }
+
+    res.status(500).json({ error: 'Failed to complete upload' });
+  }
+});
+
+// Create a file from content the workspace already stores, identified by its
+// SHA-256, without uploading it again. 404 means the client has to upload.
+router.post('/from-hash', requireVerifiedEmail, requireWorkspaceRole('developer'), [
+  body('contentHash').custom(isContentHash).withMessage('contentHash must be a hex SHA-256 digest'),
+  body('fileName').isLength({ min: 1, max: 255 }).not().matches(/[/\\\0]/)
+    .withMessage('File name must be 1-255 characters without slashes'),
+  body('mimeType').custom(isAllowedType).withMessage('File type not allowed'),
+  body('isPublic').optional().isBoolean(),
+  body('folderId').optional({ nullable: true, checkFalsy: true }).isUUID()
+], async (req, res) => {
+  let stored = null;
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
+    const { contentHash, fileName, mimeType, isPublic = false, folderId = null } = req.body;
+
+    if (folderId) {
+      const workspaceFile = { user_id: req.user.userId, organization_id: req.workspace.organizationId };
+      if (!(await findTargetFolder(folderId, workspaceFile, req.user.userId))) {
+        return res.status(404).json({ error: 'Folder not found' });
+      }
+    }
+
+    const blob = await findWorkspaceBlob(contentHash, req.workspace);
+    if (!blob) {
+      return res.status(404).json({ error: 'Content not found' });
+    }
+
+    // Deduplicated files still count their full size against the quota
+    const usage = await getWorkspaceUsage(req.workspace);
+    if (usage.storageUsed + usage.storageReserved + parseInt(blob.file_size) > usage.storageQuota) {
+      return res.status(413).json({ error: 'Storage quota exceeded' });
+    }
+
+    // The blob may have lost its last reference since it was found
+    stored = await acquireBlob(contentHash);
+    if (!stored) {
+      return res.status(404).json({ error: 'Content not found' });
+    }
+
+    const result = await query(
+      `INSERT INTO files (user_id, organization_id, folder_id, original_name, stored_name, content_hash,
+                          storage_driver, file_path, file_size, mime_type, is_public)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *`,
+      [
+        req.user.userId,
+        req.workspace.organizationId,
+        folderId || null,
+        fileName,
+        generateStoredName(fileName),
+        stored.contentHash,
+        stored.storageDriver,
+        stored.filePath,
+        blob.file_size,
+        mimeType,
+        isPublic
+      ]
+    );
+
     const file = result.rows[0];
+    await recordAudit(req, {
+      action: 'file.uploaded',
+      organizationId: file.organization_id,
+      resourceType: 'file',
+      resourceId: file.id,
+      after: {
+        originalName: file.original_name,
+        fileSize: file.file_size,
+        mimeType: file.mime_type,
+        isPublic: file.is_public,
+        folderId: file.folder_id
+      },
+      metadata: { fromHash: true, deduplicated: true }
+    });
+
+    res.status(201).json({
+      message: 'File created from existing content',
+      file: formatUploadedFile(file),
+      deduplicated: true
+    });
+  } catch (error) {
+    console.error('Create file from hash error:', error);
+
+    if (stored) {
+      await releaseBlob(stored.contentHash);
+    }
+
+    res.status(500).json({ error: 'Failed to create file' });
+  }
+});
+
+// A presigned URL that downloads the file straight from object storage.
+// Counted as a download when issued, since storage does not report back.
+router.get('/:id/download-url', async (req, res) => {
+  try {
+    const result = await query('SELECT * FROM files WHERE id = $1 AND deleted_at IS NULL', [req.params.id]);
+    const file = result.rows[0];
+
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
 
-    // Check if user has access (either owner or public file)
-    if (file.user_id !== req.user.userId && !file.is_public) {
+    if (!file.is_public && !(await findAccessible('files', file.id, req.user.userId))) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Check if file exists
-    try {
-      await fs.access(file.file_path);
-    } catch (error) {
-      return res.status(404).json({ error: 'File not found on disk' });
+    const driver = getDriver(file.storage_driver);
+    if (!driver.supportsPresign) {
+      return res.status(400).json({ error: `Files in ${driver.name} storage cannot be downloaded directly; use /api/files/download/${file.id}` });
     }
 
-    // Increment download count
-    await query(
-      'UPDATE files SET download_count = download_count + 1 WHERE id = $1',
+    const expiresIn = driver.PRESIGN_EXPIRES;
+    const url = driver.presignDownload(file.file_path, {
+      expiresIn,
+      contentType: file.mime_type || 'application/octet-stream',
+      contentDisposition: contentDisposition('attachment', file.original_name)
+    });
+
+    await query('UPDATE files SET download_count = download_count + 1 WHERE id = $1', [file.id]);
+
+    res.json({ url, expiresAt: new Date(Date.now() + expiresIn * 1000) });
+  } catch (error) {
+    console.error('Presign download error:', error);
+    res.status(500).json({ error: 'Failed to create download URL' });
+  }
+});
+
+// Download files and whole folders as one ZIP, streamed as it is built
+router.post('/archive', [
+  body('fileIds').optional().isArray({ max: MAX_ENTRIES }),
+  body('fileIds.*').isUUID(),
+  body('folderIds').optional().isArray({ max: MAX_ENTRIES }),
+  body('folderIds.*').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { fileIds = [], folderIds = [] } = req.body;
+    if (fileIds.length === 0 && folderIds.length === 0) {
+      return res.status(400).json({ error: 'Select at least one file or folder' });
+    }
+
+    const files = [];
+    for (const id of new Set(fileIds)) {
+      const file = await findAccessible('files', id, req.user.userId);
+      if (!file) {
+        return res.status(404).json({ error: 'File not found' });
+      }
+      files.push(file);
+    }
+
+    const folders = [];
+    for (const id of new Set(folderIds)) {
+      const folder = await findAccessible('folders', id, req.user.userId);
+      if (!folder) {
+        return res.status(404).json({ error: 'Folder not found' });
+      }
+      folders.push(folder);
+    }
+
+    const { entries, totalSize } = await collectDownload({ files, folders });
+    if (entries.length > MAX_ENTRIES) {
+      return res.status(413).json({ error: `Archives may contain at most ${MAX_ENTRIES} entries` });
+    }
+    if (totalSize > MAX_DOWNLOAD_SIZE) {
+      return res.status(413).json({ error: `Archives may contain at most ${MAX_DOWNLOAD_SIZE} bytes` });
+    }
+
+    const archiveName = folders.length === 1 && files.length === 0 ? `${folders[0].name}.zip` : 'files.zip';
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': contentDisposition('attachment', archiveName),
+      'Cache-Control': 'no-store'
+    });
+
+    await writeDownload(res, entries);
+    res.end();
+  } catch (error) {
+    console.error('Download archive error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to create archive' });
+    } else {
+      // Part of the archive is out; cutting the connection marks it incomplete
+      res.destroy(error);
+    }
+  }
+});
+
+// Download a file. Supports Range, If-Range and conditional requests.
+router.get('/download/:id', async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT * FROM files WHERE id = $1 AND deleted_at IS NULL`,
       [req.params.id]
     );
 
-    // Set appropriate headers
-    res.setHeader('Content-Disposition', `attachment; filename="${file.original_name}"`);
-    res.setHeader('Content-Type', file.mime_type);
-    res.setHeader('Content-Length', file.file_size);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const file = result.rows[0];
+
+    // Check if user has access (public file, or personal/organization access)
+    if (!file.is_public && !(await findAccessible('files', file.id, req.user.userId))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
 
-    // Stream file
-    const fileStream = require('fs').createReadStream(file.file_path);
-    fileStream.pipe(res);
+    // Count a download once the whole file has been delivered, not per range
+    await sendFileResponse(req, res, file, {
+      onComplete: () => query('UPDATE files SET download_count = download_count + 1 WHERE id = $1', [file.id])
+    });
   } catch (error) {
     console.error('Download file error:', error);
     res.status(500).json({ error: 'Failed to download file' });
   }
 });
 
-// Update file settings
+// Update file settings, rename a file or move it to another folder (folderId
+// null for the workspace root). allowedReferrers limits which sites may embed
+// the public URL.
 router.put('/:id', [
   body('isPublic').optional().isBoolean(),
-  body('originalName').optional().isLength({ min: 1 })
+  body('originalName').optional().isLength({ min: 1, max: 255 }).not().matches(/[/\\\0]/)
+    .withMessage('File name must be 1-255 characters without slashes'),
+  body('folderId').optional({ nullable: true, checkFalsy: true }).isUUID(),
+  body('allowedReferrers').optional({ nullable: true }).isArray({ max: 50 }),
+  body('allowedReferrers.*').matches(/^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/i)
+    .withMessage('Referrers must be hostnames such as example.com or *.example.com')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -238,7 +737,17 @@ router.put('/:id', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { isPublic, originalName } = req.body;
+    const { isPublic, originalName, folderId, allowedReferrers } = req.body;
+
+    const file = await findAccessible('files', req.params.id, req.user.userId);
+
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    if (!hasRole(file.access_role, 'developer')) {
+      return forbidden(res);
+    }
 
     // Build update query dynamically
     let updateFields = [];
@@ -255,22 +764,54 @@ router.put('/:id', [
       queryParams.push(originalName);
     }
 
+    if (folderId !== undefined) {
+      if (folderId && !(await findTargetFolder(folderId, file, req.user.userId))) {
+        return res.status(404).json({ error: 'Folder not found' });
+      }
+      updateFields.push(`folder_id = $${paramIndex++}`);
+      queryParams.push(folderId || null);
+    }
+
+    // An empty list turns hotlink protection off
+    if (allowedReferrers !== undefined) {
+      updateFields.push(`allowed_referrers = $${paramIndex++}`);
+      queryParams.push(allowedReferrers && allowedReferrers.length > 0
+        ? allowedReferrers.map(referrer => referrer.toLowerCase())
+        : null);
+    }
+
     if (updateFields.length === 0) {
       return res.status(400).json({ error: 'No fields to update' });
     }
 
     updateFields.push(`updated_at = CURRENT_TIMESTAMP`);
-    queryParams.push(req.params.id, req.user.userId);
+    queryParams.push(file.id);
 
     const result = await query(
-      `UPDATE files SET ${updateFields.join(', ')} 
-       WHERE id = $${paramIndex++} AND user_id = $${paramIndex++} RETURNING *`,
+      `UPDATE files SET ${updateFields.join(', ')}
+       WHERE id = $${paramIndex++} RETURNING *`,
       queryParams
     );
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'File not found' });
-    }
+    const updated = result.rows[0];
+    await recordAudit(req, {
+      action: updated.folder_id !== file.folder_id ? 'file.moved' : 'file.updated',
+      organizationId: file.organization_id,
+      resourceType: 'file',
+      resourceId: updated.id,
+      before: {
+        originalName: file.original_name,
+        isPublic: file.is_public,
+        folderId: file.folder_id,
+        allowedReferrers: file.allowed_referrers
+      },
+      after: {
+        originalName: updated.original_name,
+        isPublic: updated.is_public,
+        folderId: updated.folder_id,
+        allowedReferrers: updated.allowed_referrers
+      }
+    });
 
     res.json({
       message: 'File updated successfully',
@@ -282,76 +823,576 @@ router.put('/:id', [
   }
 });
 
-// Delete a file
+// Move a file to the trash. It stops being listed, downloadable and shared
+// until restored, and is purged after the retention period.
 router.delete('/:id', async (req, res) => {
   try {
+    const file = await findAccessible('files', req.params.id, req.user.userId);
+
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    if (!hasRole(file.access_role, 'developer')) {
+      return forbidden(res);
+    }
+
+    const result = await query(
+      `UPDATE files SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2
+       WHERE id = $1 RETURNING deleted_at`,
+      [file.id, req.user.userId]
+    );
+
+    await recordAudit(req, {
+      action: 'file.trashed',
+      organizationId: file.organization_id,
+      resourceType: 'file',
+      resourceId: file.id,
+      before: { originalName: file.original_name, fileSize: file.file_size, isPublic: file.is_public }
+    });
+
+    res.json({
+      message: 'File moved to trash',
+      purgeAt: purgeAt(result.rows[0].deleted_at)
+    });
+  } catch (error) {
+    console.error('Delete file error:', error);
+    res.status(500).json({ error: 'Failed to delete file' });
+  }
+});
+
+// Put a trashed file back. Its folder may have been deleted meanwhile, in
+// which case it returns to the workspace root.
+router.post('/:id/restore', async (req, res) => {
+  try {
+    const file = await findAccessible('files', req.params.id, req.user.userId, { trashed: true });
+
+    if (!file) {
+      return res.status(404).json({ error: 'File not found in trash' });
+    }
+
+    if (!hasRole(file.access_role, 'developer')) {
+      return forbidden(res);
+    }
+
+    const result = await query(
+      'UPDATE files SET deleted_at = NULL, deleted_by = NULL WHERE id = $1 RETURNING *',
+      [file.id]
+    );
+
+    await recordAudit(req, {
+      action: 'file.restored',
+      organizationId: file.organization_id,
+      resourceType: 'file',
+      resourceId: file.id,
+      after: { originalName: file.original_name, folderId: file.folder_id }
+    });
+
+    res.json({
+      message: 'File restored successfully',
+      file: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Restore file error:', error);
+    res.status(500).json({ error: 'Failed to restore file' });
+  }
+});
+
+// Delete a trashed file for good, with all its versions
+router.delete('/:id/permanent', async (req, res) => {
+  try {
+    const file = await findAccessible('files', req.params.id, req.user.userId, { trashed: true });
+
+    if (!file) {
+      return res.status(404).json({ error: 'File not found in trash' });
+    }
+
+    if (!hasRole(file.access_role, 'developer')) {
+      return forbidden(res);
+    }
+
+    await purgeFiles([file.id]);
+
+    await recordAudit(req, {
+      action: 'file.deleted',
+      organizationId: file.organization_id,
+      resourceType: 'file',
+      resourceId: file.id,
+      before: { originalName: file.original_name, fileSize: file.file_size, isPublic: file.is_public }
+    });
+
+    res.json({
+      message: 'File deleted permanently'
+    });
+  } catch (error) {
+    console.error('Permanently delete file error:', error);
+    res.status(500).json({ error: 'Failed to delete file' });
+  }
+});
+
+const formatVersion = (version, current = false) => ({
+  versionNumber: version.version_number,
+  fileSize: parseInt(version.file_size),
+  mimeType: version.mime_type,
+  contentHash: version.content_hash,
+  current,
+  createdAt: current ? version.version_created_at || version.created_at : version.created_at
+});
+
+// Versions are kept and charged to the workspace the file belongs to
+const fileWorkspace = (file) => ({ organizationId: file.organization_id, userId: file.user_id });
+
+// Load a file the user may change before multer stores a new version of it
+const loadWritableFile = async (req, res, next) => {
+  try {
+    const file = await findAccessible('files', req.params.id, req.user.userId);
+
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    if (!hasRole(file.access_role, 'developer')) {
+      return forbidden(res);
+    }
+
+    req.targetFile = file;
+    next();
+  } catch (error) {
+    console.error('Load file error:', error);
+    res.status(500).json({ error: 'Failed to load file' });
+  }
+};
+
+// List the versions of a file, current one first
+router.get('/:id/versions', async (req, res) => {
+  try {
+    const file = await findAccessible('files', req.params.id, req.user.userId);
+
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const versions = await listVersions(file.id);
+    const usage = await getWorkspaceUsage(fileWorkspace(file));
+
+    res.json({
+      versions: [formatVersion(file, true), ...versions.map(version => formatVersion(version))],
+      versionLimit: versionLimit(usage.planType)
+    });
+  } catch (error) {
+    console.error('Get file versions error:', error);
+    res.status(500).json({ error: 'Failed to fetch file versions' });
+  }
+});
+
+// Upload new content for an existing file. The current content becomes a
+// previous version; the oldest versions beyond the plan's limit are deleted.
+router.post('/:id/versions', requireVerifiedEmail, loadWritableFile, upload.single('file'), async (req, res) => {
+  let stored = null;
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const file = req.targetFile;
+    const usage = await getWorkspaceUsage(fileWorkspace(file));
+    const keep = versionLimit(usage.planType);
+
+    // Space freed by versions that drop out of the history counts towards
+    // the new upload
+    const pruned = versionsToPrune(await listVersions(file.id), keep);
+    const freed = pruned.reduce((sum, version) => sum + parseInt(version.file_size), 0) +
+      (keep > 0 ? 0 : parseInt(file.file_size));
+    if (usage.storageUsed + usage.storageReserved + req.file.size - freed > usage.storageQuota) {
+      await fs.unlink(req.file.path);
+      return res.status(400).json({ error: 'Storage quota exceeded' });
+    }
+
+    stored = await storeBlob(req.file.path, { contentType: req.file.mimetype });
+
+    const updated = await replaceContent(file, {
+      contentHash: stored.contentHash,
+      storageDriver: stored.storageDriver,
+      filePath: stored.filePath,
+      fileSize: req.file.size,
+      mimeType: req.file.mimetype
+    }, keep);
+    const { deduplicated } = stored;
+    stored = null;
+
+    await recordAudit(req, {
+      action: 'file.version_uploaded',
+      organizationId: file.organization_id,
+      resourceType: 'file',
+      resourceId: file.id,
+      before: { versionNumber: file.version_number, fileSize: file.file_size, mimeType: file.mime_type },
+      after: { versionNumber: updated.version_number, fileSize: updated.file_size, mimeType: updated.mime_type },
+      metadata: { versionsPruned: pruned.length, deduplicated }
+    });
+
+    res.status(201).json({
+      message: 'New version uploaded successfully',
+      version: formatVersion(updated, true)
+    });
+  } catch (error) {
+    console.error('Upload file version error:', error);
+
+    if (stored) {
+      await releaseBlob(stored.contentHash);
+    } else if (req.file && req.file.path) {
+      try {
+        await fs.unlink(req.file.path);
+      } catch (cleanupError) {
+        console.error('Failed to cleanup file:', cleanupError);
+      }
+    }
+
+    res.status(500).json({ error: 'Failed to upload new version' });
+  }
+});
+
+// Download a previous version under the file's current name
+router.get('/:id/versions/:versionNumber/download', async (req, res) => {
+  try {
+    const file = await findAccessible('files', req.params.id, req.user.userId);
+
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const versionNumber = parseInt(req.params.versionNumber);
+    if (versionNumber === file.version_number) {
+      return sendFileResponse(req, res, file);
+    }
+
     const result = await query(
-      'SELECT * FROM files WHERE id = $1 AND user_id = $2',
-      [req.params.id, req.user.userId]
+      'SELECT * FROM file_versions WHERE file_id = $1 AND version_number = $2',
+      [file.id, Number.isNaN(versionNumber) ? 0 : versionNumber]
     );
 
     if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    await sendFileResponse(req, res, { ...result.rows[0], original_name: file.original_name });
+  } catch (error) {
+    console.error('Download file version error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to download file version' });
+    }
+  }
+});
+
+// Make a previous version current again. It is saved as a new version
+// number, and the content it replaces is kept as a version in turn.
+router.post('/:id/versions/:versionNumber/restore', async (req, res) => {
+  try {
+    const file = await findAccessible('files', req.params.id, req.user.userId);
+
+    if (!file) {
       return res.status(404).json({ error: 'File not found' });
     }
 
-    const file = result.rows[0];
+    if (!hasRole(file.access_role, 'developer')) {
+      return forbidden(res);
+    }
+
+    const versionNumber = parseInt(req.params.versionNumber);
+    const usage = await getWorkspaceUsage(fileWorkspace(file));
+    const restored = await restoreVersion(
+      file.id,
+      Number.isNaN(versionNumber) ? 0 : versionNumber,
+      versionLimit(usage.planType)
+    );
 
-    // Delete file from disk
+    if (!restored) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    const { updated, version } = restored;
+
+    await recordAudit(req, {
+      action: 'file.version_restored',
+      organizationId: file.organization_id,
+      resourceType: 'file',
+      resourceId: file.id,
+      before: { versionNumber: file.version_number, fileSize: file.file_size },
+      after: { versionNumber: updated.version_number, fileSize: updated.file_size },
+      metadata: { restoredFrom: version.version_number }
+    });
+
+    res.json({
+      message: 'Version restored successfully',
+      version: formatVersion(updated, true)
+    });
+  } catch (error) {
+    console.error('Restore file version error:', error);
+    res.status(500).json({ error: 'Failed to restore file version' });
+  }
+});
+
+// Extract a ZIP archive into folders and files. By default everything goes
+// into a new folder named after the archive, next to it; with
+// intoNewFolder=false it is merged into folderId (or the archive's folder).
+router.post('/:id/extract', requireVerifiedEmail, [
+  body('folderId').optional({ nullable: true, checkFalsy: true }).isUUID(),
+  body('intoNewFolder').optional().isBoolean(),
+  body('isPublic').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const archive = await findAccessible('files', req.params.id, req.user.userId);
+
+    if (!archive) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    if (!hasRole(archive.access_role, 'developer')) {
+      return forbidden(res);
+    }
+
+    if (!isZipFile(archive)) {
+      return res.status(400).json({ error: 'Only ZIP archives can be extracted' });
+    }
+
+    const { folderId = null, intoNewFolder = true, isPublic = false } = req.body;
+    let targetFolderId = archive.folder_id;
+    if (folderId) {
+      if (!(await findTargetFolder(folderId, archive, req.user.userId))) {
+        return res.status(404).json({ error: 'Folder not found' });
+      }
+      targetFolderId = folderId;
+    }
+
+    const plan = await planExtraction(archive);
+    if (plan.error) {
+      return res.status(400).json({ error: plan.error });
+    }
+
+    const usage = await getWorkspaceUsage(fileWorkspace(archive));
+    if (usage.storageUsed + usage.storageReserved + plan.totalSize > usage.storageQuota) {
+      return res.status(413).json({ error: 'Storage quota exceeded' });
+    }
+
+    // New files belong to whoever extracts them, in the archive's workspace
+    const workspaceFile = { user_id: req.user.userId, organization_id: archive.organization_id };
+
+    if (intoNewFolder) {
+      const name = archive.original_name.replace(/\.zip$/i, '').trim();
+      const folderName = isValidFolderName(name) ? name : 'archive';
+      const candidate = { ...workspaceFile, parent_id: targetFolderId };
+      if (await nameTaken(candidate, folderName)) {
+        return res.status(409).json({
+          error: `A folder named ${folderName} already exists here; extract into it with intoNewFolder set to false`
+        });
+      }
+
+      const created = await query(
+        `INSERT INTO folders (user_id, organization_id, parent_id, name)
+         VALUES ($1, $2, $3, $4) RETURNING id`,
+        [workspaceFile.user_id, workspaceFile.organization_id, targetFolderId, folderName]
+      );
+      targetFolderId = created.rows[0].id;
+    }
+
+    let result;
     try {
-      await fs.unlink(file.file_path);
+      result = await extractArchive(plan, {
+        workspaceFile,
+        folderId: targetFolderId,
+        isPublic,
+        keep: versionLimit(usage.planType)
+      });
     } catch (error) {
-      console.error('Failed to delete file from disk:', error);
+      if (!error.corrupt) throw error;
+      return res.status(400).json({
+        error: `Could not extract ${error.entry}: ${error.message}`,
+        folderId: targetFolderId,
+        ...error.progress
+      });
     }
 
-    // Delete file record from database
-    await query(
-      'DELETE FROM files WHERE id = $1 AND user_id = $2',
-      [req.params.id, req.user.userId]
+    await recordAudit(req, {
+      action: 'file.archive_extracted',
+      organizationId: archive.organization_id,
+      resourceType: 'file',
+      resourceId: archive.id,
+      metadata: { folderId: targetFolderId, ...result, filesSkipped: plan.skipped.length }
+    });
+
+    res.json({
+      message: 'Archive extracted successfully',
+      folderId: targetFolderId,
+      ...result,
+      skipped: plan.skipped
+    });
+  } catch (error) {
+    console.error('Extract archive error:', error);
+    res.status(500).json({ error: 'Failed to extract archive' });
+  }
+});
+
+// List a file's share links; revoked, expired and used-up links only with
+// ?includeInactive=true
+router.get('/:id/shares', async (req, res) => {
+  try {
+    const file = await findAccessible('files', req.params.id, req.user.userId);
+
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const result = await query(
+      'SELECT * FROM share_links WHERE file_id = $1 ORDER BY created_at DESC',
+      [file.id]
     );
 
+    const links = result.rows.map(formatShareLink);
     res.json({
-      message: 'File deleted successfully'
+      links: req.query.includeInactive === 'true' ? links : links.filter(link => link.state === 'active')
     });
   } catch (error) {
-    console.error('Delete file error:', error);
-    res.status(500).json({ error: 'Failed to delete file' });
+    console.error('Get share links error:', error);
+    res.status(500).json({ error: 'Failed to fetch share links' });
+  }
+});
+
+// Create a share link, optionally expiring, password-protected and limited
+// to a number of downloads
+router.post('/:id/shares', [
+  body('expiresAt').optional({ nullable: true }).isISO8601()
+    .custom(value => new Date(value) > new Date()).withMessage('Expiry must be in the future'),
+  body('password').optional({ nullable: true, checkFalsy: true }).isLength({ min: 4, max: 128 })
+    .withMessage('Password must be 4-128 characters'),
+  body('maxDownloads').optional({ nullable: true }).isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const file = await findAccessible('files', req.params.id, req.user.userId);
+
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    if (!hasRole(file.access_role, 'developer')) {
+      return forbidden(res);
+    }
+
+    const { expiresAt, password, maxDownloads } = req.body;
+    const passwordHash = password ? await bcrypt.hash(password, 12) : null;
+
+    const result = await query(
+      `INSERT INTO share_links (file_id, created_by, password_hash, expires_at, max_downloads)
+       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [file.id, req.user.userId, passwordHash, expiresAt || null, maxDownloads || null]
+    );
+
+    const link = result.rows[0];
+    await recordAudit(req, {
+      action: 'share_link.created',
+      organizationId: file.organization_id,
+      resourceType: 'share_link',
+      resourceId: link.id,
+      after: {
+        fileId: file.id,
+        hasPassword: Boolean(passwordHash),
+        expiresAt: link.expires_at,
+        maxDownloads: link.max_downloads
+      }
+    });
+
+    res.status(201).json({
+      message: 'Share link created successfully',
+      link: formatShareLink(link)
+    });
+  } catch (error) {
+    console.error('Create share link error:', error);
+    res.status(500).json({ error: 'Failed to create share link' });
+  }
+});
+
+// Revoke a share link
+router.delete('/:id/shares/:shareId', async (req, res) => {
+  try {
+    const file = await findAccessible('files', req.params.id, req.user.userId);
+
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    if (!hasRole(file.access_role, 'developer')) {
+      return forbidden(res);
+    }
+
+    const result = await query(
+      `UPDATE share_links SET revoked_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND file_id = $2 AND revoked_at IS NULL RETURNING *`,
+      [req.params.shareId, file.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'share_link.revoked',
+      organizationId: file.organization_id,
+      resourceType: 'share_link',
+      resourceId: req.params.shareId,
+      before: { fileId: file.id, downloadCount: result.rows[0].download_count }
+    });
+
+    res.json({ message: 'Share link revoked successfully' });
+  } catch (error) {
+    console.error('Revoke share link error:', error);
+    res.status(500).json({ error: 'Failed to revoke share link' });
   }
 });
 
 // Get file statistics
 router.get('/stats/usage', async (req, res) => {
   try {
+    const params = [];
     const result = await query(
-      `SELECT 
-         COUNT(*) as total_files,
-         COALESCE(SUM(file_size), 0) as total_size,
-         COUNT(CASE WHEN is_public = true THEN 1 END) as public_files,
-         COUNT(CASE WHEN is_public = false THEN 1 END) as private_files,
+      `SELECT
+         COUNT(*) FILTER (WHERE deleted_at IS NULL) as total_files,
+         COALESCE(SUM(file_size) FILTER (WHERE deleted_at IS NULL), 0) as total_size,
+         COUNT(CASE WHEN is_public = true AND deleted_at IS NULL THEN 1 END) as public_files,
+         COUNT(CASE WHEN is_public = false AND deleted_at IS NULL THEN 1 END) as private_files,
+         COUNT(*) FILTER (WHERE deleted_at IS NOT NULL) as trashed_files,
          SUM(download_count) as total_downloads
-       FROM files WHERE user_id = $1`,
-      [req.user.userId]
+       FROM files f WHERE ${workspaceCondition('f', req.workspace, params)}`,
+      params
     );
 
     const stats = result.rows[0];
 
-    // Get user's quota
-    const userResult = await query(
-      'SELECT storage_quota FROM users WHERE id = $1',
-      [req.user.userId]
-    );
-
-    const user = userResult.rows[0];
+    // Get the workspace's quota
+    const usage = await getWorkspaceUsage(req.workspace);
 
+    // Retained versions and the trash count against the quota alongside
+    // current files
     res.json({
       totalFiles: parseInt(stats.total_files),
       totalSize: parseInt(stats.total_size),
+      versionsSize: usage.versionsSize,
+      trashedFiles: parseInt(stats.trashed_files),
+      trashSize: usage.trashSize,
       publicFiles: parseInt(stats.public_files),
       privateFiles: parseInt(stats.private_files),
       totalDownloads: parseInt(stats.total_downloads),
-      storageQuota: user.storage_quota,
-      storageUsed: parseInt(stats.total_size),
-      storageAvailable: user.storage_quota - parseInt(stats.total_size),
-      usagePercentage: Math.round((parseInt(stats.total_size) / user.storage_quota) * 100)
+      storageQuota: usage.storageQuota,
+      storageUsed: usage.storageUsed,
+      storageAvailable: usage.storageQuota - usage.storageUsed,
+      usagePercentage: Math.round((usage.storageUsed / usage.storageQuota) * 100)
     });
   } catch (error) {
     console.error('Get file stats error:', error);
@@ -0,0 +1,332 @@
+const express = require('express');
+const { body, query: check, validationResult } = require('express-validator');
+const { query } = require('../config/database');
+const { authenticateToken, requireScope } = require('./auth');
+const { recordAudit } = require('../services/audit');
+const {
+  hasRole,
+  resolveWorkspace,
+  requireWorkspaceRole,
+  workspaceCondition,
+  findAccessible
+} = require('../services/organizations');
+const {
+  isValidFolderName,
+  sameWorkspace,
+  getBreadcrumb,
+  getDescendantIds,
+  getFolderSizes,
+  nameTaken
+} = require('../services/folders');
+const router = express.Router();
+
+// Folders are part of file storage and share its API key scope
+router.use(authenticateToken);
+router.use(requireScope('files'));
+router.use(resolveWorkspace);
+
+const forbidden = (res) => res.status(403).json({ error: 'Your role does not allow changing this folder' });
+const nameConflict = (res) => res.status(409).json({ error: 'A folder with this name already exists here' });
+
+const FILE_COLUMNS = `f.id, f.original_name, f.stored_name, f.file_size, f.mime_type, f.content_hash, f.is_public,
+                      f.download_count, f.created_at, f.organization_id, f.folder_id`;
+
+const formatFolder = (folder, sizes = {}) => {
+  const size = sizes[folder.id] || { totalSize: 0, fileCount: 0, folderCount: 0 };
+  return {
+    id: folder.id,
+    name: folder.name,
+    parentId: folder.parent_id,
+    organizationId: folder.organization_id,
+    totalSize: size.totalSize,
+    fileCount: size.fileCount,
+    folderCount: size.folderCount,
+    createdAt: folder.created_at,
+    updatedAt: folder.updated_at
+  };
+};
+
+// List a folder's children (the workspace root when parentId is omitted),
+// with the breadcrumb path and per-folder sizes
+router.get('/', [
+  check('parentId').optional({ checkFalsy: true }).isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let parent = null;
+    const folderParams = [];
+    let folderWhere;
+    let fileWhere;
+
+    if (req.query.parentId) {
+      parent = await findAccessible('folders', req.query.parentId, req.user.userId);
+      if (!parent) {
+        return res.status(404).json({ error: 'Folder not found' });
+      }
+      folderParams.push(parent.id);
+      folderWhere = 'f.parent_id = $1';
+      fileWhere = 'f.folder_id = $1';
+    } else {
+      const condition = workspaceCondition('f', req.workspace, folderParams);
+      folderWhere = `f.parent_id IS NULL AND ${condition}`;
+      fileWhere = `f.folder_id IS NULL AND ${condition}`;
+    }
+
+    const folders = await query(
+      `SELECT f.* FROM folders f WHERE ${folderWhere} ORDER BY LOWER(f.name)`,
+      folderParams
+    );
+    const files = await query(
+      `SELECT ${FILE_COLUMNS} FROM files f WHERE ${fileWhere} AND f.deleted_at IS NULL ORDER BY LOWER(f.original_name)`,
+      folderParams
+    );
+
+    const sizes = await getFolderSizes(folders.rows.map(folder => folder.id));
+
+    res.json({
+      folder: parent ? formatFolder(parent, await getFolderSizes([parent.id])) : null,
+      breadcrumb: parent ? await getBreadcrumb(parent.id) : [],
+      folders: folders.rows.map(folder => formatFolder(folder, sizes)),
+      files: files.rows
+    });
+  } catch (error) {
+    console.error('List folder error:', error);
+    res.status(500).json({ error: 'Failed to list folder' });
+  }
+});
+
+// Every folder in the workspace with its full path, for move pickers
+router.get('/tree', async (req, res) => {
+  try {
+    const params = [];
+    const result = await query(
+      `WITH RECURSIVE tree AS (
+         SELECT f.id, f.parent_id, f.name, f.name::text AS path, 0 AS depth
+         FROM folders f WHERE f.parent_id IS NULL AND ${workspaceCondition('f', req.workspace, params)}
+         UNION ALL
+         SELECT c.id, c.parent_id, c.name, t.path || '/' || c.name, t.depth + 1
+         FROM folders c JOIN tree t ON c.parent_id = t.id
+       )
+       SELECT id, parent_id, name, path, depth FROM tree ORDER BY LOWER(path)`,
+      params
+    );
+
+    res.json({
+      folders: result.rows.map(folder => ({
+        id: folder.id,
+        parentId: folder.parent_id,
+        name: folder.name,
+        path: `/${folder.path}`,
+        depth: folder.depth
+      }))
+    });
+  } catch (error) {
+    console.error('Get folder tree error:', error);
+    res.status(500).json({ error: 'Failed to fetch folders' });
+  }
+});
+
+// Get a folder with its breadcrumb and size
+router.get('/:id', async (req, res) => {
+  try {
+    const folder = await findAccessible('folders', req.params.id, req.user.userId);
+
+    if (!folder) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+
+    res.json({
+      folder: formatFolder(folder, await getFolderSizes([folder.id])),
+      breadcrumb: await getBreadcrumb(folder.id)
+    });
+  } catch (error) {
+    console.error('Get folder error:', error);
+    res.status(500).json({ error: 'Failed to fetch folder' });
+  }
+});
+
+// Create a folder
+router.post('/', requireWorkspaceRole('developer'), [
+  body('name').custom(isValidFolderName).withMessage('Folder name must be 1-255 characters without slashes'),
+  body('parentId').optional({ nullable: true, checkFalsy: true }).isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const name = req.body.name.trim();
+    const candidate = {
+      user_id: req.user.userId,
+      organization_id: req.workspace.organizationId,
+      parent_id: req.body.parentId || null
+    };
+
+    if (candidate.parent_id) {
+      const parent = await findAccessible('folders', candidate.parent_id, req.user.userId);
+      if (!parent || !sameWorkspace(parent, candidate)) {
+        return res.status(404).json({ error: 'Parent folder not found' });
+      }
+    }
+
+    if (await nameTaken(candidate, name)) {
+      return nameConflict(res);
+    }
+
+    const result = await query(
+      `INSERT INTO folders (user_id, organization_id, parent_id, name)
+       VALUES ($1, $2, $3, $4) RETURNING *`,
+      [candidate.user_id, candidate.organization_id, candidate.parent_id, name]
+    );
+
+    const folder = result.rows[0];
+
+    await recordAudit(req, {
+      action: 'folder.created',
+      resourceType: 'folder',
+      resourceId: folder.id,
+      after: { name: folder.name, parentId: folder.parent_id }
+    });
+
+    res.status(201).json({
+      message: 'Folder created successfully',
+      folder: formatFolder(folder)
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return nameConflict(res);
+    }
+    console.error('Create folder error:', error);
+    res.status(500).json({ error: 'Failed to create folder' });
+  }
+});
+
+// Rename a folder and/or move it under another parent (null for the root)
+router.put('/:id', [
+  body('name').optional().custom(isValidFolderName).withMessage('Folder name must be 1-255 characters without slashes'),
+  body('parentId').optional({ nullable: true }).custom(value => value === '' || /^[0-9a-f-]{36}$/i.test(value))
+    .withMessage('Parent must be a folder id, or null for the root')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const folder = await findAccessible('folders', req.params.id, req.user.userId);
+
+    if (!folder) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+
+    if (!hasRole(folder.access_role, 'developer')) {
+      return forbidden(res);
+    }
+
+    const moving = req.body.parentId !== undefined;
+    const name = req.body.name !== undefined ? req.body.name.trim() : folder.name;
+    const parentId = moving ? (req.body.parentId || null) : folder.parent_id;
+
+    if (!moving && req.body.name === undefined) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    if (parentId && parentId !== folder.parent_id) {
+      const parent = await findAccessible('folders', parentId, req.user.userId);
+      if (!parent || !sameWorkspace(parent, folder)) {
+        return res.status(404).json({ error: 'Parent folder not found' });
+      }
+
+      // A folder cannot be moved into itself or one of its own subfolders
+      if ((await getDescendantIds(folder.id)).includes(parentId)) {
+        return res.status(400).json({ error: 'A folder cannot be moved inside itself' });
+      }
+    }
+
+    if (await nameTaken({ ...folder, parent_id: parentId }, name, folder.id)) {
+      return nameConflict(res);
+    }
+
+    const result = await query(
+      'UPDATE folders SET name = $1, parent_id = $2 WHERE id = $3 RETURNING *',
+      [name, parentId, folder.id]
+    );
+
+    const updated = result.rows[0];
+    await recordAudit(req, {
+      action: moving && parentId !== folder.parent_id ? 'folder.moved' : 'folder.renamed',
+      organizationId: folder.organization_id,
+      resourceType: 'folder',
+      resourceId: folder.id,
+      before: { name: folder.name, parentId: folder.parent_id },
+      after: { name: updated.name, parentId: updated.parent_id }
+    });
+
+    res.json({
+      message: 'Folder updated successfully',
+      folder: formatFolder(updated, await getFolderSizes([updated.id])),
+      breadcrumb: await getBreadcrumb(updated.id)
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return nameConflict(res);
+    }
+    console.error('Update folder error:', error);
+    res.status(500).json({ error: 'Failed to update folder' });
+  }
+});
+
+// Delete a folder with all its subfolders. The files in them go to the
+// trash; restoring one puts it in the workspace root.
+router.delete('/:id', async (req, res) => {
+  try {
+    const folder = await findAccessible('folders', req.params.id, req.user.userId);
+
+    if (!folder) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+
+    if (!hasRole(folder.access_role, 'developer')) {
+      return forbidden(res);
+    }
+
+    const folderIds = await getDescendantIds(folder.id);
+    const files = await query(
+      `UPDATE files SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2
+       WHERE folder_id = ANY($1::uuid[]) AND deleted_at IS NULL
+       RETURNING id, file_size`,
+      [folderIds, req.user.userId]
+    );
+
+    // Subfolders go with it through ON DELETE CASCADE; files lose their
+    // folder through ON DELETE SET NULL
+    await query('DELETE FROM folders WHERE id = $1', [folder.id]);
+
+    const totalSize = files.rows.reduce((sum, file) => sum + parseInt(file.file_size), 0);
+
+    await recordAudit(req, {
+      action: 'folder.deleted',
+      organizationId: folder.organization_id,
+      resourceType: 'folder',
+      resourceId: folder.id,
+      before: { name: folder.name, parentId: folder.parent_id },
+      metadata: { foldersDeleted: folderIds.length, filesTrashed: files.rows.length, bytesTrashed: totalSize }
+    });
+
+    res.json({
+      message: 'Folder deleted successfully',
+      foldersDeleted: folderIds.length,
+      filesTrashed: files.rows.length
+    });
+  } catch (error) {
+    console.error('Delete folder error:', error);
+    res.status(500).json({ error: 'Failed to delete folder' });
+  }
+});
+
+module.exports = router;
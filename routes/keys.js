@@ -0,0 +1,177 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query } = require('../config/database');
+const { authenticateToken, denyApiKeys, denyImpersonation, requireVerifiedEmail, API_KEY_PREFIX } = require('./auth');
+const { generateToken, hashToken } = require('../services/tokens');
+const { recordAudit } = require('../services/audit');
+const router = express.Router();
+
+// Resources and actions that can be granted to an API key
+const API_KEY_SCOPES = {
+  domains: ['read', 'write'],
+  files: ['read', 'write'],
+  monitor: ['read', 'write'],
+  account: ['read', 'write']
+};
+
+// API keys are managed from an interactive session only
+router.use(authenticateToken);
+router.use(denyApiKeys);
+
+const validatePermissions = (permissions) => {
+  if (typeof permissions !== 'object' || permissions === null || Array.isArray(permissions)) {
+    throw new Error('Permissions must be an object of resource to actions');
+  }
+
+  for (const [resource, actions] of Object.entries(permissions)) {
+    if (!API_KEY_SCOPES[resource]) {
+      throw new Error(`Unknown permission resource: ${resource}`);
+    }
+    if (!Array.isArray(actions) || actions.some(action => !API_KEY_SCOPES[resource].includes(action))) {
+      throw new Error(`Invalid actions for ${resource}, allowed: ${API_KEY_SCOPES[resource].join(', ')}`);
+    }
+  }
+
+  return true;
+};
+
+// Create a new secret; only the hash and a short display prefix are stored
+const issueKey = () => {
+  const key = generateToken(API_KEY_PREFIX);
+  return {
+    key,
+    keyHash: hashToken(key),
+    keyPrefix: key.slice(0, API_KEY_PREFIX.length + 6)
+  };
+};
+
+const formatApiKey = (apiKey) => ({
+  id: apiKey.id,
+  name: apiKey.name,
+  keyPrefix: apiKey.key_prefix,
+  permissions: apiKey.permissions || {},
+  lastUsed: apiKey.last_used,
+  expiresAt: apiKey.expires_at,
+  createdAt: apiKey.created_at,
+  isActive: apiKey.is_active
+});
+
+// List API keys for the authenticated user
+router.get('/', async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT id, name, key_prefix, permissions, last_used, expires_at, created_at, is_active
+       FROM api_keys WHERE user_id = $1 ORDER BY created_at DESC`,
+      [req.user.userId]
+    );
+
+    res.json({
+      keys: result.rows.map(formatApiKey),
+      count: result.rows.length
+    });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({ error: 'Failed to fetch API keys' });
+  }
+});
+
+// Create an API key
+router.post('/', denyImpersonation, requireVerifiedEmail, [
+  body('name').trim().isLength({ min: 1, max: 255 }).withMessage('Name is required'),
+  body('permissions').custom(validatePermissions),
+  body('expiresInDays').optional().isInt({ min: 1, max: 365 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, permissions, expiresInDays } = req.body;
+    const { key, keyHash, keyPrefix } = issueKey();
+    const expiresAt = expiresInDays
+      ? new Date(Date.now() + parseInt(expiresInDays) * 24 * 60 * 60 * 1000)
+      : null;
+
+    const result = await query(
+      `INSERT INTO api_keys (user_id, name, key_hash, key_prefix, permissions, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+      [req.user.userId, name, keyHash, keyPrefix, JSON.stringify(permissions), expiresAt]
+    );
+
+    await recordAudit(req, {
+      action: 'api_key.created',
+      resourceType: 'api_key',
+      resourceId: result.rows[0].id,
+      after: { name, permissions, keyPrefix, expiresAt }
+    });
+
+    res.status(201).json({
+      message: 'API key created successfully. Store it now, it will not be shown again.',
+      apiKey: formatApiKey(result.rows[0]),
+      key
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+// Rotate an API key: issue a new secret and invalidate the old one immediately
+router.post('/:id/rotate', denyImpersonation, async (req, res) => {
+  try {
+    const { key, keyHash, keyPrefix } = issueKey();
+
+    const result = await query(
+      `UPDATE api_keys SET key_hash = $1, key_prefix = $2, last_used = NULL
+       WHERE id = $3 AND user_id = $4 AND is_active = true RETURNING *`,
+      [keyHash, keyPrefix, req.params.id, req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'api_key.rotated',
+      resourceType: 'api_key',
+      resourceId: req.params.id,
+      after: { keyPrefix }
+    });
+
+    res.json({
+      message: 'API key rotated successfully. Store it now, it will not be shown again.',
+      apiKey: formatApiKey(result.rows[0]),
+      key
+    });
+  } catch (error) {
+    console.error('Rotate API key error:', error);
+    res.status(500).json({ error: 'Failed to rotate API key' });
+  }
+});
+
+// Revoke an API key
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await query(
+      `UPDATE api_keys SET is_active = false
+       WHERE id = $1 AND user_id = $2 AND is_active = true RETURNING id`,
+      [req.params.id, req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    await recordAudit(req, { action: 'api_key.revoked', resourceType: 'api_key', resourceId: req.params.id });
+
+    res.json({
+      message: 'API key revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+module.exports = router;
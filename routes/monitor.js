@@ -1,10 +1,18 @@
 const express = require('express');
 const { query } = require('../config/database');
-const { authenticateToken } = require('./auth');
+const { authenticateToken, requireScope } = require('./auth');
+const {
+  resolveWorkspace,
+  requireWorkspaceRole,
+  workspaceCondition,
+  findAccessible
+} = require('../services/organizations');
 const router = express.Router();
 
 // Apply authentication middleware to all routes
 router.use(authenticateToken);
+router.use(requireScope('monitor'));
+router.use(resolveWorkspace);
 
 // Get system health
 router.get('/health', async (req, res) => {
@@ -68,35 +76,39 @@ router.get('/analytics', async (req, res) => {
         dateFilter = 'CURRENT_TIMESTAMP - INTERVAL \'7 days\'';
     }
 
+    // Events of the current workspace
+    const params = [];
+    const workspace = workspaceCondition('analytics', req.workspace, params);
+
     // Get page views
     const pageViewsResult = await query(
       `SELECT DATE_TRUNC('day', created_at) as date, COUNT(*) as views
        FROM analytics 
-       WHERE user_id = $1 AND created_at >= ${dateFilter} AND event_type = 'page_view'
+       WHERE ${workspace} AND created_at >= ${dateFilter} AND event_type = 'page_view'
        GROUP BY DATE_TRUNC('day', created_at) 
        ORDER BY date ASC`,
-      [req.user.userId]
+      params
     );
 
     // Get file downloads
     const downloadsResult = await query(
       `SELECT DATE_TRUNC('day', created_at) as date, COUNT(*) as downloads
        FROM analytics 
-       WHERE user_id = $1 AND created_at >= ${dateFilter} AND event_type = 'file_download'
+       WHERE ${workspace} AND created_at >= ${dateFilter} AND event_type = 'file_download'
        GROUP BY DATE_TRUNC('day', created_at) 
        ORDER BY date ASC`,
-      [req.user.userId]
+      params
     );
 
     // Get top pages
     const topPagesResult = await query(
       `SELECT event_data->>'page' as page, COUNT(*) as views
        FROM analytics 
-       WHERE user_id = $1 AND created_at >= ${dateFilter} AND event_type = 'page_view'
+       WHERE ${workspace} AND created_at >= ${dateFilter} AND event_type = 'page_view'
        AND event_data->>'page' IS NOT NULL
        GROUP BY event_data->>'page' 
        ORDER BY views DESC LIMIT 10`,
-      [req.user.userId]
+      params
     );
 
     // Get traffic sources
@@ -112,20 +124,20 @@ router.get('/analytics', async (req, res) => {
          END as source,
          COUNT(*) as visits
        FROM analytics 
-       WHERE user_id = $1 AND created_at >= ${dateFilter}
+       WHERE ${workspace} AND created_at >= ${dateFilter}
        GROUP BY source 
        ORDER BY visits DESC`,
-      [req.user.userId]
+      params
     );
 
     // Get error events
     const errorsResult = await query(
       `SELECT DATE_TRUNC('day', created_at) as date, COUNT(*) as errors
        FROM analytics 
-       WHERE user_id = $1 AND created_at >= ${dateFilter} AND event_type = 'error'
+       WHERE ${workspace} AND created_at >= ${dateFilter} AND event_type = 'error'
        GROUP BY DATE_TRUNC('day', created_at) 
        ORDER BY date ASC`,
-      [req.user.userId]
+      params
     );
 
     res.json({
@@ -152,13 +164,10 @@ router.get('/domains/:id/stats', async (req, res) => {
   try {
     const { period = '7d' } = req.query;
     
-    // Verify domain ownership
-    const domainResult = await query(
-      'SELECT id, domain_name FROM domains WHERE id = $1 AND user_id = $2',
-      [req.params.id, req.user.userId]
-    );
+    // Verify domain access
+    const domain = await findAccessible('domains', req.params.id, req.user.userId);
 
-    if (domainResult.rows.length === 0) {
+    if (!domain) {
       return res.status(404).json({ error: 'Domain not found' });
     }
 
@@ -220,7 +229,7 @@ router.get('/domains/:id/stats', async (req, res) => {
     }));
 
     res.json({
-      domain: domainResult.rows[0],
+      domain: { id: domain.id, domain_name: domain.domain_name },
       period,
       traffic: trafficResult.rows,
       topPages: topPagesResult.rows,
@@ -237,7 +246,7 @@ router.get('/domains/:id/stats', async (req, res) => {
 });
 
 // Log analytics event
-router.post('/analytics/log', async (req, res) => {
+router.post('/analytics/log', requireWorkspaceRole('developer'), async (req, res) => {
   try {
     const { eventType, eventData, websiteId, domainId } = req.body;
 
@@ -245,17 +254,29 @@ router.post('/analytics/log', async (req, res) => {
       return res.status(400).json({ error: 'Event type is required' });
     }
 
+    // Events about a domain or website belong to whoever owns it
+    let organizationId = req.workspace.organizationId;
+    for (const [table, id] of [['domains', domainId], ['websites', websiteId]]) {
+      if (!id) continue;
+      const resource = await findAccessible(table, id, req.user.userId);
+      if (!resource) {
+        return res.status(404).json({ error: `${table === 'domains' ? 'Domain' : 'Website'} not found` });
+      }
+      organizationId = resource.organization_id;
+    }
+
     // Get client information
     const ip = req.ip || req.connection.remoteAddress;
     const userAgent = req.get('User-Agent');
     const referrer = req.get('Referer');
 
     await query(
-      `INSERT INTO analytics (user_id, website_id, domain_id, event_type, 
-                              event_data, ip_address, user_agent, referrer) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      `INSERT INTO analytics (user_id, organization_id, website_id, domain_id, event_type,
+                              event_data, ip_address, user_agent, referrer)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
       [
         req.user.userId,
+        organizationId,
         websiteId || null,
         domainId || null,
         eventType,
@@ -0,0 +1,628 @@
+const express = require('express');
+const crypto = require('crypto');
+const { body, validationResult } = require('express-validator');
+const { query } = require('../config/database');
+const { authenticateToken, requireScope, denyApiKeys, requireVerifiedEmail } = require('./auth');
+const { generateToken, hashToken } = require('../services/tokens');
+const { sendOrganizationInvitationEmail } = require('../services/mailer');
+const { recordAudit, queryAuditLog } = require('../services/audit');
+const {
+  ROLES,
+  hasRole,
+  findMembership,
+  getWorkspaceUsage
+} = require('../services/organizations');
+const { plans } = require('../config/plans');
+const { purgeFiles } = require('../services/trash');
+const router = express.Router();
+
+const INVITATION_TTL_DAYS = 7;
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+router.use(requireScope('account'));
+
+// Load the caller's membership of :id and require at least the given role
+const requireMembership = (minimum) => async (req, res, next) => {
+  try {
+    const membership = await findMembership(req.params.id, req.user.userId);
+
+    if (!membership) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    if (!hasRole(membership.role, minimum)) {
+      return res.status(403).json({ error: `This requires the ${minimum} role or higher` });
+    }
+
+    req.membership = membership;
+    next();
+  } catch (error) {
+    console.error('Organization membership check error:', error);
+    res.status(500).json({ error: 'Failed to check organization membership' });
+  }
+};
+
+const slugify = (name) =>
+  name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 80) || 'org';
+
+const countOwners = async (organizationId) => {
+  const result = await query(
+    `SELECT COUNT(*) FROM organization_members WHERE organization_id = $1 AND role = 'owner'`,
+    [organizationId]
+  );
+  return parseInt(result.rows[0].count);
+};
+
+// Organizations the user belongs to
+router.get('/', async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT o.id, o.name, o.slug, o.plan_type, o.created_at, m.role,
+              (SELECT COUNT(*) FROM organization_members WHERE organization_id = o.id) as members_count
+       FROM organizations o
+       JOIN organization_members m ON m.organization_id = o.id
+       WHERE m.user_id = $1
+       ORDER BY o.name ASC`,
+      [req.user.userId]
+    );
+
+    res.json({
+      organizations: result.rows.map(org => ({
+        id: org.id,
+        name: org.name,
+        slug: org.slug,
+        planType: org.plan_type,
+        role: org.role,
+        membersCount: parseInt(org.members_count),
+        createdAt: org.created_at
+      }))
+    });
+  } catch (error) {
+    console.error('Get organizations error:', error);
+    res.status(500).json({ error: 'Failed to fetch organizations' });
+  }
+});
+
+// Create an organization; the creator becomes its owner
+router.post('/', requireVerifiedEmail, [
+  body('name').trim().isLength({ min: 1, max: 255 }).withMessage('Name is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name } = req.body;
+    let slug = slugify(name);
+
+    const existing = await query('SELECT id FROM organizations WHERE slug = $1', [slug]);
+    if (existing.rows.length > 0) {
+      slug = `${slug}-${crypto.randomBytes(3).toString('hex')}`;
+    }
+
+    const result = await query(
+      `INSERT INTO organizations (name, slug, plan_type, storage_quota, domain_quota)
+       VALUES ($1, $2, 'free', $3, $4) RETURNING *`,
+      [name, slug, plans.free.storage_quota, plans.free.domain_quota]
+    );
+
+    const organization = result.rows[0];
+
+    await query(
+      `INSERT INTO organization_members (organization_id, user_id, role) VALUES ($1, $2, 'owner')`,
+      [organization.id, req.user.userId]
+    );
+
+    await recordAudit(req, {
+      action: 'organization.created',
+      organizationId: organization.id,
+      resourceType: 'organization',
+      resourceId: organization.id,
+      after: { name, slug }
+    });
+
+    res.status(201).json({
+      message: 'Organization created successfully',
+      organization: {
+        id: organization.id,
+        name: organization.name,
+        slug: organization.slug,
+        planType: organization.plan_type,
+        role: 'owner'
+      }
+    });
+  } catch (error) {
+    console.error('Create organization error:', error);
+    res.status(500).json({ error: 'Failed to create organization' });
+  }
+});
+
+// Accept an emailed invitation. The signed-in account must use the invited address.
+router.post('/invitations/accept', [
+  body('token').notEmpty().withMessage('Invitation token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await query(
+      `SELECT i.*, o.name as organization_name FROM organization_invitations i
+       JOIN organizations o ON o.id = i.organization_id
+       WHERE i.token_hash = $1 AND i.accepted_at IS NULL AND i.expires_at > CURRENT_TIMESTAMP`,
+      [hashToken(String(req.body.token))]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(400).json({ error: 'Invitation is invalid or has expired' });
+    }
+
+    const invitation = result.rows[0];
+
+    const userResult = await query('SELECT email FROM users WHERE id = $1', [req.user.userId]);
+    if (userResult.rows[0].email.toLowerCase() !== invitation.email.toLowerCase()) {
+      return res.status(403).json({ error: `This invitation was sent to ${invitation.email}` });
+    }
+
+    await query(
+      `INSERT INTO organization_members (organization_id, user_id, role) VALUES ($1, $2, $3)
+       ON CONFLICT (organization_id, user_id) DO NOTHING`,
+      [invitation.organization_id, req.user.userId, invitation.role]
+    );
+
+    await query(
+      'UPDATE organization_invitations SET accepted_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [invitation.id]
+    );
+
+    await recordAudit(req, {
+      action: 'organization.member_joined',
+      organizationId: invitation.organization_id,
+      resourceType: 'organization_member',
+      resourceId: req.user.userId,
+      after: { role: invitation.role },
+      metadata: { invitationId: invitation.id, invitedBy: invitation.invited_by }
+    });
+
+    res.json({
+      message: `You joined ${invitation.organization_name}`,
+      organization: {
+        id: invitation.organization_id,
+        name: invitation.organization_name,
+        role: invitation.role
+      }
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ error: 'Failed to accept invitation' });
+  }
+});
+
+// Organization details and usage
+router.get('/:id', requireMembership('viewer'), async (req, res) => {
+  try {
+    const usage = await getWorkspaceUsage({ organizationId: req.params.id });
+
+    res.json({
+      organization: {
+        id: req.membership.id,
+        name: req.membership.name,
+        slug: req.membership.slug,
+        role: req.membership.role
+      },
+      usage
+    });
+  } catch (error) {
+    console.error('Get organization error:', error);
+    res.status(500).json({ error: 'Failed to fetch organization' });
+  }
+});
+
+// Rename an organization
+router.put('/:id', requireMembership('admin'), [
+  body('name').trim().isLength({ min: 1, max: 255 }).withMessage('Name is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await query(
+      'UPDATE organizations SET name = $1 WHERE id = $2 RETURNING id, name, slug',
+      [req.body.name, req.params.id]
+    );
+
+    await recordAudit(req, {
+      action: 'organization.updated',
+      organizationId: req.params.id,
+      resourceType: 'organization',
+      resourceId: req.params.id,
+      before: { name: req.membership.name },
+      after: { name: result.rows[0].name }
+    });
+
+    res.json({
+      message: 'Organization updated successfully',
+      organization: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Update organization error:', error);
+    res.status(500).json({ error: 'Failed to update organization' });
+  }
+});
+
+// Change the organization's plan (placeholder for payment integration)
+router.post('/:id/upgrade', denyApiKeys, requireMembership('owner'), [
+  body('planType').isIn(['pro', 'enterprise']).withMessage('Invalid plan type')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { planType } = req.body;
+    const planConfig = plans[planType];
+
+    const previous = await query('SELECT plan_type FROM organizations WHERE id = $1', [req.params.id]);
+
+    const result = await query(
+      `UPDATE organizations SET plan_type = $1, storage_quota = $2, domain_quota = $3
+       WHERE id = $4 RETURNING id, plan_type, storage_quota, domain_quota`,
+      [planType, planConfig.storage_quota, planConfig.domain_quota, req.params.id]
+    );
+
+    const organization = result.rows[0];
+
+    await recordAudit(req, {
+      action: 'organization.plan_changed',
+      organizationId: organization.id,
+      resourceType: 'organization',
+      resourceId: organization.id,
+      before: { planType: previous.rows[0].plan_type },
+      after: { planType: organization.plan_type }
+    });
+
+    res.json({
+      message: `Successfully upgraded to ${planType} plan`,
+      organization: {
+        id: organization.id,
+        planType: organization.plan_type,
+        storageQuota: organization.storage_quota,
+        domainQuota: organization.domain_quota
+      }
+    });
+  } catch (error) {
+    console.error('Upgrade organization error:', error);
+    res.status(500).json({ error: 'Failed to upgrade organization plan' });
+  }
+});
+
+// Delete an organization. It must not own any domains or files.
+router.delete('/:id', denyApiKeys, requireMembership('owner'), async (req, res) => {
+  try {
+    const usage = await getWorkspaceUsage({ organizationId: req.params.id });
+
+    if (usage.domainsCount > 0 || usage.filesCount > 0) {
+      return res.status(400).json({
+        error: 'Delete the organization\'s domains and files before deleting it'
+      });
+    }
+
+    // Files still in the trash go with the organization
+    const trashed = await query('SELECT id FROM files WHERE organization_id = $1', [req.params.id]);
+    await purgeFiles(trashed.rows.map(row => row.id));
+
+    await query('DELETE FROM organizations WHERE id = $1', [req.params.id]);
+
+    await recordAudit(req, {
+      action: 'organization.deleted',
+      organizationId: req.params.id,
+      resourceType: 'organization',
+      resourceId: req.params.id,
+      before: { name: req.membership.name, slug: req.membership.slug }
+    });
+
+    res.json({
+      message: 'Organization deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete organization error:', error);
+    res.status(500).json({ error: 'Failed to delete organization' });
+  }
+});
+
+// List members
+router.get('/:id/members', requireMembership('viewer'), async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT u.id, u.email, u.first_name, u.last_name, m.role, m.created_at
+       FROM organization_members m
+       JOIN users u ON u.id = m.user_id
+       WHERE m.organization_id = $1
+       ORDER BY m.created_at ASC`,
+      [req.params.id]
+    );
+
+    res.json({
+      members: result.rows.map(member => ({
+        id: member.id,
+        email: member.email,
+        firstName: member.first_name,
+        lastName: member.last_name,
+        role: member.role,
+        joinedAt: member.created_at
+      }))
+    });
+  } catch (error) {
+    console.error('Get members error:', error);
+    res.status(500).json({ error: 'Failed to fetch members' });
+  }
+});
+
+// Change a member's role. Only owners can grant or take away the owner role.
+router.put('/:id/members/:userId', requireMembership('admin'), [
+  body('role').isIn(ROLES).withMessage(`Role must be one of ${ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { role } = req.body;
+    const member = await findMembership(req.params.id, req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if ((role === 'owner' || member.role === 'owner') && req.membership.role !== 'owner') {
+      return res.status(403).json({ error: 'Only owners can change the owner role' });
+    }
+
+    if (member.role === 'owner' && role !== 'owner' && (await countOwners(req.params.id)) === 1) {
+      return res.status(400).json({ error: 'An organization needs at least one owner' });
+    }
+
+    await query(
+      'UPDATE organization_members SET role = $1 WHERE organization_id = $2 AND user_id = $3',
+      [role, req.params.id, req.params.userId]
+    );
+
+    await recordAudit(req, {
+      action: 'organization.member_role_changed',
+      organizationId: req.params.id,
+      resourceType: 'organization_member',
+      resourceId: req.params.userId,
+      before: { role: member.role },
+      after: { role }
+    });
+
+    res.json({
+      message: 'Member role updated successfully'
+    });
+  } catch (error) {
+    console.error('Update member error:', error);
+    res.status(500).json({ error: 'Failed to update member' });
+  }
+});
+
+// Remove a member, or leave the organization when removing yourself
+router.delete('/:id/members/:userId', requireMembership('viewer'), async (req, res) => {
+  try {
+    const leaving = req.params.userId === req.user.userId;
+
+    if (!leaving && !hasRole(req.membership.role, 'admin')) {
+      return res.status(403).json({ error: 'This requires the admin role or higher' });
+    }
+
+    const member = await findMembership(req.params.id, req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (member.role === 'owner' && !leaving && req.membership.role !== 'owner') {
+      return res.status(403).json({ error: 'Only owners can remove an owner' });
+    }
+
+    if (member.role === 'owner' && (await countOwners(req.params.id)) === 1) {
+      return res.status(400).json({ error: 'An organization needs at least one owner' });
+    }
+
+    await query(
+      'DELETE FROM organization_members WHERE organization_id = $1 AND user_id = $2',
+      [req.params.id, req.params.userId]
+    );
+
+    await recordAudit(req, {
+      action: leaving ? 'organization.member_left' : 'organization.member_removed',
+      organizationId: req.params.id,
+      resourceType: 'organization_member',
+      resourceId: req.params.userId,
+      before: { role: member.role }
+    });
+
+    res.json({
+      message: leaving ? 'You left the organization' : 'Member removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({ error: 'Failed to remove member' });
+  }
+});
+
+// Pending invitations
+router.get('/:id/invitations', requireMembership('admin'), async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT i.id, i.email, i.role, i.expires_at, i.created_at, u.email as invited_by_email
+       FROM organization_invitations i
+       LEFT JOIN users u ON u.id = i.invited_by
+       WHERE i.organization_id = $1 AND i.accepted_at IS NULL AND i.expires_at > CURRENT_TIMESTAMP
+       ORDER BY i.created_at DESC`,
+      [req.params.id]
+    );
+
+    res.json({
+      invitations: result.rows.map(invitation => ({
+        id: invitation.id,
+        email: invitation.email,
+        role: invitation.role,
+        invitedBy: invitation.invited_by_email,
+        expiresAt: invitation.expires_at,
+        createdAt: invitation.created_at
+      }))
+    });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ error: 'Failed to fetch invitations' });
+  }
+});
+
+// Invite someone by email
+router.post('/:id/invitations', requireMembership('admin'), [
+  body('email').isEmail().normalizeEmail(),
+  body('role').isIn(ROLES).withMessage(`Role must be one of ${ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email, role } = req.body;
+
+    if (role === 'owner' && req.membership.role !== 'owner') {
+      return res.status(403).json({ error: 'Only owners can invite owners' });
+    }
+
+    const existingMember = await query(
+      `SELECT 1 FROM organization_members m JOIN users u ON u.id = m.user_id
+       WHERE m.organization_id = $1 AND LOWER(u.email) = LOWER($2)`,
+      [req.params.id, email]
+    );
+
+    if (existingMember.rows.length > 0) {
+      return res.status(400).json({ error: 'This person is already a member' });
+    }
+
+    // A new invitation replaces any pending one for the same address
+    await query(
+      `DELETE FROM organization_invitations
+       WHERE organization_id = $1 AND LOWER(email) = LOWER($2) AND accepted_at IS NULL`,
+      [req.params.id, email]
+    );
+
+    const token = generateToken();
+    const result = await query(
+      `INSERT INTO organization_invitations (organization_id, email, role, token_hash, invited_by, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING id, email, role, expires_at`,
+      [
+        req.params.id,
+        email,
+        role,
+        hashToken(token),
+        req.user.userId,
+        new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+      ]
+    );
+
+    const invitation = result.rows[0];
+
+    try {
+      await sendOrganizationInvitationEmail(email, {
+        organizationName: req.membership.name,
+        invitedBy: req.user.email,
+        role,
+        token
+      });
+    } catch (mailError) {
+      console.error('Failed to send invitation email:', mailError);
+    }
+
+    await recordAudit(req, {
+      action: 'organization.member_invited',
+      organizationId: req.params.id,
+      resourceType: 'organization_invitation',
+      resourceId: invitation.id,
+      after: { email, role }
+    });
+
+    res.status(201).json({
+      message: `Invitation sent to ${email}`,
+      invitation: {
+        id: invitation.id,
+        email: invitation.email,
+        role: invitation.role,
+        expiresAt: invitation.expires_at
+      }
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({ error: 'Failed to send invitation' });
+  }
+});
+
+// Withdraw a pending invitation
+router.delete('/:id/invitations/:invitationId', requireMembership('admin'), async (req, res) => {
+  try {
+    const result = await query(
+      `DELETE FROM organization_invitations
+       WHERE id = $1 AND organization_id = $2 AND accepted_at IS NULL RETURNING email, role`,
+      [req.params.invitationId, req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'organization.invitation_revoked',
+      organizationId: req.params.id,
+      resourceType: 'organization_invitation',
+      resourceId: req.params.invitationId,
+      before: result.rows[0]
+    });
+
+    res.json({
+      message: 'Invitation withdrawn'
+    });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ error: 'Failed to withdraw invitation' });
+  }
+});
+
+// Organization audit trail
+router.get('/:id/audit', requireMembership('admin'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, action } = req.query;
+    const pageSize = Math.min(parseInt(limit) || 50, 500);
+
+    const { entries, total } = await queryAuditLog(
+      { organizationId: req.params.id, action },
+      { limit: pageSize, offset: (page - 1) * pageSize }
+    );
+
+    res.json({
+      entries,
+      pagination: {
+        page: parseInt(page),
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('Get organization audit log error:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,89 @@
+const express = require('express');
+const { query } = require('../config/database');
+const { sendFileResponse } = require('../services/fileResponses');
+const router = express.Router();
+
+// Public file URLs (/uploads/<owner>/<stored name>). Only files marked public
+// are served, so making a file private takes effect immediately. The owner
+// segment is kept for existing links; stored names are unique on their own.
+
+// Hotlink protection: when a file lists allowed referrers, other sites may
+// not embed it. Requests without a Referer (direct visits, privacy settings)
+// and from this app itself are always allowed.
+const referrerAllowed = (req, allowedReferrers) => {
+  if (!allowedReferrers || allowedReferrers.length === 0) {
+    return true;
+  }
+
+  const referrer = req.get('Referer');
+  if (!referrer) {
+    return true;
+  }
+
+  let host;
+  try {
+    host = new URL(referrer).hostname.toLowerCase();
+  } catch (error) {
+    return false;
+  }
+
+  if (host === req.hostname) {
+    return true;
+  }
+
+  return allowedReferrers.some(pattern => {
+    const allowed = pattern.toLowerCase();
+    return allowed.startsWith('*.')
+      ? host === allowed.slice(2) || host.endsWith(allowed.slice(1))
+      : host === allowed;
+  });
+};
+
+const recordDownload = async (req, file) => {
+  await query('UPDATE files SET download_count = download_count + 1 WHERE id = $1', [file.id]);
+  await query(
+    `INSERT INTO analytics (user_id, organization_id, event_type, event_data, ip_address, user_agent, referrer)
+     VALUES ($1, $2, 'file_download', $3, $4, $5, $6)`,
+    [
+      file.user_id,
+      file.organization_id,
+      JSON.stringify({ fileId: file.id, fileName: file.original_name, source: 'public' }),
+      req.ip,
+      req.get('User-Agent'),
+      req.get('Referer') || null
+    ]
+  );
+};
+
+router.get('/:owner/:storedName', async (req, res) => {
+  try {
+    const result = await query(
+      'SELECT * FROM files WHERE stored_name = $1 AND is_public = true AND deleted_at IS NULL',
+      [req.params.storedName]
+    );
+    const file = result.rows[0];
+
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    if (!referrerAllowed(req, file.allowed_referrers)) {
+      return res.status(403).json({ error: 'Hotlinking this file is not allowed' });
+    }
+
+    // User content is served from the app's origin: never let it run scripts
+    res.set('Content-Security-Policy', "default-src 'none'; img-src 'self' data:; media-src 'self'; style-src 'unsafe-inline'; sandbox");
+
+    await sendFileResponse(req, res, file, {
+      disposition: req.query.download ? 'attachment' : 'inline',
+      onComplete: () => recordDownload(req, file)
+    });
+  } catch (error) {
+    console.error('Public file error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to serve file' });
+    }
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,182 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
+const { body, validationResult } = require('express-validator');
+const { query } = require('../config/database');
+const { sendFileResponse } = require('../services/fileResponses');
+const { verifyShareToken, shareLinkState } = require('../services/shareLinks');
+const { readCookie } = require('../services/cookies');
+const router = express.Router();
+
+// Public endpoints behind share links; none of them need a login
+const TICKET_TTL_MINUTES = 15;
+
+// Unlocking a link also hands the browser its ticket as a cookie scoped to
+// that link's URLs, so the share page can link to the download without the
+// ticket ending up in URLs, logs or Referer headers
+const TICKET_COOKIE = 'share_ticket';
+const ticketCookieOptions = (req) => ({
+  httpOnly: true,
+  sameSite: 'strict',
+  secure: process.env.NODE_ENV === 'production',
+  path: `/api/shares/${encodeURIComponent(req.params.token)}`
+});
+
+const STATE_ERRORS = {
+  revoked: 'This link has been revoked',
+  expired: 'This link has expired',
+  exhausted: 'This link has reached its download limit'
+};
+
+// Password guesses are limited per IP on top of the global API limit
+const unlockLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: { error: 'Too many password attempts, please try again later.' }
+});
+
+// Load the link named by a token with its file. Sends 404 or 410 and returns
+// null when it cannot be used.
+const findShareLink = async (req, res) => {
+  const linkId = verifyShareToken(req.params.token);
+  const result = linkId
+    ? await query(
+      `SELECT l.*, f.original_name, f.file_size, f.mime_type, f.storage_driver, f.file_path, f.content_hash
+       FROM share_links l JOIN files f ON f.id = l.file_id
+       WHERE l.id = $1 AND f.deleted_at IS NULL`,
+      [linkId]
+    )
+    : { rows: [] };
+  const link = result.rows[0];
+
+  if (!link) {
+    res.status(404).json({ error: 'Share link not found' });
+    return null;
+  }
+
+  const state = shareLinkState(link);
+  if (state !== 'active') {
+    res.status(410).json({ error: STATE_ERRORS[state], state });
+    return null;
+  }
+
+  return link;
+};
+
+// What the link points at, for the share page
+router.get('/:token', async (req, res) => {
+  try {
+    const link = await findShareLink(req, res);
+    if (!link) return;
+
+    res.json({
+      fileName: link.original_name,
+      fileSize: parseInt(link.file_size),
+      mimeType: link.mime_type,
+      requiresPassword: Boolean(link.password_hash),
+      expiresAt: link.expires_at,
+      downloadsRemaining: link.max_downloads === null ? null : link.max_downloads - link.download_count
+    });
+  } catch (error) {
+    console.error('Get share link error:', error);
+    res.status(500).json({ error: 'Failed to fetch share link' });
+  }
+});
+
+// Trade the link password for a short-lived download ticket
+router.post('/:token/unlock', unlockLimiter, [
+  body('password').notEmpty().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const link = await findShareLink(req, res);
+    if (!link) return;
+
+    if (link.password_hash && !(await bcrypt.compare(req.body.password, link.password_hash))) {
+      return res.status(401).json({ error: 'Incorrect password' });
+    }
+
+    const ticket = jwt.sign({ linkId: link.id, purpose: 'share' }, process.env.JWT_SECRET, {
+      expiresIn: TICKET_TTL_MINUTES * 60
+    });
+    res.cookie(TICKET_COOKIE, ticket, { ...ticketCookieOptions(req), maxAge: TICKET_TTL_MINUTES * 60 * 1000 });
+    res.json({ ticket });
+  } catch (error) {
+    console.error('Unlock share link error:', error);
+    res.status(500).json({ error: 'Failed to unlock share link' });
+  }
+});
+
+// Download the shared file. Password-protected links need a ticket from
+// /unlock, in an X-Share-Ticket header or the cookie /unlock set.
+router.get('/:token/download', async (req, res) => {
+  try {
+    const link = await findShareLink(req, res);
+    if (!link) return;
+
+    if (link.password_hash) {
+      let ticket;
+      try {
+        ticket = jwt.verify(req.get('X-Share-Ticket') || readCookie(req, TICKET_COOKIE) || '', process.env.JWT_SECRET);
+      } catch (error) {
+        ticket = null;
+      }
+
+      if (!ticket || ticket.purpose !== 'share' || ticket.linkId !== link.id) {
+        return res.status(401).json({ error: 'This link is password protected' });
+      }
+    }
+
+    // Limited links budget max_downloads times the file size in bytes, so
+    // range requests cannot fetch the file more often than allowed. Bytes are
+    // reserved up front and the unsent part is handed back afterwards.
+    let reserved = 0;
+    await sendFileResponse(req, res, link, {
+      beforeBody: async (bytes) => {
+        const result = await query(
+          `UPDATE share_links SET bytes_served = bytes_served + $2
+           WHERE id = $1 AND revoked_at IS NULL
+             AND (max_downloads IS NULL
+                  OR (download_count < max_downloads AND bytes_served + $2 <= max_downloads::bigint * $3))
+           RETURNING id`,
+          [link.id, bytes, link.file_size]
+        );
+
+        if (result.rows.length === 0) {
+          res.status(410).json({ error: STATE_ERRORS.exhausted, state: 'exhausted' });
+          return false;
+        }
+        reserved = bytes;
+        return true;
+      },
+      onClose: async (bytesSent) => {
+        if (reserved > bytesSent) {
+          await query(
+            'UPDATE share_links SET bytes_served = GREATEST(bytes_served - $2, 0) WHERE id = $1',
+            [link.id, reserved - bytesSent]
+          );
+        }
+      },
+      onComplete: async () => {
+        await query(
+          `UPDATE share_links SET download_count = download_count + 1, last_download_at = CURRENT_TIMESTAMP
+           WHERE id = $1`,
+          [link.id]
+        );
+        await query('UPDATE files SET download_count = download_count + 1 WHERE id = $1', [link.file_id]);
+      }
+    });
+  } catch (error) {
+    console.error('Share link download error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to download file' });
+    }
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,186 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { body, validationResult } = require('express-validator');
+const { query } = require('../config/database');
+const { completeLogin, twoFactorChallenge } = require('./auth');
+const { generateToken } = require('../services/tokens');
+const { createUserToken, consumeUserToken } = require('../services/userTokens');
+const { recordAudit } = require('../services/audit');
+const { readCookie } = require('../services/cookies');
+const oidc = require('../services/oidc');
+const router = express.Router();
+
+// The callback hands the browser a one-minute code instead of tokens, so
+// tokens never appear in URLs or browser history
+const LOGIN_CODE_TTL_MINUTES = 1;
+
+const USER_COLUMNS = 'u.id, u.email, u.first_name, u.last_name, u.plan_type, u.is_active, u.totp_enabled';
+
+// The login's state also goes into a cookie only this browser sends back, so
+// a callback URL from someone else's login is refused
+const STATE_COOKIE = 'sso_state';
+const STATE_COOKIE_OPTIONS = {
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  path: '/api/auth/sso'
+};
+
+const redirectWithError = (res, message) =>
+  res.redirect(`/login.html#ssoError=${encodeURIComponent(message)}`);
+
+// Whether SSO is available, for the login page
+router.get('/config', (req, res) => {
+  res.json({
+    enabled: oidc.isEnabled(),
+    providerName: process.env.OIDC_PROVIDER_NAME || 'SSO'
+  });
+});
+
+router.use((req, res, next) => {
+  if (!oidc.isEnabled()) {
+    return res.status(404).json({ error: 'Single sign-on is not configured' });
+  }
+  next();
+});
+
+// Resolve the provider identity to a local account: a linked identity first,
+// then an existing account with the same verified email, else a new account
+const findOrProvisionUser = async (identity, req) => {
+  const linked = await query(
+    `SELECT ${USER_COLUMNS}
+     FROM user_identities i JOIN users u ON u.id = i.user_id
+     WHERE i.issuer = $1 AND i.subject = $2`,
+    [identity.issuer, identity.subject]
+  );
+
+  if (linked.rows.length > 0) {
+    await query(
+      `UPDATE user_identities SET email = $1, last_login = CURRENT_TIMESTAMP
+       WHERE issuer = $2 AND subject = $3`,
+      [identity.email, identity.issuer, identity.subject]
+    );
+    return linked.rows[0];
+  }
+
+  if (!identity.email || !identity.emailVerified) {
+    throw new Error('Your identity provider did not confirm your email address');
+  }
+
+  const existing = await query(`SELECT ${USER_COLUMNS} FROM users u WHERE LOWER(u.email) = $1`, [identity.email]);
+  let user = existing.rows[0];
+
+  if (!user) {
+    // Just-in-time provisioning. The random password is never shown; the
+    // account can only sign in through SSO until a password is set by reset.
+    const passwordHash = await bcrypt.hash(generateToken(), 12);
+    const created = await query(
+      `INSERT INTO users AS u (email, password_hash, first_name, last_name, email_verified)
+       VALUES ($1, $2, $3, $4, true) RETURNING ${USER_COLUMNS}`,
+      [identity.email, passwordHash, identity.firstName, identity.lastName]
+    );
+    user = created.rows[0];
+
+    await recordAudit(req, {
+      action: 'auth.sso_provisioned',
+      accountId: user.id,
+      actorId: user.id,
+      resourceType: 'user',
+      resourceId: user.id,
+      after: { email: user.email, issuer: identity.issuer }
+    });
+  } else {
+    // The provider vouches for the address, so it counts as verified here too
+    await query('UPDATE users SET email_verified = true WHERE id = $1', [user.id]);
+  }
+
+  await query(
+    `INSERT INTO user_identities (user_id, issuer, subject, email, last_login)
+     VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)`,
+    [user.id, identity.issuer, identity.subject, identity.email]
+  );
+
+  await recordAudit(req, {
+    action: 'auth.sso_linked',
+    accountId: user.id,
+    actorId: user.id,
+    resourceType: 'user_identity',
+    resourceId: identity.subject,
+    after: { issuer: identity.issuer, email: identity.email }
+  });
+
+  return user;
+};
+
+// Send the browser to the identity provider
+router.get('/login', async (req, res) => {
+  try {
+    const loginHint = typeof req.query.email === 'string' ? req.query.email : undefined;
+    const { url, state } = await oidc.createAuthorizationUrl({ loginHint });
+    res.cookie(STATE_COOKIE, state, { ...STATE_COOKIE_OPTIONS, maxAge: oidc.STATE_TTL_MINUTES * 60 * 1000 });
+    res.redirect(url);
+  } catch (error) {
+    console.error('SSO login error:', error);
+    redirectWithError(res, 'Single sign-on is unavailable right now');
+  }
+});
+
+// The identity provider redirects back here with an authorization code
+router.get('/callback', async (req, res) => {
+  const browserState = readCookie(req, STATE_COOKIE);
+  res.clearCookie(STATE_COOKIE, STATE_COOKIE_OPTIONS);
+
+  if (req.query.error) {
+    return redirectWithError(res, req.query.error_description || req.query.error);
+  }
+
+  try {
+    const identity = await oidc.handleCallback({ code: req.query.code, state: req.query.state, browserState });
+    const user = await findOrProvisionUser(identity, req);
+
+    if (!user.is_active) {
+      return redirectWithError(res, 'Account is disabled');
+    }
+
+    const code = await createUserToken(user.id, 'sso_login', LOGIN_CODE_TTL_MINUTES);
+    res.redirect(`/login.html#ssoCode=${encodeURIComponent(code)}`);
+  } catch (error) {
+    console.error('SSO callback error:', error);
+    redirectWithError(res, error.message || 'Single sign-on failed');
+  }
+});
+
+// Trade the one-time code for a session (or a two-factor challenge)
+router.post('/exchange', [
+  body('code').notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = await consumeUserToken(req.body.code, 'sso_login');
+    if (!userId) {
+      return res.status(401).json({ error: 'Sign-in code is invalid or has expired' });
+    }
+
+    const result = await query(`SELECT ${USER_COLUMNS} FROM users u WHERE u.id = $1`, [userId]);
+    const user = result.rows[0];
+
+    if (!user || !user.is_active) {
+      return res.status(401).json({ error: 'Account is disabled' });
+    }
+
+    if (user.totp_enabled) {
+      return res.json(twoFactorChallenge(user, 'sso'));
+    }
+
+    res.json(await completeLogin(user, req, { method: 'sso' }));
+  } catch (error) {
+    console.error('SSO exchange error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+module.exports = router;
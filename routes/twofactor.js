@@ -0,0 +1,306 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { body, validationResult } = require('express-validator');
+const { query } = require('../config/database');
+const { authenticateToken, denyApiKeys, denyImpersonation, completeLogin } = require('./auth');
+const { hashToken } = require('../services/tokens');
+const totp = require('../services/totp');
+const { checkLoginAllowed, recordLoginFailure } = require('../services/loginThrottle');
+const { recordAudit } = require('../services/audit');
+const router = express.Router();
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Hosting VPS';
+const RECOVERY_CODE_COUNT = 10;
+
+// Recovery codes look like "a1b2c-d3e4f"; only their hashes are stored
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+
+const generateRecoveryCodes = async (userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await query('DELETE FROM recovery_codes WHERE user_id = $1', [userId]);
+  for (const code of codes) {
+    await query(
+      'INSERT INTO recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+      [userId, hashToken(normalizeRecoveryCode(code))]
+    );
+  }
+
+  return codes;
+};
+
+// Burn a recovery code; returns false if it does not exist or was already used
+const consumeRecoveryCode = async (userId, code) => {
+  const result = await query(
+    `UPDATE recovery_codes SET used_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL RETURNING id`,
+    [userId, hashToken(normalizeRecoveryCode(code))]
+  );
+  return result.rows.length > 0;
+};
+
+// Verify a TOTP code and remember its time step so it cannot be replayed.
+// The step only moves forward, so of two requests racing with the same code
+// just one gets the row back.
+const consumeTotpCode = async (user, code) => {
+  const step = totp.verifyCode(user.totp_secret, code, {
+    lastStep: user.totp_last_step !== null ? parseInt(user.totp_last_step) : null
+  });
+
+  if (step === null) {
+    return false;
+  }
+
+  const result = await query(
+    `UPDATE users SET totp_last_step = $1
+     WHERE id = $2 AND (totp_last_step IS NULL OR totp_last_step < $1) RETURNING id`,
+    [step, user.id]
+  );
+  return result.rows.length > 0;
+};
+
+// Accept either a current TOTP code or an unused recovery code
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    return consumeTotpCode(user, code);
+  }
+  if (recoveryCode) {
+    return consumeRecoveryCode(user.id, recoveryCode);
+  }
+  return false;
+};
+
+const loadUser = async (userId) => {
+  const result = await query(
+    `SELECT id, email, password_hash, first_name, last_name, plan_type, is_active,
+            totp_secret, totp_enabled, totp_last_step
+     FROM users WHERE id = $1`,
+    [userId]
+  );
+  return result.rows[0];
+};
+
+// Complete a login that was answered with a two-factor challenge
+router.post('/login', [
+  body('challengeToken').notEmpty(),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let challenge;
+    try {
+      challenge = jwt.verify(req.body.challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      return res.status(401).json({ error: 'Challenge expired, please sign in again' });
+    }
+
+    if (challenge.purpose !== '2fa') {
+      return res.status(401).json({ error: 'Invalid challenge token' });
+    }
+
+    const user = await loadUser(challenge.userId);
+
+    if (!user || !user.is_active || !user.totp_enabled) {
+      return res.status(401).json({ error: 'Invalid challenge token' });
+    }
+
+    // Wrong codes count towards the same backoff and lockout as wrong passwords
+    const throttle = await checkLoginAllowed(user.email, req.ip);
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(429).json({ error: throttle.error, retryAfter: throttle.retryAfter });
+    }
+
+    if (!(await verifySecondFactor(user, req.body))) {
+      await recordLoginFailure(req, { email: user.email, userId: user.id, reason: 'invalid_2fa_code' });
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    res.json(await completeLogin(user, req, { method: challenge.method || 'password' }));
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+// Everything below manages the signed-in user's own 2FA settings
+router.use(authenticateToken);
+router.use(denyApiKeys);
+
+// Get two-factor status
+router.get('/', async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT u.totp_enabled,
+              (SELECT COUNT(*) FROM recovery_codes
+               WHERE user_id = u.id AND used_at IS NULL) AS recovery_codes_remaining
+       FROM users u WHERE u.id = $1`,
+      [req.user.userId]
+    );
+
+    const status = result.rows[0];
+
+    res.json({
+      enabled: status.totp_enabled,
+      recoveryCodesRemaining: parseInt(status.recovery_codes_remaining)
+    });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({ error: 'Failed to get two-factor status' });
+  }
+});
+
+// Start enrollment: generate a pending secret and its provisioning URI
+router.post('/setup', denyImpersonation, async (req, res) => {
+  try {
+    const user = await loadUser(req.user.userId);
+
+    if (user.totp_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = totp.generateSecret();
+
+    await query(
+      'UPDATE users SET totp_secret = $1, totp_last_step = NULL WHERE id = $2',
+      [secret, user.id]
+    );
+
+    const otpauthUri = totp.provisioningUri(secret, user.email, TOTP_ISSUER);
+
+    res.json({
+      secret,
+      otpauthUri,
+      qrCode: await QRCode.toDataURL(otpauthUri)
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+});
+
+// Finish enrollment by proving the authenticator app works
+router.post('/enable', denyImpersonation, [
+  body('code').notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await loadUser(req.user.userId);
+
+    if (user.totp_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.totp_secret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+
+    if (!(await consumeTotpCode(user, req.body.code))) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    await query('UPDATE users SET totp_enabled = true WHERE id = $1', [user.id]);
+    const recoveryCodes = await generateRecoveryCodes(user.id);
+    await recordAudit(req, { action: '2fa.enabled', resourceType: 'user', resourceId: user.id });
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+});
+
+// Disable two-factor authentication
+router.post('/disable', denyImpersonation, [
+  body('password').notEmpty().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await loadUser(req.user.userId);
+
+    if (!user.totp_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const isValidPassword = await bcrypt.compare(req.body.password, user.password_hash);
+    if (!isValidPassword) {
+      return res.status(400).json({ error: 'Password is incorrect' });
+    }
+
+    if (!(await verifySecondFactor(user, req.body))) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    await query(
+      `UPDATE users SET totp_enabled = false, totp_secret = NULL, totp_last_step = NULL
+       WHERE id = $1`,
+      [user.id]
+    );
+    await query('DELETE FROM recovery_codes WHERE user_id = $1', [user.id]);
+    await recordAudit(req, { action: '2fa.disabled', resourceType: 'user', resourceId: user.id });
+
+    res.json({
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
+// Replace all recovery codes
+router.post('/recovery-codes', denyImpersonation, [
+  body('code').notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await loadUser(req.user.userId);
+
+    if (!user.totp_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await consumeTotpCode(user, req.body.code))) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = await generateRecoveryCodes(user.id);
+    await recordAudit(req, { action: '2fa.recovery_codes_regenerated', resourceType: 'user', resourceId: user.id });
+
+    res.json({
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ error: 'Failed to generate recovery codes' });
+  }
+});
+
+module.exports = router;
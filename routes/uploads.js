@@ -0,0 +1,379 @@
+const express = require('express');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { query } = require('../config/database');
+const { authenticateToken, requireScope, requireVerifiedEmail } = require('./auth');
+const { recordAudit } = require('../services/audit');
+const {
+  resolveWorkspace,
+  requireWorkspaceRole,
+  findAccessible,
+  getWorkspaceUsage
+} = require('../services/organizations');
+const { sameWorkspace } = require('../services/folders');
+const {
+  PARTIAL_DIR,
+  MAX_UPLOAD_SIZE,
+  isAllowedType,
+  generateStoredName,
+  removeExpiredUploads
+} = require('../services/uploads');
+const { storeBlob } = require('../services/blobs');
+const router = express.Router();
+
+// Resumable uploads following the tus 1.0 protocol (https://tus.io/protocols/resumable-upload),
+// with the creation, expiration and termination extensions. A client creates
+// an upload with its total size, then PATCHes bytes from the offset HEAD
+// reports until the upload is complete.
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = 'creation,expiration,termination';
+const UPLOAD_TTL_HOURS = 24;
+
+// Uploads with a PATCH in flight, so two connections never append at once
+const activeUploads = new Set();
+
+// Protocol headers for every tus response. Mounted ahead of CORS in
+// server.js, which answers OPTIONS itself, so capability discovery carries
+// them too.
+const protocolHeaders = (req, res, next) => {
+  res.set('Tus-Resumable', TUS_VERSION);
+
+  if (req.method === 'OPTIONS') {
+    res.set({
+      'Tus-Version': TUS_VERSION,
+      'Tus-Extension': TUS_EXTENSIONS,
+      'Tus-Max-Size': String(MAX_UPLOAD_SIZE)
+    });
+    return next();
+  }
+
+  // Clients that cannot send PATCH or DELETE tunnel them through POST
+  const override = req.get('X-HTTP-Method-Override');
+  if (override && req.method === 'POST') {
+    req.method = override.toUpperCase();
+  }
+
+  if (req.get('Tus-Resumable') !== TUS_VERSION) {
+    res.set('Tus-Version', TUS_VERSION);
+    return res.status(412).json({ error: `Tus-Resumable ${TUS_VERSION} is required` });
+  }
+
+  next();
+};
+
+router.use(authenticateToken);
+router.use(requireScope('files'));
+router.use(resolveWorkspace);
+
+const expiresHeader = (upload) => ({ 'Upload-Expires': new Date(upload.expires_at).toUTCString() });
+
+// Upload-Metadata is a comma-separated list of "key base64(value)" pairs
+const parseMetadata = (header = '') => {
+  const metadata = {};
+  for (const pair of header.split(',')) {
+    const [key, value = ''] = pair.trim().split(' ');
+    if (key) {
+      metadata[key] = Buffer.from(value, 'base64').toString('utf8');
+    }
+  }
+  return metadata;
+};
+
+const parseSize = (value) => (/^\d+$/.test(value || '') ? parseInt(value) : null);
+
+// Load an upload of the requesting user. Expired uploads are removed and
+// reported as gone.
+const findUpload = async (req, res) => {
+  if (!/^[0-9a-f-]{36}$/i.test(req.params.id)) {
+    res.status(404).json({ error: 'Upload not found' });
+    return null;
+  }
+
+  // Direct uploads (storage_driver set) share the table but not the protocol
+  const result = await query(
+    'SELECT * FROM file_uploads WHERE id = $1 AND user_id = $2 AND storage_driver IS NULL',
+    [req.params.id, req.user.userId]
+  );
+  const upload = result.rows[0];
+
+  if (!upload) {
+    res.status(404).json({ error: 'Upload not found' });
+    return null;
+  }
+
+  if (new Date(upload.expires_at) < new Date()) {
+    await removeExpiredUploads();
+    res.status(410).json({ error: 'Upload has expired' });
+    return null;
+  }
+
+  return upload;
+};
+
+// Hand a finished upload to blob storage and record it as a file
+const completeUpload = async (req, upload) => {
+  const stored = await storeBlob(upload.file_path, { contentType: upload.mime_type });
+
+  const result = await query(
+    `INSERT INTO files (user_id, organization_id, folder_id, original_name, stored_name, content_hash,
+                        storage_driver, file_path, file_size, mime_type, is_public)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *`,
+    [
+      upload.user_id,
+      upload.organization_id,
+      upload.folder_id,
+      upload.original_name,
+      generateStoredName(upload.original_name),
+      stored.contentHash,
+      stored.storageDriver,
+      stored.filePath,
+      upload.upload_length,
+      upload.mime_type,
+      upload.is_public
+    ]
+  );
+  await query('DELETE FROM file_uploads WHERE id = $1', [upload.id]);
+
+  const file = result.rows[0];
+  await recordAudit(req, {
+    action: 'file.uploaded',
+    organizationId: file.organization_id,
+    resourceType: 'file',
+    resourceId: file.id,
+    after: {
+      originalName: file.original_name,
+      fileSize: file.file_size,
+      mimeType: file.mime_type,
+      isPublic: file.is_public,
+      folderId: file.folder_id
+    },
+    metadata: { resumable: true, uploadId: upload.id, deduplicated: stored.deduplicated }
+  });
+
+  return file;
+};
+
+// Create an upload. Nothing is accepted until the declared size fits the quota.
+router.post('/', requireVerifiedEmail, requireWorkspaceRole('developer'), async (req, res) => {
+  try {
+    const uploadLength = parseSize(req.get('Upload-Length'));
+    if (uploadLength === null) {
+      return res.status(400).json({ error: 'Upload-Length header is required' });
+    }
+
+    if (uploadLength > MAX_UPLOAD_SIZE) {
+      return res.status(413).json({ error: 'File is larger than the maximum upload size' });
+    }
+
+    const metadata = parseMetadata(req.get('Upload-Metadata'));
+    const originalName = (metadata.filename || metadata.name || '').trim();
+    const mimeType = metadata.filetype || metadata.type || 'application/octet-stream';
+
+    if (!originalName || originalName.length > 255 || /[/\\\0]/.test(originalName)) {
+      return res.status(400).json({ error: 'A valid filename is required in Upload-Metadata' });
+    }
+
+    if (!isAllowedType(mimeType)) {
+      return res.status(400).json({ error: 'File type not allowed' });
+    }
+
+    const folderId = metadata.folderId || null;
+    if (folderId) {
+      const folder = /^[0-9a-f-]{36}$/i.test(folderId)
+        ? await findAccessible('folders', folderId, req.user.userId)
+        : null;
+      const workspaceFile = { user_id: req.user.userId, organization_id: req.workspace.organizationId };
+      if (!folder || !sameWorkspace(folder, workspaceFile)) {
+        return res.status(404).json({ error: 'Folder not found' });
+      }
+    }
+
+    await removeExpiredUploads();
+
+    // The whole declared size is reserved up front, so parallel uploads
+    // cannot overrun the quota between them
+    const usage = await getWorkspaceUsage(req.workspace);
+    if (usage.storageUsed + usage.storageReserved + uploadLength > usage.storageQuota) {
+      return res.status(413).json({ error: 'Storage quota exceeded' });
+    }
+
+    const id = crypto.randomUUID();
+    const filePath = path.join(PARTIAL_DIR, id);
+    await fs.mkdir(PARTIAL_DIR, { recursive: true });
+    await fs.writeFile(filePath, '');
+
+    const result = await query(
+      `INSERT INTO file_uploads (id, user_id, organization_id, folder_id, original_name, mime_type,
+                                 is_public, upload_length, file_path, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+      [
+        id,
+        req.user.userId,
+        req.workspace.organizationId,
+        folderId,
+        originalName,
+        mimeType,
+        metadata.isPublic === 'true',
+        uploadLength,
+        filePath,
+        new Date(Date.now() + UPLOAD_TTL_HOURS * 60 * 60 * 1000)
+      ]
+    );
+
+    const upload = result.rows[0];
+
+    // An empty file is complete as soon as it is created
+    if (uploadLength === 0) {
+      await completeUpload(req, upload);
+    }
+
+    res.set({ Location: `${req.baseUrl}/${upload.id}`, ...expiresHeader(upload) });
+    res.status(201).end();
+  } catch (error) {
+    console.error('Create upload error:', error);
+    res.status(500).json({ error: 'Failed to create upload' });
+  }
+});
+
+// Report how many bytes the server has, so the client knows where to resume
+router.head('/:id', async (req, res) => {
+  try {
+    const upload = await findUpload(req, res);
+    if (!upload) return;
+
+    res.set({
+      'Upload-Offset': String(upload.upload_offset),
+      'Upload-Length': String(upload.upload_length),
+      'Cache-Control': 'no-store',
+      ...expiresHeader(upload)
+    });
+    res.status(200).end();
+  } catch (error) {
+    console.error('Upload offset error:', error);
+    res.status(500).end();
+  }
+});
+
+// Append bytes at the current offset
+router.patch('/:id', async (req, res) => {
+  if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+    return res.status(415).json({ error: 'Content-Type must be application/offset+octet-stream' });
+  }
+
+  let disconnected = false;
+  res.on('close', () => {
+    disconnected = !res.writableFinished;
+  });
+
+  let upload;
+  try {
+    upload = await findUpload(req, res);
+    if (!upload) return;
+
+    const offset = parseSize(req.get('Upload-Offset'));
+    if (offset === null || offset !== parseInt(upload.upload_offset)) {
+      return res.status(409).json({ error: 'Upload-Offset does not match the current offset' });
+    }
+
+    if (activeUploads.has(upload.id)) {
+      return res.status(409).json({ error: 'This upload is already receiving data' });
+    }
+    activeUploads.add(upload.id);
+  } catch (error) {
+    console.error('Upload chunk error:', error);
+    return res.status(500).json({ error: 'Failed to store upload data' });
+  }
+
+  const uploadId = upload.id;
+  try {
+    // Never write past the declared length; excess bytes are discarded
+    let remaining = parseInt(upload.upload_length) - parseInt(upload.upload_offset);
+    let tooLarge = false;
+    const limit = new Transform({
+      transform(chunk, encoding, callback) {
+        if (chunk.length > remaining) {
+          tooLarge = true;
+        }
+        const accepted = chunk.subarray(0, Math.max(remaining, 0));
+        remaining -= accepted.length;
+        callback(null, accepted);
+      }
+    });
+
+    try {
+      await pipeline(req, limit, createWriteStream(upload.file_path, { flags: 'a' }));
+    } catch (error) {
+      // A dropped connection keeps whatever reached the disk; the client
+      // resumes from there
+      if (!disconnected) {
+        throw error;
+      }
+    }
+
+    const { size } = await fs.stat(upload.file_path);
+    const newOffset = Math.min(size, parseInt(upload.upload_length));
+    const updated = await query(
+      `UPDATE file_uploads SET upload_offset = $1, expires_at = $2
+       WHERE id = $3 RETURNING *`,
+      [newOffset, new Date(Date.now() + UPLOAD_TTL_HOURS * 60 * 60 * 1000), upload.id]
+    );
+
+    if (disconnected) return;
+
+    if (updated.rows.length === 0) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+    upload = updated.rows[0];
+
+    if (newOffset === parseInt(upload.upload_length)) {
+      await completeUpload(req, upload);
+    }
+
+    if (tooLarge) {
+      return res.status(413).json({ error: 'Upload exceeds Upload-Length' });
+    }
+
+    res.set({ 'Upload-Offset': String(newOffset), ...expiresHeader(upload) });
+    res.status(204).end();
+  } catch (error) {
+    console.error('Upload chunk error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to store upload data' });
+    }
+  } finally {
+    activeUploads.delete(uploadId);
+  }
+});
+
+// Abandon an upload and free its reserved space
+router.delete('/:id', async (req, res) => {
+  try {
+    const upload = await findUpload(req, res);
+    if (!upload) return;
+
+    if (activeUploads.has(upload.id)) {
+      return res.status(409).json({ error: 'This upload is still receiving data' });
+    }
+
+    await query('DELETE FROM file_uploads WHERE id = $1', [upload.id]);
+    try {
+      await fs.unlink(upload.file_path);
+    } catch (error) {
+      console.error('Failed to delete partial upload:', error);
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Terminate upload error:', error);
+    res.status(500).json({ error: 'Failed to terminate upload' });
+  }
+});
+
+module.exports = {
+  router,
+  protocolHeaders
+};
@@ -2,14 +2,26 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
 const { query } = require('../config/database');
-const { authenticateToken } = require('./auth');
+const {
+  authenticateToken,
+  requireScope,
+  denyApiKeys,
+  denyImpersonation,
+  startEmailVerification
+} = require('./auth');
+const { revokeUserSessions } = require('../services/sessions');
+const { plans } = require('../config/plans');
+const { recordAudit } = require('../services/audit');
+const { releaseOrganizationResources } = require('../services/organizations');
+const { purgeFiles } = require('../services/trash');
 const router = express.Router();
 
 // Apply authentication middleware to all routes
 router.use(authenticateToken);
+router.use(requireScope('account'));
 
 // Update user profile
-router.put('/profile', [
+router.put('/profile', denyApiKeys, denyImpersonation, [
   body('firstName').optional().isLength({ min: 1, max: 100 }),
   body('lastName').optional().isLength({ min: 1, max: 100 }),
   body('email').optional().isEmail().normalizeEmail()
@@ -50,23 +62,45 @@ router.put('/profile', [
 
       updateFields.push(`email = $${paramIndex++}`);
       queryParams.push(email);
+
+      // A new address has to be confirmed again
+      updateFields.push(`email_verified = (email_verified AND email = $${paramIndex++})`);
+      queryParams.push(email);
     }
 
     if (updateFields.length === 0) {
       return res.status(400).json({ error: 'No fields to update' });
     }
 
+    const previous = await query(
+      'SELECT email, first_name, last_name FROM users WHERE id = $1',
+      [req.user.userId]
+    );
+
     updateFields.push(`updated_at = CURRENT_TIMESTAMP`);
     queryParams.push(req.user.userId);
 
     const result = await query(
       `UPDATE users SET ${updateFields.join(', ')} 
-       WHERE id = $${paramIndex++} RETURNING id, email, first_name, last_name, plan_type, created_at`,
+       WHERE id = $${paramIndex++} RETURNING id, email, first_name, last_name, plan_type, created_at, email_verified`,
       queryParams
     );
 
     const user = result.rows[0];
 
+    if (email !== undefined && !user.email_verified) {
+      await startEmailVerification(user.id, user.email);
+    }
+
+    const before = previous.rows[0];
+    await recordAudit(req, {
+      action: 'user.profile_updated',
+      resourceType: 'user',
+      resourceId: user.id,
+      before: { email: before.email, firstName: before.first_name, lastName: before.last_name },
+      after: { email: user.email, firstName: user.first_name, lastName: user.last_name }
+    });
+
     res.json({
       message: 'Profile updated successfully',
       user: {
@@ -75,7 +109,8 @@ router.put('/profile', [
         firstName: user.first_name,
         lastName: user.last_name,
         planType: user.plan_type,
-        createdAt: user.created_at
+        createdAt: user.created_at,
+        emailVerified: user.email_verified
       }
     });
   } catch (error) {
@@ -85,7 +120,7 @@ router.put('/profile', [
 });
 
 // Change password
-router.put('/password', [
+router.put('/password', denyApiKeys, denyImpersonation, [
   body('currentPassword').notEmpty().withMessage('Current password is required'),
   body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
 ], async (req, res) => {
@@ -125,8 +160,19 @@ router.put('/password', [
       [newPasswordHash, req.user.userId]
     );
 
+    // Sign out every other device; the current session stays logged in
+    const revokedSessions = await revokeUserSessions(req.user.userId, req.user.sid);
+
+    await recordAudit(req, {
+      action: 'user.password_changed',
+      resourceType: 'user',
+      resourceId: req.user.userId,
+      metadata: { revokedSessions }
+    });
+
     res.json({
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      revokedSessions
     });
   } catch (error) {
     console.error('Change password error:', error);
@@ -143,11 +189,13 @@ router.get('/stats', async (req, res) => {
          u.domain_quota,
          u.plan_type,
          u.created_at,
-         (SELECT COUNT(*) FROM domains WHERE user_id = u.id) as domains_count,
-         (SELECT COUNT(*) FROM websites WHERE user_id = u.id) as websites_count,
-         (SELECT COUNT(*) FROM files WHERE user_id = u.id) as files_count,
-         (SELECT COALESCE(SUM(file_size), 0) FROM files WHERE user_id = u.id) as storage_used,
-         (SELECT SUM(download_count) FROM files WHERE user_id = u.id) as total_downloads
+         (SELECT COUNT(*) FROM domains WHERE user_id = u.id AND organization_id IS NULL AND deleted_at IS NULL) as domains_count,
+         (SELECT COUNT(*) FROM websites WHERE user_id = u.id AND organization_id IS NULL) as websites_count,
+         (SELECT COUNT(*) FROM files WHERE user_id = u.id AND organization_id IS NULL AND deleted_at IS NULL) as files_count,
+         (SELECT COALESCE(SUM(file_size), 0) FROM files WHERE user_id = u.id AND organization_id IS NULL) +
+         (SELECT COALESCE(SUM(v.file_size), 0) FROM file_versions v JOIN files f ON f.id = v.file_id
+          WHERE f.user_id = u.id AND f.organization_id IS NULL) as storage_used,
+         (SELECT SUM(download_count) FROM files WHERE user_id = u.id AND organization_id IS NULL) as total_downloads
        FROM users u WHERE u.id = $1`,
       [req.user.userId]
     );
@@ -164,7 +212,7 @@ router.get('/stats', async (req, res) => {
          'file_upload' as activity_type,
          original_name as activity_description,
          created_at as activity_date
-       FROM files WHERE user_id = $1
+       FROM files WHERE user_id = $1 AND organization_id IS NULL AND deleted_at IS NULL
        
        UNION ALL
        
@@ -172,7 +220,7 @@ router.get('/stats', async (req, res) => {
          'domain_added' as activity_type,
          domain_name as activity_description,
          created_at as activity_date
-       FROM domains WHERE user_id = $1
+       FROM domains WHERE user_id = $1 AND organization_id IS NULL AND deleted_at IS NULL
        
        ORDER BY activity_date DESC LIMIT 10`,
       [req.user.userId]
@@ -208,7 +256,7 @@ router.get('/stats', async (req, res) => {
 });
 
 // Upgrade plan (placeholder for payment integration)
-router.post('/upgrade', [
+router.post('/upgrade', denyApiKeys, [
   body('planType').isIn(['pro', 'enterprise']).withMessage('Invalid plan type')
 ], async (req, res) => {
   try {
@@ -219,18 +267,6 @@ router.post('/upgrade', [
 
     const { planType } = req.body;
 
-    // Plan configurations
-    const plans = {
-      pro: {
-        storage_quota: 10737418240, // 10GB
-        domain_quota: 10
-      },
-      enterprise: {
-        storage_quota: 107374182400, // 100GB
-        domain_quota: 100
-      }
-    };
-
     const planConfig = plans[planType];
     if (!planConfig) {
       return res.status(400).json({ error: 'Invalid plan type' });
@@ -238,7 +274,9 @@ router.post('/upgrade', [
 
     // In a real implementation, you would process payment here
     // For now, we'll just update the plan
-    
+
+    const previous = await query('SELECT plan_type FROM users WHERE id = $1', [req.user.userId]);
+
     const result = await query(
       `UPDATE users SET plan_type = $1, storage_quota = $2, domain_quota = $3, 
               updated_at = CURRENT_TIMESTAMP WHERE id = $4 RETURNING *`,
@@ -247,6 +285,14 @@ router.post('/upgrade', [
 
     const user = result.rows[0];
 
+    await recordAudit(req, {
+      action: 'user.plan_changed',
+      resourceType: 'user',
+      resourceId: user.id,
+      before: { planType: previous.rows[0].plan_type },
+      after: { planType: user.plan_type }
+    });
+
     res.json({
       message: `Successfully upgraded to ${planType} plan`,
       user: {
@@ -263,7 +309,7 @@ router.post('/upgrade', [
 });
 
 // Delete account
-router.delete('/account', [
+router.delete('/account', denyApiKeys, denyImpersonation, [
   body('password').notEmpty().withMessage('Password is required'),
   body('confirmation').custom(value => {
     if (value !== 'DELETE') {
@@ -298,9 +344,27 @@ router.delete('/account', [
       return res.status(400).json({ error: 'Password is incorrect' });
     }
 
+    // Organization resources this user created stay with the organization
+    const soleOwnerOf = await releaseOrganizationResources(req.user.userId);
+    if (soleOwnerOf.length > 0) {
+      return res.status(400).json({
+        error: `You are the only owner of ${soleOwnerOf.join(', ')}. Transfer ownership or delete the organization first.`
+      });
+    }
+
+    // Personal files go first, so their stored contents are released too
+    const files = await query(
+      'SELECT id FROM files WHERE user_id = $1 AND organization_id IS NULL',
+      [req.user.userId]
+    );
+    await purgeFiles(files.rows.map(row => row.id));
+
     // Delete all user data (cascade will handle related records)
     await query('DELETE FROM users WHERE id = $1', [req.user.userId]);
 
+    // Audit entries outlive the account they describe
+    await recordAudit(req, { action: 'user.account_deleted', resourceType: 'user', resourceId: req.user.userId });
+
     res.json({
       message: 'Account deleted successfully'
     });
@@ -0,0 +1,200 @@
+require('dotenv').config();
+const { pool, query } = require('../config/database');
+const { getDriver } = require('../services/storage');
+
+// Move stored file contents from one storage driver to another:
+//
+//   npm run storage:migrate -- --from local --to s3 [--keep-source]
+//
+// Safe to run while the server is up. Each object is copied first, then its
+// row is switched over only if it still points at the old location; the old
+// copy is deleted afterwards. A row changed in the meantime (new version,
+// purge) keeps its new content and the stray copy is removed. Rerunning picks
+// up where an interrupted run stopped.
+//
+// Deduplicated contents move as blobs, together with every row pointing at
+// them. Their old copies are only deleted at the end, after rows that took a
+// reference during the run have been pointed at the new location.
+const BATCH_SIZE = 100;
+const TABLES = ['files', 'file_versions'];
+
+const parseArgs = (argv) => {
+  const args = { keepSource: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--from') args.from = argv[++i];
+    else if (argv[i] === '--to') args.to = argv[++i];
+    else if (argv[i] === '--keep-source') args.keepSource = true;
+    else throw new Error(`Unknown argument: ${argv[i]}`);
+  }
+
+  if (!args.from || !args.to || args.from === args.to) {
+    throw new Error('Usage: migrate-storage --from <driver> --to <driver> [--keep-source]');
+  }
+  return args;
+};
+
+const migrateRow = async (table, row, from, to, keepSource) => {
+  const source = await from.stat(row.file_path);
+  if (!source) {
+    console.warn(`Skipping ${table} ${row.id}: ${row.file_path} is missing from ${from.name}`);
+    return false;
+  }
+
+  const location = to.locationForKey(from.keyOf(row.file_path));
+  await to.putStream(location, await from.createReadStream(row.file_path), {
+    size: source.size,
+    contentType: row.mime_type
+  });
+
+  const updated = await query(
+    `UPDATE ${table} SET storage_driver = $1, file_path = $2
+     WHERE id = $3 AND storage_driver = $4 AND file_path = $5`,
+    [to.name, location, row.id, from.name, row.file_path]
+  );
+
+  if (updated.rowCount === 0) {
+    await to.remove(location);
+    return false;
+  }
+
+  if (!keepSource) {
+    await from.remove(row.file_path);
+  }
+  return true;
+};
+
+const migrateTable = async (table, from, to, keepSource) => {
+  let migrated = 0;
+  let failed = 0;
+  let lastId = null;
+
+  for (;;) {
+    // Keyset pagination; migrated rows drop out of the driver filter anyway,
+    // but skipped ones must not be fetched again
+    const result = await query(
+      `SELECT id, file_path, mime_type FROM ${table}
+       WHERE storage_driver = $1 AND content_hash IS NULL AND ($2::uuid IS NULL OR id > $2)
+       ORDER BY id LIMIT $3`,
+      [from.name, lastId, BATCH_SIZE]
+    );
+    if (result.rows.length === 0) break;
+
+    for (const row of result.rows) {
+      try {
+        if (await migrateRow(table, row, from, to, keepSource)) {
+          migrated++;
+        }
+      } catch (error) {
+        failed++;
+        console.error(`Failed to migrate ${table} ${row.id}:`, error.message);
+      }
+    }
+    lastId = result.rows[result.rows.length - 1].id;
+  }
+
+  console.log(`${table}: ${migrated} migrated, ${failed} failed`);
+  return failed;
+};
+
+// Copy a blob and point it and its rows at the copy. Returns the old location
+// to delete later, or null when nothing moved.
+const migrateBlob = async (blob, from, to) => {
+  const source = await from.stat(blob.file_path);
+  if (!source) {
+    console.warn(`Skipping blob ${blob.hash}: ${blob.file_path} is missing from ${from.name}`);
+    return null;
+  }
+
+  const location = to.locationForKey(from.keyOf(blob.file_path));
+  await to.putStream(location, await from.createReadStream(blob.file_path), { size: source.size });
+
+  const updated = await query(
+    `UPDATE file_blobs SET storage_driver = $1, file_path = $2
+     WHERE hash = $3 AND storage_driver = $4 AND file_path = $5`,
+    [to.name, location, blob.hash, from.name, blob.file_path]
+  );
+
+  if (updated.rowCount === 0) {
+    await to.remove(location);
+    return null;
+  }
+
+  for (const table of TABLES) {
+    await query(
+      `UPDATE ${table} SET storage_driver = $1, file_path = $2
+       WHERE content_hash = $3 AND storage_driver = $4 AND file_path = $5`,
+      [to.name, location, blob.hash, from.name, blob.file_path]
+    );
+  }
+  return blob.file_path;
+};
+
+const migrateBlobs = async (from, to, keepSource) => {
+  const moved = [];
+  let failed = 0;
+  let lastHash = null;
+
+  for (;;) {
+    const result = await query(
+      `SELECT hash, file_path FROM file_blobs
+       WHERE storage_driver = $1 AND ($2::char(64) IS NULL OR hash > $2)
+       ORDER BY hash LIMIT $3`,
+      [from.name, lastHash, BATCH_SIZE]
+    );
+    if (result.rows.length === 0) break;
+
+    for (const blob of result.rows) {
+      try {
+        const oldLocation = await migrateBlob(blob, from, to);
+        if (oldLocation) {
+          moved.push(oldLocation);
+        }
+      } catch (error) {
+        failed++;
+        console.error(`Failed to migrate blob ${blob.hash}:`, error.message);
+      }
+    }
+    lastHash = result.rows[result.rows.length - 1].hash;
+  }
+
+  // Rows that copied a blob's old location while it was being moved
+  for (const table of TABLES) {
+    await query(
+      `UPDATE ${table} t SET storage_driver = b.storage_driver, file_path = b.file_path
+       FROM file_blobs b
+       WHERE t.content_hash = b.hash AND (t.storage_driver <> b.storage_driver OR t.file_path <> b.file_path)`
+    );
+  }
+
+  if (!keepSource) {
+    for (const location of moved) {
+      await from.remove(location);
+    }
+  }
+
+  console.log(`file_blobs: ${moved.length} migrated, ${failed} failed`);
+  return failed;
+};
+
+const main = async () => {
+  const { from: fromName, to: toName, keepSource } = parseArgs(process.argv.slice(2));
+  const from = getDriver(fromName);
+  const to = getDriver(toName);
+
+  console.log(`📦 Migrating stored files from ${from.name} to ${to.name}`);
+  let failed = await migrateBlobs(from, to, keepSource);
+  for (const table of TABLES) {
+    failed += await migrateTable(table, from, to, keepSource);
+  }
+
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+};
+
+main()
+  .catch(error => {
+    console.error('Storage migration error:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
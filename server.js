@@ -8,15 +8,31 @@ const path = require('path');
 require('dotenv').config();
 
 const { initDatabase } = require('./config/database');
+const { startScheduler } = require('./services/jobs');
+const dnsServer = require('./services/dnsServer');
 const { router: authRoutes } = require('./routes/auth');
 const domainRoutes = require('./routes/domains');
 const fileRoutes = require('./routes/files');
+const folderRoutes = require('./routes/folders');
+const { router: uploadRoutes, protocolHeaders: tusProtocolHeaders } = require('./routes/uploads');
 const userRoutes = require('./routes/users');
 const monitorRoutes = require('./routes/monitor');
+const keyRoutes = require('./routes/keys');
+const twoFactorRoutes = require('./routes/twofactor');
+const adminRoutes = require('./routes/admin');
+const auditRoutes = require('./routes/audit');
+const organizationRoutes = require('./routes/organizations');
+const ssoRoutes = require('./routes/sso');
+const shareRoutes = require('./routes/shares');
+const publicFileRoutes = require('./routes/publicFiles');
+const acmeChallengeRoutes = require('./routes/acmeChallenges');
 
 const app = express();
 const PORT = process.env.PORT || 10000;
 
+// Render terminates TLS at a proxy; trust it so req.ip is the client address
+app.set('trust proxy', 1);
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -42,15 +58,27 @@ app.use('/api/', limiter);
 // Basic middleware
 app.use(compression());
 app.use(morgan('combined'));
+app.use('/api/files/tus', tusProtocolHeaders);
 app.use(cors({
   origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
-  credentials: true
+  credentials: true,
+  // Resumable upload and ranged download clients read these from
+  // cross-origin responses
+  exposedHeaders: [
+    'Location', 'Upload-Offset', 'Upload-Length', 'Upload-Expires',
+    'Tus-Resumable', 'Tus-Version', 'Tus-Extension', 'Tus-Max-Size',
+    'ETag', 'Accept-Ranges', 'Content-Range', 'Content-Disposition'
+  ]
 }));
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+// File data arrives through multipart or tus uploads, never as JSON
+app.use(express.json({ limit: '1mb' }));
+app.use(express.urlencoded({ extended: true, limit: '1mb' }));
+
+// Public files, checked against their database record on every request
+app.use('/uploads', publicFileRoutes);
 
-// Static file serving
-app.use('/uploads', express.static('uploads'));
+// HTTP-01 challenges of certificate orders in progress
+app.use('/.well-known/acme-challenge', acmeChallengeRoutes);
 
 // Health check endpoint for Render
 app.get('/health', (req, res) => {
@@ -64,11 +92,25 @@ app.get('/health', (req, res) => {
 });
 
 // API Routes
+app.use('/api/auth/2fa', twoFactorRoutes);
+app.use('/api/auth/sso', ssoRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/domains', domainRoutes);
+app.use('/api/files/tus', uploadRoutes);
 app.use('/api/files', fileRoutes);
+app.use('/api/folders', folderRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/monitor', monitorRoutes);
+app.use('/api/keys', keyRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/shares', shareRoutes);
+
+// Share links open a public download page
+app.get('/s/:token', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'share.html'));
+});
 
 // Serve static frontend files
 app.use(express.static(path.join(__dirname, 'public')));
@@ -111,6 +153,14 @@ const startServer = async () => {
   try {
     // Initialize database schema
     await initDatabase();
+
+    // Background jobs: trash purge, domain re-checks, expiry and renewals
+    startScheduler();
+
+    // Authoritative DNS for hosted zones, when DNS_SERVER_PORT is set
+    if (dnsServer.isEnabled()) {
+      dnsServer.startDnsServer();
+    }
     
     // Start server - IMPORTANT: Bind to 0.0.0.0 for Render.com
     app.listen(PORT, '0.0.0.0', () => {
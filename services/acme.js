@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const { query } = require('../config/database');
+
+// ACME client (RFC 8555) for Let's Encrypt or any compatible CA. Requests are
+// JWS-signed with an ES256 account key; one account per directory URL is
+// registered on first use and kept in acme_accounts.
+//
+// ACME_CA_CERT names a PEM file of extra CAs to trust for the directory's own
+// TLS certificate, e.g. Pebble's pebble.minica.pem when testing locally.
+const DIRECTORY_URL = process.env.ACME_DIRECTORY_URL || '';
+const CONTACT_EMAIL = process.env.ACME_EMAIL || '';
+const POLL_INTERVAL_MS = 2000;
+const POLL_TIMEOUT_MS = parseInt(process.env.ACME_POLL_TIMEOUT_MS) || 5 * 60 * 1000;
+
+const isEnabled = () => Boolean(DIRECTORY_URL);
+
+let trustedCa;
+const extraCa = () => {
+  if (trustedCa === undefined) {
+    trustedCa = process.env.ACME_CA_CERT ? fs.readFileSync(process.env.ACME_CA_CERT) : null;
+  }
+  return trustedCa;
+};
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+// Problem documents (RFC 7807) become errors carrying the ACME error type
+const problemError = (problem, fallback) => {
+  const detail = problem.detail || fallback;
+  const error = new Error(problem.type ? `${detail} (${problem.type.replace('urn:ietf:params:acme:error:', '')})` : detail);
+  error.acmeType = problem.type;
+  return error;
+};
+
+// Plain HTTP(S) request; resolves with { status, headers, body }
+const send = (method, url, { headers = {}, body = null } = {}) =>
+  new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const ca = target.protocol === 'https:' && extraCa();
+    const request = (target.protocol === 'https:' ? https : http).request(target, {
+      method,
+      headers,
+      ...(ca ? { ca: [...tls.rootCertificates, ca] } : {}),
+      timeout: 30000
+    }, response => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => resolve({
+        status: response.statusCode,
+        headers: response.headers,
+        body: Buffer.concat(chunks)
+      }));
+      response.on('error', reject);
+    });
+
+    request.on('timeout', () => request.destroy(new Error(`ACME request to ${url} timed out`)));
+    request.on('error', reject);
+    request.end(body);
+  });
+
+const parseJson = (response) => {
+  try {
+    return JSON.parse(response.body.toString('utf8'));
+  } catch (error) {
+    return {};
+  }
+};
+
+let directory = null;
+const getDirectory = async () => {
+  if (!directory) {
+    const response = await send('GET', DIRECTORY_URL);
+    if (response.status !== 200) {
+      throw new Error(`ACME directory ${DIRECTORY_URL} answered ${response.status}`);
+    }
+    directory = parseJson(response);
+  }
+  return directory;
+};
+
+// Nonces come with every response; a fresh one is fetched when none is left
+const nonces = [];
+const takeNonce = async () => {
+  if (nonces.length > 0) return nonces.pop();
+
+  const response = await send('HEAD', (await getDirectory()).newNonce);
+  if (!response.headers['replay-nonce']) {
+    throw new Error('ACME server returned no nonce');
+  }
+  return response.headers['replay-nonce'];
+};
+
+const publicJwk = (privateKey) => {
+  const { kty, crv, x, y } = crypto.createPublicKey(privateKey).export({ format: 'jwk' });
+  return { kty, crv, x, y };
+};
+
+// RFC 7638 thumbprint: the required members in lexicographic order
+const thumbprint = (jwk) =>
+  crypto.createHash('sha256')
+    .update(JSON.stringify({ crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y }))
+    .digest('base64url');
+
+// POST a JWS to `url`. `payload` null makes a POST-as-GET. The account is
+// identified by `kid`, or by its public key before it has one.
+const signedRequest = async (account, url, payload, { accept } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    const header = {
+      alg: 'ES256',
+      nonce: await takeNonce(),
+      url,
+      ...(account.kid ? { kid: account.kid } : { jwk: publicJwk(account.key) })
+    };
+    const encodedHeader = base64url(JSON.stringify(header));
+    const encodedPayload = payload === null ? '' : base64url(JSON.stringify(payload));
+    const signature = crypto.sign('sha256', Buffer.from(`${encodedHeader}.${encodedPayload}`), {
+      key: account.key,
+      dsaEncoding: 'ieee-p1363'
+    });
+
+    const response = await send('POST', url, {
+      headers: {
+        'Content-Type': 'application/jose+json',
+        ...(accept ? { Accept: accept } : {})
+      },
+      body: JSON.stringify({ protected: encodedHeader, payload: encodedPayload, signature: signature.toString('base64url') })
+    });
+
+    if (response.headers['replay-nonce']) {
+      nonces.push(response.headers['replay-nonce']);
+    }
+
+    if (response.status < 400) {
+      return response;
+    }
+
+    const problem = parseJson(response);
+    // Nonces are single-use and may be rejected at any time; retry with a new one
+    if (problem.type === 'urn:ietf:params:acme:error:badNonce' && attempt < 3) {
+      continue;
+    }
+    throw problemError(problem, `ACME request to ${url} failed with ${response.status}`);
+  }
+};
+
+// The account for the configured directory, registering it on first use.
+// Instances racing to register keep whichever account was stored first.
+let cachedAccount = null;
+const getAccount = async () => {
+  if (cachedAccount) return cachedAccount;
+
+  const load = async () => {
+    const result = await query('SELECT * FROM acme_accounts WHERE directory_url = $1', [DIRECTORY_URL]);
+    const row = result.rows[0];
+    return row ? { key: crypto.createPrivateKey(row.private_key), kid: row.account_url } : null;
+  };
+
+  let account = await load();
+  if (!account) {
+    const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const response = await signedRequest({ key: privateKey }, (await getDirectory()).newAccount, {
+      termsOfServiceAgreed: true,
+      ...(CONTACT_EMAIL ? { contact: [`mailto:${CONTACT_EMAIL}`] } : {})
+    });
+
+    await query(
+      `INSERT INTO acme_accounts (directory_url, account_url, private_key)
+       VALUES ($1, $2, $3) ON CONFLICT (directory_url) DO NOTHING`,
+      [DIRECTORY_URL, response.headers.location, privateKey.export({ type: 'pkcs8', format: 'pem' })]
+    );
+    account = await load();
+  }
+
+  cachedAccount = account;
+  return account;
+};
+
+const keyAuthorization = (account, token) => `${token}.${thumbprint(publicJwk(account.key))}`;
+
+// The TXT value for a dns-01 challenge
+const dnsChallengeValue = (keyAuth) => crypto.createHash('sha256').update(keyAuth).digest('base64url');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const retryAfter = (response) => {
+  const seconds = parseInt(response.headers['retry-after']);
+  return seconds > 0 ? Math.min(seconds * 1000, 60000) : POLL_INTERVAL_MS;
+};
+
+// POST-as-GET `url` until its status leaves `pendingStates`
+const poll = async (account, url, pendingStates) => {
+  const deadline = Date.now() + POLL_TIMEOUT_MS;
+  for (;;) {
+    const response = await signedRequest(account, url, null);
+    const resource = parseJson(response);
+    if (!pendingStates.includes(resource.status)) {
+      return resource;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for ${url} (status ${resource.status})`);
+    }
+    await sleep(retryAfter(response));
+  }
+};
+
+const newOrder = async (account, domainNames) => {
+  const response = await signedRequest(account, (await getDirectory()).newOrder, {
+    identifiers: domainNames.map(value => ({ type: 'dns', value }))
+  });
+  return { url: response.headers.location, ...parseJson(response) };
+};
+
+const getAuthorization = async (account, url) => ({ url, ...parseJson(await signedRequest(account, url, null)) });
+
+// Tell the CA a challenge is ready, then wait for its authorization to be
+// decided. Throws with the CA's reason when validation fails.
+const completeChallenge = async (account, authorization, challenge) => {
+  await signedRequest(account, challenge.url, {});
+
+  const result = await poll(account, authorization.url, ['pending', 'processing']);
+  if (result.status !== 'valid') {
+    const failed = (result.challenges || []).find(candidate => candidate.error);
+    throw failed ? problemError(failed.error, 'Challenge failed')
+      : new Error(`Authorization for ${authorization.identifier.value} is ${result.status}`);
+  }
+};
+
+// Submit the CSR and download the issued chain as PEM
+const finalizeOrder = async (account, order, csrDer) => {
+  await signedRequest(account, order.finalize, { csr: base64url(csrDer) });
+
+  const result = await poll(account, order.url, ['pending', 'ready', 'processing']);
+  if (result.status !== 'valid') {
+    throw result.error ? problemError(result.error, 'Order failed') : new Error(`Order is ${result.status}`);
+  }
+
+  const response = await signedRequest(account, result.certificate, null, { accept: 'application/pem-certificate-chain' });
+  return response.body.toString('utf8');
+};
+
+// Revoke a certificate issued to our account. `reason` is an RFC 5280 code.
+const revokeCertificate = async (certificateDer, reason = 0) => {
+  const account = await getAccount();
+  await signedRequest(account, (await getDirectory()).revokeCert, {
+    certificate: base64url(certificateDer),
+    reason
+  });
+};
+
+module.exports = {
+  DIRECTORY_URL,
+  isEnabled,
+  getAccount,
+  keyAuthorization,
+  dnsChallengeValue,
+  newOrder,
+  getAuthorization,
+  completeChallenge,
+  finalizeOrder,
+  revokeCertificate
+};
@@ -0,0 +1,324 @@
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const { query } = require('../config/database');
+const { getDriver } = require('./storage');
+const { storeBlob, releaseBlob } = require('./blobs');
+const { replaceContent } = require('./fileVersions');
+const { isValidFolderName, getSubtreePaths } = require('./folders');
+const { PARTIAL_DIR, MAX_UPLOAD_SIZE, isAllowedType, mimeTypeForName, generateStoredName } = require('./uploads');
+const { MAX_ZIP_SIZE, MAX_ZIP_ENTRIES, writeZip, readZipEntries, openZipEntry } = require('./zip');
+
+// Bulk downloads as ZIP and extraction of uploaded ZIP archives into folders
+const MAX_ENTRIES = Math.min(parseInt(process.env.ZIP_MAX_ENTRIES) || 10000, MAX_ZIP_ENTRIES);
+const MAX_DOWNLOAD_SIZE = Math.min(parseInt(process.env.ZIP_MAX_DOWNLOAD_SIZE) || 2 * 1024 * 1024 * 1024, MAX_ZIP_SIZE);
+const MAX_EXTRACTED_SIZE = parseInt(process.env.ZIP_MAX_EXTRACTED_SIZE) || 1024 * 1024 * 1024; // 1GB default
+
+const ZIP_TYPES = ['application/zip', 'application/x-zip-compressed'];
+
+const isZipFile = (file) => ZIP_TYPES.includes(file.mime_type) || /\.zip$/i.test(file.original_name);
+
+// Types that deflate would not make smaller
+const isCompressed = (mimeType) =>
+  /^(image\/(jpeg|png|gif|webp)|application\/(zip|x-zip-compressed|pdf))$/.test(mimeType || '');
+
+// Byte-range access to stored content, as the ZIP reader wants it
+const storedSource = (file) => {
+  const driver = getDriver(file.storage_driver);
+  const openRange = (start, end) => driver.createReadStream(file.file_path, { start, end });
+
+  const read = async (position, length) => {
+    if (length === 0) return Buffer.alloc(0);
+    const chunks = [];
+    for await (const chunk of await openRange(position, position + length - 1)) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  };
+
+  return { driver, read, openRange };
+};
+
+// "name (2).txt" for the second "name.txt" in the same place
+const uniqueName = (name, taken) => {
+  const ext = path.extname(name);
+  const base = name.slice(0, name.length - ext.length);
+  let candidate = name;
+  for (let n = 2; taken.has(candidate.toLowerCase()); n++) {
+    candidate = `${base} (${n})${ext}`;
+  }
+  taken.add(candidate.toLowerCase());
+  return candidate;
+};
+
+// Entries for a download of the given files (at the top level) and folders
+// (with everything below them). Returns { entries, totalSize }.
+const collectDownload = async ({ files, folders }) => {
+  const entries = [];
+  const taken = new Set();
+  let totalSize = 0;
+
+  const addFile = (file, name) => {
+    totalSize += parseInt(file.file_size);
+    entries.push({
+      name,
+      date: file.version_created_at || file.created_at,
+      compress: !isCompressed(file.mime_type),
+      file
+    });
+  };
+
+  for (const file of files) {
+    addFile(file, uniqueName(file.original_name, taken));
+  }
+
+  for (const folder of folders) {
+    const subtree = await getSubtreePaths(folder.id);
+    const root = uniqueName(folder.name, taken);
+    const paths = Object.fromEntries(subtree.map(row => [row.id, root + row.path.slice(folder.name.length)]));
+    const namesIn = {};
+
+    for (const row of subtree) {
+      entries.push({ name: paths[row.id], directory: true, date: folder.created_at });
+      namesIn[row.id] = new Set();
+    }
+
+    const contents = await query(
+      `SELECT * FROM files WHERE folder_id = ANY($1::uuid[]) AND deleted_at IS NULL ORDER BY original_name`,
+      [subtree.map(row => row.id)]
+    );
+    for (const file of contents.rows) {
+      addFile(file, `${paths[file.folder_id]}/${uniqueName(file.original_name, namesIn[file.folder_id])}`);
+    }
+  }
+
+  return { entries, totalSize };
+};
+
+// Stream a download built by collectDownload to `output`
+const writeDownload = (output, entries) =>
+  writeZip(output, entries.map(entry => (entry.directory ? entry : {
+    ...entry,
+    open: () => getDriver(entry.file.storage_driver).createReadStream(entry.file.file_path)
+  })));
+
+// Path segments of an archive entry, or null when the name could escape the
+// folder it is extracted into (absolute paths, drive letters, "..")
+const entrySegments = (name) => {
+  const normalized = name.replace(/\\/g, '/');
+  if (normalized.startsWith('/') || /^[a-z]:/i.test(normalized) || normalized.includes('\0')) {
+    return null;
+  }
+
+  const segments = normalized.split('/').filter(segment => segment !== '' && segment !== '.');
+  return segments.some(segment => segment === '..') ? null : segments;
+};
+
+// Leftovers of macOS and Windows archivers that nobody wants extracted
+const isJunk = (segments) =>
+  segments[0] === '__MACOSX' || ['.DS_Store', 'Thumbs.db'].includes(segments[segments.length - 1]);
+
+// Read an archive's directory and decide what to extract. Returns
+// { error } when the archive must be refused as a whole, otherwise
+// { source, files: [{ entry, segments, mimeType }], directories, skipped, totalSize }.
+const planExtraction = async (archive) => {
+  const source = storedSource(archive);
+  const stat = await source.driver.stat(archive.file_path);
+  if (!stat) {
+    return { error: 'Archive not found in storage' };
+  }
+
+  let entries;
+  try {
+    entries = await readZipEntries(source.read, stat.size);
+  } catch (error) {
+    return { error: `Not a valid ZIP archive: ${error.message}` };
+  }
+
+  if (entries.length > MAX_ENTRIES) {
+    return { error: `Archives may contain at most ${MAX_ENTRIES} entries` };
+  }
+
+  const files = [];
+  const directories = new Set();
+  const skipped = [];
+  let totalSize = 0;
+
+  for (const entry of entries) {
+    const segments = entrySegments(entry.name);
+    if (!segments) {
+      return { error: `Unsafe path in archive: ${entry.name}` };
+    }
+    if (segments.length === 0 || isJunk(segments)) continue;
+
+    const folderSegments = entry.isDirectory ? segments : segments.slice(0, -1);
+    if (!folderSegments.every(isValidFolderName)) {
+      return { error: `Invalid folder name in archive: ${entry.name}` };
+    }
+    for (let i = 1; i <= folderSegments.length; i++) {
+      directories.add(folderSegments.slice(0, i).join('/'));
+    }
+    if (entry.isDirectory) continue;
+
+    if (entry.encrypted) {
+      return { error: `Encrypted archives are not supported (${entry.name})` };
+    }
+
+    const mimeType = mimeTypeForName(entry.name);
+    if (entry.isSymlink) {
+      skipped.push({ name: entry.name, reason: 'Symbolic link' });
+    } else if (!isAllowedType(mimeType)) {
+      skipped.push({ name: entry.name, reason: 'File type not allowed' });
+    } else if (segments[segments.length - 1].length > 255) {
+      skipped.push({ name: entry.name, reason: 'File name too long' });
+    } else if (entry.uncompressedSize > MAX_UPLOAD_SIZE) {
+      skipped.push({ name: entry.name, reason: 'File too large' });
+    } else {
+      files.push({ entry, segments, mimeType });
+      totalSize += entry.uncompressedSize;
+    }
+  }
+
+  if (totalSize > MAX_EXTRACTED_SIZE) {
+    return { error: `Archives may extract to at most ${MAX_EXTRACTED_SIZE} bytes` };
+  }
+
+  return { source, files, directories: [...directories].sort(), skipped, totalSize };
+};
+
+// The folder called `name` under `parentId`, created when missing
+const ensureFolder = async (workspaceFile, parentId, name) => {
+  const find = () => query(
+    `SELECT * FROM folders
+     WHERE COALESCE(organization_id, user_id) = $1
+       AND parent_id IS NOT DISTINCT FROM $2
+       AND LOWER(name) = LOWER($3)`,
+    [workspaceFile.organization_id || workspaceFile.user_id, parentId, name]
+  );
+
+  const existing = await find();
+  if (existing.rows[0]) {
+    return { folder: existing.rows[0], created: false };
+  }
+
+  // Another request may create the same folder at the same time
+  const inserted = await query(
+    `INSERT INTO folders (user_id, organization_id, parent_id, name)
+     VALUES ($1, $2, $3, $4) ON CONFLICT DO NOTHING RETURNING *`,
+    [workspaceFile.user_id, workspaceFile.organization_id, parentId, name]
+  );
+  return inserted.rows[0]
+    ? { folder: inserted.rows[0], created: true }
+    : { folder: (await find()).rows[0], created: false };
+};
+
+// Extract a planned archive below `folderId` (null for the workspace root).
+// Files that already exist under the same name get the extracted content as
+// a new version, so extracting a new build of a site updates it in place.
+// Returns counts of what was created and updated. Extraction stops at the
+// first entry that fails; the error carries the entry name and the counts so
+// far, and is marked `corrupt` when the entry's data was bad.
+const extractArchive = async (plan, { workspaceFile, folderId, isPublic, keep }) => {
+  const folderIds = { '': folderId };
+  let foldersCreated = 0;
+  let filesCreated = 0;
+  let filesUpdated = 0;
+
+  for (const directory of plan.directories) {
+    const parent = path.posix.dirname(directory);
+    const { folder, created } = await ensureFolder(
+      workspaceFile,
+      folderIds[parent === '.' ? '' : parent],
+      path.posix.basename(directory)
+    );
+    folderIds[directory] = folder.id;
+    if (created) foldersCreated++;
+  }
+
+  await fs.promises.mkdir(PARTIAL_DIR, { recursive: true });
+
+  for (const { entry, segments, mimeType } of plan.files) {
+    const name = segments[segments.length - 1];
+    const targetFolderId = folderIds[segments.slice(0, -1).join('/')];
+    const tempPath = path.join(PARTIAL_DIR, `extract-${crypto.randomUUID()}`);
+
+    let stored = null;
+    try {
+      try {
+        await pipeline(
+          await openZipEntry(plan.source.read, plan.source.openRange, entry),
+          fs.createWriteStream(tempPath)
+        );
+      } catch (error) {
+        // Bad entry data is the archive's fault, not the server's
+        error.corrupt = true;
+        throw error;
+      }
+      stored = await storeBlob(tempPath, { contentType: mimeType });
+
+      const content = {
+        contentHash: stored.contentHash,
+        storageDriver: stored.storageDriver,
+        filePath: stored.filePath,
+        fileSize: entry.uncompressedSize,
+        mimeType
+      };
+
+      const existing = await query(
+        `SELECT * FROM files
+         WHERE COALESCE(organization_id, user_id) = $1 AND folder_id IS NOT DISTINCT FROM $2
+           AND original_name = $3 AND deleted_at IS NULL
+         ORDER BY created_at DESC LIMIT 1`,
+        [workspaceFile.organization_id || workspaceFile.user_id, targetFolderId, name]
+      );
+
+      if (existing.rows[0]) {
+        await replaceContent(existing.rows[0], content, keep);
+        filesUpdated++;
+      } else {
+        await query(
+          `INSERT INTO files (user_id, organization_id, folder_id, original_name, stored_name, content_hash,
+                              storage_driver, file_path, file_size, mime_type, is_public)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+          [
+            workspaceFile.user_id,
+            workspaceFile.organization_id,
+            targetFolderId,
+            name,
+            generateStoredName(name),
+            content.contentHash,
+            content.storageDriver,
+            content.filePath,
+            content.fileSize,
+            mimeType,
+            isPublic
+          ]
+        );
+        filesCreated++;
+      }
+      stored = null;
+    } catch (error) {
+      if (stored) {
+        await releaseBlob(stored.contentHash);
+      }
+      await fs.promises.rm(tempPath, { force: true });
+      error.entry = entry.name;
+      error.progress = { foldersCreated, filesCreated, filesUpdated };
+      throw error;
+    }
+  }
+
+  return { foldersCreated, filesCreated, filesUpdated };
+};
+
+module.exports = {
+  MAX_ENTRIES,
+  MAX_DOWNLOAD_SIZE,
+  MAX_EXTRACTED_SIZE,
+  isZipFile,
+  collectDownload,
+  writeDownload,
+  planExtraction,
+  extractArchive
+};
@@ -0,0 +1,135 @@
+const { query } = require('../config/database');
+
+// Append an entry to the audit log. The actor is taken from the authenticated
+// request unless given explicitly (e.g. during login, before req.user exists).
+// Failures are logged rather than thrown so auditing never breaks the action
+// that has already happened.
+const recordAudit = async (req, {
+  action,
+  accountId,
+  actorId,
+  organizationId,
+  resourceType = null,
+  resourceId = null,
+  before = null,
+  after = null,
+  metadata = null
+}) => {
+  const user = req.user || {};
+
+  try {
+    await query(
+      `INSERT INTO audit_log (account_id, actor_id, impersonator_id, api_key_id, organization_id,
+                              action, resource_type, resource_id, ip_address, user_agent,
+                              before_data, after_data, metadata)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)`,
+      [
+        accountId || user.userId || null,
+        actorId || user.userId || null,
+        user.impersonatorId || null,
+        user.apiKeyId || null,
+        organizationId || (req.workspace && req.workspace.organizationId) || null,
+        action,
+        resourceType,
+        resourceId ? String(resourceId) : null,
+        req.ip || null,
+        req.get('User-Agent') || null,
+        before ? JSON.stringify(before) : null,
+        after ? JSON.stringify(after) : null,
+        metadata ? JSON.stringify(metadata) : null
+      ]
+    );
+  } catch (error) {
+    console.error(`Audit log error (${action}):`, error);
+  }
+};
+
+// Build the WHERE clause shared by listing and export
+const buildAuditFilter = ({ accountId, actorId, organizationId, action, resourceType, resourceId, from, to }) => {
+  const conditions = [];
+  const params = [];
+
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (accountId) add('a.account_id = ?', accountId);
+  if (actorId) add('a.actor_id = ?', actorId);
+  if (organizationId) add('a.organization_id = ?', organizationId);
+  if (action) add('a.action LIKE ?', action.endsWith('*') ? `${action.slice(0, -1)}%` : action);
+  if (resourceType) add('a.resource_type = ?', resourceType);
+  if (resourceId) add('a.resource_id = ?', resourceId);
+  if (from) add('a.created_at >= ?', new Date(from));
+  if (to) add('a.created_at <= ?', new Date(to));
+
+  return {
+    where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+};
+
+const queryAuditLog = async (filters, { limit = 50, offset = 0 } = {}) => {
+  const { where, params } = buildAuditFilter(filters);
+
+  const result = await query(
+    `SELECT a.id, a.account_id, a.actor_id, actor.email as actor_email, a.impersonator_id,
+            a.api_key_id, a.organization_id, a.action, a.resource_type, a.resource_id, a.ip_address, a.user_agent,
+            a.before_data, a.after_data, a.metadata, a.created_at
+     FROM audit_log a LEFT JOIN users actor ON actor.id = a.actor_id
+     ${where}
+     ORDER BY a.created_at DESC, a.id DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+
+  const countResult = await query(`SELECT COUNT(*) FROM audit_log a ${where}`, params);
+
+  return {
+    entries: result.rows,
+    total: parseInt(countResult.rows[0].count)
+  };
+};
+
+const CSV_COLUMNS = [
+  'created_at', 'action', 'account_id', 'actor_id', 'actor_email', 'impersonator_id',
+  'api_key_id', 'organization_id', 'resource_type', 'resource_id', 'ip_address', 'user_agent',
+  'before_data', 'after_data', 'metadata'
+];
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date
+    ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const auditToCsv = (entries) => {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const entry of entries) {
+    lines.push(CSV_COLUMNS.map(column => csvValue(entry[column])).join(','));
+  }
+  return lines.join('\n') + '\n';
+};
+
+// Send the filtered log as a CSV or JSON download
+const sendAuditExport = async (res, filters, format) => {
+  const { entries } = await queryAuditLog(filters, { limit: 10000 });
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-log-${stamp}.csv"`);
+    return res.send(auditToCsv(entries));
+  }
+
+  res.setHeader('Content-Disposition', `attachment; filename="audit-log-${stamp}.json"`);
+  res.json({ exportedAt: new Date().toISOString(), entries });
+};
+
+module.exports = {
+  recordAudit,
+  queryAuditLog,
+  sendAuditExport
+};
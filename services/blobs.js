@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const { query } = require('../config/database');
+const { workspaceCondition } = require('./organizations');
+const { getDriver, removeStored } = require('./storage');
+
+// Content-addressed file storage. Every distinct content is stored once, as a
+// blob named by its SHA-256; files and file_versions rows point at it through
+// content_hash and carry a copy of its storage_driver and file_path, so
+// readers never need the blob table. ref_count is the number of rows pointing
+// at a blob; when the last one goes, the blob and its object are deleted.
+// Rows from before deduplication have no content_hash and own their object.
+//
+// Every reference change is a single statement, so concurrent uploads and
+// deletes need no locks. Objects get a fresh location each time a blob is
+// created, so deleting an old blob never removes content written for a new
+// blob with the same hash.
+
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+const isContentHash = (value) => typeof value === 'string' && HASH_PATTERN.test(value);
+
+const hashStream = async (stream) => {
+  const hash = crypto.createHash('sha256');
+  await pipeline(stream, hash);
+  return hash.digest('hex');
+};
+
+const hashFile = (localPath) => hashStream(fs.createReadStream(localPath));
+
+const blobKey = (hash) => `blobs/${hash.slice(0, 2)}/${hash}-${crypto.randomBytes(4).toString('hex')}`;
+
+// What callers record in files or file_versions for a blob
+const toContent = (blob, deduplicated) => ({
+  contentHash: blob.hash,
+  storageDriver: blob.storage_driver,
+  filePath: blob.file_path,
+  deduplicated
+});
+
+// Take another reference to an existing blob. Returns its content, or null
+// when no blob has this hash.
+const acquireBlob = async (hash) => {
+  const result = await query(
+    'UPDATE file_blobs SET ref_count = ref_count + 1 WHERE hash = $1 RETURNING *',
+    [hash]
+  );
+  return result.rows[0] ? toContent(result.rows[0], true) : null;
+};
+
+// Record an object already in storage as the blob for `hash`, holding one
+// reference. When another upload created that blob first, the object is
+// surplus and deleted.
+const registerBlob = async (hash, { storageDriver, filePath, fileSize }) => {
+  const result = await query(
+    `INSERT INTO file_blobs (hash, storage_driver, file_path, file_size, ref_count)
+     VALUES ($1, $2, $3, $4, 1)
+     ON CONFLICT (hash) DO UPDATE SET ref_count = file_blobs.ref_count + 1
+     RETURNING *`,
+    [hash, storageDriver, filePath, fileSize]
+  );
+  const blob = result.rows[0];
+
+  const deduplicated = blob.storage_driver !== storageDriver || blob.file_path !== filePath;
+  if (deduplicated) {
+    await removeStored({ storage_driver: storageDriver, file_path: filePath });
+  }
+  return toContent(blob, deduplicated);
+};
+
+// Store a finished local file (multer upload, completed tus upload) and take
+// a reference to its blob. Content the server already has is not written
+// again; the local file is removed either way.
+const storeBlob = async (localPath, { contentType } = {}) => {
+  const hash = await hashFile(localPath);
+
+  const existing = await acquireBlob(hash);
+  if (existing) {
+    await fs.promises.unlink(localPath);
+    return existing;
+  }
+
+  const driver = getDriver();
+  const filePath = driver.locationForKey(blobKey(hash));
+  const { size } = await fs.promises.stat(localPath);
+  await driver.putFile(filePath, localPath, { contentType });
+
+  return registerBlob(hash, { storageDriver: driver.name, filePath, fileSize: size });
+};
+
+// Take a reference to content a client uploaded straight into storage. Its
+// hash is only known after reading it back.
+const adoptStored = async ({ storageDriver, filePath, fileSize }) => {
+  const driver = getDriver(storageDriver);
+  const hash = await hashStream(await driver.createReadStream(filePath));
+
+  const existing = await acquireBlob(hash);
+  if (existing) {
+    await removeStored({ storage_driver: storageDriver, file_path: filePath });
+    return existing;
+  }
+
+  return registerBlob(hash, { storageDriver, filePath, fileSize });
+};
+
+// Drop one reference to a blob, deleting it with the last one. Failures are
+// logged, like removeStored, so they never block deleting a row.
+const releaseBlob = async (hash) => {
+  try {
+    const result = await query(
+      'UPDATE file_blobs SET ref_count = ref_count - 1 WHERE hash = $1 RETURNING ref_count',
+      [hash]
+    );
+    if (result.rows.length === 0 || result.rows[0].ref_count > 0) return;
+
+    // Someone may have taken a new reference in the meantime
+    const deleted = await query(
+      'DELETE FROM file_blobs WHERE hash = $1 AND ref_count <= 0 RETURNING storage_driver, file_path',
+      [hash]
+    );
+    if (deleted.rows[0]) {
+      await removeStored(deleted.rows[0]);
+    }
+  } catch (error) {
+    console.error('Failed to release stored file:', error);
+  }
+};
+
+// Let go of the content of a deleted files or file_versions row
+const releaseContent = (row) => (row.content_hash ? releaseBlob(row.content_hash) : removeStored(row));
+
+// The blob for `hash`, if the workspace already stores that content. Limited
+// to the workspace so hashes cannot be used to probe other users' files.
+const findWorkspaceBlob = async (hash, workspace) => {
+  const params = [hash];
+  const condition = workspaceCondition('f', workspace, params);
+  const result = await query(
+    `SELECT b.* FROM file_blobs b
+     WHERE b.hash = $1 AND (
+       EXISTS (SELECT 1 FROM files f WHERE f.content_hash = b.hash AND ${condition})
+       OR EXISTS (SELECT 1 FROM file_versions v JOIN files f ON f.id = v.file_id
+                  WHERE v.content_hash = b.hash AND ${condition})
+     )`,
+    params
+  );
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  isContentHash,
+  hashStream,
+  acquireBlob,
+  storeBlob,
+  adoptStored,
+  releaseBlob,
+  releaseContent,
+  findWorkspaceBlob
+};
@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const acme = require('./acme');
+const { createResolver, describeFailures } = require('./domainVerification');
+const { bumpSerial } = require('./dnsRecords');
+
+// Certificates for verified domains, issued and renewed through ACME. An
+// issuance runs in the background: the domain is claimed (ssl_status
+// 'issuing'), its challenges are published in acme_challenges, and the result
+// (or the CA's reason for refusing) is written back to the domain.
+//
+// http-01 challenges are answered by this server; for dns-01 the owner creates
+// the listed TXT record and issuance waits until it resolves.
+const CHALLENGE_TYPES = ['http-01', 'dns-01'];
+const RENEW_BEFORE_DAYS = parseInt(process.env.CERT_RENEW_BEFORE_DAYS) || 30;
+const DNS_PROPAGATION_TIMEOUT_MS = parseInt(process.env.ACME_DNS_TIMEOUT_MS) || 10 * 60 * 1000;
+const DNS_CHECK_INTERVAL_MS = 10000;
+// Failed renewals are retried this long after the last attempt
+const RETRY_AFTER_HOURS = 6;
+// An issuance claimed longer ago belonged to a process that died mid-way
+const STALE_ISSUING_MINUTES = 60;
+
+// Minimal DER encoding, enough for a PKCS#10 certificate request
+const derLength = (length) => {
+  if (length < 0x80) return Buffer.from([length]);
+  const bytes = [];
+  for (let rest = length; rest > 0; rest >>= 8) {
+    bytes.unshift(rest & 0xff);
+  }
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+};
+
+const der = (tag, ...contents) => {
+  const body = Buffer.concat(contents);
+  return Buffer.concat([Buffer.from([tag]), derLength(body.length), body]);
+};
+
+const oid = (dotted) => {
+  const [first, second, ...rest] = dotted.split('.').map(Number);
+  const bytes = [first * 40 + second];
+  for (const arc of rest) {
+    const chunk = [arc & 0x7f];
+    for (let value = arc >> 7; value > 0; value >>= 7) {
+      chunk.unshift((value & 0x7f) | 0x80);
+    }
+    bytes.push(...chunk);
+  }
+  return der(0x06, Buffer.from(bytes));
+};
+
+// PKCS#10 request for `domainNames`, signed with an EC key (ecdsa-with-SHA256).
+// The names go in subjectAltName; the common name is set when it fits.
+const createCsr = (privateKey, domainNames) => {
+  const commonName = domainNames[0].length <= 64
+    ? [der(0x31, der(0x30, oid('2.5.4.3'), der(0x0c, Buffer.from(domainNames[0]))))]
+    : [];
+  const altNames = der(0x30, ...domainNames.map(name => der(0x82, Buffer.from(name))));
+  const extensionRequest = der(0x30,
+    oid('1.2.840.113549.1.9.14'),
+    der(0x31, der(0x30, der(0x30, oid('2.5.29.17'), der(0x04, altNames))))
+  );
+
+  const info = der(0x30,
+    der(0x02, Buffer.from([0])),
+    der(0x30, ...commonName),
+    crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'der' }),
+    der(0xa0, extensionRequest)
+  );
+  const signature = crypto.sign('sha256', info, privateKey);
+
+  return der(0x30, info, der(0x30, oid('1.2.840.10045.4.3.2')), der(0x03, Buffer.from([0]), signature));
+};
+
+const splitChain = (pem) => pem.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || [];
+
+const leafCertificate = (pem) => new crypto.X509Certificate(splitChain(pem)[0]);
+
+// Claim a domain for issuance. Returns the domain, or null when it is gone
+// or another issuance is under way.
+const claimDomain = async (domainId, challengeType) => {
+  const result = await query(
+    `UPDATE domains SET ssl_status = 'issuing', ssl_challenge = $2, ssl_attempted_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND deleted_at IS NULL
+       AND (ssl_status <> 'issuing' OR ssl_attempted_at < CURRENT_TIMESTAMP - make_interval(mins => $3))
+     RETURNING *`,
+    [domainId, challengeType, STALE_ISSUING_MINUTES]
+  );
+  return result.rows[0] || null;
+};
+
+// Wait until `name` has a TXT record with `value`
+const waitForTxt = async (name, value) => {
+  const resolver = createResolver();
+  const deadline = Date.now() + DNS_PROPAGATION_TIMEOUT_MS;
+
+  for (;;) {
+    let found = [];
+    try {
+      found = (await resolver.resolveTxt(name)).map(chunks => chunks.join(''));
+    } catch (error) {
+      // Not there yet
+    }
+    if (found.includes(value)) return;
+
+    if (Date.now() > deadline) {
+      const [failure] = describeFailures([{ type: 'TXT', name, expected: value, found, ok: false }]);
+      throw new Error(`DNS challenge record not found in time: ${failure}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, DNS_CHECK_INTERVAL_MS));
+  }
+};
+
+// Prove control of the order's identifiers with the chosen challenge type
+const authorizeOrder = async (account, order, domain, challengeType) => {
+  for (const url of order.authorizations) {
+    const authorization = await acme.getAuthorization(account, url);
+    if (authorization.status === 'valid') continue;
+
+    const challenge = (authorization.challenges || []).find(candidate => candidate.type === challengeType);
+    if (!challenge) {
+      throw new Error(`The CA offers no ${challengeType} challenge for ${authorization.identifier.value}`);
+    }
+
+    const keyAuthorization = acme.keyAuthorization(account, challenge.token);
+    const record = challengeType === 'dns-01'
+      ? { name: `_acme-challenge.${authorization.identifier.value}`, value: acme.dnsChallengeValue(keyAuthorization) }
+      : { name: null, value: null };
+
+    await query(
+      `INSERT INTO acme_challenges (token, domain_id, challenge_type, key_authorization, record_name, record_value)
+       VALUES ($1, $2, $3, $4, $5, $6) ON CONFLICT (token) DO NOTHING`,
+      [challenge.token, domain.id, challengeType, keyAuthorization, record.name, record.value]
+    );
+
+    if (challengeType === 'dns-01') {
+      // Zones served by the built-in DNS server publish the record themselves
+      await bumpSerial(domain.id);
+      await waitForTxt(record.name, record.value);
+    }
+    await acme.completeChallenge(account, authorization, challenge);
+  }
+};
+
+// Run an issuance for a claimed domain to completion, recording the new
+// certificate or the error on the domain. Returns the error message, or null
+// when a certificate was issued.
+const issueCertificate = async (domain, challengeType) => {
+  try {
+    const account = await acme.getAccount();
+    const order = await acme.newOrder(account, [domain.domain_name]);
+    await authorizeOrder(account, order, domain, challengeType);
+
+    const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const chain = await acme.finalizeOrder(account, order, createCsr(privateKey, [domain.domain_name]));
+    const leaf = leafCertificate(chain);
+
+    await query(
+      `UPDATE domains SET ssl_status = 'active', ssl_certificate = $2, ssl_private_key = $3, ssl_serial = $4,
+              ssl_issuer = $5, ssl_issued_at = $6, ssl_expires_at = $7, ssl_error = NULL
+       WHERE id = $1`,
+      [
+        domain.id,
+        chain,
+        privateKey.export({ type: 'pkcs8', format: 'pem' }),
+        leaf.serialNumber,
+        leaf.issuer,
+        new Date(leaf.validFrom),
+        new Date(leaf.validTo)
+      ]
+    );
+    return null;
+  } catch (error) {
+    // A certificate that is still valid stays in use
+    await query(
+      `UPDATE domains
+       SET ssl_status = CASE WHEN ssl_certificate IS NOT NULL AND ssl_expires_at > CURRENT_TIMESTAMP
+                             THEN 'active' ELSE 'error' END,
+           ssl_error = $2
+       WHERE id = $1`,
+      [domain.id, error.message]
+    );
+    console.error(`Certificate issuance for ${domain.domain_name} failed:`, error.message);
+    return error.message;
+  } finally {
+    await query('DELETE FROM acme_challenges WHERE domain_id = $1', [domain.id]);
+  }
+};
+
+// Start issuing a certificate for a verified domain. Returns the claimed
+// domain, or null when an issuance is already running; the issuance itself
+// continues in the background.
+const requestCertificate = async (domainId, challengeType = 'http-01') => {
+  const domain = await claimDomain(domainId, challengeType);
+  if (domain) {
+    issueCertificate(domain, challengeType).catch(error => {
+      console.error('Certificate issuance error:', error);
+    });
+  }
+  return domain;
+};
+
+// Revoke a domain's certificate with the CA and forget it
+const revokeDomainCertificate = async (domain, reason = 0) => {
+  await acme.revokeCertificate(leafCertificate(domain.ssl_certificate).raw, reason);
+  await query(
+    `UPDATE domains SET ssl_status = 'revoked', ssl_certificate = NULL, ssl_private_key = NULL,
+            ssl_expires_at = NULL, ssl_error = NULL
+     WHERE id = $1`,
+    [domain.id]
+  );
+};
+
+// DNS records an owner has to create for a dns-01 issuance in progress
+const pendingChallengeRecords = async (domainId) => {
+  const result = await query(
+    `SELECT record_name, record_value FROM acme_challenges
+     WHERE domain_id = $1 AND challenge_type = 'dns-01' ORDER BY created_at`,
+    [domainId]
+  );
+  return result.rows.map(row => ({ type: 'TXT', name: row.record_name, value: row.record_value, ttl: 60 }));
+};
+
+// Scheduled job: mark lapsed certificates and renew those close to expiry,
+// one at a time, with the challenge type they were last issued with
+const renewDueCertificates = async ({ record }) => {
+  await query(
+    `UPDATE domains SET ssl_status = 'expired'
+     WHERE ssl_status = 'active' AND ssl_expires_at < CURRENT_TIMESTAMP`
+  );
+
+  const due = await query(
+    `SELECT id, ssl_challenge FROM domains
+     WHERE deleted_at IS NULL AND status = 'active' AND ssl_certificate IS NOT NULL
+       AND ssl_status IN ('active', 'expired', 'error')
+       AND ssl_expires_at < CURRENT_TIMESTAMP + make_interval(days => $1)
+       AND (ssl_attempted_at IS NULL OR ssl_attempted_at < CURRENT_TIMESTAMP - make_interval(hours => $2))
+     ORDER BY ssl_expires_at`,
+    [RENEW_BEFORE_DAYS, RETRY_AFTER_HOURS]
+  );
+
+  let renewed = 0;
+  for (const row of due.rows) {
+    const challengeType = row.ssl_challenge || 'http-01';
+    const domain = await claimDomain(row.id, challengeType);
+    if (!domain) continue;
+
+    const error = await issueCertificate(domain, challengeType);
+    if (error) {
+      await record(domain.id, 'certificate_failed', error, { challengeType });
+    } else {
+      renewed++;
+      await record(domain.id, 'certificate_renewed', null, { challengeType });
+    }
+  }
+  return { due: due.rows.length, renewed };
+};
+
+module.exports = {
+  CHALLENGE_TYPES,
+  RENEW_BEFORE_DAYS,
+  createCsr,
+  splitChain,
+  requestCertificate,
+  revokeDomainCertificate,
+  pendingChallengeRecords,
+  renewDueCertificates
+};
@@ -0,0 +1,12 @@
+// Reading request cookies without a cookie-parser dependency. Only values
+// this server set are read, and those never need decoding.
+const readCookie = (req, name) => {
+  const pair = (req.get('Cookie') || '').split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${name}=`));
+  return pair ? pair.slice(name.length + 1) : null;
+};
+
+module.exports = {
+  readCookie
+};
@@ -0,0 +1,250 @@
+const { splitText } = require('./zoneFile');
+
+// DNS wire format (RFC 1035 section 4) for the built-in name server: reading
+// queries and writing responses, with name compression and EDNS (RFC 6891).
+// Records are { name, type, ttl, data } with data as in dns_records, plus
+// { target } for NS and { mname, rname, serial, refresh, retry, expire,
+// minimum } for SOA.
+const TYPES = { A: 1, NS: 2, CNAME: 5, SOA: 6, MX: 15, TXT: 16, AAAA: 28, SRV: 33, OPT: 41, IXFR: 251, AXFR: 252, ANY: 255, CAA: 257 };
+const TYPE_NAMES = Object.fromEntries(Object.entries(TYPES).map(([name, value]) => [value, name]));
+const CLASS_IN = 1;
+const CLASS_ANY = 255;
+const RCODES = { NOERROR: 0, FORMERR: 1, SERVFAIL: 2, NXDOMAIN: 3, NOTIMP: 4, REFUSED: 5 };
+// Largest UDP response offered to EDNS clients (the DNS flag day 2020 value)
+const EDNS_UDP_SIZE = 1232;
+const MAX_MESSAGE_SIZE = 65535;
+
+const readName = (buffer, start) => {
+  const labels = [];
+  let offset = start;
+  let end = null;
+  for (let jumps = 0; ;) {
+    const length = buffer[offset];
+    if (length === undefined) throw new Error('Truncated name');
+    if ((length & 0xc0) === 0xc0) {
+      if (++jumps > 16) throw new Error('Compression loop');
+      if (end === null) end = offset + 2;
+      offset = ((length & 0x3f) << 8) | buffer[offset + 1];
+      continue;
+    }
+    if (length & 0xc0) throw new Error('Unsupported label type');
+    offset++;
+    if (length === 0) break;
+    if (offset + length > buffer.length) throw new Error('Truncated name');
+    labels.push(buffer.toString('latin1', offset, offset + length));
+    offset += length;
+  }
+  return { name: labels.join('.'), next: end ?? offset };
+};
+
+// Read a query. Returns null for messages that get no answer (too short to
+// reply to, or responses); throws an error carrying the message id when the
+// rest is malformed, to be answered with FORMERR.
+const parseQuery = (buffer) => {
+  if (buffer.length < 12) return null;
+  const id = buffer.readUInt16BE(0);
+  const flags = buffer.readUInt16BE(2);
+  if (flags & 0x8000) return null;
+
+  try {
+    if (buffer.readUInt16BE(4) !== 1) throw new Error('Expected one question');
+    const { name, next } = readName(buffer, 12);
+    const question = { name, type: buffer.readUInt16BE(next), class: buffer.readUInt16BE(next + 2) };
+
+    // Look for an OPT record among the others
+    let edns = null;
+    let offset = next + 4;
+    const count = buffer.readUInt16BE(6) + buffer.readUInt16BE(8) + buffer.readUInt16BE(10);
+    for (let i = 0; i < count; i++) {
+      offset = readName(buffer, offset).next;
+      if (buffer.readUInt16BE(offset) === TYPES.OPT) {
+        edns = { udpSize: Math.max(512, buffer.readUInt16BE(offset + 2)), version: buffer[offset + 5] };
+      }
+      offset += 10 + buffer.readUInt16BE(offset + 8);
+      if (offset > buffer.length) throw new Error('Truncated record');
+    }
+
+    return {
+      id,
+      opcode: (flags >> 11) & 0x0f,
+      recursionDesired: Boolean(flags & 0x0100),
+      question,
+      edns
+    };
+  } catch (error) {
+    throw Object.assign(new Error(`Malformed query: ${error.message}`), { id, flags });
+  }
+};
+
+const ipv6Bytes = (address) => {
+  const groups = (part) => (part ? part.split(':') : []).flatMap(group => {
+    if (!group.includes('.')) return [parseInt(group, 16)];
+    const [a, b, c, d] = group.split('.').map(Number);
+    return [(a << 8) | b, (c << 8) | d];
+  });
+  const [head, tail] = address.split('::');
+  const before = groups(head);
+  const after = tail === undefined ? [] : groups(tail);
+  const all = [...before, ...new Array(8 - before.length - after.length).fill(0), ...after];
+
+  const buffer = Buffer.alloc(16);
+  all.forEach((group, index) => buffer.writeUInt16BE(group, index * 2));
+  return buffer;
+};
+
+// Serialize a message into one buffer. Names are compressed against earlier
+// ones, except where RFC 2782 forbids it (SRV targets).
+const createWriter = () => {
+  const buffer = Buffer.alloc(MAX_MESSAGE_SIZE);
+  const offsets = new Map();
+  let length = 0;
+
+  const writer = {
+    u8: (value) => { length = buffer.writeUInt8(value, length); },
+    u16: (value) => { length = buffer.writeUInt16BE(value, length); },
+    u32: (value) => { length = buffer.writeUInt32BE(value, length); },
+    bytes: (bytes) => {
+      if (length + bytes.length > buffer.length) throw new RangeError('Message too large');
+      length += bytes.copy(buffer, length);
+    },
+    name: (name, compress = true) => {
+      const labels = name === '' || name === '.' ? [] : name.split('.');
+      for (let i = 0; i < labels.length; i++) {
+        const suffix = labels.slice(i).join('.').toLowerCase();
+        if (compress && offsets.has(suffix)) {
+          writer.u16(0xc000 | offsets.get(suffix));
+          return;
+        }
+        if (length < 0x4000) offsets.set(suffix, length);
+        const label = Buffer.from(labels[i], 'latin1');
+        writer.u8(label.length);
+        writer.bytes(label);
+      }
+      writer.u8(0);
+    },
+    // Write RDATA after its length, which is filled in afterwards
+    rdata: (write) => {
+      const start = length;
+      writer.u16(0);
+      write();
+      buffer.writeUInt16BE(length - start - 2, start);
+    },
+    result: () => Buffer.from(buffer.subarray(0, length))
+  };
+  return writer;
+};
+
+const writeRdata = (writer, type, data) => {
+  switch (type) {
+    case 'A':
+      data.address.split('.').forEach(part => writer.u8(parseInt(part)));
+      break;
+    case 'AAAA':
+      writer.bytes(ipv6Bytes(data.address));
+      break;
+    case 'NS':
+    case 'CNAME':
+      writer.name(data.target);
+      break;
+    case 'MX':
+      writer.u16(data.priority);
+      writer.name(data.exchange);
+      break;
+    case 'TXT':
+      for (const text of splitText(data.text)) {
+        const bytes = Buffer.from(text);
+        writer.u8(bytes.length);
+        writer.bytes(bytes);
+      }
+      break;
+    case 'SRV':
+      writer.u16(data.priority);
+      writer.u16(data.weight);
+      writer.u16(data.port);
+      writer.name(data.target, false);
+      break;
+    case 'CAA': {
+      const tag = Buffer.from(data.tag);
+      writer.u8(data.flags);
+      writer.u8(tag.length);
+      writer.bytes(tag);
+      writer.bytes(Buffer.from(data.value));
+      break;
+    }
+    case 'SOA':
+      writer.name(data.mname);
+      writer.name(data.rname);
+      writer.u32(data.serial);
+      writer.u32(data.refresh);
+      writer.u32(data.retry);
+      writer.u32(data.expire);
+      writer.u32(data.minimum);
+      break;
+    default:
+      throw new Error(`Cannot encode ${type} records`);
+  }
+};
+
+const writeRecord = (writer, record) => {
+  writer.name(record.name);
+  writer.u16(TYPES[record.type]);
+  writer.u16(CLASS_IN);
+  writer.u32(record.ttl);
+  writer.rdata(() => writeRdata(writer, record.type, record.data));
+};
+
+// Build the response to `request` (as returned by parseQuery, or { id, flags }
+// for a FORMERR). AA is set for answers from a hosted zone. When the records
+// do not fit in `maxSize` bytes only the question is sent, with TC set, and
+// the client retries over TCP.
+const encodeResponse = (request, { rcode, authoritative = false, answers = [], authority = [], additional = [] },
+  maxSize = MAX_MESSAGE_SIZE) => {
+  const write = (truncated) => {
+    const writer = createWriter();
+    const sections = truncated ? [[], [], []] : [answers, authority, additional];
+    const opcode = request.opcode ?? ((request.flags >> 11) & 0x0f);
+
+    writer.u16(request.id);
+    writer.u16(0x8000 | (opcode << 11) | (authoritative ? 0x0400 : 0) | (truncated ? 0x0200 : 0) |
+      (request.recursionDesired ? 0x0100 : 0) | rcode);
+    writer.u16(request.question ? 1 : 0);
+    writer.u16(sections[0].length);
+    writer.u16(sections[1].length);
+    writer.u16(sections[2].length + (request.edns ? 1 : 0));
+
+    if (request.question) {
+      writer.name(request.question.name);
+      writer.u16(request.question.type);
+      writer.u16(request.question.class);
+    }
+    sections.flat().forEach(record => writeRecord(writer, record));
+
+    if (request.edns) {
+      writer.u8(0);
+      writer.u16(TYPES.OPT);
+      writer.u16(EDNS_UDP_SIZE);
+      writer.u32(0);
+      writer.u16(0);
+    }
+    return writer.result();
+  };
+
+  try {
+    const message = write(false);
+    if (message.length <= maxSize) return message;
+  } catch (error) {
+    if (!(error instanceof RangeError)) throw error;
+  }
+  return write(true);
+};
+
+module.exports = {
+  TYPES,
+  TYPE_NAMES,
+  CLASS_IN,
+  CLASS_ANY,
+  RCODES,
+  EDNS_UDP_SIZE,
+  parseQuery,
+  encodeResponse
+};
@@ -0,0 +1,278 @@
+const { pool, query } = require('../config/database');
+const {
+  isHostname,
+  relativeName,
+  tokenize,
+  parseRdata,
+  formatRdata,
+  parseZone,
+  exportZone
+} = require('./zoneFile');
+
+// The records of each domain's DNS zone. name is relative to the domain ('@'
+// for the apex, '*' for a wildcard label), content the RDATA in zone file
+// form (what the API takes and shows) and data its parsed fields, e.g.
+// { priority, exchange } for MX.
+//
+// Changes run in a transaction holding the domain's row, so checks against
+// the rest of the zone (a CNAME must be alone at its name, no duplicates, the
+// record limit) cannot race. Each change bumps the zone's SOA serial.
+const DEFAULT_TTL = parseInt(process.env.DNS_DEFAULT_TTL) || 3600;
+const MIN_TTL = 60;
+const MAX_TTL = 604800;
+const MAX_RECORDS = parseInt(process.env.DNS_MAX_RECORDS) || 500;
+const MAX_TXT_BYTES = 4000;
+
+const RECORD_COLUMNS = 'id, name, type, ttl, content, data, created_at, updated_at';
+
+const formatRecord = (record) => ({
+  id: record.id,
+  name: record.name,
+  type: record.type,
+  ttl: record.ttl,
+  content: record.content,
+  data: record.data,
+  createdAt: record.created_at,
+  updatedAt: record.updated_at
+});
+
+const listRecords = async (domainId, client = { query }) => {
+  const result = await client.query(
+    `SELECT ${RECORD_COLUMNS} FROM dns_records WHERE domain_id = $1
+     ORDER BY name <> '@', name, type, content`,
+    [domainId]
+  );
+  return result.rows;
+};
+
+// Owner name relative to the zone. Besides '@' and relative names ('www',
+// '_dmarc'), names inside the zone are accepted fully qualified, with or
+// without the trailing dot.
+const ownerName = (name, zoneName) => {
+  const lower = name.trim().toLowerCase();
+  if (lower === '' || lower === '@') return '@';
+  if (lower.endsWith('.')) return relativeName(lower.slice(0, -1), zoneName);
+  return relativeName(lower, zoneName) ?? lower;
+};
+
+// Problems with a record on its own, or null
+const checkRecord = (zoneName, record) => {
+  const fqdn = record.name === '@' ? zoneName : `${record.name}.${zoneName}`;
+  if (!isHostname(fqdn, true)) {
+    return `Invalid record name "${record.name}"`;
+  }
+  if (!Number.isInteger(record.ttl) || record.ttl < MIN_TTL || record.ttl > MAX_TTL) {
+    return `TTL must be between ${MIN_TTL} and ${MAX_TTL} seconds`;
+  }
+  if (record.type === 'CNAME' && record.name === '@') {
+    return 'The zone apex cannot have a CNAME record; use A or AAAA records';
+  }
+  if (record.type === 'CNAME' && record.data.target === fqdn) {
+    return 'A CNAME record cannot point at its own name';
+  }
+  if (record.type === 'SRV' && !/^_[a-z0-9-]+\._[a-z0-9-]+(\.|$)/.test(record.name)) {
+    return 'SRV record names start with _service._protocol, e.g. _sip._tcp';
+  }
+  if (record.type === 'TXT' && Buffer.byteLength(record.data.text) > MAX_TXT_BYTES) {
+    return `TXT records are limited to ${MAX_TXT_BYTES} bytes`;
+  }
+  return null;
+};
+
+// Why `record` cannot be added to `records` (which may contain its earlier
+// version), or null
+const findConflict = (records, record) => {
+  for (const other of records) {
+    if (other.name !== record.name || (record.id && other.id === record.id)) continue;
+    if (other.type === record.type && other.content === record.content) {
+      return `${record.name} already has this ${record.type} record`;
+    }
+    if (other.type === 'CNAME' || record.type === 'CNAME') {
+      return `A CNAME record must be the only record at ${record.name}`;
+    }
+  }
+  return null;
+};
+
+// A record from API input { name, type, ttl, content }. TXT content may be
+// plain text or quoted strings; host names in content are fully qualified,
+// with or without the trailing dot. Returns { record } or { error }.
+const buildRecord = (zoneName, input) => {
+  const name = ownerName(input.name, zoneName);
+  if (name === null) {
+    return { error: `${input.name} is outside ${zoneName}` };
+  }
+
+  let data;
+  try {
+    const content = input.content.trim();
+    data = input.type === 'TXT' && !content.startsWith('"')
+      ? { text: content }
+      : parseRdata(input.type, tokenize(content).flatMap(entry => entry.tokens));
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  const record = { name, type: input.type, ttl: input.ttl ?? DEFAULT_TTL, data };
+  const error = checkRecord(zoneName, record);
+  if (error) return { error };
+
+  return { record: { ...record, content: formatRdata(record.type, data) } };
+};
+
+// Serials are YYYYMMDDnn, as is the convention, and only ever go up
+const bumpSerial = (domainId, client = { query }) => client.query(
+  `UPDATE domains SET zone_serial = GREATEST(zone_serial + 1, TO_CHAR(CURRENT_DATE, 'YYYYMMDD')::bigint * 100)
+   WHERE id = $1`,
+  [domainId]
+);
+
+// Run `change(client, records)` on a domain's zone in a transaction. A result
+// with an `error` rolls the change back; null means nothing changed.
+const changeZone = async (domainId, change) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT id FROM domains WHERE id = $1 FOR UPDATE', [domainId]);
+    const result = await change(client, await listRecords(domainId, client));
+    if (result && result.error) {
+      await client.query('ROLLBACK');
+      return result;
+    }
+    if (result) {
+      await bumpSerial(domainId, client);
+    }
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+const insertRecord = async (client, domainId, record) => {
+  const result = await client.query(
+    `INSERT INTO dns_records (domain_id, name, type, ttl, content, data)
+     VALUES ($1, $2, $3, $4, $5, $6) RETURNING ${RECORD_COLUMNS}`,
+    [domainId, record.name, record.type, record.ttl, record.content, JSON.stringify(record.data)]
+  );
+  return result.rows[0];
+};
+
+// Add a record from API input. Returns { record } or { error }.
+const createRecord = (domain, input) => changeZone(domain.id, async (client, records) => {
+  const { record, error } = buildRecord(domain.domain_name, input);
+  if (error) return { error };
+
+  if (records.length >= MAX_RECORDS) {
+    return { error: `A zone can have at most ${MAX_RECORDS} records` };
+  }
+  const conflict = findConflict(records, record);
+  if (conflict) return { error: conflict };
+
+  return { record: await insertRecord(client, domain.id, record) };
+});
+
+// Change a record's name, TTL or content; its type stays. Returns
+// { record, before }, { error }, or null when the record does not exist.
+const updateRecord = (domain, recordId, input) => changeZone(domain.id, async (client, records) => {
+  const before = records.find(record => record.id === recordId);
+  if (!before) return null;
+
+  const { record, error } = buildRecord(domain.domain_name, {
+    name: input.name ?? before.name,
+    type: before.type,
+    ttl: input.ttl ?? before.ttl,
+    content: input.content ?? before.content
+  });
+  if (error) return { error };
+
+  const conflict = findConflict(records, { ...record, id: recordId });
+  if (conflict) return { error: conflict };
+
+  const result = await client.query(
+    `UPDATE dns_records SET name = $2, ttl = $3, content = $4, data = $5
+     WHERE id = $1 RETURNING ${RECORD_COLUMNS}`,
+    [recordId, record.name, record.ttl, record.content, JSON.stringify(record.data)]
+  );
+  return { record: result.rows[0], before };
+});
+
+// Returns the deleted record, or null when it does not exist
+const deleteRecord = (domain, recordId) => changeZone(domain.id, async (client) => {
+  const result = await client.query(
+    `DELETE FROM dns_records WHERE id = $1 AND domain_id = $2 RETURNING ${RECORD_COLUMNS}`,
+    [recordId, domain.id]
+  );
+  return result.rows[0] || null;
+});
+
+// Import a BIND zone file into a domain's zone, all or nothing. With
+// `replace` the zone's current records are deleted first; otherwise records
+// the zone already has are skipped. Returns { created, deleted, skipped } or
+// { error, errors } with the offending lines.
+const importZone = async (domain, text, { replace = false } = {}) => {
+  const zoneName = domain.domain_name;
+  const parsed = parseZone(text, zoneName, DEFAULT_TTL);
+  if (parsed.errors.length > 0) {
+    return { error: 'Zone file rejected', errors: parsed.errors, skipped: parsed.skipped };
+  }
+
+  return changeZone(domain.id, async (client, current) => {
+    const records = replace ? [] : [...current];
+    const added = [];
+    const skipped = [...parsed.skipped];
+    const errors = [];
+
+    for (const { line, ...fields } of parsed.records) {
+      const record = { ...fields, content: formatRdata(fields.type, fields.data) };
+      const error = checkRecord(zoneName, record) || findConflict(records, record);
+      if (error && records.some(other => other.name === record.name && other.type === record.type &&
+                                         other.content === record.content)) {
+        skipped.push({ line, name: record.name, type: record.type, reason: 'Already in the zone' });
+      } else if (error) {
+        errors.push({ line, error });
+      } else {
+        records.push(record);
+        added.push(record);
+      }
+    }
+
+    if (records.length > MAX_RECORDS) {
+      errors.push({ line: null, error: `A zone can have at most ${MAX_RECORDS} records` });
+    }
+    if (errors.length > 0) {
+      return { error: 'Zone file rejected', errors, skipped };
+    }
+
+    let deleted = 0;
+    if (replace) {
+      deleted = (await client.query('DELETE FROM dns_records WHERE domain_id = $1', [domain.id])).rowCount;
+    }
+    for (const record of added) {
+      await insertRecord(client, domain.id, record);
+    }
+    return { created: added.length, deleted, skipped };
+  });
+};
+
+// The domain's zone as a BIND zone file
+const exportDomainZone = async (domain) =>
+  exportZone(domain.domain_name, await listRecords(domain.id), DEFAULT_TTL);
+
+module.exports = {
+  DEFAULT_TTL,
+  MIN_TTL,
+  MAX_TTL,
+  MAX_RECORDS,
+  formatRecord,
+  listRecords,
+  bumpSerial,
+  createRecord,
+  updateRecord,
+  deleteRecord,
+  importZone,
+  exportDomainZone
+};
@@ -0,0 +1,250 @@
+const dgram = require('dgram');
+const net = require('net');
+const { query } = require('../config/database');
+const { listRecords } = require('./dnsRecords');
+const { TARGET_HOSTNAME } = require('./domainVerification');
+const { pendingChallengeRecords } = require('./certificates');
+const { TYPES, TYPE_NAMES, CLASS_IN, CLASS_ANY, RCODES, EDNS_UDP_SIZE, parseQuery, encodeResponse } = require('./dnsMessage');
+
+// Optional authoritative name server for the zones of domains, listening on
+// UDP and TCP inside this process when DNS_SERVER_PORT is set (53 in
+// production; a high port such as 5300 to try it with dig). Verified domains
+// whose registrar delegates to DNS_NAMESERVERS are then answered from their
+// dns_records, plus:
+//   - SOA and NS records at the apex, with the zone's serial
+//   - TXT records of dns-01 certificate challenges in progress
+// Ownership is never proven through this server: a domain is only served once
+// it has been verified, so it cannot vouch for itself.
+// Names that exist nowhere in the zone fall back to a wildcard record of their
+// closest existing ancestor (RFC 4592). Queries for names outside every hosted
+// zone are refused; the server does not recurse or transfer zones.
+const PORT = parseInt(process.env.DNS_SERVER_PORT) || null;
+const HOST = process.env.DNS_SERVER_HOST || '0.0.0.0';
+const NAMESERVERS = (process.env.DNS_NAMESERVERS || TARGET_HOSTNAME)
+  .split(',')
+  .map(name => name.trim().toLowerCase().replace(/\.$/, ''))
+  .filter(Boolean);
+// Mailbox of the zones' SOA records, as an address or in DNS form
+const HOSTMASTER = process.env.DNS_HOSTMASTER || null;
+const NEGATIVE_TTL = parseInt(process.env.DNS_NEGATIVE_TTL) || 300;
+const SOA_TIMERS = { refresh: 3600, retry: 600, expire: 1209600 };
+const APEX_TTL = 3600;
+const MAX_CNAME_CHAIN = 8;
+const TCP_IDLE_MS = 10000;
+
+const isEnabled = () => PORT !== null;
+
+// The hosted zone `name` falls in: the domain with the longest matching name.
+// Only verified domains are served ('error' ones failed a later re-check but
+// stay up while the owner fixes them); pending, trashed and expired ones are
+// not, so nobody can claim a name by adding it to their account.
+const findZone = async (name) => {
+  const labels = name.split('.');
+  const result = await query(
+    `SELECT id, user_id, organization_id, domain_name, zone_serial FROM domains
+     WHERE LOWER(domain_name) = ANY($1) AND deleted_at IS NULL AND status IN ('active', 'error')
+     ORDER BY LENGTH(domain_name) DESC LIMIT 1`,
+    [labels.map((label, index) => labels.slice(index).join('.'))]
+  );
+  return result.rows[0] || null;
+};
+
+// Every record the zone serves, with fully qualified names
+const zoneRecords = async (zone) => {
+  const apex = zone.domain_name.toLowerCase();
+  const records = (await listRecords(zone.id)).map(record => ({
+    name: record.name === '@' ? apex : `${record.name}.${apex}`,
+    type: record.type,
+    ttl: record.ttl,
+    data: record.data
+  }));
+
+  const rname = HOSTMASTER ? HOSTMASTER.replace('@', '.').replace(/\.$/, '') : `hostmaster.${apex}`;
+  records.push({
+    name: apex,
+    type: 'SOA',
+    ttl: APEX_TTL,
+    data: { mname: NAMESERVERS[0], rname, serial: Number(zone.zone_serial), ...SOA_TIMERS, minimum: NEGATIVE_TTL }
+  });
+  for (const nameserver of NAMESERVERS) {
+    records.push({ name: apex, type: 'NS', ttl: APEX_TTL, data: { target: nameserver } });
+  }
+
+  for (const record of await pendingChallengeRecords(zone.id)) {
+    const name = record.name.toLowerCase();
+    if (!records.some(other => other.name === name && other.type === 'TXT' && other.data.text === record.value)) {
+      records.push({ name, type: 'TXT', ttl: record.ttl, data: { text: record.value } });
+    }
+  }
+  return records;
+};
+
+const inZone = (name, apex) => name === apex || name.endsWith(`.${apex}`);
+
+// Records at `name`, or copies of a wildcard's when the name does not exist.
+// null when there is neither; [] when the name exists without records (it
+// only has names below it).
+const lookup = (records, name, apex) => {
+  const exists = (candidate) =>
+    records.some(record => record.name === candidate || record.name.endsWith(`.${candidate}`));
+
+  const exact = records.filter(record => record.name === name);
+  if (exact.length > 0) return exact;
+  if (exists(name)) return [];
+
+  let encloser = name;
+  do {
+    encloser = encloser.slice(encloser.indexOf('.') + 1);
+  } while (encloser !== apex && !exists(encloser));
+
+  const wildcard = records.filter(record => record.name === `*.${encloser}`);
+  return wildcard.length > 0 ? wildcard.map(record => ({ ...record, name })) : null;
+};
+
+// The records of an RRset share one TTL (RFC 2181 section 5.2); use the lowest
+const alignTtls = (records) => records.map(record => ({
+  ...record,
+  ttl: Math.min(...records
+    .filter(other => other.name === record.name && other.type === record.type)
+    .map(other => other.ttl))
+}));
+
+// Addresses of in-zone names that answers point at
+const glueFor = (answers, records, apex) => {
+  const targets = answers
+    .map(record => record.data.exchange || (record.type === 'CNAME' ? null : record.data.target))
+    .filter(target => target && inZone(target, apex));
+  return records.filter(record =>
+    targets.includes(record.name) && (record.type === 'A' || record.type === 'AAAA'));
+};
+
+// Answer one question from the hosted zones (RFC 1034 section 4.3.2)
+const answerQuestion = async (question) => {
+  const type = TYPE_NAMES[question.type];
+  if (question.class !== CLASS_IN && question.class !== CLASS_ANY) {
+    return { rcode: RCODES.REFUSED };
+  }
+  if (question.type === TYPES.AXFR || question.type === TYPES.IXFR) {
+    return { rcode: RCODES.REFUSED };
+  }
+
+  let name = question.name.toLowerCase().replace(/\.$/, '');
+  const zone = await findZone(name);
+  if (!zone) {
+    return { rcode: RCODES.REFUSED };
+  }
+
+  const apex = zone.domain_name.toLowerCase();
+  const records = await zoneRecords(zone);
+  const soa = records.find(record => record.type === 'SOA');
+  const negative = [{ ...soa, ttl: Math.min(soa.ttl, NEGATIVE_TTL) }];
+  const answers = [];
+
+  for (let hops = 0; hops <= MAX_CNAME_CHAIN; hops++) {
+    const found = lookup(records, name, apex);
+    if (!found) {
+      return { rcode: RCODES.NXDOMAIN, authoritative: true, answers: alignTtls(answers), authority: negative };
+    }
+
+    const cname = found.find(record => record.type === 'CNAME');
+    if (cname && type !== 'CNAME' && type !== 'ANY') {
+      answers.push(cname);
+      name = cname.data.target;
+      // The client follows targets outside the zone itself
+      if (inZone(name, apex) && !answers.some(record => record.name === name)) continue;
+      break;
+    }
+
+    const matching = type === 'ANY' ? found : found.filter(record => record.type === type);
+    answers.push(...matching);
+    return {
+      rcode: RCODES.NOERROR,
+      authoritative: true,
+      answers: alignTtls(answers),
+      authority: matching.length > 0 ? [] : negative,
+      additional: alignTtls(glueFor(matching, records, apex))
+    };
+  }
+
+  return { rcode: RCODES.NOERROR, authoritative: true, answers: alignTtls(answers) };
+};
+
+// The response to one message, or null when it gets none
+const handleMessage = async (message, transport) => {
+  let request;
+  try {
+    request = parseQuery(message);
+  } catch (error) {
+    return encodeResponse(error, { rcode: RCODES.FORMERR });
+  }
+  if (!request) return null;
+
+  const maxSize = transport === 'udp'
+    ? (request.edns ? Math.min(request.edns.udpSize, EDNS_UDP_SIZE) : 512)
+    : undefined;
+
+  if (request.opcode !== 0) {
+    return encodeResponse(request, { rcode: RCODES.NOTIMP }, maxSize);
+  }
+
+  try {
+    return encodeResponse(request, await answerQuestion(request.question), maxSize);
+  } catch (error) {
+    console.error('DNS query error:', error);
+    return encodeResponse(request, { rcode: RCODES.SERVFAIL }, maxSize);
+  }
+};
+
+// DNS over TCP: messages are framed by a two-byte length (RFC 7766)
+const handleConnection = (socket) => {
+  let buffered = Buffer.alloc(0);
+  socket.setTimeout(TCP_IDLE_MS, () => socket.destroy());
+  socket.on('error', () => socket.destroy());
+
+  socket.on('data', async (data) => {
+    buffered = Buffer.concat([buffered, data]);
+    const messages = [];
+    while (buffered.length >= 2 && buffered.length >= 2 + buffered.readUInt16BE(0)) {
+      const end = 2 + buffered.readUInt16BE(0);
+      messages.push(buffered.subarray(2, end));
+      buffered = buffered.subarray(end);
+    }
+
+    for (const message of messages) {
+      const response = await handleMessage(message, 'tcp');
+      if (response && !socket.destroyed) {
+        const length = Buffer.alloc(2);
+        length.writeUInt16BE(response.length);
+        socket.write(Buffer.concat([length, response]));
+      }
+    }
+  });
+};
+
+const startDnsServer = () => {
+  const udp = dgram.createSocket(net.isIPv6(HOST) ? 'udp6' : 'udp4');
+  udp.on('message', async (message, remote) => {
+    const response = await handleMessage(message, 'udp');
+    if (response) {
+      udp.send(response, remote.port, remote.address);
+    }
+  });
+  udp.on('error', (error) => console.error('DNS server (UDP) error:', error));
+  udp.bind(PORT, HOST);
+
+  const tcp = net.createServer(handleConnection);
+  tcp.on('error', (error) => console.error('DNS server (TCP) error:', error));
+  tcp.listen(PORT, HOST, () => {
+    console.log(`🌍 DNS server on ${HOST}:${PORT} (UDP and TCP), nameservers ${NAMESERVERS.join(', ')}`);
+  });
+
+  return { udp, tcp };
+};
+
+module.exports = {
+  NAMESERVERS,
+  isEnabled,
+  findZone,
+  handleMessage,
+  startDnsServer
+};
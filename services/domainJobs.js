@@ -0,0 +1,172 @@
+const { query } = require('../config/database');
+const { createResolver, verifyDomain, checkDelegation, describeFailures } = require('./domainVerification');
+const dnsServer = require('./dnsServer');
+const { sendDomainDriftEmail, sendDomainExpiryEmail } = require('./mailer');
+
+// Scheduled domain maintenance. Verified domains are re-checked against DNS
+// and marked 'error' when their records drift (and 'active' again once they
+// are fixed). Domains delegated to this service's DNS server pass as long as
+// the delegation stays, since the server does not publish their verification
+// records. expires_at is the end of a domain's term on this service,
+// starting at its first verification: auto_renew domains are renewed for
+// another term shortly before it ends, the others are warned by email and
+// marked 'expired' once it has passed.
+const RECHECK_HOURS = parseInt(process.env.DOMAIN_RECHECK_HOURS) || 6;
+const TERM_DAYS = parseInt(process.env.DOMAIN_TERM_DAYS) || 365;
+const RENEW_AHEAD_DAYS = parseInt(process.env.DOMAIN_RENEW_AHEAD_DAYS) || 7;
+// Days before expiry at which owners are warned, largest first
+const WARNING_DAYS = (process.env.DOMAIN_EXPIRY_WARNING_DAYS || '30,7,1')
+  .split(',')
+  .map(days => parseInt(days))
+  .filter(days => days > 0)
+  .sort((a, b) => b - a);
+
+// Addresses to notify about a domain: its owner, or the owners of its
+// organization
+const ownerEmails = async (domain) => {
+  const result = domain.organization_id
+    ? await query(
+      `SELECT u.email FROM organization_members m JOIN users u ON u.id = m.user_id
+       WHERE m.organization_id = $1 AND m.role = 'owner'`,
+      [domain.organization_id]
+    )
+    : await query('SELECT email FROM users WHERE id = $1', [domain.user_id]);
+  return result.rows.map(row => row.email);
+};
+
+// Mail every owner; failures are logged so one bad address does not stop a job
+const notifyOwners = async (domain, send) => {
+  for (const email of await ownerEmails(domain)) {
+    try {
+      await send(email);
+    } catch (error) {
+      console.error(`Failed to notify ${email} about ${domain.domain_name}:`, error.message);
+    }
+  }
+};
+
+// Scheduled job: look up the records of every verified domain
+const recheckDomains = async ({ record, resolver = createResolver() }) => {
+  const result = await query(
+    `SELECT * FROM domains
+     WHERE deleted_at IS NULL AND status IN ('active', 'error')
+     ORDER BY last_checked_at NULLS FIRST`
+  );
+
+  const counts = { verified: 0, recovered: 0, drifted: 0, failing: 0, inconclusive: 0 };
+  for (const domain of result.rows) {
+    const delegation = dnsServer.isEnabled()
+      ? await checkDelegation(domain, dnsServer.NAMESERVERS, resolver)
+      : null;
+    const { verified, checks } = delegation && delegation.ok
+      ? { verified: true, checks: [delegation] }
+      : await verifyDomain(domain, resolver);
+    const failures = describeFailures(checks);
+
+    let outcome;
+    if (verified) {
+      outcome = domain.status === 'error' ? 'recovered' : 'verified';
+      await query(
+        `UPDATE domains SET status = 'active', last_verified = CURRENT_TIMESTAMP, last_checked_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status IN ('active', 'error')`,
+        [domain.id]
+      );
+    } else if (!checks.some(check => !check.ok && !check.error)) {
+      // Only lookups failed (timeouts, SERVFAIL); try again next time
+      outcome = 'inconclusive';
+      await query('UPDATE domains SET last_checked_at = CURRENT_TIMESTAMP WHERE id = $1', [domain.id]);
+    } else if (domain.status === 'active') {
+      outcome = 'drifted';
+      await query(
+        `UPDATE domains SET status = 'error', last_checked_at = CURRENT_TIMESTAMP WHERE id = $1 AND status = 'active'`,
+        [domain.id]
+      );
+      await notifyOwners(domain, email => sendDomainDriftEmail(email, { domainName: domain.domain_name, failures }));
+    } else {
+      outcome = 'failing';
+      await query('UPDATE domains SET last_checked_at = CURRENT_TIMESTAMP WHERE id = $1', [domain.id]);
+    }
+
+    counts[outcome]++;
+    await record(domain.id, outcome, failures.length > 0 ? failures.join('; ') : null, { checks });
+  }
+  return counts;
+};
+
+// Scheduled job: renew, warn about and expire domains by expires_at
+const checkExpiry = async ({ record }) => {
+  // Domains verified before terms were tracked start theirs at verification
+  await query(
+    `UPDATE domains SET expires_at = last_verified + make_interval(days => $1)
+     WHERE expires_at IS NULL AND last_verified IS NOT NULL AND deleted_at IS NULL`,
+    [TERM_DAYS]
+  );
+
+  // An expired domain that is renewed has to be verified again
+  const renewed = await query(
+    `UPDATE domains
+     SET expires_at = GREATEST(expires_at, CURRENT_TIMESTAMP) + make_interval(days => $1),
+         expiry_warned_days = NULL,
+         status = CASE WHEN status = 'expired' THEN 'pending' ELSE status END
+     WHERE deleted_at IS NULL AND auto_renew = true
+       AND expires_at < CURRENT_TIMESTAMP + make_interval(days => $2)
+     RETURNING id, expires_at, status`,
+    [TERM_DAYS, RENEW_AHEAD_DAYS]
+  );
+  for (const domain of renewed.rows) {
+    await record(domain.id, 'renewed', `Renewed until ${domain.expires_at.toISOString()}`, {
+      expiresAt: domain.expires_at,
+      status: domain.status
+    });
+  }
+
+  const expired = await query(
+    `UPDATE domains SET status = 'expired'
+     WHERE deleted_at IS NULL AND status <> 'expired' AND expires_at < CURRENT_TIMESTAMP
+     RETURNING id, domain_name, user_id, organization_id, expires_at`
+  );
+  for (const domain of expired.rows) {
+    await record(domain.id, 'expired', `Expired on ${domain.expires_at.toISOString()}`);
+    await notifyOwners(domain, email => sendDomainExpiryEmail(email, {
+      domainName: domain.domain_name,
+      expiresAt: domain.expires_at,
+      expired: true
+    }));
+  }
+
+  // One warning per threshold crossed, e.g. at 30, 7 and 1 days left
+  let warned = 0;
+  if (WARNING_DAYS.length > 0) {
+    const expiring = await query(
+      `SELECT id, domain_name, user_id, organization_id, expires_at, expiry_warned_days,
+              CEIL(EXTRACT(EPOCH FROM expires_at - CURRENT_TIMESTAMP) / 86400)::int AS days_left
+       FROM domains
+       WHERE deleted_at IS NULL AND auto_renew = false AND status <> 'expired'
+         AND expires_at < CURRENT_TIMESTAMP + make_interval(days => $1)`,
+      [WARNING_DAYS[0]]
+    );
+
+    for (const domain of expiring.rows) {
+      const threshold = WARNING_DAYS.filter(days => days >= domain.days_left).pop();
+      if (domain.expiry_warned_days !== null && domain.expiry_warned_days <= threshold) continue;
+
+      await query('UPDATE domains SET expiry_warned_days = $2 WHERE id = $1', [domain.id, threshold]);
+      await notifyOwners(domain, email => sendDomainExpiryEmail(email, {
+        domainName: domain.domain_name,
+        expiresAt: domain.expires_at,
+        expired: false
+      }));
+      await record(domain.id, 'warned', `Expires in ${domain.days_left} days`, { expiresAt: domain.expires_at });
+      warned++;
+    }
+  }
+
+  return { renewed: renewed.rows.length, expired: expired.rows.length, warned };
+};
+
+module.exports = {
+  RECHECK_HOURS,
+  TERM_DAYS,
+  recheckDomains,
+  checkExpiry
+};
@@ -0,0 +1,141 @@
+const { Resolver } = require('dns').promises;
+
+// Domain ownership is proven with a TXT record holding the domain's
+// verification_token; the domain itself must point at this service, either
+// as a CNAME to RENDER_EXTERNAL_HOSTNAME or (for apex domains, which cannot
+// have a CNAME) with A records among that hostname's addresses.
+//
+// DNS_RESOLVERS picks the name servers to ask ("127.0.0.1:5353,1.1.1.1"), so
+// verification can run against a local DNS server; the system's are used
+// otherwise.
+const TXT_PREFIX = '_vps-verification';
+const TXT_VALUE_PREFIX = 'vps-verification=';
+const TARGET_HOSTNAME = process.env.RENDER_EXTERNAL_HOSTNAME || 'your-service.onrender.com';
+const DNS_TIMEOUT = parseInt(process.env.DNS_TIMEOUT_MS) || 5000;
+
+const createResolver = () => {
+  const resolver = new Resolver({ timeout: DNS_TIMEOUT, tries: 2 });
+  const servers = (process.env.DNS_RESOLVERS || '').split(',').map(server => server.trim()).filter(Boolean);
+  if (servers.length > 0) {
+    resolver.setServers(servers);
+  }
+  return resolver;
+};
+
+const normalizeName = (name) => String(name).toLowerCase().replace(/\.$/, '');
+
+// The records a domain owner has to create
+const expectedRecords = (domain) => [
+  {
+    type: 'TXT',
+    name: `${TXT_PREFIX}.${domain.domain_name}`,
+    value: `${TXT_VALUE_PREFIX}${domain.verification_token}`,
+    ttl: 300
+  },
+  {
+    type: 'CNAME',
+    name: domain.domain_name,
+    value: TARGET_HOSTNAME,
+    ttl: 300
+  }
+];
+
+// Answers for one lookup. Names without records answer []; anything else
+// that goes wrong (timeouts, SERVFAIL) is reported as the error code.
+const lookup = async (resolve) => {
+  try {
+    return { records: await resolve() };
+  } catch (error) {
+    if (['ENODATA', 'ENOTFOUND'].includes(error.code)) {
+      return { records: [] };
+    }
+    return { records: [], error: error.code || error.message };
+  }
+};
+
+const checkTxt = async (resolver, domain) => {
+  const name = `${TXT_PREFIX}.${domain.domain_name}`;
+  const expected = `${TXT_VALUE_PREFIX}${domain.verification_token}`;
+  // A TXT record may be split into several strings. Only the exact value
+  // counts, not a record that merely contains the token.
+  const { records, error } = await lookup(() => resolver.resolveTxt(name));
+  const found = records.map(chunks => chunks.join(''));
+
+  return {
+    type: 'TXT',
+    name,
+    expected,
+    found,
+    ...(error ? { error } : {}),
+    ok: found.includes(expected)
+  };
+};
+
+const checkTarget = async (resolver, domain) => {
+  const name = domain.domain_name;
+  const target = normalizeName(TARGET_HOSTNAME);
+
+  const cname = await lookup(() => resolver.resolveCname(name));
+  if (cname.records.length > 0) {
+    const found = cname.records.map(normalizeName);
+    return { type: 'CNAME', name, expected: target, found, ok: found.includes(target) };
+  }
+
+  // No CNAME: the domain's addresses must all be the target's
+  const [addresses, targetAddresses] = await Promise.all([
+    lookup(() => resolver.resolve4(name)),
+    lookup(() => resolver.resolve4(target))
+  ]);
+  const error = cname.error || addresses.error || targetAddresses.error;
+
+  return {
+    type: 'A',
+    name,
+    expected: targetAddresses.records.length > 0 ? targetAddresses.records : [`addresses of ${target}`],
+    found: addresses.records,
+    ...(error ? { error } : {}),
+    ok: addresses.records.length > 0 && addresses.records.every(address => targetAddresses.records.includes(address))
+  };
+};
+
+// Whether the domain is delegated to `nameservers`: it has NS records and all
+// of them are among those names.
+const checkDelegation = async (domain, nameservers, resolver = createResolver()) => {
+  const name = domain.domain_name;
+  const { records, error } = await lookup(() => resolver.resolveNs(name));
+  const found = records.map(normalizeName);
+
+  return {
+    type: 'NS',
+    name,
+    expected: nameservers,
+    found,
+    ...(error ? { error } : {}),
+    ok: found.length > 0 && found.every(nameserver => nameservers.includes(nameserver))
+  };
+};
+
+// Look up the domain's records. Returns { verified, checks } with what was
+// expected and found for each record.
+const verifyDomain = async (domain, resolver = createResolver()) => {
+  const checks = await Promise.all([checkTxt(resolver, domain), checkTarget(resolver, domain)]);
+  return { verified: checks.every(check => check.ok), checks };
+};
+
+// One line per failed check, e.g. 'TXT _vps-verification.example.com:
+// expected "vps-verification=…", found none'
+const describeFailures = (checks) =>
+  checks.filter(check => !check.ok).map(check => {
+    const expected = [].concat(check.expected).map(value => `"${value}"`).join(' or ');
+    const found = check.found.length > 0 ? check.found.map(value => `"${value}"`).join(', ') : 'none';
+    return `${check.type} ${check.name}: expected ${expected}, found ${found}${check.error ? ` (${check.error})` : ''}`;
+  });
+
+module.exports = {
+  TARGET_HOSTNAME,
+  createResolver,
+  expectedRecords,
+  verifyDomain,
+  checkDelegation,
+  describeFailures
+};
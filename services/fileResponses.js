@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const { getDriver } = require('./storage');
+
+// Serve a stored file with HTTP caching and range support (RFC 9110):
+// strong ETag and Last-Modified validators, conditional requests answered
+// with 304 or 412, and single or multiple byte ranges (206, 416).
+const MAX_RANGES = 20;
+// Types a browser may display in place. Anything else (HTML, scripts, XML)
+// is sent as an attachment even when shown inline was asked for, so user
+// content never renders as a page of this origin.
+const INLINE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'text/plain', 'application/pdf'];
+
+// The SHA-256 of the contents where the row has one. Rows from before
+// deduplication fall back to size and mtime: their stored bytes never change
+// in place (object storage reports mtime in whole seconds).
+const strongEtag = (file, stat) => (file.content_hash
+  ? `"${file.content_hash}"`
+  : `"${stat.size.toString(16)}-${stat.mtime.getTime().toString(16)}"`);
+
+const parseEtags = (header) => header.split(',').map(tag => tag.trim()).filter(Boolean);
+
+// Weak comparison ignores the W/ prefix; strong comparison never matches one
+const matchesEtag = (header, etag, { weak = false } = {}) =>
+  parseEtags(header).some(tag => {
+    if (tag === '*') return true;
+    if (weak) return tag.replace(/^W\//, '') === etag;
+    return tag === etag;
+  });
+
+// HTTP dates have one-second precision
+const notModifiedSince = (header, mtime) => {
+  const since = Date.parse(header);
+  return !Number.isNaN(since) && Math.floor(mtime.getTime() / 1000) <= Math.floor(since / 1000);
+};
+
+// Parse a Range header into [{ start, end }] (inclusive). Returns null when
+// the header should be ignored and [] when no range can be satisfied.
+const parseRange = (header, size) => {
+  const match = /^bytes=(.+)$/.exec(header.trim());
+  if (!match) return null;
+
+  const specs = match[1].split(',').map(spec => spec.trim());
+  if (specs.length > MAX_RANGES) return null;
+
+  const ranges = [];
+  for (const spec of specs) {
+    const parts = /^(\d*)-(\d*)$/.exec(spec);
+    if (!parts || (parts[1] === '' && parts[2] === '')) return null;
+
+    let start;
+    let end;
+    if (parts[1] === '') {
+      // Suffix range: the last N bytes
+      start = Math.max(size - parseInt(parts[2]), 0);
+      end = size - 1;
+    } else {
+      start = parseInt(parts[1]);
+      end = parts[2] === '' ? size - 1 : Math.min(parseInt(parts[2]), size - 1);
+      if (parts[2] !== '' && parseInt(parts[2]) < start) return null;
+    }
+
+    if (start <= end && start < size) {
+      ranges.push({ start, end });
+    }
+  }
+
+  // Merge overlapping and adjacent ranges
+  ranges.sort((a, b) => a.start - b.start);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end + 1) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+    return merged;
+  }, []);
+};
+
+const contentDisposition = (type, filename) => {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+};
+
+const pipeRange = (stream, res) =>
+  new Promise((resolve, reject) => {
+    const onClose = () => {
+      stream.destroy();
+      reject(new Error('Client disconnected'));
+    };
+
+    res.once('close', onClose);
+    stream.on('error', reject);
+    stream.on('end', () => {
+      res.removeListener('close', onClose);
+      resolve();
+    });
+    stream.pipe(res, { end: false });
+  });
+
+// Send `file` (a files or file_versions row). onComplete runs once the client received the
+// whole file: a full 200 response, or a resumed download (a range sent with
+// a matching If-Range) that reached the last byte. Seeks and partial reads
+// do not count. beforeBody, if given, runs with the number of file bytes
+// about to be sent; returning false stops the response, after the callback
+// has answered the request itself. onClose then receives the number of file
+// bytes actually read out, which is less when the client disconnects.
+const sendFileResponse = async (req, res, file, { disposition = 'attachment', onComplete, beforeBody, onClose } = {}) => {
+  const storage = getDriver(file.storage_driver);
+  const stat = await storage.stat(file.file_path);
+  if (!stat) {
+    return res.status(404).json({ error: 'File not found in storage' });
+  }
+
+  const etag = strongEtag(file, stat);
+  const mimeType = file.mime_type || 'application/octet-stream';
+  const validators = {
+    'ETag': etag,
+    'Last-Modified': stat.mtime.toUTCString(),
+    'Accept-Ranges': 'bytes',
+    // Range offsets refer to the stored bytes, so the body must not be compressed
+    'Cache-Control': 'private, no-cache, no-transform'
+  };
+
+  // Preconditions on the current state of the file
+  const ifMatch = req.get('If-Match');
+  const ifUnmodifiedSince = req.get('If-Unmodified-Since');
+  if (ifMatch ? !matchesEtag(ifMatch, etag) : ifUnmodifiedSince && !notModifiedSince(ifUnmodifiedSince, stat.mtime)) {
+    return res.status(412).set(validators).end();
+  }
+
+  const ifNoneMatch = req.get('If-None-Match');
+  const ifModifiedSince = req.get('If-Modified-Since');
+  if (ifNoneMatch ? matchesEtag(ifNoneMatch, etag, { weak: true }) : ifModifiedSince && notModifiedSince(ifModifiedSince, stat.mtime)) {
+    return res.status(304).set(validators).end();
+  }
+
+  // If-Range: only honour Range while the client's copy is still current
+  const ifRange = req.get('If-Range');
+  const rangeValid = !ifRange || (ifRange.startsWith('"') || ifRange.startsWith('W/')
+    ? ifRange === etag
+    : stat.mtime.toUTCString() === new Date(ifRange).toUTCString());
+  const ranges = req.get('Range') && rangeValid ? parseRange(req.get('Range'), stat.size) : null;
+
+  if (ranges && ranges.length === 0) {
+    return res.status(416).set({ ...validators, 'Content-Range': `bytes */${stat.size}` }).end();
+  }
+
+  const bodyBytes = ranges
+    ? ranges.reduce((total, range) => total + range.end - range.start + 1, 0)
+    : stat.size;
+  if (req.method !== 'HEAD' && beforeBody && (await beforeBody(bodyBytes)) === false) {
+    return;
+  }
+
+  res.set({
+    ...validators,
+    'Content-Disposition': contentDisposition(
+      INLINE_TYPES.includes(mimeType) ? disposition : 'attachment',
+      file.original_name
+    ),
+    'X-Content-Type-Options': 'nosniff'
+  });
+
+  let bytesSent = 0;
+  const readFile = async (range) => (await storage.createReadStream(file.file_path, range))
+    .on('data', chunk => {
+      bytesSent += chunk.length;
+    });
+
+  // Stop reading (and free the storage connection) when the client leaves
+  const pipeFile = (stream) => {
+    res.once('close', () => stream.destroy());
+    return stream
+      .on('error', () => res.destroy())
+      .pipe(res);
+  };
+
+  if (onClose && req.method !== 'HEAD') {
+    res.on('close', () => {
+      Promise.resolve(onClose(bytesSent)).catch(error => console.error('Download close error:', error));
+    });
+  }
+
+  const countOnFinish = (counts) => {
+    if (counts && onComplete) {
+      res.on('finish', () => {
+        Promise.resolve(onComplete()).catch(error => console.error('Download completion error:', error));
+      });
+    }
+  };
+
+  if (!ranges) {
+    res.status(200).set({ 'Content-Type': mimeType, 'Content-Length': stat.size });
+    if (req.method === 'HEAD') return res.end();
+
+    const stream = await readFile();
+    countOnFinish(true);
+    return pipeFile(stream);
+  }
+
+  if (ranges.length === 1) {
+    const [range] = ranges;
+    res.status(206).set({
+      'Content-Type': mimeType,
+      'Content-Range': `bytes ${range.start}-${range.end}/${stat.size}`,
+      'Content-Length': range.end - range.start + 1
+    });
+    if (req.method === 'HEAD') return res.end();
+
+    const stream = await readFile(range);
+    countOnFinish(Boolean(ifRange) && range.end === stat.size - 1);
+    return pipeFile(stream);
+  }
+
+  // Several ranges go out as multipart/byteranges
+  const boundary = crypto.randomBytes(16).toString('hex');
+  const partHeaders = ranges.map(range =>
+    `--${boundary}\r\nContent-Type: ${mimeType}\r\n` +
+    `Content-Range: bytes ${range.start}-${range.end}/${stat.size}\r\n\r\n`);
+  const closing = `--${boundary}--\r\n`;
+  const length = ranges.reduce((total, range, index) =>
+    total + Buffer.byteLength(partHeaders[index]) + (range.end - range.start + 1) + 2, 0) +
+    Buffer.byteLength(closing);
+
+  res.status(206).set({
+    'Content-Type': `multipart/byteranges; boundary=${boundary}`,
+    'Content-Length': length
+  });
+  if (req.method === 'HEAD') return res.end();
+
+  try {
+    for (let i = 0; i < ranges.length; i++) {
+      res.write(partHeaders[i]);
+      await pipeRange(await readFile(ranges[i]), res);
+      res.write('\r\n');
+    }
+    res.end(closing);
+  } catch (error) {
+    if (!res.destroyed) {
+      console.error('Range response error:', error);
+      res.destroy();
+    }
+  }
+};
+
+module.exports = {
+  contentDisposition,
+  sendFileResponse
+};
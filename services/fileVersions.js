@@ -0,0 +1,148 @@
+const { pool, query } = require('../config/database');
+const { plans } = require('../config/plans');
+const { releaseContent } = require('./blobs');
+
+// files always holds the current version of a file; its earlier contents are
+// rows in file_versions, newest first, up to the plan's file_versions limit.
+// Content changes run in a transaction holding the file's row, so concurrent
+// uploads and restores each archive the content the other one left behind.
+
+const versionLimit = (planType) => (plans[planType] || plans.free).file_versions;
+
+const listVersions = async (fileId, client = { query }) => {
+  const result = await client.query(
+    'SELECT * FROM file_versions WHERE file_id = $1 ORDER BY version_number DESC',
+    [fileId]
+  );
+  return result.rows;
+};
+
+// Versions that fall out of the history once the current content is archived
+// on top of it. Lets callers check the quota before changing anything.
+const versionsToPrune = (versions, keep) => versions.slice(Math.max(keep - 1, 0));
+
+// Run `change(client, file)` with the file's current row locked. Content the
+// change lets go of (rows it pushes onto `released`) is released once the
+// transaction has committed. A null result rolls the change back.
+const changeFile = async (fileId, change) => {
+  const client = await pool.connect();
+  const released = [];
+  let result;
+  try {
+    await client.query('BEGIN');
+    const locked = await client.query('SELECT * FROM files WHERE id = $1 FOR UPDATE', [fileId]);
+    result = locked.rows[0] ? await change(client, locked.rows[0], released) : null;
+    await client.query(result ? 'COMMIT' : 'ROLLBACK');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  for (const row of result ? released : []) {
+    await releaseContent(row);
+  }
+  return result;
+};
+
+// Archive the file's current content as a version and make `content` current
+const swapContent = async (client, file, content, keep, released) => {
+  const pruned = versionsToPrune(await listVersions(file.id, client), keep);
+
+  if (keep > 0) {
+    await client.query(
+      `INSERT INTO file_versions (file_id, version_number, content_hash, storage_driver, stored_name, file_path,
+                                  file_size, mime_type, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [
+        file.id,
+        file.version_number,
+        file.content_hash,
+        file.storage_driver,
+        file.stored_name,
+        file.file_path,
+        file.file_size,
+        file.mime_type,
+        file.version_created_at || file.created_at
+      ]
+    );
+  } else {
+    released.push(file);
+  }
+
+  // The current version always has the highest number
+  const result = await client.query(
+    `UPDATE files SET content_hash = $1, storage_driver = $2, file_path = $3, file_size = $4, mime_type = $5,
+                      version_number = version_number + 1, version_created_at = CURRENT_TIMESTAMP
+     WHERE id = $6 RETURNING *`,
+    [
+      content.contentHash || null,
+      content.storageDriver,
+      content.filePath,
+      content.fileSize,
+      content.mimeType,
+      file.id
+    ]
+  );
+
+  for (const version of pruned) {
+    await client.query('DELETE FROM file_versions WHERE id = $1', [version.id]);
+    released.push(version);
+  }
+
+  return result.rows[0];
+};
+
+// Archive the current content of `file` as a version and make `content`
+// ({ contentHash, storageDriver, filePath, fileSize, mimeType }) current. The
+// file keeps its stored_name, which its public URL is built from. The caller's
+// reference to the new content's blob passes to the file; the file's reference
+// passes to the archived version. Versions beyond `keep` are deleted. Returns the updated files row.
+const replaceContent = async (file, content, keep) => {
+  const updated = await changeFile(file.id, (client, current, released) =>
+    swapContent(client, current, content, keep, released));
+  if (!updated) {
+    throw new Error('File not found');
+  }
+  return updated;
+};
+
+// Make a version current again under a new version number; the content it
+// replaces is archived in turn. Returns { updated, version }, or null when the
+// file has no such version.
+const restoreVersion = (fileId, versionNumber, keep) => changeFile(fileId, async (client, current, released) => {
+  const result = await client.query(
+    'DELETE FROM file_versions WHERE file_id = $1 AND version_number = $2 RETURNING *',
+    [fileId, versionNumber]
+  );
+  const version = result.rows[0];
+  if (!version) return null;
+
+  const updated = await swapContent(client, current, {
+    contentHash: version.content_hash,
+    storageDriver: version.storage_driver,
+    filePath: version.file_path,
+    fileSize: version.file_size,
+    mimeType: version.mime_type
+  }, keep, released);
+  return { updated, version };
+});
+
+// Where every retained version of the given files is stored, for deleting them
+const storedVersions = async (fileIds) => {
+  const result = await query(
+    'SELECT content_hash, storage_driver, file_path FROM file_versions WHERE file_id = ANY($1::uuid[])',
+    [fileIds]
+  );
+  return result.rows;
+};
+
+module.exports = {
+  versionLimit,
+  listVersions,
+  versionsToPrune,
+  replaceContent,
+  restoreVersion,
+  storedVersions
+};
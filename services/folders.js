@@ -0,0 +1,129 @@
+const { query } = require('../config/database');
+
+// Folders form a tree per workspace; files with folder_id NULL sit at the
+// workspace root. Tree walks stop at MAX_DEPTH so a cycle left behind by two
+// racing moves can never make a query recurse forever.
+const MAX_DEPTH = 64;
+
+// Folder names are single path segments
+const isValidFolderName = (name) =>
+  typeof name === 'string' &&
+  name.trim().length > 0 &&
+  name.length <= 255 &&
+  !/[/\\\0]/.test(name) &&
+  !['.', '..'].includes(name.trim());
+
+// Two folders, or a folder and a file, live in the same workspace
+const sameWorkspace = (a, b) =>
+  (a.organization_id || null) === (b.organization_id || null) &&
+  (a.organization_id ? true : a.user_id === b.user_id);
+
+// Path from the workspace root down to a folder, inclusive: [{ id, name }]
+const getBreadcrumb = async (folderId) => {
+  const result = await query(
+    `WITH RECURSIVE ancestors AS (
+       SELECT id, parent_id, name, 0 AS depth FROM folders WHERE id = $1
+       UNION ALL
+       SELECT f.id, f.parent_id, f.name, a.depth + 1
+       FROM folders f JOIN ancestors a ON f.id = a.parent_id
+       WHERE a.depth < ${MAX_DEPTH}
+     )
+     SELECT id, name FROM ancestors ORDER BY depth DESC`,
+    [folderId]
+  );
+
+  return result.rows;
+};
+
+// Ids of a folder and every folder below it
+const getDescendantIds = async (folderId) => {
+  const result = await query(
+    `WITH RECURSIVE tree AS (
+       SELECT id, 0 AS depth FROM folders WHERE id = $1
+       UNION ALL
+       SELECT f.id, t.depth + 1 FROM folders f JOIN tree t ON f.parent_id = t.id
+       WHERE t.depth < ${MAX_DEPTH}
+     )
+     SELECT DISTINCT id FROM tree`,
+    [folderId]
+  );
+
+  return result.rows.map(row => row.id);
+};
+
+// A folder and every folder below it, with paths that start at the folder's
+// own name ("site", "site/css", ...)
+const getSubtreePaths = async (folderId) => {
+  const result = await query(
+    `WITH RECURSIVE tree AS (
+       SELECT id, name::text AS path, 0 AS depth FROM folders WHERE id = $1
+       UNION ALL
+       SELECT f.id, t.path || '/' || f.name, t.depth + 1 FROM folders f JOIN tree t ON f.parent_id = t.id
+       WHERE t.depth < ${MAX_DEPTH}
+     )
+     SELECT id, path FROM tree ORDER BY path`,
+    [folderId]
+  );
+
+  return result.rows;
+};
+
+// Total size, file count and subfolder count of each folder's whole subtree,
+// keyed by folder id
+const getFolderSizes = async (folderIds) => {
+  const sizes = {};
+  if (folderIds.length === 0) {
+    return sizes;
+  }
+
+  const result = await query(
+    `WITH RECURSIVE tree AS (
+       SELECT id AS root_id, id, 0 AS depth FROM folders WHERE id = ANY($1::uuid[])
+       UNION ALL
+       SELECT t.root_id, f.id, t.depth + 1 FROM folders f JOIN tree t ON f.parent_id = t.id
+       WHERE t.depth < ${MAX_DEPTH}
+     )
+     SELECT t.root_id,
+            COUNT(DISTINCT t.id) - 1 AS folder_count,
+            COUNT(fi.id) AS file_count,
+            COALESCE(SUM(fi.file_size), 0) AS total_size
+     FROM tree t
+     LEFT JOIN files fi ON fi.folder_id = t.id AND fi.deleted_at IS NULL
+     GROUP BY t.root_id`,
+    [folderIds]
+  );
+
+  for (const row of result.rows) {
+    sizes[row.root_id] = {
+      totalSize: parseInt(row.total_size),
+      fileCount: parseInt(row.file_count),
+      folderCount: parseInt(row.folder_count)
+    };
+  }
+
+  return sizes;
+};
+
+// Whether a sibling with this name already exists (names are case-insensitive)
+const nameTaken = async (folder, name, excludeId = null) => {
+  const result = await query(
+    `SELECT 1 FROM folders
+     WHERE COALESCE(organization_id, user_id) = $1
+       AND parent_id IS NOT DISTINCT FROM $2
+       AND LOWER(name) = LOWER($3)
+       AND id IS DISTINCT FROM $4`,
+    [folder.organization_id || folder.user_id, folder.parent_id || null, name, excludeId]
+  );
+
+  return result.rows.length > 0;
+};
+
+module.exports = {
+  isValidFolderName,
+  sameWorkspace,
+  getBreadcrumb,
+  getDescendantIds,
+  getSubtreePaths,
+  getFolderSizes,
+  nameTaken
+};
@@ -0,0 +1,18 @@
+const { registerJob, listJobs, triggerJob, startScheduler } = require('./scheduler');
+const { purgeExpiredTrash } = require('./trash');
+const { RECHECK_HOURS, recheckDomains, checkExpiry } = require('./domainJobs');
+const { renewDueCertificates } = require('./certificates');
+const acme = require('./acme');
+
+// The background jobs this server runs
+const HOUR = 60 * 60 * 1000;
+
+registerJob('trash-purge', { interval: HOUR, run: purgeExpiredTrash });
+registerJob('domain-reverification', { interval: RECHECK_HOURS * HOUR, run: recheckDomains });
+registerJob('domain-expiry', { interval: HOUR, run: checkExpiry });
+
+if (acme.isEnabled()) {
+  registerJob('certificate-renewal', { interval: 12 * HOUR, run: renewDueCertificates });
+}
+
+module.exports = { listJobs, triggerJob, startScheduler };
@@ -0,0 +1,143 @@
+const { query } = require('../config/database');
+const { sendAccountLockedEmail } = require('./mailer');
+const { recordAudit } = require('./audit');
+
+const WINDOW_MINUTES = parseInt(process.env.LOGIN_WINDOW_MINUTES) || 15;
+const BACKOFF_AFTER = parseInt(process.env.LOGIN_BACKOFF_AFTER) || 3;
+const MAX_BACKOFF_SECONDS = 15 * 60;
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 50;
+
+// Seconds to wait after `failures` consecutive failures: 1s, 2s, 4s, ... capped
+const backoffSeconds = (failures) => {
+  if (failures < BACKOFF_AFTER) {
+    return 0;
+  }
+  return Math.min(2 ** (failures - BACKOFF_AFTER), MAX_BACKOFF_SECONDS);
+};
+
+// Failures for an email since its last successful login, within the window
+const recentFailures = async (column, value) => {
+  const result = await query(
+    `SELECT COUNT(*) AS failures, MAX(created_at) AS last_failure
+     FROM login_attempts
+     WHERE ${column} = $1 AND success = false
+       AND created_at > CURRENT_TIMESTAMP - make_interval(mins => $2)
+       AND created_at > COALESCE(
+         (SELECT MAX(created_at) FROM login_attempts WHERE ${column} = $1 AND success = true),
+         '-infinity'::timestamptz)`,
+    [value, WINDOW_MINUTES]
+  );
+
+  return {
+    failures: parseInt(result.rows[0].failures),
+    lastFailure: result.rows[0].last_failure
+  };
+};
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((new Date(date) - Date.now()) / 1000));
+
+// Decide whether a login attempt may proceed. Returns { allowed: true } or
+// { allowed: false, retryAfter, error }.
+const checkLoginAllowed = async (email, ip) => {
+  const locked = await query(
+    'SELECT locked_until FROM users WHERE email = $1 AND locked_until > CURRENT_TIMESTAMP',
+    [email]
+  );
+
+  if (locked.rows.length > 0) {
+    return {
+      allowed: false,
+      retryAfter: secondsUntil(locked.rows[0].locked_until),
+      error: 'Account temporarily locked after too many failed login attempts'
+    };
+  }
+
+  const byIp = await recentFailures('ip_address', ip);
+  if (byIp.failures >= IP_MAX_FAILURES) {
+    return {
+      allowed: false,
+      retryAfter: WINDOW_MINUTES * 60,
+      error: 'Too many failed login attempts from this address'
+    };
+  }
+
+  for (const attempts of [await recentFailures('email', email), byIp]) {
+    const wait = backoffSeconds(attempts.failures);
+    if (wait > 0) {
+      const readyAt = new Date(attempts.lastFailure).getTime() + wait * 1000;
+      if (readyAt > Date.now()) {
+        return {
+          allowed: false,
+          retryAfter: secondsUntil(readyAt),
+          error: 'Too many failed login attempts, please wait before retrying'
+        };
+      }
+    }
+  }
+
+  return { allowed: true };
+};
+
+const recordLoginAttempt = async (req, { email, userId = null, success, reason = null }) => {
+  await query(
+    `INSERT INTO login_attempts (email, user_id, ip_address, user_agent, success, reason)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [email, userId, req.ip || null, req.get('User-Agent') || null, success, reason]
+  );
+};
+
+// Record a failure and lock the account once it crosses the threshold,
+// telling the owner about it
+const recordLoginFailure = async (req, { email, userId = null, reason }) => {
+  await recordLoginAttempt(req, { email, userId, success: false, reason });
+
+  if (!userId) {
+    return;
+  }
+
+  await recordAudit(req, { action: 'auth.login_failed', accountId: userId, metadata: { reason } });
+
+  const { failures } = await recentFailures('email', email);
+  if (failures < LOCKOUT_THRESHOLD) {
+    return;
+  }
+
+  const lockedUntil = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000);
+  const result = await query(
+    `UPDATE users SET locked_until = $1
+     WHERE id = $2 AND (locked_until IS NULL OR locked_until <= CURRENT_TIMESTAMP)
+     RETURNING email`,
+    [lockedUntil, userId]
+  );
+
+  if (result.rows.length > 0) {
+    await recordAudit(req, {
+      action: 'auth.account_locked',
+      accountId: userId,
+      after: { lockedUntil },
+      metadata: { failures }
+    });
+
+    try {
+      await sendAccountLockedEmail(result.rows[0].email, {
+        failures,
+        lockedUntil,
+        ipAddress: req.ip
+      });
+    } catch (error) {
+      console.error('Send account locked email error:', error);
+    }
+  }
+};
+
+const recordLoginSuccess = (req, { email, userId }) => {
+  return recordLoginAttempt(req, { email, userId, success: true });
+};
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess
+};
@@ -0,0 +1,99 @@
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+// Lazily create the SMTP transport. Leave SMTP_USER empty to talk to an
+// unauthenticated local catcher such as MailHog or Mailpit.
+const getTransporter = () => {
+  if (!transporter) {
+    const port = parseInt(process.env.SMTP_PORT) || 587;
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port,
+      secure: process.env.SMTP_SECURE === 'true' || port === 465,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+  return transporter;
+};
+
+// Absolute URL into the dashboard for links in emails
+const appUrl = (path) => {
+  const base = process.env.APP_URL
+    || process.env.RENDER_EXTERNAL_URL
+    || `http://localhost:${process.env.PORT || 10000}`;
+  return `${base.replace(/\/$/, '')}${path}`;
+};
+
+const sendMail = async ({ to, subject, text }) => {
+  return getTransporter().sendMail({
+    from: process.env.MAIL_FROM || process.env.SMTP_USER || 'Hosting VPS <no-reply@localhost>',
+    to,
+    subject,
+    text
+  });
+};
+
+const sendVerificationEmail = (email, token) => {
+  const link = appUrl(`/login.html?verifyToken=${encodeURIComponent(token)}`);
+  return sendMail({
+    to: email,
+    subject: 'Verify your email address',
+    text: `Welcome to Hosting VPS!\n\nPlease confirm your email address by opening the link below:\n\n${link}\n\nThe link expires in 24 hours.`
+  });
+};
+
+const sendPasswordResetEmail = (email, token) => {
+  const link = appUrl(`/login.html?resetToken=${encodeURIComponent(token)}`);
+  return sendMail({
+    to: email,
+    subject: 'Reset your password',
+    text: `Someone asked to reset the password for your Hosting VPS account.\n\nOpen the link below to choose a new password:\n\n${link}\n\nThe link expires in 1 hour and can only be used once. If you did not ask for this, you can ignore this email.`
+  });
+};
+
+const sendAccountLockedEmail = (email, { failures, lockedUntil, ipAddress }) => {
+  return sendMail({
+    to: email,
+    subject: 'Your account has been temporarily locked',
+    text: `We blocked sign-ins to your Hosting VPS account after ${failures} failed login attempts.\n\nThe most recent attempt came from ${ipAddress || 'an unknown address'}. Sign-ins are blocked until ${lockedUntil.toISOString()}.\n\nIf this was not you, consider changing your password and enabling two-factor authentication:\n\n${appUrl('/login.html')}`
+  });
+};
+
+const sendOrganizationInvitationEmail = (email, { organizationName, invitedBy, role, token }) => {
+  const link = appUrl(`/?inviteToken=${encodeURIComponent(token)}`);
+  return sendMail({
+    to: email,
+    subject: `You have been invited to ${organizationName}`,
+    text: `${invitedBy} invited you to join ${organizationName} on Hosting VPS as ${role}.\n\nOpen the link below to accept. If you do not have an account yet, register with this email address first:\n\n${link}\n\nThe invitation expires in 7 days.`
+  });
+};
+
+const sendDomainDriftEmail = (email, { domainName, failures }) => {
+  return sendMail({
+    to: email,
+    subject: `DNS records for ${domainName} have changed`,
+    text: `A scheduled check found that the DNS records of ${domainName} no longer match what Hosting VPS expects, so the domain has been marked as failing:\n\n${failures.join('\n')}\n\nRestore the records shown under DNS in the dashboard; the domain becomes active again at the next check:\n\n${appUrl('/#domains')}`
+  });
+};
+
+const sendDomainExpiryEmail = (email, { domainName, expiresAt, expired }) => {
+  return sendMail({
+    to: email,
+    subject: expired ? `${domainName} has expired` : `${domainName} expires on ${expiresAt.toDateString()}`,
+    text: `${expired ? `${domainName} expired on ${expiresAt.toISOString()}.` : `${domainName} expires on ${expiresAt.toISOString()} and auto-renew is off.`}\n\nTurn on auto-renew for the domain to keep it:\n\n${appUrl('/#domains')}`
+  });
+};
+
+module.exports = {
+  sendMail,
+  appUrl,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendAccountLockedEmail,
+  sendOrganizationInvitationEmail,
+  sendDomainDriftEmail,
+  sendDomainExpiryEmail
+};
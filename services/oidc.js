@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { query } = require('../config/database');
+const { generateToken, hashToken } = require('./tokens');
+const { appUrl } = require('./mailer');
+
+// OpenID Connect relying party for any standards-compliant issuer, using the
+// authorization code flow with PKCE (RFC 7636). Endpoints and signing keys are
+// taken from the issuer's discovery document.
+const ISSUER = (process.env.OIDC_ISSUER || '').replace(/\/+$/, '');
+const CLIENT_ID = process.env.OIDC_CLIENT_ID;
+const CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET;
+const SCOPES = process.env.OIDC_SCOPES || 'openid email profile';
+const STATE_TTL_MINUTES = 10;
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+
+const isEnabled = () => Boolean(ISSUER && CLIENT_ID);
+
+const redirectUri = () => process.env.OIDC_REDIRECT_URI || appUrl('/api/auth/sso/callback');
+
+// Email domains whose users must sign in through SSO
+const ssoRequiredDomains = () =>
+  (process.env.SSO_REQUIRED_DOMAINS || '')
+    .split(',')
+    .map(domain => domain.trim().toLowerCase())
+    .filter(Boolean);
+
+const requiresSso = (email) => {
+  const domain = String(email || '').split('@')[1];
+  return Boolean(domain) && ssoRequiredDomains().includes(domain.toLowerCase());
+};
+
+let discovery = null;
+let jwks = null;
+
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: 'application/json', ...(options.headers || {}) }
+  });
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const reason = body.error_description || body.error || response.statusText;
+    throw new Error(`OIDC request to ${url} failed: ${reason}`);
+  }
+
+  return body;
+};
+
+const getDiscovery = async () => {
+  if (discovery && discovery.fetchedAt > Date.now() - DISCOVERY_TTL_MS) {
+    return discovery.document;
+  }
+
+  const document = await fetchJson(`${ISSUER}/.well-known/openid-configuration`);
+  if (document.issuer.replace(/\/+$/, '') !== ISSUER) {
+    throw new Error(`OIDC issuer mismatch: expected ${ISSUER}, got ${document.issuer}`);
+  }
+
+  discovery = { document, fetchedAt: Date.now() };
+  jwks = null;
+  return document;
+};
+
+// Find the signing key for a token, refetching the key set once when the key
+// id is unknown (the provider may have rotated its keys)
+const getSigningKey = async (kid) => {
+  const { jwks_uri: jwksUri } = await getDiscovery();
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    if (!jwks || attempt > 0) {
+      jwks = (await fetchJson(jwksUri)).keys || [];
+    }
+
+    const jwk = jwks.find(key => (kid ? key.kid === kid : key.use !== 'enc'));
+    if (jwk) {
+      return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    }
+  }
+
+  throw new Error('OIDC signing key not found');
+};
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+// Start a login: remember state, nonce and PKCE verifier, and return the
+// provider's authorization URL with the state, which the caller binds to the
+// browser (see handleCallback)
+const createAuthorizationUrl = async ({ loginHint } = {}) => {
+  const config = await getDiscovery();
+  const state = generateToken();
+  const nonce = generateToken();
+  const codeVerifier = generateToken('', 48);
+
+  await query('DELETE FROM sso_login_states WHERE expires_at < CURRENT_TIMESTAMP');
+  await query(
+    `INSERT INTO sso_login_states (state_hash, code_verifier, nonce, expires_at)
+     VALUES ($1, $2, $3, $4)`,
+    [hashToken(state), codeVerifier, nonce, new Date(Date.now() + STATE_TTL_MINUTES * 60 * 1000)]
+  );
+
+  const url = new URL(config.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', CLIENT_ID);
+  url.searchParams.set('redirect_uri', redirectUri());
+  url.searchParams.set('scope', SCOPES);
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', base64url(crypto.createHash('sha256').update(codeVerifier).digest()));
+  url.searchParams.set('code_challenge_method', 'S256');
+  if (loginHint) {
+    url.searchParams.set('login_hint', loginHint);
+  }
+
+  return { url: url.toString(), state };
+};
+
+const verifyIdToken = async (idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error('Malformed ID token');
+  }
+
+  const { alg, kid } = decoded.header;
+  if (alg === 'none') {
+    throw new Error('Unsigned ID token');
+  }
+
+  // HMAC-signed ID tokens use the client secret as key
+  const key = alg.startsWith('HS') ? CLIENT_SECRET : await getSigningKey(kid);
+
+  const claims = jwt.verify(idToken, key, {
+    algorithms: [alg],
+    issuer: (await getDiscovery()).issuer,
+    audience: CLIENT_ID,
+    clockTolerance: 60
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+
+  return claims;
+};
+
+// Finish a login: check state, redeem the code and return the verified identity
+// ({ issuer, subject, email, emailVerified, firstName, lastName }).
+// browserState is the state the browser kept when the login started; without
+// it matching, anyone could complete their own login in a victim's browser.
+const handleCallback = async ({ code, state, browserState }) => {
+  const stateHash = hashToken(String(state || ''));
+  if (!browserState ||
+      !crypto.timingSafeEqual(Buffer.from(hashToken(String(browserState))), Buffer.from(stateHash))) {
+    throw new Error('Sign-in request expired, please try again');
+  }
+
+  const stateResult = await query(
+    `DELETE FROM sso_login_states WHERE state_hash = $1 AND expires_at > CURRENT_TIMESTAMP
+     RETURNING code_verifier, nonce`,
+    [stateHash]
+  );
+
+  if (stateResult.rows.length === 0) {
+    throw new Error('Sign-in request expired, please try again');
+  }
+
+  const { code_verifier: codeVerifier, nonce } = stateResult.rows[0];
+  const config = await getDiscovery();
+
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code: String(code || ''),
+    redirect_uri: redirectUri(),
+    code_verifier: codeVerifier,
+    client_id: CLIENT_ID
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+  if (CLIENT_SECRET) {
+    const methods = config.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+    if (methods.includes('client_secret_basic')) {
+      const credentials = `${encodeURIComponent(CLIENT_ID)}:${encodeURIComponent(CLIENT_SECRET)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+      params.set('client_secret', CLIENT_SECRET);
+    }
+  }
+
+  const tokens = await fetchJson(config.token_endpoint, {
+    method: 'POST',
+    headers,
+    body: params.toString()
+  });
+
+  if (!tokens.id_token) {
+    throw new Error('Provider did not return an ID token');
+  }
+
+  let claims = await verifyIdToken(tokens.id_token, nonce);
+
+  // Some providers only put profile claims on the userinfo endpoint
+  if (!claims.email && config.userinfo_endpoint && tokens.access_token) {
+    const userinfo = await fetchJson(config.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` }
+    });
+    if (userinfo.sub === claims.sub) {
+      claims = { ...userinfo, ...claims, email: userinfo.email, email_verified: userinfo.email_verified };
+    }
+  }
+
+  return {
+    issuer: claims.iss,
+    subject: claims.sub,
+    email: claims.email ? String(claims.email).toLowerCase() : null,
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    firstName: claims.given_name || null,
+    lastName: claims.family_name || null
+  };
+};
+
+module.exports = {
+  STATE_TTL_MINUTES,
+  isEnabled,
+  requiresSso,
+  createAuthorizationUrl,
+  handleCallback
+};
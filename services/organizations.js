@@ -0,0 +1,183 @@
+const { query } = require('../config/database');
+
+// Organization roles, lowest to highest. Each role can do everything the
+// roles before it can:
+//   viewer    - read domains, files and analytics
+//   developer - add, change and delete domains and files
+//   admin     - manage members, invitations and organization settings
+//   owner     - change the plan, manage owners, delete the organization
+const ROLES = ['viewer', 'developer', 'admin', 'owner'];
+
+const hasRole = (role, minimum) => ROLES.indexOf(role) >= ROLES.indexOf(minimum);
+
+const findMembership = async (organizationId, userId) => {
+  const result = await query(
+    `SELECT m.role, o.id, o.name, o.slug
+     FROM organization_members m
+     JOIN organizations o ON o.id = m.organization_id
+     WHERE m.organization_id = $1 AND m.user_id = $2`,
+    [organizationId, userId]
+  );
+
+  return result.rows[0] || null;
+};
+
+// Pick the workspace a request works in: the user's personal space, or the
+// organization named by the X-Organization-Id header (or ?organizationId=).
+// Lists and new resources are scoped to it.
+const resolveWorkspace = async (req, res, next) => {
+  const organizationId = req.get('X-Organization-Id') || req.query.organizationId;
+
+  if (!organizationId) {
+    req.workspace = { organizationId: null, userId: req.user.userId, role: 'owner' };
+    return next();
+  }
+
+  try {
+    const membership = /^[0-9a-f-]{36}$/i.test(organizationId)
+      ? await findMembership(organizationId, req.user.userId)
+      : null;
+
+    if (!membership) {
+      return res.status(403).json({ error: 'You are not a member of this organization' });
+    }
+
+    req.workspace = { organizationId, userId: req.user.userId, role: membership.role };
+    next();
+  } catch (error) {
+    console.error('Resolve workspace error:', error);
+    res.status(500).json({ error: 'Failed to check organization membership' });
+  }
+};
+
+const requireWorkspaceRole = (minimum) => (req, res, next) => {
+  if (!hasRole(req.workspace.role, minimum)) {
+    return res.status(403).json({ error: `This requires the ${minimum} role or higher` });
+  }
+  next();
+};
+
+// SQL condition selecting the rows of the current workspace. Pushes its
+// parameter onto `params`.
+const workspaceCondition = (alias, workspace, params) => {
+  if (workspace.organizationId) {
+    params.push(workspace.organizationId);
+    return `${alias}.organization_id = $${params.length}`;
+  }
+
+  params.push(workspace.userId);
+  return `(${alias}.organization_id IS NULL AND ${alias}.user_id = $${params.length})`;
+};
+
+// Tables whose rows go to the trash instead of being deleted straight away
+const TRASHABLE = ['domains', 'files'];
+
+// Load a domain, file, folder or website the user can reach, personally or through an
+// organization membership. The row carries the user's role on it as access_role.
+// Trashed domains and files are only found with { trashed: true }.
+const findAccessible = async (table, id, userId, { trashed = false } = {}) => {
+  const trashCondition = TRASHABLE.includes(table)
+    ? ` AND r.deleted_at IS ${trashed ? 'NOT NULL' : 'NULL'}`
+    : '';
+  const result = await query(
+    `SELECT r.*, CASE WHEN r.organization_id IS NULL THEN 'owner' ELSE m.role END AS access_role
+     FROM ${table} r
+     LEFT JOIN organization_members m ON m.organization_id = r.organization_id AND m.user_id = $2
+     WHERE r.id = $1 AND ((r.organization_id IS NULL AND r.user_id = $2) OR m.user_id IS NOT NULL)${trashCondition}`,
+    [id, userId]
+  );
+
+  return result.rows[0] || null;
+};
+
+// Quotas and current usage of a workspace. storageUsed includes retained
+// file versions (versionsSize) and the trash (trashSize, trashed files with
+// their versions); storageReserved is the full declared size of resumable
+// uploads that have not finished yet. Trashed domains do not count.
+const getWorkspaceUsage = async (workspace) => {
+  const params = [];
+  const owner = workspace.organizationId
+    ? 'SELECT plan_type, storage_quota, domain_quota FROM organizations WHERE id = $1'
+    : 'SELECT plan_type, storage_quota, domain_quota FROM users WHERE id = $1';
+  // Both conditions bind the same single parameter, $1
+  const domainCondition = workspaceCondition('d', workspace, params);
+  const fileCondition = workspaceCondition('f', workspace, []);
+  const uploadCondition = workspaceCondition('u', workspace, []);
+
+  const result = await query(
+    `SELECT o.plan_type, o.storage_quota, o.domain_quota,
+            (SELECT COUNT(*) FROM domains d WHERE ${domainCondition} AND d.deleted_at IS NULL) as domains_count,
+            (SELECT COUNT(*) FROM files f WHERE ${fileCondition} AND f.deleted_at IS NULL) as files_count,
+            (SELECT COALESCE(SUM(file_size), 0) FROM files f
+             WHERE ${fileCondition} AND f.deleted_at IS NULL) as files_size,
+            (SELECT COALESCE(SUM(v.file_size), 0) FROM file_versions v
+             JOIN files f ON f.id = v.file_id WHERE ${fileCondition} AND f.deleted_at IS NULL) as versions_size,
+            (SELECT COALESCE(SUM(file_size), 0) FROM files f
+             WHERE ${fileCondition} AND f.deleted_at IS NOT NULL) +
+            (SELECT COALESCE(SUM(v.file_size), 0) FROM file_versions v
+             JOIN files f ON f.id = v.file_id WHERE ${fileCondition} AND f.deleted_at IS NOT NULL) as trash_size,
+            (SELECT COALESCE(SUM(upload_length), 0) FROM file_uploads u
+             WHERE ${uploadCondition} AND u.expires_at > CURRENT_TIMESTAMP) as storage_reserved
+     FROM (${owner}) o`,
+    params
+  );
+
+  const row = result.rows[0];
+  return {
+    planType: row.plan_type,
+    storageQuota: parseInt(row.storage_quota),
+    domainQuota: row.domain_quota,
+    domainsCount: parseInt(row.domains_count),
+    filesCount: parseInt(row.files_count),
+    filesSize: parseInt(row.files_size),
+    versionsSize: parseInt(row.versions_size),
+    trashSize: parseInt(row.trash_size),
+    storageUsed: parseInt(row.files_size) + parseInt(row.versions_size) + parseInt(row.trash_size),
+    storageReserved: parseInt(row.storage_reserved)
+  };
+};
+
+// Before an account is deleted, hand the organization resources it created to
+// another owner so they are not cascaded away with it. Returns the names of
+// organizations the user is the last owner of; those must be dealt with first.
+const releaseOrganizationResources = async (userId) => {
+  const soleOwner = await query(
+    `SELECT o.name FROM organizations o
+     JOIN organization_members m ON m.organization_id = o.id AND m.user_id = $1 AND m.role = 'owner'
+     WHERE NOT EXISTS (
+       SELECT 1 FROM organization_members other
+       WHERE other.organization_id = o.id AND other.role = 'owner' AND other.user_id <> $1
+     )`,
+    [userId]
+  );
+
+  if (soleOwner.rows.length > 0) {
+    return soleOwner.rows.map(row => row.name);
+  }
+
+  for (const table of ['domains', 'files', 'folders', 'websites']) {
+    await query(
+      `UPDATE ${table} r SET user_id = (
+         SELECT m.user_id FROM organization_members m
+         WHERE m.organization_id = r.organization_id AND m.role = 'owner' AND m.user_id <> $1
+         ORDER BY m.created_at LIMIT 1
+       )
+       WHERE r.user_id = $1 AND r.organization_id IS NOT NULL`,
+      [userId]
+    );
+  }
+
+  return [];
+};
+
+module.exports = {
+  ROLES,
+  hasRole,
+  findMembership,
+  resolveWorkspace,
+  requireWorkspaceRole,
+  workspaceCondition,
+  findAccessible,
+  getWorkspaceUsage,
+  releaseOrganizationResources
+};
@@ -0,0 +1,135 @@
+const { query } = require('../config/database');
+
+// In-process job scheduler. Jobs are registered with an interval; every
+// instance checks each minute which jobs are due. A job's next run time lives
+// in scheduled_jobs and a run is claimed by taking a lease on its row, so with
+// several instances each run happens once and restarts keep the schedule. A
+// lease left by an instance that died mid-run expires after LEASE_MINUTES.
+//
+// Runs are recorded in job_runs; what a run did to a particular domain is
+// recorded in domain_job_events through the `record` function jobs receive.
+const TICK_MS = 60 * 1000;
+const LEASE_MINUTES = 120;
+const HISTORY_DAYS = parseInt(process.env.JOB_HISTORY_DAYS) || 30;
+
+const jobs = new Map();
+
+// `run({ runId, record })` does the work and may return a summary object,
+// stored with the run
+const registerJob = (name, { interval, run }) => {
+  jobs.set(name, { name, interval, run });
+};
+
+const listJobs = () => [...jobs.values()];
+
+// Take the lease on a due job. Returns false when it is not due or another
+// instance is running it.
+const claimJob = async (job) => {
+  await query(
+    'INSERT INTO scheduled_jobs (name) VALUES ($1) ON CONFLICT (name) DO NOTHING',
+    [job.name]
+  );
+
+  const result = await query(
+    `UPDATE scheduled_jobs
+     SET locked_until = CURRENT_TIMESTAMP + make_interval(mins => $2),
+         next_run_at = CURRENT_TIMESTAMP + make_interval(secs => $3)
+     WHERE name = $1 AND next_run_at <= CURRENT_TIMESTAMP
+       AND (locked_until IS NULL OR locked_until < CURRENT_TIMESTAMP)
+     RETURNING name`,
+    [job.name, LEASE_MINUTES, Math.round(job.interval / 1000)]
+  );
+  return result.rows.length > 0;
+};
+
+// Run a claimed job and record the outcome. Job errors are recorded, not
+// thrown.
+const runJob = async (job) => {
+  const run = await query('INSERT INTO job_runs (job_name) VALUES ($1) RETURNING id', [job.name]);
+  const runId = run.rows[0].id;
+
+  const record = async (domainId, outcome, message = null, details = null) => {
+    try {
+      await query(
+        `INSERT INTO domain_job_events (run_id, domain_id, job_name, outcome, message, details)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [runId, domainId, job.name, outcome, message, details ? JSON.stringify(details) : null]
+      );
+    } catch (error) {
+      console.error(`Job event error (${job.name}):`, error);
+    }
+  };
+
+  try {
+    const summary = await job.run({ runId, record });
+    await query(
+      `UPDATE job_runs SET status = 'succeeded', summary = $2, finished_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [runId, summary ? JSON.stringify(summary) : null]
+    );
+  } catch (error) {
+    console.error(`Job ${job.name} failed:`, error);
+    await query(
+      `UPDATE job_runs SET status = 'failed', error = $2, finished_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [runId, error.message]
+    );
+  } finally {
+    await query(
+      'UPDATE scheduled_jobs SET locked_until = NULL, last_run_at = CURRENT_TIMESTAMP WHERE name = $1',
+      [job.name]
+    );
+  }
+  return runId;
+};
+
+// Make a job due now; the next tick on any instance runs it
+const triggerJob = async (name) => {
+  const result = await query(
+    `INSERT INTO scheduled_jobs (name, next_run_at) VALUES ($1, CURRENT_TIMESTAMP)
+     ON CONFLICT (name) DO UPDATE SET next_run_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [name]
+  );
+  return result.rows[0];
+};
+
+// Job runs (and their domain events) past the history retention
+const pruneJobHistory = async () => {
+  const result = await query(
+    'DELETE FROM job_runs WHERE started_at < CURRENT_TIMESTAMP - make_interval(days => $1)',
+    [HISTORY_DAYS]
+  );
+  return { deleted: result.rowCount };
+};
+
+registerJob('job-history-prune', { interval: 24 * 60 * 60 * 1000, run: pruneJobHistory });
+
+let ticking = false;
+const tick = async () => {
+  // A long job must not be started again by the next tick of this instance
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    for (const job of jobs.values()) {
+      if (await claimJob(job)) {
+        await runJob(job);
+      }
+    }
+  } catch (error) {
+    console.error('Scheduler error:', error);
+  } finally {
+    ticking = false;
+  }
+};
+
+const startScheduler = () => {
+  tick();
+  setInterval(tick, TICK_MS).unref();
+};
+
+module.exports = {
+  registerJob,
+  listJobs,
+  triggerJob,
+  startScheduler
+};
@@ -0,0 +1,150 @@
+const jwt = require('jsonwebtoken');
+const { query } = require('../config/database');
+const { generateToken, hashToken } = require('./tokens');
+const { recordAudit } = require('./audit');
+
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+const signAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    { userId: user.id, email: user.email, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+// Refresh tokens look like "<sessionId>.<secret>"; only the secret's hash is stored
+const splitRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret || !/^[0-9a-f-]{36}$/i.test(sessionId)) {
+    return null;
+  }
+  return { sessionId, secret };
+};
+
+// Start a new server-side session and issue its first token pair.
+// Impersonation sessions record the admin behind them and have a fixed lifetime.
+const createSession = async (user, req, { impersonatorId = null, lifetimeMinutes = null } = {}) => {
+  const secret = generateToken();
+  const expiresAt = lifetimeMinutes
+    ? new Date(Date.now() + lifetimeMinutes * 60 * 1000)
+    : refreshExpiry();
+
+  const result = await query(
+    `INSERT INTO sessions (user_id, session_token, expires_at, ip_address, user_agent, impersonator_id)
+     VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+    [user.id, hashToken(secret), expiresAt, req.ip || null, req.get('User-Agent') || null, impersonatorId]
+  );
+
+  const sessionId = result.rows[0].id;
+
+  return {
+    sessionId,
+    token: signAccessToken(user, sessionId),
+    refreshToken: `${sessionId}.${secret}`
+  };
+};
+
+// Exchange a refresh token for a new pair. Presenting an already rotated token
+// means it leaked, so the whole session is revoked.
+const rotateSession = async (refreshToken, req) => {
+  const parts = splitRefreshToken(refreshToken);
+  if (!parts) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  const result = await query(
+    `SELECT s.id, s.session_token, s.expires_at, u.id AS user_id, u.email, u.is_active
+     FROM sessions s JOIN users u ON u.id = s.user_id
+     WHERE s.id = $1`,
+    [parts.sessionId]
+  );
+
+  if (result.rows.length === 0) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  const session = result.rows[0];
+
+  if (session.session_token !== hashToken(parts.secret)) {
+    await revokeSession(session.id);
+    console.warn(`Refresh token reuse detected for session ${session.id}, session revoked`);
+    await recordAudit(req, {
+      action: 'auth.refresh_token_reuse',
+      accountId: session.user_id,
+      resourceType: 'session',
+      resourceId: session.id
+    });
+    return { error: 'Refresh token reuse detected, session revoked' };
+  }
+
+  if (new Date(session.expires_at) <= new Date() || !session.is_active) {
+    await revokeSession(session.id);
+    return { error: 'Session expired' };
+  }
+
+  const secret = generateToken();
+
+  // Compare-and-swap so two concurrent refreshes cannot both succeed.
+  // Impersonation sessions keep their original expiry.
+  const updated = await query(
+    `UPDATE sessions SET session_token = $1,
+            expires_at = CASE WHEN impersonator_id IS NULL THEN $2 ELSE expires_at END,
+            last_accessed = CURRENT_TIMESTAMP,
+            ip_address = $3, user_agent = $4
+     WHERE id = $5 AND session_token = $6 RETURNING id`,
+    [hashToken(secret), refreshExpiry(), req.ip || null, req.get('User-Agent') || null,
+      session.id, session.session_token]
+  );
+
+  if (updated.rows.length === 0) {
+    await revokeSession(session.id);
+    return { error: 'Refresh token reuse detected, session revoked' };
+  }
+
+  const user = { id: session.user_id, email: session.email };
+
+  return {
+    sessionId: session.id,
+    token: signAccessToken(user, session.id),
+    refreshToken: `${session.id}.${secret}`
+  };
+};
+
+// Mark a session as used. Returns the session, or null when it has been
+// revoked, has expired or its account is disabled.
+const touchSession = async (sessionId) => {
+  const result = await query(
+    `UPDATE sessions s SET last_accessed = CURRENT_TIMESTAMP
+     FROM users u
+     WHERE s.id = $1 AND u.id = s.user_id AND u.is_active = true
+       AND s.expires_at > CURRENT_TIMESTAMP
+     RETURNING s.id, s.impersonator_id`,
+    [sessionId]
+  );
+  return result.rows[0] || null;
+};
+
+const revokeSession = async (sessionId) => {
+  await query('DELETE FROM sessions WHERE id = $1', [sessionId]);
+};
+
+// Revoke every session of a user, optionally keeping the one making the request
+const revokeUserSessions = async (userId, exceptSessionId = null) => {
+  const result = await query(
+    'DELETE FROM sessions WHERE user_id = $1 AND ($2::uuid IS NULL OR id != $2::uuid)',
+    [userId, exceptSessionId]
+  );
+  return result.rowCount;
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  touchSession,
+  revokeSession,
+  revokeUserSessions
+};
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const { appUrl } = require('./mailer');
+
+// A share link token is the link id plus an HMAC of it, so the dashboard can
+// show the URL again without the token being stored, and a guessed or altered
+// id is rejected before any database lookup
+const secret = () => process.env.SHARE_LINK_SECRET || process.env.JWT_SECRET;
+
+const sign = (id) => crypto.createHmac('sha256', secret()).update(`share:${id}`).digest('base64url');
+
+const createShareToken = (id) => {
+  const encodedId = Buffer.from(id.replace(/-/g, ''), 'hex').toString('base64url');
+  return `${encodedId}.${sign(id)}`;
+};
+
+// The link id a token was signed for, or null
+const verifyShareToken = (token) => {
+  const [encodedId, signature] = String(token || '').split('.');
+  if (!encodedId || !signature) {
+    return null;
+  }
+
+  const hex = Buffer.from(encodedId, 'base64url').toString('hex');
+  if (hex.length !== 32) {
+    return null;
+  }
+
+  const id = [hex.slice(0, 8), hex.slice(8, 12), hex.slice(12, 16), hex.slice(16, 20), hex.slice(20)].join('-');
+  const expected = Buffer.from(sign(id));
+  const given = Buffer.from(signature);
+
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given) ? id : null;
+};
+
+const shareUrl = (id) => appUrl(`/s/${createShareToken(id)}`);
+
+// active, revoked, expired or exhausted
+const shareLinkState = (link) => {
+  if (link.revoked_at) return 'revoked';
+  if (link.expires_at && new Date(link.expires_at) <= new Date()) return 'expired';
+  if (link.max_downloads !== null && link.download_count >= link.max_downloads) return 'exhausted';
+  return 'active';
+};
+
+const formatShareLink = (link) => ({
+  id: link.id,
+  fileId: link.file_id,
+  url: shareUrl(link.id),
+  state: shareLinkState(link),
+  hasPassword: Boolean(link.password_hash),
+  expiresAt: link.expires_at,
+  maxDownloads: link.max_downloads,
+  downloadCount: link.download_count,
+  lastDownloadAt: link.last_download_at,
+  createdBy: link.created_by,
+  createdAt: link.created_at
+});
+
+module.exports = {
+  verifyShareToken,
+  shareUrl,
+  shareLinkState,
+  formatShareLink
+};
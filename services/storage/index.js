@@ -0,0 +1,39 @@
+const local = require('./local');
+const s3 = require('./s3');
+
+// Storage backends for file contents. Every files, file_versions, file_blobs
+// and direct upload row names the driver holding its bytes (storage_driver)
+// and the location within it (file_path), so rows written under different
+// settings keep working side by side. New content goes to STORAGE_DRIVER.
+//
+// A driver provides locationForKey/keyOf (a key is a relative, slash-separated
+// name such as "blobs/ab/<hash>-<suffix>" or "<user id>/<stored name>"),
+// putFile, putStream, stat, createReadStream and remove; drivers with
+// supportsPresign also hand out presignUpload and presignDownload URLs.
+const drivers = { local, s3 };
+
+const ACTIVE_DRIVER = process.env.STORAGE_DRIVER || 'local';
+
+const getDriver = (name = ACTIVE_DRIVER) => {
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return driver;
+};
+
+// Delete stored content ({ storage_driver, file_path } of a row). Failures are
+// logged, so a missing object never blocks deleting its row.
+const removeStored = async (row) => {
+  try {
+    await getDriver(row.storage_driver).remove(row.file_path);
+  } catch (error) {
+    console.error('Failed to delete stored file:', error);
+  }
+};
+
+module.exports = {
+  ACTIVE_DRIVER,
+  getDriver,
+  removeStored
+};
@@ -0,0 +1,69 @@
+const path = require('path');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+
+// Files on the server's own disk. A location is the file's path, which is
+// what file_path has always held; keys are paths relative to UPLOAD_DIR.
+const name = 'local';
+const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
+
+const locationForKey = (key) => path.join(UPLOAD_DIR, key);
+
+const keyOf = (location) => path.relative(UPLOAD_DIR, location).split(path.sep).join('/');
+
+// Move a finished local file (a multer upload or completed tus upload) to
+// its location
+const putFile = async (location, localPath) => {
+  if (path.resolve(location) === path.resolve(localPath)) {
+    return;
+  }
+
+  await fs.promises.mkdir(path.dirname(location), { recursive: true });
+  try {
+    await fs.promises.rename(localPath, location);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    await fs.promises.copyFile(localPath, location);
+    await fs.promises.unlink(localPath);
+  }
+};
+
+const putStream = async (location, stream) => {
+  await fs.promises.mkdir(path.dirname(location), { recursive: true });
+  await pipeline(stream, fs.createWriteStream(location));
+};
+
+// Size and modification time, or null when there is nothing stored
+const stat = async (location) => {
+  try {
+    const stats = await fs.promises.stat(location);
+    return { size: stats.size, mtime: stats.mtime };
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+// { start, end } are inclusive byte offsets, as for fs.createReadStream
+const createReadStream = async (location, range) => fs.createReadStream(location, range);
+
+const remove = async (location) => {
+  try {
+    await fs.promises.unlink(location);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+module.exports = {
+  UPLOAD_DIR,
+  name,
+  supportsPresign: false,
+  locationForKey,
+  keyOf,
+  putFile,
+  putStream,
+  stat,
+  createReadStream,
+  remove
+};
@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const fs = require('fs');
+
+// Amazon S3 and S3-compatible services (MinIO, Cloudflare R2, Backblaze B2,
+// DigitalOcean Spaces). Requests are signed with AWS Signature Version 4;
+// presigned URLs let clients upload and download without going through this
+// server. A location is the object key, including S3_PREFIX.
+const name = 's3';
+const BUCKET = process.env.S3_BUCKET;
+const REGION = process.env.S3_REGION || 'us-east-1';
+// MinIO and most other compatible services need their own endpoint and
+// path-style URLs (http://host:9000/bucket/key)
+const ENDPOINT = (process.env.S3_ENDPOINT || `https://s3.${REGION}.amazonaws.com`).replace(/\/+$/, '');
+const FORCE_PATH_STYLE = process.env.S3_FORCE_PATH_STYLE === 'true';
+const PREFIX = process.env.S3_PREFIX || '';
+const PRESIGN_EXPIRES = parseInt(process.env.S3_PRESIGN_EXPIRES) || 15 * 60;
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+const credentials = () => ({
+  accessKeyId: process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+});
+
+// RFC 3986 encoding as SigV4 expects it; slashes stay in object keys
+const encode = (value) =>
+  encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const encodeKey = (key) => key.split('/').map(encode).join('/');
+
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const amzDate = (date) => date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+
+const objectUrl = (key) => {
+  const endpoint = new URL(ENDPOINT);
+  if (FORCE_PATH_STYLE) {
+    return new URL(`${endpoint.origin}/${BUCKET}/${encodeKey(key)}`);
+  }
+  return new URL(`${endpoint.protocol}//${BUCKET}.${endpoint.host}/${encodeKey(key)}`);
+};
+
+const canonicalQuery = (params) =>
+  Object.keys(params).sort().map(key => `${encode(key)}=${encode(params[key])}`).join('&');
+
+// Signature for a request. `headers` are the headers to sign (lower-case
+// names, host included); `params` the query string.
+const signature = ({ method, url, headers, params = {}, payloadHash, date, region = REGION, secretAccessKey }) => {
+  const names = Object.keys(headers).sort();
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    canonicalQuery(params),
+    names.map(key => `${key}:${String(headers[key]).trim()}\n`).join(''),
+    names.join(';'),
+    payloadHash
+  ].join('\n');
+
+  const dateStamp = amzDate(date).slice(0, 8);
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate(date), scope, sha256(canonicalRequest)].join('\n');
+
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region)
+  );
+
+  return {
+    scope,
+    signedHeaders: names.join(';'),
+    signature: crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex')
+  };
+};
+
+// URL that allows one method on one object until it expires. Extra query
+// parameters (e.g. response-content-disposition) are signed along.
+const presignUrl = (method, location, { expiresIn = PRESIGN_EXPIRES, params = {}, date = new Date() } = {}) => {
+  const { accessKeyId, secretAccessKey } = credentials();
+  const url = objectUrl(location);
+  const dateStamp = amzDate(date).slice(0, 8);
+  const query = {
+    ...params,
+    'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+    'X-Amz-Credential': `${accessKeyId}/${dateStamp}/${REGION}/s3/aws4_request`,
+    'X-Amz-Date': amzDate(date),
+    'X-Amz-Expires': String(expiresIn),
+    'X-Amz-SignedHeaders': 'host'
+  };
+
+  const signed = signature({
+    method,
+    url,
+    headers: { host: url.host },
+    params: query,
+    payloadHash: UNSIGNED_PAYLOAD,
+    date,
+    secretAccessKey
+  });
+
+  return `${url.origin}${url.pathname}?${canonicalQuery({ ...query, 'X-Amz-Signature': signed.signature })}`;
+};
+
+// Send a signed request and resolve with the response once its headers
+// arrive. Statuses other than 2xx (or those in `accept`) reject.
+const send = (method, location, { headers = {}, body = null, accept = [] } = {}) =>
+  new Promise((resolve, reject) => {
+    const { accessKeyId, secretAccessKey } = credentials();
+    const url = objectUrl(location);
+    const date = new Date();
+    const signedHeaders = {
+      host: url.host,
+      'x-amz-content-sha256': UNSIGNED_PAYLOAD,
+      'x-amz-date': amzDate(date)
+    };
+    const signed = signature({ method, url, headers: signedHeaders, payloadHash: UNSIGNED_PAYLOAD, date, secretAccessKey });
+
+    const request = (url.protocol === 'https:' ? https : http).request(url, {
+      method,
+      headers: {
+        ...headers,
+        ...signedHeaders,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${signed.scope}, ` +
+          `SignedHeaders=${signed.signedHeaders}, Signature=${signed.signature}`
+      }
+    }, response => {
+      if ((response.statusCode >= 200 && response.statusCode < 300) || accept.includes(response.statusCode)) {
+        return resolve(response);
+      }
+
+      let detail = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => {
+        detail += chunk;
+      });
+      response.on('end', () => {
+        const code = /<Code>([^<]+)<\/Code>/.exec(detail);
+        const error = new Error(`S3 ${method} ${location} failed with ${response.statusCode}${code ? ` (${code[1]})` : ''}`);
+        error.statusCode = response.statusCode;
+        reject(error);
+      });
+    });
+
+    request.on('error', reject);
+    if (body && typeof body.pipe === 'function') {
+      body.on('error', error => request.destroy(error));
+      body.pipe(request);
+    } else {
+      request.end(body);
+    }
+  });
+
+const drain = (response) => {
+  response.resume();
+  return new Promise(resolve => response.on('end', resolve));
+};
+
+const locationForKey = (key) => `${PREFIX}${key}`;
+
+const keyOf = (location) => (location.startsWith(PREFIX) ? location.slice(PREFIX.length) : location);
+
+const putStream = async (location, stream, { size, contentType } = {}) => {
+  const response = await send('PUT', location, {
+    headers: {
+      'Content-Length': size,
+      'Content-Type': contentType || 'application/octet-stream'
+    },
+    body: stream
+  });
+  await drain(response);
+};
+
+// Upload a finished local file, then remove the local copy
+const putFile = async (location, localPath, { contentType } = {}) => {
+  const { size } = await fs.promises.stat(localPath);
+  await putStream(location, fs.createReadStream(localPath), { size, contentType });
+  await fs.promises.unlink(localPath);
+};
+
+const stat = async (location) => {
+  const response = await send('HEAD', location, { accept: [404] });
+  await drain(response);
+
+  if (response.statusCode === 404) return null;
+  return {
+    size: parseInt(response.headers['content-length']),
+    mtime: new Date(response.headers['last-modified'])
+  };
+};
+
+const createReadStream = async (location, range) => {
+  const headers = range ? { Range: `bytes=${range.start}-${range.end}` } : {};
+  return send('GET', location, { headers });
+};
+
+const remove = async (location) => {
+  const response = await send('DELETE', location, { accept: [404] });
+  await drain(response);
+};
+
+// Presigned PUT for a direct upload from the client
+const presignUpload = (location, { expiresIn } = {}) => presignUrl('PUT', location, { expiresIn });
+
+// Presigned GET; S3 answers with the given Content-Disposition and type
+const presignDownload = (location, { contentDisposition, contentType, expiresIn } = {}) =>
+  presignUrl('GET', location, {
+    expiresIn,
+    params: {
+      ...(contentDisposition ? { 'response-content-disposition': contentDisposition } : {}),
+      ...(contentType ? { 'response-content-type': contentType } : {})
+    }
+  });
+
+module.exports = {
+  name,
+  supportsPresign: true,
+  PRESIGN_EXPIRES,
+  signature,
+  presignUrl,
+  locationForKey,
+  keyOf,
+  putFile,
+  putStream,
+  stat,
+  createReadStream,
+  remove,
+  presignUpload,
+  presignDownload
+};
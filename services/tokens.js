@@ -0,0 +1,17 @@
+const crypto = require('crypto');
+
+// Generate a random, URL-safe secret with an optional recognisable prefix
+const generateToken = (prefix = '', bytes = 32) => {
+  return prefix + crypto.randomBytes(bytes).toString('base64url');
+};
+
+// Secrets are only ever stored as SHA-256 digests so they can be looked up
+// by index without keeping the plaintext around
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+module.exports = {
+  generateToken,
+  hashToken
+};
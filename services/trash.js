@@ -0,0 +1,57 @@
+const { query } = require('../config/database');
+const { storedVersions } = require('./fileVersions');
+const { releaseContent } = require('./blobs');
+
+// Deleted files and domains stay in the trash (deleted_at set) for
+// TRASH_RETENTION_DAYS, then the purge removes them for good. Trashed files
+// keep their bytes in storage, so they still count against the storage quota.
+const RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+const purgeAt = (deletedAt) => new Date(new Date(deletedAt).getTime() + RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+// Delete file rows and release their current and previous contents
+const purgeFiles = async (fileIds) => {
+  if (fileIds.length === 0) return 0;
+
+  const files = await query(
+    'SELECT content_hash, storage_driver, file_path FROM files WHERE id = ANY($1::uuid[])',
+    [fileIds]
+  );
+  const stored = [...files.rows, ...(await storedVersions(fileIds))];
+
+  await query('DELETE FROM files WHERE id = ANY($1::uuid[])', [fileIds]);
+
+  for (const row of stored) {
+    await releaseContent(row);
+  }
+
+  return files.rows.length;
+};
+
+const purgeDomains = async (domainIds) => {
+  if (domainIds.length === 0) return 0;
+
+  const result = await query('DELETE FROM domains WHERE id = ANY($1::uuid[]) RETURNING id', [domainIds]);
+  return result.rows.length;
+};
+
+// Scheduled job: remove everything that has been in the trash longer than
+// the retention
+const purgeExpiredTrash = async () => {
+  const cutoff = `deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1)`;
+  const files = await query(`SELECT id FROM files WHERE ${cutoff}`, [RETENTION_DAYS]);
+  const domains = await query(`SELECT id FROM domains WHERE ${cutoff}`, [RETENTION_DAYS]);
+
+  return {
+    files: await purgeFiles(files.rows.map(row => row.id)),
+    domains: await purgeDomains(domains.rows.map(row => row.id))
+  };
+};
+
+module.exports = {
+  RETENTION_DAYS,
+  purgeAt,
+  purgeFiles,
+  purgeDomains,
+  purgeExpiredTrash
+};
@@ -0,0 +1,75 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { query } = require('../config/database');
+const { UPLOAD_DIR } = require('./storage/local');
+const { getDriver } = require('./storage');
+
+// Unfinished resumable uploads live outside the per-user directories, which
+// are served statically, until their last byte arrives
+const PARTIAL_DIR = path.join(UPLOAD_DIR, '.partial');
+
+// Largest file a resumable or direct upload may declare
+const MAX_UPLOAD_SIZE = parseInt(process.env.TUS_MAX_SIZE) || 2 * 1024 * 1024 * 1024; // 2GB default
+
+const ALLOWED_TYPES = [
+  'image/jpeg', 'image/png', 'image/gif', 'image/webp',
+  'text/plain', 'text/html', 'text/css', 'text/javascript', 'text/markdown', 'text/csv',
+  'application/pdf', 'application/json', 'application/xml',
+  'application/zip', 'application/x-zip-compressed'
+];
+
+const isAllowedType = (mimeType) => ALLOWED_TYPES.includes(mimeType);
+
+// Content types by extension, for files that arrive without one (archive entries)
+const TYPES_BY_EXTENSION = {
+  '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.gif': 'image/gif', '.webp': 'image/webp',
+  '.txt': 'text/plain', '.html': 'text/html', '.htm': 'text/html', '.css': 'text/css',
+  '.js': 'text/javascript', '.mjs': 'text/javascript', '.md': 'text/markdown', '.csv': 'text/csv',
+  '.pdf': 'application/pdf', '.json': 'application/json', '.xml': 'application/xml', '.zip': 'application/zip'
+};
+
+const mimeTypeForName = (name) =>
+  TYPES_BY_EXTENSION[path.extname(name).toLowerCase()] || 'application/octet-stream';
+
+const userUploadDir = (userId) => path.join(UPLOAD_DIR, userId);
+
+// Stored file names follow the pattern multer gives single-request uploads
+const generateStoredName = (originalName) => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  return `file-${uniqueSuffix}${path.extname(originalName)}`;
+};
+
+// Drop uploads that were abandoned past their expiry, with their partial
+// data. Direct uploads (storage_driver set) may have reached the storage
+// backend without being completed.
+const removeExpiredUploads = async () => {
+  const expired = await query(
+    'DELETE FROM file_uploads WHERE expires_at < CURRENT_TIMESTAMP RETURNING file_path, storage_driver'
+  );
+
+  for (const upload of expired.rows) {
+    try {
+      if (upload.storage_driver) {
+        await getDriver(upload.storage_driver).remove(upload.file_path);
+      } else {
+        await fs.unlink(upload.file_path);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Failed to delete expired upload:', error);
+      }
+    }
+  }
+
+  return expired.rows.length;
+};
+
+module.exports = {
+  PARTIAL_DIR,
+  MAX_UPLOAD_SIZE,
+  isAllowedType,
+  mimeTypeForName,
+  userUploadDir,
+  generateStoredName,
+  removeExpiredUploads
+};
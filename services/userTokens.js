@@ -0,0 +1,41 @@
+const { query } = require('../config/database');
+const { generateToken, hashToken } = require('./tokens');
+
+// Single-use, expiring tokens sent to users by email (password reset, email
+// verification) or handed over after single sign-on. Issuing a new token
+// invalidates older ones for the same purpose.
+const createUserToken = async (userId, purpose, ttlMinutes) => {
+  const token = generateToken();
+
+  await query(
+    'DELETE FROM user_tokens WHERE user_id = $1 AND purpose = $2',
+    [userId, purpose]
+  );
+
+  await query(
+    `INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at)
+     VALUES ($1, $2, $3, $4)`,
+    [userId, purpose, hashToken(token), new Date(Date.now() + ttlMinutes * 60 * 1000)]
+  );
+
+  return token;
+};
+
+// Mark a token as used and return its user id, or null if it is unknown,
+// expired or already used
+const consumeUserToken = async (token, purpose) => {
+  const result = await query(
+    `UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP
+     WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL
+       AND expires_at > CURRENT_TIMESTAMP
+     RETURNING user_id`,
+    [hashToken(String(token || '')), purpose]
+  );
+
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+};
+
+module.exports = {
+  createUserToken,
+  consumeUserToken
+};
@@ -0,0 +1,317 @@
+const zlib = require('zlib');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+// ZIP archives as described in PKWARE's APPNOTE. Archives are written as a
+// stream, every entry deflated with a data descriptor after it, so nothing
+// has to be buffered or known in advance; without ZIP64 an archive stays
+// below 4 GB and 65535 entries. Reading takes any source that serves byte
+// ranges (a local file, an object in storage) and understands ZIP64.
+
+const LOCAL_HEADER = 0x04034b50;
+const DATA_DESCRIPTOR = 0x08074b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP64_LOCATOR = 0x07064b50;
+const ZIP64_END_OF_CENTRAL_DIRECTORY = 0x06064b50;
+
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+const FLAG_UTF8 = 0x0800;
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+// Largest archive and entry count the writer produces
+const MAX_ZIP_SIZE = 0xffffffff;
+const MAX_ZIP_ENTRIES = 0xffff;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer, crc = 0) => {
+  let c = ~crc;
+  for (let i = 0; i < buffer.length; i++) {
+    c = CRC_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+  }
+  return ~c >>> 0;
+};
+
+// Passes data through, keeping its CRC-32 and length
+const checksum = () => {
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      stream.crc = crc32(chunk, stream.crc);
+      stream.size += chunk.length;
+      callback(null, chunk);
+    }
+  });
+  stream.crc = 0;
+  stream.size = 0;
+  return stream;
+};
+
+// MS-DOS date and time; ZIP cannot represent anything before 1980
+const dosDateTime = (value) => {
+  const date = new Date(Math.max(new Date(value || Date.now()).getTime(), Date.UTC(1980, 0, 1)));
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+};
+
+// Write an archive to `output` (left open). `entries` is a list of
+// { name, date, directory, compress, open }, where open() resolves to a
+// readable stream of the entry's content. Directory names end in "/".
+const writeZip = async (output, entries) => {
+  let offset = 0;
+  const central = [];
+
+  const write = (buffer) => {
+    offset += buffer.length;
+    if (output.write(buffer)) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      const done = (error) => {
+        output.off('drain', done);
+        output.off('close', closed);
+        error ? reject(error) : resolve();
+      };
+      const closed = () => done(new Error('Output closed before the archive was written'));
+      output.once('drain', done);
+      output.once('close', closed);
+    });
+  };
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.directory ? `${entry.name.replace(/\/+$/, '')}/` : entry.name, 'utf8');
+    const { time, date } = dosDateTime(entry.date);
+    const flags = FLAG_UTF8 | (entry.directory ? 0 : FLAG_DATA_DESCRIPTOR);
+    const method = entry.directory ? METHOD_STORED : METHOD_DEFLATED;
+    const headerOffset = offset;
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(LOCAL_HEADER, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(flags, 6);
+    header.writeUInt16LE(method, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt16LE(name.length, 26);
+    await write(Buffer.concat([header, name]));
+
+    let crc = 0;
+    let compressedSize = 0;
+    let size = 0;
+    if (!entry.directory) {
+      const raw = checksum();
+      const compressed = checksum();
+
+      // Already-compressed content is only wrapped in stored deflate blocks
+      await pipeline(
+        await entry.open(),
+        raw,
+        zlib.createDeflateRaw({ level: entry.compress === false ? 0 : 6 }),
+        compressed,
+        output,
+        { end: false }
+      );
+
+      ({ crc, size } = raw);
+      compressedSize = compressed.size;
+      offset += compressedSize;
+      if (offset > MAX_ZIP_SIZE) {
+        throw new Error('Archive exceeds the 4 GB ZIP limit');
+      }
+
+      const descriptor = Buffer.alloc(16);
+      descriptor.writeUInt32LE(DATA_DESCRIPTOR, 0);
+      descriptor.writeUInt32LE(crc, 4);
+      descriptor.writeUInt32LE(compressedSize, 8);
+      descriptor.writeUInt32LE(size, 12);
+      await write(descriptor);
+    }
+
+    const record = Buffer.alloc(46);
+    record.writeUInt32LE(CENTRAL_HEADER, 0);
+    record.writeUInt16LE((3 << 8) | 20, 4); // made by Unix, so the modes below apply
+    record.writeUInt16LE(20, 6);
+    record.writeUInt16LE(flags, 8);
+    record.writeUInt16LE(method, 10);
+    record.writeUInt16LE(time, 12);
+    record.writeUInt16LE(date, 14);
+    record.writeUInt32LE(crc, 16);
+    record.writeUInt32LE(compressedSize, 20);
+    record.writeUInt32LE(size, 24);
+    record.writeUInt16LE(name.length, 28);
+    record.writeUInt32LE(entry.directory ? ((0o40755 << 16) | 0x10) >>> 0 : (0o100644 << 16) >>> 0, 38);
+    record.writeUInt32LE(headerOffset, 42);
+    central.push(record, name);
+  }
+
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  await write(Buffer.concat([directory, end]));
+};
+
+// Values that did not fit the 32-bit fields of a central directory record
+const applyZip64Extra = (entry, extra) => {
+  for (let i = 0; i + 4 <= extra.length;) {
+    const id = extra.readUInt16LE(i);
+    const length = extra.readUInt16LE(i + 2);
+    if (id === 0x0001) {
+      let position = i + 4;
+      for (const field of ['uncompressedSize', 'compressedSize', 'localHeaderOffset']) {
+        if (entry[field] === 0xffffffff && position + 8 <= i + 4 + length) {
+          entry[field] = Number(extra.readBigUInt64LE(position));
+          position += 8;
+        }
+      }
+    }
+    i += 4 + length;
+  }
+};
+
+const decodeName = (raw, flags) => {
+  const utf8 = raw.toString('utf8');
+  return flags & FLAG_UTF8 || Buffer.from(utf8, 'utf8').equals(raw) ? utf8 : raw.toString('latin1');
+};
+
+// List the entries of an archive of `size` bytes. `read(position, length)`
+// resolves to those bytes. Throws for anything that is not a readable ZIP.
+const readZipEntries = async (read, size) => {
+  const tailLength = Math.min(size, 22 + 0xffff);
+  const tail = await read(size - tailLength, tailLength);
+
+  let endOffset = -1;
+  for (let i = tail.length - 22; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset < 0) {
+    throw new Error('Not a ZIP archive');
+  }
+
+  let count = tail.readUInt16LE(endOffset + 10);
+  let directorySize = tail.readUInt32LE(endOffset + 12);
+  let directoryOffset = tail.readUInt32LE(endOffset + 16);
+
+  if (count === 0xffff || directorySize === 0xffffffff || directoryOffset === 0xffffffff) {
+    const locatorOffset = endOffset - 20;
+    if (locatorOffset < 0 || tail.readUInt32LE(locatorOffset) !== ZIP64_LOCATOR) {
+      throw new Error('ZIP64 end of central directory locator is missing');
+    }
+    const zip64 = await read(Number(tail.readBigUInt64LE(locatorOffset + 8)), 56);
+    if (zip64.readUInt32LE(0) !== ZIP64_END_OF_CENTRAL_DIRECTORY) {
+      throw new Error('ZIP64 end of central directory is missing');
+    }
+    count = Number(zip64.readBigUInt64LE(32));
+    directorySize = Number(zip64.readBigUInt64LE(40));
+    directoryOffset = Number(zip64.readBigUInt64LE(48));
+  }
+
+  if (directoryOffset + directorySize > size) {
+    throw new Error('ZIP central directory is truncated');
+  }
+
+  const directory = await read(directoryOffset, directorySize);
+  const entries = [];
+  let position = 0;
+  for (let i = 0; i < count; i++) {
+    if (position + 46 > directory.length || directory.readUInt32LE(position) !== CENTRAL_HEADER) {
+      throw new Error('ZIP central directory is corrupt');
+    }
+
+    const flags = directory.readUInt16LE(position + 8);
+    const nameLength = directory.readUInt16LE(position + 28);
+    const extraLength = directory.readUInt16LE(position + 30);
+    const commentLength = directory.readUInt16LE(position + 32);
+    const madeBy = directory.readUInt16LE(position + 4) >> 8;
+    const mode = directory.readUInt32LE(position + 38) >>> 16;
+    const nameStart = position + 46;
+
+    const entry = {
+      name: decodeName(directory.subarray(nameStart, nameStart + nameLength), flags),
+      method: directory.readUInt16LE(position + 10),
+      encrypted: Boolean(flags & FLAG_ENCRYPTED),
+      crc32: directory.readUInt32LE(position + 16),
+      compressedSize: directory.readUInt32LE(position + 20),
+      uncompressedSize: directory.readUInt32LE(position + 24),
+      localHeaderOffset: directory.readUInt32LE(position + 42),
+      // Unix modes are only meaningful in archives made on Unix
+      isSymlink: madeBy === 3 && (mode & 0o170000) === 0o120000
+    };
+    entry.isDirectory = entry.name.endsWith('/') || entry.name.endsWith('\\');
+    applyZip64Extra(entry, directory.subarray(nameStart + nameLength, nameStart + nameLength + extraLength));
+
+    entries.push(entry);
+    position = nameStart + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+};
+
+// Stream the content of an entry. `openRange(start, end)` resolves to a
+// readable stream of those bytes (inclusive). The stream errors when the
+// content is longer than declared or fails its CRC, so a forged directory
+// cannot smuggle more data past the size checks.
+const openZipEntry = async (read, openRange, entry) => {
+  if (entry.encrypted) {
+    throw new Error(`${entry.name} is encrypted`);
+  }
+  if (![METHOD_STORED, METHOD_DEFLATED].includes(entry.method)) {
+    throw new Error(`${entry.name} uses an unsupported compression method`);
+  }
+
+  const header = await read(entry.localHeaderOffset, 30);
+  if (header.readUInt32LE(0) !== LOCAL_HEADER) {
+    throw new Error(`${entry.name} has no local header`);
+  }
+  const dataStart = entry.localHeaderOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+
+  const source = entry.compressedSize > 0
+    ? await openRange(dataStart, dataStart + entry.compressedSize - 1)
+    : Readable.from([]);
+
+  let crc = 0;
+  let size = 0;
+  const verify = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > entry.uncompressedSize) {
+        return callback(new Error(`${entry.name} is larger than its declared size`));
+      }
+      crc = crc32(chunk, crc);
+      callback(null, chunk);
+    },
+    flush(callback) {
+      if (size !== entry.uncompressedSize || crc !== entry.crc32) {
+        return callback(new Error(`${entry.name} is corrupt`));
+      }
+      callback();
+    }
+  });
+
+  const stages = entry.method === METHOD_DEFLATED ? [source, zlib.createInflateRaw(), verify] : [source, verify];
+  pipeline(...stages).catch(error => verify.destroy(error));
+  return verify;
+};
+
+module.exports = {
+  MAX_ZIP_SIZE,
+  MAX_ZIP_ENTRIES,
+  crc32,
+  writeZip,
+  readZipEntries,
+  openZipEntry
+};
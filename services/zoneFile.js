@@ -0,0 +1,351 @@
+const net = require('net');
+
+// BIND zone file format (RFC 1035 section 5) for the record types the panel
+// manages. A pasted zone is parsed into records with names relative to the
+// zone; records are written back out the same way. Host names inside RDATA
+// (CNAME, MX and SRV targets) are kept fully qualified, without the
+// trailing dot.
+const RECORD_TYPES = ['A', 'AAAA', 'CNAME', 'MX', 'TXT', 'SRV', 'CAA'];
+// Left out of imports: the DNS service provides the zone's SOA and NS records
+const MANAGED_TYPES = ['SOA', 'NS'];
+const MAX_STRING_BYTES = 255;
+
+const LABEL = /^[a-z0-9_]([a-z0-9_-]{0,61}[a-z0-9_])?$/;
+
+const lineError = (line, message) => Object.assign(new Error(message), { line });
+
+// Host name check; `wildcard` allows a leading '*' label
+const isHostname = (name, wildcard = false) =>
+  name.length > 0 && name.length <= 253 &&
+  name.split('.').every((label, index) => LABEL.test(label) || (wildcard && index === 0 && label === '*'));
+
+// Fully qualified form of `name` as written in a zone with `origin`. Without
+// an origin, names are taken as already qualified.
+const absoluteName = (name, origin) => {
+  const lower = name.toLowerCase();
+  if (lower === '@') {
+    if (!origin) throw new Error('"@" can only be used inside a zone');
+    return origin;
+  }
+  if (lower.endsWith('.')) return lower.slice(0, -1);
+  return origin ? `${lower}.${origin}` : lower;
+};
+
+// `name` relative to the zone ('@' for the apex), or null when it is outside
+const relativeName = (name, zoneName) => {
+  if (name === zoneName) return '@';
+  if (name.endsWith(`.${zoneName}`)) return name.slice(0, -zoneName.length - 1);
+  return null;
+};
+
+// "3600", or with BIND units: "1h", "1d12h", "2w"
+const TTL_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+const parseTtl = (value) => {
+  if (!/^(\d+|(\d+[smhdw])+)$/i.test(value)) {
+    throw new Error(`Invalid TTL "${value}"`);
+  }
+  if (/^\d+$/.test(value)) return parseInt(value);
+  return value.toLowerCase().match(/\d+[smhdw]/g)
+    .reduce((total, part) => total + parseInt(part) * TTL_UNITS[part.slice(-1)], 0);
+};
+
+// Split zone file text into entries (one per record or directive) of tokens
+// { value, quoted }. Parentheses continue an entry over several lines, ';'
+// starts a comment, and an entry starting with whitespace has no owner name
+// (it reuses the previous one). \X and \DDD escapes are decoded.
+const tokenize = (text) => {
+  const entries = [];
+  let entry = null;
+  let depth = 0;
+  let line = 1;
+  let i = 0;
+
+  const finishEntry = () => {
+    if (entry && entry.tokens.length > 0) entries.push(entry);
+    entry = null;
+  };
+
+  // Read one character or escape into `bytes`
+  const readChar = (bytes) => {
+    if (text[i] === '\\') {
+      const digits = text.slice(i + 1, i + 4);
+      if (/^\d{3}$/.test(digits)) {
+        bytes.push(parseInt(digits) & 0xff);
+        i += 4;
+        return;
+      }
+      i++;
+      if (i >= text.length) throw lineError(line, 'Escape at end of input');
+    }
+    const codePoint = text.codePointAt(i);
+    const char = String.fromCodePoint(codePoint);
+    if (char === '\n') line++;
+    bytes.push(...Buffer.from(char));
+    i += char.length;
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === '\n') {
+      line++;
+      i++;
+      if (depth === 0) finishEntry();
+      continue;
+    }
+    if (char === ' ' || char === '\t' || char === '\r') {
+      if (!entry) entry = { line, tokens: [], blankOwner: true };
+      i++;
+      continue;
+    }
+    if (!entry) entry = { line, tokens: [], blankOwner: false };
+
+    if (char === ';') {
+      while (i < text.length && text[i] !== '\n') i++;
+    } else if (char === '(') {
+      depth++;
+      i++;
+    } else if (char === ')') {
+      if (depth === 0) throw lineError(line, 'Unbalanced ")"');
+      depth--;
+      i++;
+    } else if (char === '"') {
+      const start = line;
+      const bytes = [];
+      i++;
+      while (i < text.length && text[i] !== '"') readChar(bytes);
+      if (i >= text.length) throw lineError(start, 'Unterminated quoted string');
+      i++;
+      entry.tokens.push({ value: Buffer.from(bytes).toString('utf8'), quoted: true });
+    } else {
+      const bytes = [];
+      while (i < text.length && !' \t\r\n;()"'.includes(text[i])) readChar(bytes);
+      entry.tokens.push({ value: Buffer.from(bytes).toString('utf8'), quoted: false });
+    }
+  }
+
+  if (depth > 0) throw lineError(line, 'Unbalanced "("');
+  finishEntry();
+  return entries;
+};
+
+const uint = (value, name, max) => {
+  if (!/^\d+$/.test(value) || parseInt(value) > max) {
+    throw new Error(`${name} must be a number from 0 to ${max}`);
+  }
+  return parseInt(value);
+};
+
+// The RDATA fields of a record of `type` from its tokens
+const parseRdata = (type, tokens, origin = null) => {
+  const values = tokens.map(token => token.value);
+  const expect = (...fields) => {
+    if (values.length !== fields.length) {
+      throw new Error(`${type} records are written as: ${fields.join(' ')}`);
+    }
+  };
+  const hostname = (value, root = false) => {
+    if (root && value === '.') return '.';
+    const name = absoluteName(value, origin);
+    if (!isHostname(name)) throw new Error(`Invalid host name "${value}"`);
+    return name;
+  };
+
+  switch (type) {
+    case 'A':
+      expect('address');
+      if (!net.isIPv4(values[0])) throw new Error(`Invalid IPv4 address "${values[0]}"`);
+      return { address: values[0] };
+    case 'AAAA':
+      expect('address');
+      if (!net.isIPv6(values[0])) throw new Error(`Invalid IPv6 address "${values[0]}"`);
+      return { address: values[0].toLowerCase() };
+    case 'CNAME':
+      expect('target');
+      return { target: hostname(values[0]) };
+    case 'MX':
+      // "0 ." is a null MX (RFC 7505): the domain accepts no mail
+      expect('priority', 'exchange');
+      return { priority: uint(values[0], 'Priority', 65535), exchange: hostname(values[1], true) };
+    case 'TXT':
+      if (values.length === 0) throw new Error('TXT records take one or more strings');
+      for (const value of values) {
+        if (Buffer.byteLength(value) > MAX_STRING_BYTES) {
+          throw new Error(`TXT strings are limited to ${MAX_STRING_BYTES} bytes; split longer text into several quoted strings`);
+        }
+      }
+      return { text: values.join('') };
+    case 'SRV':
+      expect('priority', 'weight', 'port', 'target');
+      return {
+        priority: uint(values[0], 'Priority', 65535),
+        weight: uint(values[1], 'Weight', 65535),
+        port: uint(values[2], 'Port', 65535),
+        target: hostname(values[3], true)
+      };
+    case 'CAA':
+      expect('flags', 'tag', 'value');
+      if (!/^[a-z0-9]{1,15}$/i.test(values[1])) throw new Error(`Invalid CAA tag "${values[1]}"`);
+      return { flags: uint(values[0], 'Flags', 255), tag: values[1].toLowerCase(), value: values[2] };
+    default:
+      throw new Error(`Unsupported record type ${type}`);
+  }
+};
+
+const quote = (value) => `"${value.replace(/[\\"]/g, '\\$&').replace(/[\x00-\x1f\x7f]/g,
+  char => `\\${String(char.charCodeAt(0)).padStart(3, '0')}`)}"`;
+
+// Text split into strings of at most 255 bytes, without splitting characters
+const splitText = (text) => {
+  const strings = [''];
+  for (const char of text) {
+    if (Buffer.byteLength(strings[strings.length - 1] + char) > MAX_STRING_BYTES) strings.push('');
+    strings[strings.length - 1] += char;
+  }
+  return strings;
+};
+
+const qualified = (name) => (name === '.' ? '.' : `${name}.`);
+
+// RDATA in zone file form, the inverse of parseRdata
+const formatRdata = (type, data) => {
+  switch (type) {
+    case 'A':
+    case 'AAAA':
+      return data.address;
+    case 'CNAME':
+      return qualified(data.target);
+    case 'MX':
+      return `${data.priority} ${qualified(data.exchange)}`;
+    case 'TXT':
+      return splitText(data.text).map(quote).join(' ');
+    case 'SRV':
+      return `${data.priority} ${data.weight} ${data.port} ${qualified(data.target)}`;
+    case 'CAA':
+      return `${data.flags} ${data.tag} ${quote(data.value)}`;
+    default:
+      throw new Error(`Unsupported record type ${type}`);
+  }
+};
+
+// Parse a zone file for `zoneName`. Returns { records, skipped, errors }:
+// records as { line, name, type, ttl, data } with names relative to the zone,
+// entries left out (SOA, apex NS, unsupported types) and errors by line.
+// Records without a TTL take $TTL, else the last TTL given, else `defaultTtl`.
+const parseZone = (text, zoneName, defaultTtl) => {
+  const records = [];
+  const skipped = [];
+  const errors = [];
+
+  let entries;
+  try {
+    entries = tokenize(text);
+  } catch (error) {
+    return { records, skipped, errors: [{ line: error.line, error: error.message }] };
+  }
+
+  let origin = zoneName;
+  let zoneTtl = null;
+  let lastTtl = null;
+  let lastOwner = null;
+
+  for (const entry of entries) {
+    const values = entry.tokens.map(token => token.value);
+    try {
+      if (!entry.blankOwner && !entry.tokens[0].quoted && values[0].startsWith('$')) {
+        const directive = values[0].toUpperCase();
+        if (directive === '$ORIGIN' && values.length === 2) {
+          origin = absoluteName(values[1], origin);
+          if (relativeName(origin, zoneName) === null) throw new Error(`$ORIGIN ${values[1]} is outside ${zoneName}`);
+        } else if (directive === '$TTL' && values.length === 2) {
+          zoneTtl = parseTtl(values[1]);
+        } else {
+          throw new Error(`Unsupported directive ${values[0]}`);
+        }
+        continue;
+      }
+
+      let index = 0;
+      let owner = lastOwner;
+      if (!entry.blankOwner) {
+        owner = absoluteName(values[0], origin);
+        index = 1;
+      }
+      if (!owner) throw new Error('Record has no owner name');
+      lastOwner = owner;
+
+      // TTL and class, in either order, both optional
+      let ttl = null;
+      for (let field = 0; field < 2 && index < values.length; field++) {
+        if (ttl === null && /^\d/.test(values[index])) {
+          ttl = parseTtl(values[index++]);
+        } else if (/^(IN|CH|HS|CS)$/i.test(values[index])) {
+          if (values[index].toUpperCase() !== 'IN') throw new Error('Only class IN is supported');
+          index++;
+        }
+      }
+      if (ttl !== null) lastTtl = ttl;
+
+      if (index >= values.length) throw new Error('Record has no type');
+      const type = values[index].toUpperCase();
+      const name = relativeName(owner, zoneName);
+      if (name === null) throw new Error(`${owner} is outside ${zoneName}`);
+      if (!isHostname(owner, true)) throw new Error(`Invalid owner name "${owner}"`);
+
+      if (MANAGED_TYPES.includes(type) && name === '@') {
+        skipped.push({ line: entry.line, name, type, reason: 'Provided by the DNS service' });
+        continue;
+      }
+      if (!RECORD_TYPES.includes(type)) {
+        skipped.push({ line: entry.line, name, type, reason: `Unsupported record type ${type}` });
+        continue;
+      }
+
+      records.push({
+        line: entry.line,
+        name,
+        type,
+        ttl: ttl ?? zoneTtl ?? lastTtl ?? defaultTtl,
+        data: parseRdata(type, entry.tokens.slice(index + 1), origin)
+      });
+    } catch (error) {
+      errors.push({ line: entry.line, error: error.message });
+    }
+  }
+
+  return { records, skipped, errors };
+};
+
+// Zone file for `zoneName` from records with relative names
+const exportZone = (zoneName, records, defaultTtl) => {
+  const width = Math.max(1, ...records.map(record => record.name.length));
+  const lines = [
+    `; Zone file for ${zoneName}, exported ${new Date().toISOString()}`,
+    `$ORIGIN ${zoneName}.`,
+    `$TTL ${defaultTtl}`,
+    ''
+  ];
+  for (const record of records) {
+    lines.push([
+      record.name.padEnd(width),
+      String(record.ttl).padEnd(6),
+      'IN',
+      record.type.padEnd(5),
+      formatRdata(record.type, record.data)
+    ].join(' '));
+  }
+  return `${lines.join('\n')}\n`;
+};
+
+module.exports = {
+  RECORD_TYPES,
+  isHostname,
+  absoluteName,
+  relativeName,
+  tokenize,
+  parseRdata,
+  formatRdata,
+  splitText,
+  parseZone,
+  exportZone
+};
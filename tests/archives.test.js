@@ -0,0 +1,85 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../config/database', () => ({ pool: {}, query: jest.fn() }));
+
+const { planExtraction } = require('../services/archives');
+const { buildZip, patchCentralRecord } = require('./helpers/zip');
+
+describe('archive extraction plans', () => {
+  let dir;
+
+  beforeAll(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'archives-test-'));
+  });
+
+  afterAll(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  // Store an archive where the local driver finds it and plan its extraction
+  const plan = async (zip) => {
+    const filePath = path.join(dir, `${Date.now()}-${Math.random().toString(16).slice(2)}.zip`);
+    await fs.promises.writeFile(filePath, zip);
+    return planExtraction({ storage_driver: 'local', file_path: filePath, original_name: 'upload.zip' });
+  };
+
+  it('plans folders and files of a well-formed archive', async () => {
+    const result = await plan(await buildZip([
+      { name: 'site', directory: true },
+      { name: 'site/index.html', content: '<h1>hi</h1>' },
+      { name: './site/css/style.css', content: 'body {}' },
+      { name: '__MACOSX/site/._index.html', content: 'junk' },
+      { name: 'site/.DS_Store', content: 'junk' }
+    ]));
+
+    expect(result.error).toBeUndefined();
+    expect(result.directories).toEqual(['site', 'site/css']);
+    expect(result.files.map(file => [file.segments.join('/'), file.mimeType])).toEqual([
+      ['site/index.html', 'text/html'],
+      ['site/css/style.css', 'text/css']
+    ]);
+    expect(result.totalSize).toBe('<h1>hi</h1>'.length + 'body {}'.length);
+  });
+
+  it.each([
+    ['../evil.txt'],
+    ['site/../../evil.txt'],
+    ['..\\evil.txt'],
+    ['/etc/cron.d/evil'],
+    ['\\windows\\evil.txt'],
+    ['C:/evil.txt'],
+    ['c:evil.txt']
+  ])('refuses the whole archive for the unsafe path %s', async (name) => {
+    const result = await plan(await buildZip([
+      { name: 'safe.txt', content: 'fine' },
+      { name, content: 'escape attempt' }
+    ]));
+
+    expect(result).toEqual({ error: `Unsafe path in archive: ${name}` });
+  });
+
+  it('skips symbolic links', async () => {
+    const zip = patchCentralRecord(await buildZip([
+      { name: 'link.txt', content: '/etc/passwd' },
+      { name: 'real.txt', content: 'data' }
+    ]), 'link.txt', (buffer, offset) => buffer.writeUInt32LE((0o120777 << 16) >>> 0, offset + 38));
+
+    const result = await plan(zip);
+    expect(result.skipped).toEqual([{ name: 'link.txt', reason: 'Symbolic link' }]);
+    expect(result.files.map(file => file.entry.name)).toEqual(['real.txt']);
+  });
+
+  it('skips disallowed types', async () => {
+    const result = await plan(await buildZip([{ name: 'tool.exe', content: 'MZ' }]));
+
+    expect(result.skipped).toEqual([{ name: 'tool.exe', reason: 'File type not allowed' }]);
+    expect(result.files).toEqual([]);
+  });
+
+  it('refuses archives that are not ZIP files', async () => {
+    const result = await plan(Buffer.from('plain text'));
+    expect(result.error).toMatch(/^Not a valid ZIP archive/);
+  });
+});
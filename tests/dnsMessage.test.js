@@ -0,0 +1,107 @@
+const { RCODES, EDNS_UDP_SIZE, TYPES, parseQuery, encodeResponse } = require('../services/dnsMessage');
+const { buildQuery, readHeader } = require('./helpers/dns');
+
+const txt = (name, text) => ({ name, type: 'TXT', ttl: 300, data: { text } });
+
+describe('DNS messages', () => {
+  it('parses a query with its question and EDNS size', () => {
+    expect(parseQuery(buildQuery('www.Example.com', 'AAAA', { udpSize: 4096 }))).toEqual({
+      id: 0x1234,
+      opcode: 0,
+      recursionDesired: true,
+      question: { name: 'www.Example.com', type: TYPES.AAAA, class: 1 },
+      edns: { udpSize: 4096, version: 0 }
+    });
+    expect(parseQuery(buildQuery('example.com', 'A')).edns).toBeNull();
+  });
+
+  it('ignores responses and messages too short to answer', () => {
+    const response = buildQuery('example.com', 'A');
+    response.writeUInt16BE(0x8000, 2);
+
+    expect(parseQuery(response)).toBeNull();
+    expect(parseQuery(Buffer.alloc(11))).toBeNull();
+  });
+
+  it('refuses compression pointers that loop', () => {
+    const header = buildQuery('example.com', 'A').subarray(0, 12);
+    // The question name points at itself
+    const looping = Buffer.concat([header, Buffer.from([0xc0, 0x0c, 0, 1, 0, 1])]);
+    // Two pointers pointing at each other
+    const pingPong = Buffer.concat([header, Buffer.from([0xc0, 0x0e, 0xc0, 0x0c, 0, 1, 0, 1])]);
+
+    for (const message of [looping, pingPong]) {
+      let error;
+      try {
+        parseQuery(message);
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error.message).toBe('Malformed query: Compression loop');
+      expect(error.id).toBe(0x1234);
+    }
+  });
+
+  it('refuses truncated names and records', () => {
+    const query = buildQuery('example.com', 'A', { udpSize: 1232 });
+
+    expect(() => parseQuery(query.subarray(0, 16))).toThrow('Malformed query: Truncated name');
+    expect(() => parseQuery(query.subarray(0, query.length - 2))).toThrow(/^Malformed query/);
+  });
+
+  it('answers with compressed names', () => {
+    const request = parseQuery(buildQuery('example.com', 'A'));
+    const answers = [
+      { name: 'example.com', type: 'A', ttl: 300, data: { address: '192.0.2.1' } },
+      { name: 'example.com', type: 'A', ttl: 300, data: { address: '192.0.2.2' } }
+    ];
+
+    const message = encodeResponse(request, { rcode: RCODES.NOERROR, authoritative: true, answers });
+
+    expect(readHeader(message)).toMatchObject({ id: 0x1234, response: true, authoritative: true, truncated: false,
+      questions: 1, answers: 2 });
+    // Header, question (13 + 4) and two answers whose names point at the question
+    expect(message.length).toBe(12 + 17 + 2 * (2 + 10 + 4));
+    expect(message.subarray(29, 31)).toEqual(Buffer.from([0xc0, 0x0c]));
+    expect([...message.subarray(-4)]).toEqual([192, 0, 2, 2]);
+  });
+
+  it('falls back to the question alone with TC when the answer does not fit', () => {
+    const request = parseQuery(buildQuery('example.com', 'TXT'));
+    const answers = Array.from({ length: 10 }, (_, i) => txt('example.com', `${i}${'x'.repeat(100)}`));
+
+    const full = encodeResponse(request, { rcode: RCODES.NOERROR, authoritative: true, answers });
+    const truncated = encodeResponse(request, { rcode: RCODES.NOERROR, authoritative: true, answers }, 512);
+
+    expect(full.length).toBeGreaterThan(512);
+    expect(readHeader(full).truncated).toBe(false);
+    expect(readHeader(truncated)).toMatchObject({ truncated: true, questions: 1, answers: 0, authority: 0, additional: 0 });
+    expect(truncated.length).toBe(12 + 17);
+  });
+
+  it('truncates answers beyond the 64 KB message limit', () => {
+    const request = parseQuery(buildQuery('example.com', 'TXT'));
+    const answers = Array.from({ length: 300 }, (_, i) => txt('example.com', `${i}${'x'.repeat(250)}`));
+
+    expect(readHeader(encodeResponse(request, { rcode: RCODES.NOERROR, answers })).truncated).toBe(true);
+  });
+
+  it('returns an OPT record to EDNS clients', () => {
+    const request = parseQuery(buildQuery('example.com', 'A', { udpSize: 4096 }));
+
+    const message = encodeResponse(request, { rcode: RCODES.NXDOMAIN });
+
+    expect(readHeader(message)).toMatchObject({ rcode: RCODES.NXDOMAIN, answers: 0, additional: 1 });
+    const opt = message.subarray(-11);
+    expect(opt[0]).toBe(0);
+    expect(opt.readUInt16BE(1)).toBe(TYPES.OPT);
+    expect(opt.readUInt16BE(3)).toBe(EDNS_UDP_SIZE);
+  });
+
+  it('answers malformed queries with FORMERR and their id', () => {
+    const message = encodeResponse({ id: 0xbeef, flags: 0x0100 }, { rcode: RCODES.FORMERR });
+
+    expect(readHeader(message)).toMatchObject({ id: 0xbeef, response: true, rcode: RCODES.FORMERR, questions: 0 });
+    expect(message.length).toBe(12);
+  });
+});
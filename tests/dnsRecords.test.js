@@ -0,0 +1,166 @@
+jest.mock('../config/database', () => ({ pool: { connect: jest.fn() }, query: jest.fn() }));
+
+const { pool } = require('../config/database');
+const { bumpSerial, createRecord, updateRecord, deleteRecord, importZone } = require('../services/dnsRecords');
+
+const DOMAIN = { id: 'domain-1', domain_name: 'example.com' };
+
+const row = (id, name, type, content, data) => ({ id, name, type, ttl: 3600, content, data });
+
+// A connection whose zone holds `records`. Statements are recorded by their
+// first words, so tests can check what ran in the transaction.
+const connectZone = (records = []) => {
+  const statements = [];
+  const client = {
+    query: jest.fn(async (sql, params) => {
+      const statement = sql.trim().replace(/\s+/g, ' ');
+      statements.push(statement);
+      if (statement.startsWith('SELECT id, name')) {
+        return { rows: records };
+      }
+      if (statement.startsWith('INSERT INTO dns_records')) {
+        const [, name, type, ttl, content, data] = params;
+        return { rows: [{ id: `new-${statements.length}`, name, type, ttl, content, data: JSON.parse(data) }] };
+      }
+      if (statement.startsWith('UPDATE dns_records')) {
+        const [id, name, ttl, content, data] = params;
+        return { rows: [{ id, name, type: 'A', ttl, content, data: JSON.parse(data) }] };
+      }
+      if (statement.startsWith('DELETE FROM dns_records WHERE id')) {
+        return { rows: records.filter(record => record.id === params[0]) };
+      }
+      if (statement.startsWith('DELETE FROM dns_records')) {
+        return { rows: [], rowCount: records.length };
+      }
+      return { rows: [], rowCount: 1 };
+    }),
+    release: jest.fn()
+  };
+  pool.connect.mockResolvedValue(client);
+
+  const ran = (prefix) => statements.filter(statement => statement.startsWith(prefix)).length;
+  return { client, statements, ran };
+};
+
+describe('DNS zone records', () => {
+  it('creates a record and bumps the serial in the same transaction', async () => {
+    const zone = connectZone();
+
+    const { record, error } = await createRecord(DOMAIN, { name: 'www', type: 'A', content: '192.0.2.1' });
+
+    expect(error).toBeUndefined();
+    expect(record).toMatchObject({ name: 'www', type: 'A', ttl: 3600, content: '192.0.2.1' });
+    expect(zone.statements[0]).toBe('BEGIN');
+    expect(zone.statements[1]).toMatch(/FOR UPDATE$/);
+    expect(zone.ran('UPDATE domains SET zone_serial')).toBe(1);
+    expect(zone.statements[zone.statements.length - 1]).toBe('COMMIT');
+    expect(zone.client.release).toHaveBeenCalled();
+  });
+
+  it('accepts fully qualified names inside the zone and refuses names outside it', async () => {
+    connectZone();
+    await expect(createRecord(DOMAIN, { name: 'mail.example.com.', type: 'A', content: '192.0.2.1' }))
+      .resolves.toMatchObject({ record: { name: 'mail' } });
+
+    const zone = connectZone();
+    await expect(createRecord(DOMAIN, { name: 'www.example.org.', type: 'A', content: '192.0.2.1' }))
+      .resolves.toEqual({ error: 'www.example.org. is outside example.com' });
+    expect(zone.ran('ROLLBACK')).toBe(1);
+    expect(zone.ran('UPDATE domains SET zone_serial')).toBe(0);
+  });
+
+  it('keeps a CNAME alone at its name', async () => {
+    let zone = connectZone([row('1', 'www', 'A', '192.0.2.1', { address: '192.0.2.1' })]);
+    await expect(createRecord(DOMAIN, { name: 'www', type: 'CNAME', content: 'example.net.' }))
+      .resolves.toEqual({ error: 'A CNAME record must be the only record at www' });
+    expect(zone.ran('INSERT')).toBe(0);
+
+    zone = connectZone([row('1', 'www', 'CNAME', 'example.net.', { target: 'example.net' })]);
+    await expect(createRecord(DOMAIN, { name: 'www', type: 'TXT', content: 'hello' }))
+      .resolves.toEqual({ error: 'A CNAME record must be the only record at www' });
+    expect(zone.ran('ROLLBACK')).toBe(1);
+
+    await expect(createRecord(DOMAIN, { name: '@', type: 'CNAME', content: 'example.net.' }))
+      .resolves.toEqual({ error: 'The zone apex cannot have a CNAME record; use A or AAAA records' });
+  });
+
+  it('lets a CNAME be changed in place', async () => {
+    const zone = connectZone([row('1', 'www', 'CNAME', 'example.net.', { target: 'example.net' })]);
+
+    const result = await updateRecord(DOMAIN, '1', { content: 'example.org.' });
+
+    expect(result.error).toBeUndefined();
+    expect(result.record.content).toBe('example.org.');
+    expect(zone.ran('UPDATE domains SET zone_serial')).toBe(1);
+  });
+
+  it('refuses duplicate records', async () => {
+    connectZone([row('1', 'www', 'A', '192.0.2.1', { address: '192.0.2.1' })]);
+
+    await expect(createRecord(DOMAIN, { name: 'WWW', type: 'A', content: '192.0.2.1' }))
+      .resolves.toEqual({ error: 'www already has this A record' });
+  });
+
+  it('leaves the serial alone when nothing changed', async () => {
+    const zone = connectZone([]);
+
+    await expect(deleteRecord(DOMAIN, 'missing')).resolves.toBeNull();
+    await expect(updateRecord(DOMAIN, 'missing', { content: '192.0.2.9' })).resolves.toBeNull();
+    expect(zone.ran('UPDATE domains SET zone_serial')).toBe(0);
+  });
+
+  it('bumps serials to at least today\'s YYYYMMDD00', async () => {
+    const client = { query: jest.fn().mockResolvedValue({ rowCount: 1 }) };
+
+    await bumpSerial('domain-1', client);
+
+    const [sql, params] = client.query.mock.calls[0];
+    expect(sql).toMatch(/GREATEST\(zone_serial \+ 1, TO_CHAR\(CURRENT_DATE, 'YYYYMMDD'\)::bigint \* 100\)/);
+    expect(params).toEqual(['domain-1']);
+  });
+
+  it('imports a zone file all or nothing', async () => {
+    let zone = connectZone([row('1', '@', 'A', '192.0.2.1', { address: '192.0.2.1' })]);
+    const result = await importZone(DOMAIN, [
+      '@ IN A 192.0.2.1',
+      'www IN CNAME example.com.',
+      '@ IN MX 10 mail.example.com.'
+    ].join('\n'));
+
+    expect(result).toEqual({
+      created: 2,
+      deleted: 0,
+      skipped: [{ line: 1, name: '@', type: 'A', reason: 'Already in the zone' }]
+    });
+    expect(zone.ran('INSERT INTO dns_records')).toBe(2);
+    expect(zone.ran('UPDATE domains SET zone_serial')).toBe(1);
+
+    zone = connectZone([row('1', 'www', 'A', '192.0.2.1', { address: '192.0.2.1' })]);
+    await expect(importZone(DOMAIN, 'mail A 192.0.2.2\nwww CNAME example.net.\n')).resolves.toEqual({
+      error: 'Zone file rejected',
+      errors: [{ line: 2, error: 'A CNAME record must be the only record at www' }],
+      skipped: []
+    });
+    expect(zone.ran('INSERT')).toBe(0);
+    expect(zone.ran('ROLLBACK')).toBe(1);
+  });
+
+  it('replaces the zone when asked to', async () => {
+    const zone = connectZone([row('1', 'www', 'A', '192.0.2.1', { address: '192.0.2.1' })]);
+
+    await expect(importZone(DOMAIN, 'www CNAME example.net.\n', { replace: true }))
+      .resolves.toEqual({ created: 1, deleted: 1, skipped: [] });
+    expect(zone.ran('DELETE FROM dns_records WHERE domain_id')).toBe(1);
+  });
+
+  it('rejects unparseable zone files before touching the database', async () => {
+    pool.connect.mockClear();
+
+    await expect(importZone(DOMAIN, 'other.org. A 192.0.2.1\n')).resolves.toEqual({
+      error: 'Zone file rejected',
+      errors: [{ line: 1, error: 'other.org is outside example.com' }],
+      skipped: []
+    });
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+});
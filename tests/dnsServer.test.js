@@ -0,0 +1,103 @@
+jest.mock('../config/database', () => ({ pool: {}, query: jest.fn() }));
+jest.mock('../services/certificates', () => ({ pendingChallengeRecords: jest.fn().mockResolvedValue([]) }));
+
+const { query } = require('../config/database');
+const { findZone, handleMessage } = require('../services/dnsServer');
+const { RCODES } = require('../services/dnsMessage');
+const { buildQuery, readHeader } = require('./helpers/dns');
+
+const domain = (id, name, status, extra = {}) => ({
+  id, user_id: `owner-of-${id}`, organization_id: null, domain_name: name, status, deleted_at: null,
+  zone_serial: '2024010100', ...extra
+});
+
+const aRecord = (domainId, name, address) =>
+  ({ domain_id: domainId, id: `${domainId}-${name}`, name, type: 'A', ttl: 300, content: address, data: { address } });
+
+// An in-memory domains table. The zone lookup applies the conditions its SQL
+// states, so a query that stops filtering by status serves the wrong zones.
+const useTables = (domains, records) => {
+  query.mockImplementation(async (sql, params) => {
+    if (/FROM domains/.test(sql)) {
+      const statuses = /status IN \(([^)]*)\)/.exec(sql);
+      const rows = domains
+        .filter(row => params[0].includes(row.domain_name.toLowerCase()))
+        .filter(row => !/deleted_at IS NULL/.test(sql) || row.deleted_at === null)
+        .filter(row => !statuses || statuses[1].includes(`'${row.status}'`))
+        .filter(row => !/status <> 'expired'/.test(sql) || row.status !== 'expired')
+        .sort((a, b) => b.domain_name.length - a.domain_name.length);
+      return { rows: rows.slice(0, 1) };
+    }
+    if (/FROM dns_records/.test(sql)) {
+      return { rows: records.filter(record => record.domain_id === params[0]) };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+};
+
+const ask = async (name, type = 'A') => {
+  const response = await handleMessage(buildQuery(name, type), 'udp');
+  return { ...readHeader(response), address: [...response.subarray(-4)].join('.') };
+};
+
+describe('DNS server zone selection', () => {
+  beforeEach(() => {
+    query.mockReset();
+  });
+
+  it('answers from the zone with the longest matching name', async () => {
+    useTables(
+      [domain('parent', 'example.com', 'active'), domain('child', 'shop.example.com', 'active')],
+      [aRecord('parent', 'www.shop', '192.0.2.1'), aRecord('child', 'www', '192.0.2.2')]
+    );
+
+    await expect(findZone('www.shop.example.com')).resolves.toMatchObject({ id: 'child', user_id: 'owner-of-child' });
+    await expect(ask('www.shop.example.com')).resolves.toMatchObject({
+      rcode: RCODES.NOERROR, authoritative: true, answers: 1, address: '192.0.2.2'
+    });
+    await expect(ask('www.example.com')).resolves.toMatchObject({ rcode: RCODES.NXDOMAIN, authoritative: true });
+  });
+
+  it('does not serve domains that have not been verified', async () => {
+    useTables([domain('squatted', 'victim.com', 'pending')], [aRecord('squatted', '@', '203.0.113.66')]);
+
+    await expect(findZone('victim.com')).resolves.toBeNull();
+    await expect(ask('victim.com')).resolves.toMatchObject({ rcode: RCODES.REFUSED, answers: 0 });
+  });
+
+  it('keeps a pending domain from taking over part of a verified zone', async () => {
+    useTables(
+      [domain('owner', 'example.com', 'active'), domain('squatter', 'login.example.com', 'pending')],
+      [aRecord('owner', 'login', '192.0.2.10'), aRecord('squatter', '@', '203.0.113.66')]
+    );
+
+    await expect(findZone('login.example.com')).resolves.toMatchObject({ id: 'owner' });
+    await expect(ask('login.example.com')).resolves.toMatchObject({ answers: 1, address: '192.0.2.10' });
+  });
+
+  it('keeps serving domains whose re-check failed, but not expired or trashed ones', async () => {
+    useTables([
+      domain('drifted', 'drifted.com', 'error'),
+      domain('lapsed', 'lapsed.com', 'expired'),
+      domain('trashed', 'trashed.com', 'active', { deleted_at: new Date() })
+    ], []);
+
+    await expect(findZone('www.drifted.com')).resolves.toMatchObject({ id: 'drifted' });
+    await expect(findZone('lapsed.com')).resolves.toBeNull();
+    await expect(findZone('trashed.com')).resolves.toBeNull();
+  });
+
+  it('does not publish verification records', async () => {
+    useTables([domain('owner', 'example.com', 'active', { verification_token: 'token' })], []);
+
+    await expect(ask('_vps-verification.example.com', 'TXT')).resolves.toMatchObject({
+      rcode: RCODES.NXDOMAIN, answers: 0
+    });
+  });
+
+  it('matches names case-insensitively and ignores the trailing dot', async () => {
+    useTables([domain('owner', 'Example.com', 'active')], [aRecord('owner', 'www', '192.0.2.1')]);
+
+    await expect(ask('WWW.EXAMPLE.COM.')).resolves.toMatchObject({ answers: 1, address: '192.0.2.1' });
+  });
+});
@@ -0,0 +1,57 @@
+process.env.DNS_SERVER_PORT = '5300';
+process.env.DNS_NAMESERVERS = 'ns1.panel.test,ns2.panel.test';
+
+jest.mock('../config/database', () => ({ pool: {}, query: jest.fn() }));
+jest.mock('../services/certificates', () => ({ pendingChallengeRecords: jest.fn().mockResolvedValue([]) }));
+jest.mock('../services/mailer', () => ({ sendDomainDriftEmail: jest.fn(), sendDomainExpiryEmail: jest.fn() }));
+
+const { query } = require('../config/database');
+const { sendDomainDriftEmail } = require('../services/mailer');
+const { recheckDomains } = require('../services/domainJobs');
+
+const DOMAIN = { id: 'domain-1', user_id: 'user-1', organization_id: null, domain_name: 'example.com', status: 'active' };
+
+const noData = () => Promise.reject(Object.assign(new Error('no data'), { code: 'ENODATA' }));
+
+// A resolver with only NS records: { name: [nameservers] }. The verification
+// TXT and the CNAME to the service are never found.
+const nsResolver = (ns) => ({
+  resolveNs: (name) => (ns[name] ? Promise.resolve(ns[name]) : noData()),
+  resolveTxt: noData,
+  resolveCname: noData,
+  resolve4: noData
+});
+
+const runRecheck = async (resolver) => {
+  query.mockImplementation(async (sql) => {
+    if (/^\s*SELECT \* FROM domains/.test(sql)) return { rows: [{ ...DOMAIN }] };
+    if (/FROM users/.test(sql)) return { rows: [{ email: 'owner@example.com' }] };
+    return { rows: [], rowCount: 1 };
+  });
+  const record = jest.fn();
+  const counts = await recheckDomains({ record, resolver });
+  return { counts, outcome: record.mock.calls[0][1] };
+};
+
+describe('domain re-checks', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('passes domains delegated to the DNS server without verification records', async () => {
+    const { counts, outcome } = await runRecheck(nsResolver({ 'example.com': ['NS1.panel.test.', 'ns2.panel.test'] }));
+
+    expect(outcome).toBe('verified');
+    expect(counts.verified).toBe(1);
+    expect(query).toHaveBeenCalledWith(expect.stringContaining("SET status = 'active'"), ['domain-1']);
+    expect(sendDomainDriftEmail).not.toHaveBeenCalled();
+  });
+
+  it('checks the records of domains delegated elsewhere', async () => {
+    const { outcome } = await runRecheck(nsResolver({ 'example.com': ['ns1.panel.test', 'ns.other.test'] }));
+
+    expect(outcome).toBe('drifted');
+    expect(query).toHaveBeenCalledWith(expect.stringContaining("SET status = 'error'"), ['domain-1']);
+    expect(sendDomainDriftEmail).toHaveBeenCalledWith('owner@example.com', expect.objectContaining({ domainName: 'example.com' }));
+  });
+});
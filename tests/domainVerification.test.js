@@ -0,0 +1,58 @@
+const { TARGET_HOSTNAME, verifyDomain, describeFailures } = require('../services/domainVerification');
+
+const DOMAIN = { domain_name: 'example.com', verification_token: 'abc123' };
+
+const noData = () => Promise.reject(Object.assign(new Error('no data'), { code: 'ENODATA' }));
+
+// A resolver answering from `zone`: { TXT: { name: [[chunks]] }, CNAME: { name: [target] } }
+const fakeResolver = (zone) => ({
+  resolveTxt: (name) => (zone.TXT?.[name] ? Promise.resolve(zone.TXT[name]) : noData()),
+  resolveCname: (name) => (zone.CNAME?.[name] ? Promise.resolve(zone.CNAME[name]) : noData()),
+  resolve4: (name) => (zone.A?.[name] ? Promise.resolve(zone.A[name]) : noData())
+});
+
+const withTxt = (...values) => fakeResolver({
+  TXT: { '_vps-verification.example.com': values.map(value => [value]) },
+  CNAME: { 'example.com': [`${TARGET_HOSTNAME}.`] }
+});
+
+describe('domain verification', () => {
+  it('verifies the exact TXT value and a CNAME to the service', async () => {
+    const { verified, checks } = await verifyDomain(DOMAIN, withTxt('other', 'vps-verification=abc123'));
+
+    expect(verified).toBe(true);
+    expect(checks.map(check => [check.type, check.ok])).toEqual([['TXT', true], ['CNAME', true]]);
+  });
+
+  it('joins TXT records split into several strings', async () => {
+    const resolver = fakeResolver({
+      TXT: { '_vps-verification.example.com': [['vps-verification=', 'abc123']] },
+      CNAME: { 'example.com': [TARGET_HOSTNAME] }
+    });
+
+    await expect(verifyDomain(DOMAIN, resolver)).resolves.toMatchObject({ verified: true });
+  });
+
+  it.each([
+    ['abc123'],
+    ['vps-verification=abc1234'],
+    ['vps-verification=xabc123'],
+    ['not-vps-verification=abc123']
+  ])('does not accept a TXT value that only contains the token: %s', async (value) => {
+    const { verified, checks } = await verifyDomain(DOMAIN, withTxt(value));
+
+    expect(verified).toBe(false);
+    expect(describeFailures(checks)).toEqual([
+      `TXT _vps-verification.example.com: expected "vps-verification=abc123", found "${value}"`
+    ]);
+  });
+
+  it('accepts apex A records among the service\'s addresses', async () => {
+    const resolver = fakeResolver({
+      TXT: { '_vps-verification.example.com': [['vps-verification=abc123']] },
+      A: { 'example.com': ['192.0.2.1'], [TARGET_HOSTNAME]: ['192.0.2.1', '192.0.2.2'] }
+    });
+
+    await expect(verifyDomain(DOMAIN, resolver)).resolves.toMatchObject({ verified: true });
+  });
+});
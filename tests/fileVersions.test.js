@@ -0,0 +1,121 @@
+jest.mock('../config/database', () => ({ pool: { connect: jest.fn() }, query: jest.fn() }));
+jest.mock('../services/blobs', () => ({ releaseContent: jest.fn() }));
+jest.mock('../services/fileResponses', () => ({
+  sendFileResponse: jest.fn(async (req, res, file) => res.json({ id: file.id, filePath: file.file_path }))
+}));
+
+const express = require('express');
+const { pool, query } = require('../config/database');
+const { replaceContent, restoreVersion } = require('../services/fileVersions');
+const publicFileRoutes = require('../routes/publicFiles');
+
+// An in-memory files table with one public file. UPDATEs apply whatever
+// columns their SET clause names, so a statement that rewrites stored_name
+// would move the file away from its public URL here too.
+const setupFiles = () => {
+  const files = [{
+    id: 'file-1',
+    user_id: 'user-1',
+    organization_id: null,
+    original_name: 'logo.png',
+    stored_name: 'logo-abc123.png',
+    content_hash: 'hash-1',
+    storage_driver: 'local',
+    file_path: 'blobs/hash-1',
+    file_size: 100,
+    mime_type: 'image/png',
+    version_number: 1,
+    is_public: true,
+    deleted_at: null
+  }];
+  const versions = [];
+
+  const run = async (sql, params) => {
+    const statement = sql.trim().replace(/\s+/g, ' ');
+    if (statement.startsWith('SELECT * FROM files WHERE id')) {
+      return { rows: files.filter(file => file.id === params[0]) };
+    }
+    if (statement.startsWith('SELECT * FROM files WHERE stored_name')) {
+      return { rows: files.filter(file => file.stored_name === params[0] && file.is_public && !file.deleted_at) };
+    }
+    if (statement.startsWith('SELECT * FROM file_versions')) {
+      return { rows: versions.filter(version => version.file_id === params[0]) };
+    }
+    if (statement.startsWith('INSERT INTO file_versions')) {
+      const [fileId, versionNumber, contentHash, storageDriver, storedName, filePath, fileSize, mimeType] = params;
+      versions.unshift({
+        id: `version-${versions.length + 1}`,
+        file_id: fileId,
+        version_number: versionNumber,
+        content_hash: contentHash,
+        storage_driver: storageDriver,
+        stored_name: storedName,
+        file_path: filePath,
+        file_size: fileSize,
+        mime_type: mimeType
+      });
+      return { rows: [], rowCount: 1 };
+    }
+    if (statement.startsWith('DELETE FROM file_versions WHERE file_id')) {
+      const index = versions.findIndex(version => version.file_id === params[0] && version.version_number === params[1]);
+      return { rows: index >= 0 ? versions.splice(index, 1) : [] };
+    }
+    if (statement.startsWith('UPDATE files SET')) {
+      const file = files.find(row => row.id === params[params.length - 1]);
+      for (const [, column, index] of statement.matchAll(/(\w+) = \$(\d+)/g)) {
+        if (column !== 'id') file[column] = params[index - 1];
+      }
+      file.version_number += 1;
+      return { rows: [{ ...file }] };
+    }
+    return { rows: [], rowCount: 1 };
+  };
+
+  pool.connect.mockResolvedValue({ query: jest.fn(run), release: jest.fn() });
+  query.mockImplementation(run);
+  return files;
+};
+
+// GET a public URL from the /uploads router; resolves to { status, body }
+const fetchPublic = async (path) => {
+  const app = express();
+  app.use('/uploads', publicFileRoutes);
+  const server = app.listen(0);
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`);
+    return { status: response.status, body: await response.json() };
+  } finally {
+    server.close();
+  }
+};
+
+const NEW_CONTENT = {
+  contentHash: 'hash-2',
+  storageDriver: 'local',
+  filePath: 'blobs/hash-2',
+  fileSize: 200,
+  mimeType: 'image/png'
+};
+
+describe('file versions', () => {
+  const url = '/uploads/user-1/logo-abc123.png';
+
+  it('keeps the public URL when a new version is uploaded', async () => {
+    const files = setupFiles();
+
+    const updated = await replaceContent(files[0], NEW_CONTENT, 5);
+
+    expect(updated).toEqual(expect.objectContaining({ stored_name: 'logo-abc123.png', version_number: 2 }));
+    expect(await fetchPublic(url)).toEqual({ status: 200, body: { id: 'file-1', filePath: 'blobs/hash-2' } });
+  });
+
+  it('keeps the public URL when an earlier version is restored', async () => {
+    const files = setupFiles();
+    await replaceContent(files[0], NEW_CONTENT, 5);
+
+    const { updated } = await restoreVersion('file-1', 1, 5);
+
+    expect(updated).toEqual(expect.objectContaining({ stored_name: 'logo-abc123.png', file_path: 'blobs/hash-1' }));
+    expect(await fetchPublic(url)).toEqual({ status: 200, body: { id: 'file-1', filePath: 'blobs/hash-1' } });
+  });
+});
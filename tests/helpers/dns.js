@@ -0,0 +1,50 @@
+const { TYPES, CLASS_IN } = require('../../services/dnsMessage');
+
+const encodeName = (name) => Buffer.concat([
+  ...name.split('.').filter(Boolean).map(label => Buffer.concat([Buffer.from([label.length]), Buffer.from(label)])),
+  Buffer.from([0])
+]);
+
+// A query for `name` and `type`, optionally with an EDNS OPT record offering
+// `udpSize`
+const buildQuery = (name, type, { id = 0x1234, udpSize = null } = {}) => {
+  const header = Buffer.alloc(12);
+  header.writeUInt16BE(id, 0);
+  header.writeUInt16BE(0x0100, 2);
+  header.writeUInt16BE(1, 4);
+  header.writeUInt16BE(udpSize ? 1 : 0, 10);
+
+  const question = Buffer.alloc(4);
+  question.writeUInt16BE(TYPES[type], 0);
+  question.writeUInt16BE(CLASS_IN, 2);
+
+  const parts = [header, encodeName(name), question];
+  if (udpSize) {
+    const opt = Buffer.alloc(11);
+    opt.writeUInt16BE(TYPES.OPT, 1);
+    opt.writeUInt16BE(udpSize, 3);
+    parts.push(opt);
+  }
+  return Buffer.concat(parts);
+};
+
+// Header fields of a response
+const readHeader = (message) => {
+  const flags = message.readUInt16BE(2);
+  return {
+    id: message.readUInt16BE(0),
+    response: Boolean(flags & 0x8000),
+    authoritative: Boolean(flags & 0x0400),
+    truncated: Boolean(flags & 0x0200),
+    rcode: flags & 0x0f,
+    questions: message.readUInt16BE(4),
+    answers: message.readUInt16BE(6),
+    authority: message.readUInt16BE(8),
+    additional: message.readUInt16BE(10)
+  };
+};
+
+module.exports = {
+  buildQuery,
+  readHeader
+};
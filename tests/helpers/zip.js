@@ -0,0 +1,56 @@
+const { Readable, Writable } = require('stream');
+const { writeZip } = require('../../services/zip');
+
+const CENTRAL_HEADER = Buffer.from([0x50, 0x4b, 0x01, 0x02]);
+
+// An archive built by writeZip, in memory. Entries are { name, content } or
+// { name, directory: true }.
+const buildZip = async (entries) => {
+  const chunks = [];
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    }
+  });
+
+  await writeZip(output, entries.map(entry => ({
+    ...entry,
+    open: async () => Readable.from([Buffer.from(entry.content || '')])
+  })));
+  return Buffer.concat(chunks);
+};
+
+// Change the central directory record of the entry called `name`, e.g. to
+// forge its declared size. `patch(buffer, offset)` gets the record's offset.
+const patchCentralRecord = (zip, name, patch) => {
+  for (let offset = zip.indexOf(CENTRAL_HEADER); offset >= 0; offset = zip.indexOf(CENTRAL_HEADER, offset + 4)) {
+    const nameLength = zip.readUInt16LE(offset + 28);
+    if (zip.toString('utf8', offset + 46, offset + 46 + nameLength) === name) {
+      patch(zip, offset);
+      return zip;
+    }
+  }
+  throw new Error(`No central directory record for ${name}`);
+};
+
+// The byte-range accessors readZipEntries and openZipEntry take, over a buffer
+const bufferSource = (zip) => ({
+  read: async (position, length) => zip.subarray(position, position + length),
+  openRange: async (start, end) => Readable.from([zip.subarray(start, end + 1)])
+});
+
+const readStream = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+module.exports = {
+  buildZip,
+  patchCentralRecord,
+  bufferSource,
+  readStream
+};
@@ -0,0 +1,73 @@
+const { generateSecret, generateCode, verifyCode, currentStep, provisioningUri } = require('../services/totp');
+
+// The RFC 6238 appendix B secret ("12345678901234567890") in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// RFC 6238 appendix B SHA1 values, which are 8 digits; 6-digit codes are
+// their last six
+const RFC_VECTORS = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+  [20000000000, '65353130']
+];
+
+describe('totp', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it.each(RFC_VECTORS)('matches the RFC 6238 test vector at T=%i', (time, expected) => {
+    expect(generateCode(RFC_SECRET, currentStep(time * 1000))).toBe(expected.slice(-6));
+  });
+
+  it('accepts the current code and the neighbouring steps', () => {
+    jest.useFakeTimers({ now: 1111111111 * 1000 });
+    const step = currentStep();
+
+    expect(verifyCode(RFC_SECRET, '050471')).toBe(step);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1))).toBe(step - 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1))).toBe(step + 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2))).toBeNull();
+  });
+
+  it('ignores spaces and rejects malformed codes', () => {
+    jest.useFakeTimers({ now: 1111111111 * 1000 });
+
+    expect(verifyCode(RFC_SECRET, '050 471')).toBe(currentStep());
+    expect(verifyCode(RFC_SECRET, '50471')).toBeNull();
+    expect(verifyCode(RFC_SECRET, '05047a')).toBeNull();
+    expect(verifyCode(RFC_SECRET, undefined)).toBeNull();
+  });
+
+  it('rejects a replayed code and codes from earlier steps', () => {
+    jest.useFakeTimers({ now: 1111111111 * 1000 });
+    const step = currentStep();
+
+    const lastStep = verifyCode(RFC_SECRET, '050471');
+    expect(lastStep).toBe(step);
+    expect(verifyCode(RFC_SECRET, '050471', { lastStep })).toBeNull();
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { lastStep })).toBeNull();
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), { lastStep })).toBe(step + 1);
+  });
+
+  it('generates 160-bit base32 secrets', () => {
+    const secret = generateSecret();
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(generateCode(secret, 1)).toMatch(/^\d{6}$/);
+  });
+
+  it('builds otpauth URIs for authenticator apps', () => {
+    const uri = new URL(provisioningUri(RFC_SECRET, 'user@example.com', 'VPS Panel'));
+
+    expect(uri.protocol).toBe('otpauth:');
+    expect(uri.host).toBe('totp');
+    expect(decodeURIComponent(uri.pathname)).toBe('/VPS Panel:user@example.com');
+    expect(uri.searchParams.get('secret')).toBe(RFC_SECRET);
+    expect(uri.searchParams.get('digits')).toBe('6');
+    expect(uri.searchParams.get('period')).toBe('30');
+  });
+});
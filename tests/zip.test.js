@@ -0,0 +1,79 @@
+const { crc32, readZipEntries, openZipEntry } = require('../services/zip');
+const { buildZip, patchCentralRecord, bufferSource, readStream } = require('./helpers/zip');
+
+const openEntry = async (zip, entry) => {
+  const { read, openRange } = bufferSource(zip);
+  return readStream(await openZipEntry(read, openRange, entry));
+};
+
+describe('zip', () => {
+  it('reads back what writeZip wrote', async () => {
+    const text = 'hello '.repeat(1000);
+    const zip = await buildZip([
+      { name: 'docs', directory: true },
+      { name: 'docs/hello.txt', content: text },
+      { name: 'photo.jpg', content: 'not really a jpeg', compress: false },
+      { name: 'empty.txt', content: '' },
+      { name: 'naïve.txt', content: 'utf-8 name' }
+    ]);
+
+    const entries = await readZipEntries(bufferSource(zip).read, zip.length);
+    expect(entries.map(entry => [entry.name, entry.isDirectory, entry.isSymlink])).toEqual([
+      ['docs/', true, false],
+      ['docs/hello.txt', false, false],
+      ['photo.jpg', false, false],
+      ['empty.txt', false, false],
+      ['naïve.txt', false, false]
+    ]);
+
+    const hello = entries[1];
+    expect(hello.uncompressedSize).toBe(text.length);
+    expect(hello.compressedSize).toBeLessThan(text.length);
+    expect(hello.crc32).toBe(crc32(Buffer.from(text)));
+    expect((await openEntry(zip, hello)).toString()).toBe(text);
+    expect((await openEntry(zip, entries[2])).toString()).toBe('not really a jpeg');
+    expect(await openEntry(zip, entries[3])).toHaveLength(0);
+  });
+
+  it('computes the standard CRC-32', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+  });
+
+  it('refuses data that is not a ZIP archive', async () => {
+    const junk = Buffer.from('definitely not a zip file');
+    await expect(readZipEntries(bufferSource(junk).read, junk.length)).rejects.toThrow('Not a ZIP archive');
+  });
+
+  it('stops an entry that inflates beyond its declared size', async () => {
+    const zip = patchCentralRecord(await buildZip([{ name: 'bomb.txt', content: 'a'.repeat(100000) }]), 'bomb.txt',
+      (buffer, offset) => buffer.writeUInt32LE(10, offset + 24));
+    const [entry] = await readZipEntries(bufferSource(zip).read, zip.length);
+
+    expect(entry.uncompressedSize).toBe(10);
+    await expect(openEntry(zip, entry)).rejects.toThrow('bomb.txt is larger than its declared size');
+  });
+
+  it('rejects an entry shorter than its declared size', async () => {
+    const zip = patchCentralRecord(await buildZip([{ name: 'short.txt', content: 'abc' }]), 'short.txt',
+      (buffer, offset) => buffer.writeUInt32LE(4, offset + 24));
+    const [entry] = await readZipEntries(bufferSource(zip).read, zip.length);
+
+    await expect(openEntry(zip, entry)).rejects.toThrow('short.txt is corrupt');
+  });
+
+  it('rejects an entry whose CRC does not match', async () => {
+    const zip = patchCentralRecord(await buildZip([{ name: 'data.txt', content: 'payload' }]), 'data.txt',
+      (buffer, offset) => buffer.writeUInt32LE((buffer.readUInt32LE(offset + 16) ^ 1) >>> 0, offset + 16));
+    const [entry] = await readZipEntries(bufferSource(zip).read, zip.length);
+
+    await expect(openEntry(zip, entry)).rejects.toThrow('data.txt is corrupt');
+  });
+
+  it('refuses encrypted entries and unknown compression methods', async () => {
+    const zip = await buildZip([{ name: 'a.txt', content: 'a' }]);
+    const [entry] = await readZipEntries(bufferSource(zip).read, zip.length);
+
+    await expect(openEntry(zip, { ...entry, encrypted: true })).rejects.toThrow('a.txt is encrypted');
+    await expect(openEntry(zip, { ...entry, method: 12 })).rejects.toThrow('unsupported compression method');
+  });
+});
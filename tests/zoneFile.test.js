@@ -0,0 +1,103 @@
+const { tokenize, parseRdata, formatRdata, splitText, parseZone, exportZone } = require('../services/zoneFile');
+
+const ZONE = `$ORIGIN example.com.
+$TTL 1h
+@            IN SOA  ns1.example.com. admin.example.com. ( 2024010100 7200 900 1209600 300 )
+@            IN NS   ns1.other.net.
+@       300  IN A    192.0.2.1
+www          IN CNAME example.com.
+@            MX      10 mail
+mail         AAAA    2001:db8::1
+@            TXT     "v=spf1 -all"
+_sip._tcp    SRV     10 5 5060 sip.example.com.
+@            CAA     0 issue "letsencrypt.org"
+*.dev        A       192.0.2.2
+`;
+
+describe('zone files', () => {
+  it('parses the supported record types relative to the zone', () => {
+    const { records, skipped, errors } = parseZone(ZONE, 'example.com', 3600);
+
+    expect(errors).toEqual([]);
+    expect(skipped).toEqual([
+      { line: 3, name: '@', type: 'SOA', reason: 'Provided by the DNS service' },
+      { line: 4, name: '@', type: 'NS', reason: 'Provided by the DNS service' }
+    ]);
+    expect(records.map(({ name, type, ttl, data }) => ({ name, type, ttl, data }))).toEqual([
+      { name: '@', type: 'A', ttl: 300, data: { address: '192.0.2.1' } },
+      { name: 'www', type: 'CNAME', ttl: 3600, data: { target: 'example.com' } },
+      { name: '@', type: 'MX', ttl: 3600, data: { priority: 10, exchange: 'mail.example.com' } },
+      { name: 'mail', type: 'AAAA', ttl: 3600, data: { address: '2001:db8::1' } },
+      { name: '@', type: 'TXT', ttl: 3600, data: { text: 'v=spf1 -all' } },
+      { name: '_sip._tcp', type: 'SRV', ttl: 3600, data: { priority: 10, weight: 5, port: 5060, target: 'sip.example.com' } },
+      { name: '@', type: 'CAA', ttl: 3600, data: { flags: 0, tag: 'issue', value: 'letsencrypt.org' } },
+      { name: '*.dev', type: 'A', ttl: 3600, data: { address: '192.0.2.2' } }
+    ]);
+  });
+
+  it('exports a zone that parses back to the same records', () => {
+    const { records } = parseZone(ZONE, 'example.com', 3600);
+    const exported = exportZone('example.com', records, 3600);
+
+    expect(exported).toContain('$ORIGIN example.com.');
+    expect(exported).toMatch(/^www +3600 +IN CNAME example\.com\.$/m);
+
+    const reparsed = parseZone(exported, 'example.com', 3600);
+    expect(reparsed.errors).toEqual([]);
+    expect(reparsed.records.map(({ line, ...record }) => record))
+      .toEqual(records.map(({ line, ...record }) => record));
+  });
+
+  it('round-trips long and escaped TXT text', () => {
+    const text = `${'x'.repeat(300)} "quoted" back\\slash ünïcödé`;
+    const content = formatRdata('TXT', { text });
+
+    expect(splitText(text).every(part => Buffer.byteLength(part) <= 255)).toBe(true);
+    expect(parseRdata('TXT', tokenize(content).flatMap(entry => entry.tokens))).toEqual({ text });
+  });
+
+  it('reports names outside the zone by line', () => {
+    const { records, errors } = parseZone([
+      'www A 192.0.2.1',
+      'other.org. A 192.0.2.2',
+      '$ORIGIN elsewhere.net.',
+      'mail.example.com. A 192.0.2.3'
+    ].join('\n'), 'example.com', 3600);
+
+    expect(records.map(record => record.name)).toEqual(['www', 'mail']);
+    expect(errors).toEqual([
+      { line: 2, error: 'other.org is outside example.com' },
+      { line: 3, error: '$ORIGIN elsewhere.net. is outside example.com' }
+    ]);
+  });
+
+  it('skips record types the panel does not manage', () => {
+    const { records, skipped } = parseZone('sub NS ns.elsewhere.net.\nx PTR host.example.com.\n', 'example.com', 3600);
+
+    expect(records).toEqual([]);
+    expect(skipped.map(entry => entry.reason)).toEqual(['Unsupported record type NS', 'Unsupported record type PTR']);
+  });
+
+  it('reports malformed lines without stopping', () => {
+    const { records, errors } = parseZone([
+      'a A 300.1.1.1',
+      'b MX mail.example.com.',
+      'c CH A 192.0.2.1',
+      'd A 192.0.2.4'
+    ].join('\n'), 'example.com', 3600);
+
+    expect(records.map(record => record.name)).toEqual(['d']);
+    expect(errors).toEqual([
+      { line: 1, error: 'Invalid IPv4 address "300.1.1.1"' },
+      { line: 2, error: 'MX records are written as: priority exchange' },
+      { line: 3, error: 'Only class IN is supported' }
+    ]);
+  });
+
+  it('rejects a zone with unbalanced parentheses as a whole', () => {
+    const { records, errors } = parseZone('@ A 192.0.2.1\n@ TXT ( "open"\n', 'example.com', 3600);
+
+    expect(records).toEqual([]);
+    expect(errors).toEqual([expect.objectContaining({ error: 'Unbalanced "("' })]);
+  });
+});